@@ -34,5 +34,92 @@ exports.storageConfig = {
     companyStorageLimitBytes: parseInt(process.env.COMPANY_STORAGE_LIMIT_MB || '500') * 1024 * 1024,
     // Max file size for individual uploads in bytes (default: 500MB)
     maxFileSizeBytes: parseInt(process.env.MAX_FILE_SIZE_MB || '500') * 1024 * 1024,
+    // How long images, PDFs and web pages are shown by default, in seconds (default: 10)
+    defaultDisplayDurationSeconds: parseInt(process.env.DEFAULT_DISPLAY_DURATION_SECONDS || '10'),
+    // Largest chunk of a resumable upload in bytes (default: 5MB)
+    uploadChunkSizeBytes: parseInt(process.env.UPLOAD_CHUNK_SIZE_MB || '5') * 1024 * 1024,
+    // Unfinished resumable uploads are discarded after this many hours without a chunk (default: 24)
+    uploadSessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24'),
+    // Where media files are stored: 'local' (disk) or 's3' (S3-compatible bucket) (default: local)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    // Local working directory for media processing (default: videos/.tmp)
+    tempDir: process.env.STORAGE_TEMP_DIR || null,
+    // Lifetime of signed file URLs in seconds (default: 1 hour)
+    signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS || '3600'),
+    // Key of the HMAC signing media URLs handed to players and the dashboard
+    mediaUrlSecret: process.env.MEDIA_URL_SECRET || 'dsscreen-media-url-secret-key-2024-change-in-production',
+    // S3-compatible bucket, used with STORAGE_DRIVER=s3
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        // Custom endpoint for S3-compatible services, e.g. http://localhost:9000 for MinIO
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // Address the bucket in the path instead of the host name (MinIO and most stand-ins need this)
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // Credentials; when unset the default AWS credential chain is used (e.g. an instance role)
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+        // Prepended to every object key, to share a bucket (default: none)
+        keyPrefix: process.env.S3_KEY_PREFIX || '',
+    },
+};
+
+exports.transcodeConfig = {
+    // Transcode uploaded videos to an H.264/AAC MP4 players can decode (default: true)
+    enabled: process.env.TRANSCODE_ENABLED !== 'false',
+    // x264 quality of the main rendition, lower is better (default: 23)
+    crf: parseInt(process.env.TRANSCODE_CRF || '23'),
+    // Videos taller than this are scaled down (default: 1080)
+    maxHeight: parseInt(process.env.TRANSCODE_MAX_HEIGHT || '1080'),
+    // Also produce a lower-bitrate rendition for weak screens (default: false)
+    lowBitrateEnabled: process.env.TRANSCODE_LOW_BITRATE === 'true',
+    // Height and video bitrate of the lower-bitrate rendition (default: 480p at 800 kbps)
+    lowBitrateMaxHeight: parseInt(process.env.TRANSCODE_LOW_BITRATE_MAX_HEIGHT || '480'),
+    lowBitrateKbps: parseInt(process.env.TRANSCODE_LOW_BITRATE_KBPS || '800'),
+    // Also package videos as multi-bitrate HLS for streaming players (default: false)
+    hlsEnabled: process.env.TRANSCODE_HLS === 'true',
+    // HLS variants as height:video kbps, comma-separated (default: 1080p, 720p, 480p and 360p)
+    hlsVariants: (process.env.TRANSCODE_HLS_VARIANTS || '1080:5000,720:2800,480:1200,360:700')
+        .split(',')
+        .map(variant => variant.split(':').map(value => parseInt(value)))
+        .filter(([height, kbps]) => height > 0 && kbps > 0)
+        .map(([height, kbps]) => ({ height, kbps })),
+    // Length of an HLS segment in seconds (default: 6)
+    hlsSegmentSeconds: parseInt(process.env.TRANSCODE_HLS_SEGMENT_SECONDS || '6'),
 };
 
+exports.jobQueueConfig = {
+    // Media processing jobs (probe, thumbnail, hash, transcode) run at the same time (default: 2)
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2'),
+    // Transcodes and HLS packagings run at the same time, within the limit above (default: 1)
+    transcodeConcurrency: parseInt(process.env.JOB_TRANSCODE_CONCURRENCY || '1'),
+    // Attempts before a job is marked as failed (default: 3)
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3'),
+    // Delay before the first retry, doubled for each further one, in seconds (default: 30)
+    retryDelaySeconds: parseInt(process.env.JOB_RETRY_DELAY_SECONDS || '30'),
+    // How often the queue looks for due jobs, in seconds (default: 5)
+    pollIntervalSeconds: parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '5'),
+    // Finished jobs are deleted after this many days (default: 7)
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS || '7'),
+};
+
+exports.deviceConfig = {
+    // How often players send a heartbeat, in seconds (default: 60)
+    heartbeatIntervalSeconds: parseInt(process.env.DEVICE_HEARTBEAT_INTERVAL_SECONDS || '60'),
+    // A device that has been silent longer than this is shown as degraded (default: 3 missed heartbeats)
+    degradedAfterSeconds: parseInt(process.env.DEVICE_DEGRADED_AFTER_SECONDS || '180'),
+    // A device that has been silent longer than this is shown as offline (default: 10 minutes)
+    offlineAfterSeconds: parseInt(process.env.DEVICE_OFFLINE_AFTER_SECONDS || '600'),
+    // Comment line sent on idle push (SSE) connections so proxies don't close them (default: 25)
+    eventsKeepaliveSeconds: parseInt(process.env.DEVICE_EVENTS_KEEPALIVE_SECONDS || '25'),
+    // How long a pairing PIN shown on an unregistered screen stays valid, in seconds (default: 10 minutes)
+    pairingCodeTtlSeconds: parseInt(process.env.DEVICE_PAIRING_CODE_TTL_SECONDS || '600'),
+    // Wrong PINs a company, or a client IP, may enter in the dashboard per window before claims are blocked (default: 10)
+    pairingClaimMaxFailures: parseInt(process.env.DEVICE_PAIRING_CLAIM_MAX_FAILURES || '10'),
+    // Length of that window, in seconds (default: 15 minutes)
+    pairingClaimWindowSeconds: parseInt(process.env.DEVICE_PAIRING_CLAIM_WINDOW_SECONDS || '900'),
+    // Remote commands not acknowledged by the player within this time are expired (default: 24 hours)
+    commandTtlSeconds: parseInt(process.env.DEVICE_COMMAND_TTL_SECONDS || '86400'),
+    // Largest screenshot a player may upload, in bytes (default: 5MB)
+    maxScreenshotBytes: parseInt(process.env.DEVICE_MAX_SCREENSHOT_MB || '5') * 1024 * 1024,
+};
@@ -8,6 +8,8 @@ const app = express();
 const { envConfig } = require('./config');
 const { testConnection } = require('./models');
 const { runMigrations } = require('./utils/migrate');
+const { startMediaJobQueue } = require('./utils/mediaJobs');
+const { startUploadSessionCleanup } = require('./utils/uploadSessions');
 
 // CORS configuration
 app.use(cors({
@@ -44,7 +46,12 @@ const adminRoutes = require('./routes/admin');
 const companyRoutes = require('./routes/company');
 const userRoutes = require('./routes/user');
 const videoRoutes = require('./routes/video');
+const uploadRoutes = require('./routes/upload');
 const scheduleRoutes = require('./routes/schedule');
+const deviceRoutes = require('./routes/device');
+const deviceGroupRoutes = require('./routes/deviceGroup');
+const layoutRoutes = require('./routes/layout');
+const mediaFolderRoutes = require('./routes/mediaFolder');
 
 app.use('/', webRoutes);  // Web routes (login, register, logout)
 app.use('/dashboard', dashboardRoutes); // Dashboard routes BEFORE static files
@@ -52,13 +59,17 @@ app.use('/admin', adminRoutes); // Super Admin panel routes
 app.use('/api/auth', authRoutes);
 app.use('/api/company', companyRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/videos/uploads', uploadRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/schedules', scheduleRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/device-groups', deviceGroupRoutes);
+app.use('/api/layouts', layoutRoutes);
+app.use('/api/media-folders', mediaFolderRoutes);
 app.use('/', indexRoutes); // Static pages
 
 // Static files (AFTER routes so routes take precedence)
 app.use(express.static(__dirname + '/public'));
-app.use('/videos', express.static(__dirname + '/videos'));
 
 // Initialize database and start server
 const startServer = async () => {
@@ -74,6 +85,12 @@ const startServer = async () => {
       // This is the safe way to update database schema
       await runMigrations();
       
+      // Process uploads in the background (and resume jobs interrupted by a restart)
+      await startMediaJobQueue();
+
+      // Discard resumable uploads abandoned before they were completed
+      startUploadSessionCleanup();
+      
       // Start the server
       app.listen(envConfig.port, () => {
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
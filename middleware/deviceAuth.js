@@ -0,0 +1,188 @@
+/**
+ * Device Authentication Middleware
+ * Authenticates players using the device token issued at registration/pairing
+ */
+
+const { Device } = require('../models');
+const { hashDeviceToken } = require('../utils/deviceToken');
+const { verifyMediaQuery } = require('../utils/mediaUrls');
+const { loadUserContext } = require('./sessionAuth');
+
+/**
+ * Read the device token from the request
+ * Players send it in the X-Device-Token header. Media elements and EventSource
+ * cannot set headers, so the ?deviceToken= query parameter is accepted too.
+ * @param {Object} req - Express request
+ * @returns {string|null} Plain-text device token
+ */
+const getDeviceToken = (req) => {
+  return req.get('X-Device-Token') || req.query.deviceToken || null;
+};
+
+/**
+ * Find the non-revoked device a token belongs to
+ * Deactivated devices are returned too so callers can tell them apart
+ * @param {string} token - Plain-text device token
+ * @returns {Promise<Object|null>} Device instance or null
+ */
+const findDeviceByToken = async (token) => {
+  const device = await Device.findOne({
+    where: {
+      tokenHash: hashDeviceToken(token),
+    },
+  });
+
+  if (!device || device.revokedAt) {
+    return null;
+  }
+
+  return device;
+};
+
+/**
+ * Middleware to require a valid device token of an active device
+ * Sets req.device
+ * Responds 401 for missing, unknown or revoked tokens and 403 while the device
+ * is deactivated (players keep their token and wait to be activated again)
+ */
+const requireDeviceToken = async (req, res, next) => {
+  try {
+    const token = getDeviceToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Device token required',
+      });
+    }
+
+    const device = await findDeviceByToken(token);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked device token',
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device is deactivated',
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+};
+
+/**
+ * Middleware that accepts either a device token or a logged-in session with a
+ * selected company (dashboard previews)
+ * Sets req.accessCompanyId to the company whose content may be served
+ */
+const requireDeviceOrSession = async (req, res, next) => {
+  if (getDeviceToken(req)) {
+    return requireDeviceToken(req, res, (err) => {
+      if (err) return next(err);
+      req.accessCompanyId = req.device.companyId;
+      next();
+    });
+  }
+
+  if (req.session && req.session.userId && req.session.companyId) {
+    return loadUserContext(req, res, (err) => {
+      if (err) return next(err);
+      req.accessCompanyId = req.company.id;
+      next();
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Device token or login required',
+  });
+};
+
+/**
+ * Middleware for the routes serving a video's files (:videoId)
+ * Accepts a signed media URL (see utils/mediaUrls.js), an X-Device-Token
+ * header or a logged-in session with a selected company. Unlike
+ * requireDeviceOrSession, ?deviceToken= is not accepted, since these URLs end
+ * up in media elements and links where they could leak.
+ * Sets req.accessCompanyId, and req.device for URLs signed for a device
+ * Responds 403 for wrong or expired signatures and for URLs of devices that
+ * have since been revoked or deactivated
+ */
+const requireMediaAccess = async (req, res, next) => {
+  try {
+    if (req.query.sig) {
+      const issuedTo = verifyMediaQuery(req.params.videoId, req.query);
+      if (!issuedTo) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired media URL',
+        });
+      }
+
+      if (issuedTo.companyId) {
+        req.accessCompanyId = issuedTo.companyId;
+        return next();
+      }
+
+      const device = await Device.findByPk(issuedTo.deviceId);
+      if (!device || device.revokedAt || !device.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired media URL',
+        });
+      }
+
+      req.device = device;
+      req.accessCompanyId = device.companyId;
+      return next();
+    }
+
+    if (req.get('X-Device-Token')) {
+      return requireDeviceToken(req, res, (err) => {
+        if (err) return next(err);
+        req.accessCompanyId = req.device.companyId;
+        next();
+      });
+    }
+
+    if (req.session && req.session.userId && req.session.companyId) {
+      return loadUserContext(req, res, (err) => {
+        if (err) return next(err);
+        req.accessCompanyId = req.company.id;
+        next();
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Signed URL, device token or login required',
+    });
+  } catch (error) {
+    console.error('Media access error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+};
+
+module.exports = {
+  getDeviceToken,
+  findDeviceByToken,
+  requireDeviceToken,
+  requireDeviceOrSession,
+  requireMediaAccess,
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Migration: Add Device Heartbeat
+ * 
+ * Stores the latest playback state reported by a player through the
+ * heartbeat endpoint. Online/degraded/offline status is derived from this
+ * together with last_seen.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('devices', 'last_heartbeat', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Latest heartbeat payload (current item, playback position, cache fill, uptime)',
+    });
+
+    console.log('✅ Added last_heartbeat column to devices table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('devices', 'last_heartbeat');
+  }
+};
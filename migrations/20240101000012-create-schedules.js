@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Migration: Create Schedules Table
+ * 
+ * Backs the existing Schedule model. Schedules are time-based programmes
+ * that screens can be paired to instead of a looping playlist.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('schedules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Display name of the schedule',
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Optional description of the schedule',
+      },
+      code: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        unique: true,
+        comment: 'Unique 5-character code for public access (alphanumeric)',
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+        comment: 'Whether the schedule is active',
+      },
+      timezone: {
+        type: Sequelize.STRING,
+        defaultValue: 'UTC',
+        comment: 'Timezone for the schedule (e.g., America/New_York)',
+      },
+      settings: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        comment: 'Additional settings (loop, shuffle, etc.)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('schedules', ['company_id'], {
+      name: 'schedules_company_id',
+    });
+
+    await queryInterface.addIndex('schedules', ['created_by'], {
+      name: 'schedules_created_by',
+    });
+
+    await queryInterface.addIndex('schedules', ['code'], {
+      name: 'schedules_code',
+      unique: true,
+    });
+
+    await queryInterface.addIndex('schedules', ['is_active'], {
+      name: 'schedules_is_active',
+    });
+
+    console.log('✅ Created schedules table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('schedules');
+  }
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Migration: Create Schedule Items Table
+ * 
+ * Backs the existing ScheduleItem model - a video played at a fixed time of
+ * day, optionally limited to certain weekdays and a date range.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('schedule_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      schedule_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schedules',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'videos',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      start_time: {
+        type: Sequelize.TIME,
+        allowNull: false,
+        comment: 'Time when video should start playing (HH:MM:SS)',
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Duration in seconds the video should play',
+      },
+      day_of_week: {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: true,
+        comment: 'Days of week (0=Sunday, 6=Saturday). Null means every day.',
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Optional start date for this item',
+      },
+      end_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Optional end date for this item',
+      },
+      order: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: 'Display order for items with same start time',
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+        comment: 'Whether this schedule item is active',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        comment: 'Additional metadata (transitions, effects, etc.)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('schedule_items', ['schedule_id'], {
+      name: 'schedule_items_schedule_id',
+    });
+
+    await queryInterface.addIndex('schedule_items', ['video_id'], {
+      name: 'schedule_items_video_id',
+    });
+
+    await queryInterface.addIndex('schedule_items', ['start_time'], {
+      name: 'schedule_items_start_time',
+    });
+
+    await queryInterface.addIndex('schedule_items', ['is_active'], {
+      name: 'schedule_items_is_active',
+    });
+
+    console.log('✅ Created schedule_items table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('schedule_items');
+  }
+};
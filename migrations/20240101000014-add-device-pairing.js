@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Migration: Add Device Pairing
+ * 
+ * Lets an unregistered screen show a short-lived PIN that a company user
+ * claims from the dashboard. A claimed device belongs to a company, gets a
+ * friendly name and is assigned either a playlist (device_playlists) or a
+ * schedule (schedule_id).
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('devices', 'company_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'companies',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Company that owns the device (set on registration or when claimed)',
+    });
+
+    await queryInterface.addColumn('devices', 'name', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Friendly display name of the device',
+    });
+
+    await queryInterface.addColumn('devices', 'schedule_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'schedules',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Schedule assigned to the device (instead of a playlist)',
+    });
+
+    await queryInterface.addColumn('devices', 'pairing_code', {
+      type: Sequelize.STRING(6),
+      allowNull: true,
+      comment: 'Short-lived PIN shown on screen while waiting to be claimed',
+    });
+
+    await queryInterface.addColumn('devices', 'pairing_code_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the pairing PIN stops being valid',
+    });
+
+    await queryInterface.addIndex('devices', ['company_id'], {
+      name: 'devices_company_id',
+    });
+
+    await queryInterface.addIndex('devices', ['schedule_id'], {
+      name: 'devices_schedule_id',
+    });
+
+    await queryInterface.addIndex('devices', ['pairing_code'], {
+      name: 'devices_pairing_code',
+    });
+
+    // Existing devices belong to the company of the playlist they were registered to
+    await queryInterface.sequelize.query(`
+      UPDATE devices
+      SET company_id = playlists.company_id
+      FROM device_playlists
+      JOIN playlists ON playlists.id = device_playlists.playlist_id
+      WHERE device_playlists.device_id = devices.id
+        AND devices.company_id IS NULL
+    `);
+
+    console.log('✅ Added pairing columns to devices table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('devices', 'devices_pairing_code');
+    await queryInterface.removeIndex('devices', 'devices_schedule_id');
+    await queryInterface.removeIndex('devices', 'devices_company_id');
+    await queryInterface.removeColumn('devices', 'pairing_code_expires_at');
+    await queryInterface.removeColumn('devices', 'pairing_code');
+    await queryInterface.removeColumn('devices', 'schedule_id');
+    await queryInterface.removeColumn('devices', 'name');
+    await queryInterface.removeColumn('devices', 'company_id');
+  }
+};
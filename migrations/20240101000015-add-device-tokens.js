@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Add Device Tokens
+ * 
+ * Each device gets a secret credential when it registers or pairs. Only a
+ * SHA-256 hash of the token is stored. Revoking a device blocks its token
+ * and prevents it from re-registering until it is paired again.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('devices', 'token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hash of the current device token',
+    });
+
+    await queryInterface.addColumn('devices', 'token_issued_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the current device token was issued',
+    });
+
+    await queryInterface.addColumn('devices', 'revoked_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the device access was revoked (null = not revoked)',
+    });
+
+    await queryInterface.addIndex('devices', ['token_hash'], {
+      name: 'devices_token_hash',
+      unique: true,
+    });
+
+    console.log('✅ Added token columns to devices table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('devices', 'devices_token_hash');
+    await queryInterface.removeColumn('devices', 'revoked_at');
+    await queryInterface.removeColumn('devices', 'token_issued_at');
+    await queryInterface.removeColumn('devices', 'token_hash');
+  }
+};
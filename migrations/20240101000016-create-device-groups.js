@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Migration: Create Device Groups
+ * 
+ * Groups screens (e.g. "Lobby screens", "Store 12") so a playlist or
+ * schedule can be assigned to all of them at once. Devices in a group play
+ * the group's content instead of their own assignment.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('device_groups', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name of the group (e.g., Lobby screens, Store 12)',
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Optional description of the group',
+      },
+      playlist_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'playlists',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Playlist played by every device of the group',
+      },
+      schedule_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'schedules',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Schedule played by every device of the group (instead of a playlist)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('device_groups', ['company_id'], {
+      name: 'device_groups_company_id',
+    });
+
+    await queryInterface.addIndex('device_groups', ['playlist_id'], {
+      name: 'device_groups_playlist_id',
+    });
+
+    await queryInterface.addIndex('device_groups', ['schedule_id'], {
+      name: 'device_groups_schedule_id',
+    });
+
+    await queryInterface.addColumn('devices', 'group_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'device_groups',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Group the device belongs to (its content overrides the device assignment)',
+    });
+
+    await queryInterface.addIndex('devices', ['group_id'], {
+      name: 'devices_group_id',
+    });
+
+    console.log('✅ Created device_groups table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('devices', 'devices_group_id');
+    await queryInterface.removeColumn('devices', 'group_id');
+    await queryInterface.dropTable('device_groups');
+  }
+};
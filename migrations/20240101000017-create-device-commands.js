@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Migration: Create Device Commands
+ * 
+ * Queue of remote commands (reload, clear cache, re-register, screenshot)
+ * that company users send to a screen. Players pick them up from the
+ * heartbeat response or their event stream and acknowledge them.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('device_commands', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      device_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'devices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      type: {
+        type: Sequelize.ENUM('reload', 'clear_cache', 're_register', 'screenshot'),
+        allowNull: false,
+        comment: 'What the player should do',
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'delivered', 'completed', 'failed', 'expired', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      result: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Outcome reported by the player (error message, screenshot path, ...)',
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the player first received the command',
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the player acknowledged the command',
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Commands not acknowledged by then are expired',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('device_commands', ['device_id', 'status'], {
+      name: 'device_commands_device_id_status',
+    });
+
+    await queryInterface.addIndex('device_commands', ['company_id'], {
+      name: 'device_commands_company_id',
+    });
+
+    await queryInterface.addIndex('device_commands', ['created_at'], {
+      name: 'device_commands_created_at',
+    });
+
+    console.log('✅ Created device_commands table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('device_commands');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_device_commands_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_device_commands_status"');
+  }
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Migration: Create Playback Logs
+ * 
+ * Proof-of-play records reported by players: which video played on which
+ * device, when, and for how many seconds.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('playback_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      device_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'devices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Device that played the video (null once the device is deleted)',
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'videos',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      playlist_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'playlists',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      playlist_item_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Timeline item that was played (kept after the item is removed)',
+      },
+      schedule_item_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Schedule item that was played (kept after the item is removed)',
+      },
+      client_event_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'ID generated by the player, so re-sent batches are not stored twice',
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      duration_played: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Seconds the video was actually playing',
+      },
+      completed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the item played for its full timeline duration',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('playback_logs', ['device_id', 'client_event_id'], {
+      name: 'playback_logs_device_id_client_event_id',
+      unique: true,
+    });
+
+    await queryInterface.addIndex('playback_logs', ['company_id', 'started_at'], {
+      name: 'playback_logs_company_id_started_at',
+    });
+
+    await queryInterface.addIndex('playback_logs', ['video_id'], {
+      name: 'playback_logs_video_id',
+    });
+
+    console.log('✅ Created playback_logs table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('playback_logs');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Migration: Add Video Content Hash
+ * 
+ * Stores the SHA-256 of each video file so players can verify their cached
+ * copies against the playlist manifest. Videos uploaded before this migration
+ * are hashed the first time they appear in a manifest.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('videos', 'content_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 of the video file (hex)',
+    });
+
+    await queryInterface.addColumn('videos', 'content_hashed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When content_hash was computed (the file is hashed again if modified later)',
+    });
+
+    console.log('✅ Added content_hash and content_hashed_at columns to videos table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('videos', 'content_hashed_at');
+    await queryInterface.removeColumn('videos', 'content_hash');
+  }
+};
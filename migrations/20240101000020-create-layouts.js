@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Migration: Create Layouts
+ * 
+ * A layout splits the screen into zones (e.g. a main video area and a side
+ * ticker or logo), each playing its own playlist. Layouts are assigned to
+ * devices and device groups in place of a single playlist.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('layouts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name of the layout (e.g., Video with ticker)',
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Optional description of the layout',
+      },
+      background_color: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        defaultValue: '#000000',
+        comment: 'Color shown where no zone covers the screen (#RRGGBB)',
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('layouts', ['company_id'], {
+      name: 'layouts_company_id',
+    });
+
+    await queryInterface.createTable('layout_zones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      layout_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'layouts',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name of the zone (e.g., Main, Ticker, Logo)',
+      },
+      x: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Left edge, in percent of the screen width',
+      },
+      y: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Top edge, in percent of the screen height',
+      },
+      width: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Width, in percent of the screen width',
+      },
+      height: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Height, in percent of the screen height',
+      },
+      z_index: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Stacking order (higher zones are drawn on top)',
+      },
+      playlist_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'playlists',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Playlist played in the zone (empty zones show the background)',
+      },
+      audio_enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the zone plays sound (other zones are muted)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('layout_zones', ['layout_id'], {
+      name: 'layout_zones_layout_id',
+    });
+
+    await queryInterface.addIndex('layout_zones', ['playlist_id'], {
+      name: 'layout_zones_playlist_id',
+    });
+
+    await queryInterface.addColumn('devices', 'layout_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'layouts',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Layout played by the device (instead of a playlist or schedule)',
+    });
+
+    await queryInterface.addColumn('device_groups', 'layout_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'layouts',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Layout played by every device of the group (instead of a playlist or schedule)',
+    });
+
+    console.log('✅ Created layouts and layout_zones tables');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('device_groups', 'layout_id');
+    await queryInterface.removeColumn('devices', 'layout_id');
+    await queryInterface.dropTable('layout_zones');
+    await queryInterface.dropTable('layouts');
+  }
+};
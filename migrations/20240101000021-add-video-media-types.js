@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migration: Add Media Types to the Video Library
+ * 
+ * The videos table becomes the media library: besides videos it holds images,
+ * PDFs (shown page by page as slides) and web pages. Web pages have no file,
+ * only a URL, so file_path becomes optional. Existing rows are videos.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('videos', 'media_type', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'video',
+      comment: 'video, image, pdf or web',
+    });
+
+    await queryInterface.addColumn('videos', 'source_url', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'URL shown by web page items',
+    });
+
+    await queryInterface.changeColumn('videos', 'file_path', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Relative path to the file in the filesystem (null for web pages)',
+    });
+
+    await queryInterface.addIndex('videos', ['company_id', 'media_type']);
+
+    console.log('✅ Added media_type and source_url columns to videos table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('videos', { media_type: 'web' });
+    await queryInterface.removeIndex('videos', ['company_id', 'media_type']);
+
+    await queryInterface.changeColumn('videos', 'file_path', {
+      type: Sequelize.STRING,
+      allowNull: false,
+    });
+
+    await queryInterface.removeColumn('videos', 'source_url');
+    await queryInterface.removeColumn('videos', 'media_type');
+  }
+};
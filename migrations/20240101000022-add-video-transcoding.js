@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Migration: Add Video Transcoding
+ * 
+ * Uploaded videos are transcoded in the background to an H.264/AAC MP4
+ * (and optionally a lower-bitrate one) that every browser-based player can
+ * decode. The job status and the produced renditions are kept on the video;
+ * videos uploaded before this migration keep a null status until they are
+ * transcoded with `npm run backfill:transcode`.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('videos', 'transcode_status', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'pending, processing, ready or failed (null for images, PDFs, web pages and videos never transcoded)',
+    });
+
+    await queryInterface.addColumn('videos', 'transcode_error', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Why the last transcode failed',
+    });
+
+    await queryInterface.addColumn('videos', 'renditions', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Transcoded files by name (main, low): path, size, contentHash, mimeType, resolution',
+    });
+
+    await queryInterface.addColumn('videos', 'transcoded_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the last transcode finished',
+    });
+
+    await queryInterface.addIndex('videos', ['transcode_status']);
+
+    console.log('✅ Added transcoding columns to videos table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('videos', ['transcode_status']);
+    await queryInterface.removeColumn('videos', 'transcoded_at');
+    await queryInterface.removeColumn('videos', 'renditions');
+    await queryInterface.removeColumn('videos', 'transcode_error');
+    await queryInterface.removeColumn('videos', 'transcode_status');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Migration: Create Media Jobs
+ *
+ * Persistent queue of media processing steps (probe, thumbnail, hash,
+ * transcode) run in the background after an upload. Failed steps are
+ * retried with a growing delay; their status survives server restarts.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('media_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'videos',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.ENUM('probe', 'thumbnail', 'hash', 'transcode'),
+        allowNull: false,
+        comment: 'Processing step to run on the video',
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'queued',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of times the job was started',
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+      },
+      run_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'The job is not started before this time (delays retries)',
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Error of the last failed attempt',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('media_jobs', ['status', 'run_at'], {
+      name: 'media_jobs_status_run_at',
+    });
+
+    await queryInterface.addIndex('media_jobs', ['video_id'], {
+      name: 'media_jobs_video_id',
+    });
+
+    console.log('✅ Created media_jobs table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('media_jobs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_media_jobs_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_media_jobs_status"');
+  }
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Migration: Create Upload Sessions
+ *
+ * Resumable uploads: the file is sent in chunks appended to a partial file
+ * in the company's video directory, and becomes a video when the upload is
+ * completed (after the storage quota is checked). A session remembers the
+ * file being uploaded so an interrupted upload can continue where it stopped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('upload_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      uploaded_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      original_file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      display_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Name of the video to create (defaults to the file name)',
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      file_size: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: 'Size of the whole file in bytes',
+      },
+      uploaded_bytes: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Bytes received so far (the partial file is the source of truth)',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      status: {
+        type: Sequelize.ENUM('uploading', 'completed', 'aborted', 'expired'),
+        allowNull: false,
+        defaultValue: 'uploading',
+      },
+      video_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'videos',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Video created when the upload was completed',
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Unfinished uploads are discarded after this time',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('upload_sessions', ['company_id', 'uploaded_by'], {
+      name: 'upload_sessions_company_id_uploaded_by',
+    });
+
+    await queryInterface.addIndex('upload_sessions', ['status', 'expires_at'], {
+      name: 'upload_sessions_status_expires_at',
+    });
+
+    console.log('✅ Created upload_sessions table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('upload_sessions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_upload_sessions_status"');
+  }
+};
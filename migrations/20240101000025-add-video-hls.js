@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Migration: Add HLS Packaging
+ *
+ * Videos can be packaged as multi-bitrate HLS (segments per bitrate plus a
+ * master playlist) so streaming players pick a bitrate that suits their
+ * connection. Packaging runs as an 'hls' media job; the result is kept on
+ * the video.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('videos', 'hls', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'HLS package: { path (directory), variants: [{ name, height, resolution, bandwidth }], createdAt }',
+    });
+
+    // SQLite stores enums as plain text
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_media_jobs_type" ADD VALUE IF NOT EXISTS 'hls'`);
+    }
+
+    console.log('✅ Added HLS packaging to videos and media jobs');
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop an enum value; the jobs using it are removed instead
+    await queryInterface.bulkDelete('media_jobs', { type: 'hls' });
+    await queryInterface.removeColumn('videos', 'hls');
+  }
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Migration: Create Storage Blobs
+ *
+ * Uploaded files are stored content-addressed per company: a blob is one
+ * file on disk named after its SHA-256, shared by every video of the company
+ * with the same contents. The blob counts its videos and is deleted with
+ * the last one, and the company storage usage counts each blob once.
+ * Renditions and HLS packages are made once per blob and shared the same way.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('storage_blobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      content_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the file (hex)',
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: 'File size in bytes',
+      },
+      path: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Relative path to the file in the filesystem',
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      ref_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Number of videos using the file',
+      },
+      renditions: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Transcoded files shared by the videos of the blob: { settings, value } (value: video.renditions)',
+      },
+      hls: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'HLS package shared by the videos of the blob: { settings, value } (value: video.hls)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('storage_blobs', ['company_id', 'content_hash'], {
+      name: 'storage_blobs_company_id_content_hash',
+      unique: true,
+    });
+
+    await queryInterface.addColumn('videos', 'blob_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'storage_blobs',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Stored file shared with videos of the same contents (null for web pages and files stored before deduplication)',
+    });
+
+    await queryInterface.addIndex('videos', ['blob_id'], {
+      name: 'videos_blob_id',
+    });
+
+    console.log('✅ Created storage_blobs table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('videos', 'videos_blob_id');
+    await queryInterface.removeColumn('videos', 'blob_id');
+    await queryInterface.dropTable('storage_blobs');
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Migration: Add Video Trimming
+ *
+ * A video can have in/out points: players start it at the in point and loop
+ * back there at the out point (a virtual clip, the file is left as it is).
+ * A range can also be rendered into a new video by a 'clip' media job, whose
+ * parameters are kept on the job.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('videos', 'trim_start', {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+      comment: 'In point in seconds: players start the video here (null: the start)',
+    });
+
+    await queryInterface.addColumn('videos', 'trim_end', {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+      comment: 'Out point in seconds: players loop back to the in point here (null: the end)',
+    });
+
+    await queryInterface.addColumn('media_jobs', 'payload', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Parameters of the job, e.g. { start, end, fileName, uploadedBy } of a clip',
+    });
+
+    // SQLite stores enums as plain text
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_media_jobs_type" ADD VALUE IF NOT EXISTS 'clip'`);
+    }
+
+    console.log('✅ Added trimming to videos and clip rendering to media jobs');
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop an enum value; the jobs using it are removed instead
+    await queryInterface.bulkDelete('media_jobs', { type: 'clip' });
+    await queryInterface.removeColumn('media_jobs', 'payload');
+    await queryInterface.removeColumn('videos', 'trim_end');
+    await queryInterface.removeColumn('videos', 'trim_start');
+  }
+};
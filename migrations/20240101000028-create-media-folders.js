@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Migration: Create Media Folders
+ *
+ * Organizes the media library: folders can be nested, and a video sits in at
+ * most one folder (none: the library root). Videos also get free-form tags
+ * for filtering.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('media_folders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      company_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'companies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      parent_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'media_folders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Folder this folder is in (null: the library root)',
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name of the folder (e.g., Campaigns, Summer 2024)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('media_folders', ['company_id'], {
+      name: 'media_folders_company_id',
+    });
+
+    await queryInterface.addIndex('media_folders', ['parent_id'], {
+      name: 'media_folders_parent_id',
+    });
+
+    await queryInterface.addColumn('videos', 'folder_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'media_folders',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Folder the video is in (null: the library root)',
+    });
+
+    await queryInterface.addColumn('videos', 'tags', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      // A JS array would be rendered as ARRAY[], which isn't valid for jsonb
+      defaultValue: Sequelize.literal("'[]'"),
+      comment: 'Free-form tags (lowercase), e.g. ["promo", "summer"]',
+    });
+
+    await queryInterface.addIndex('videos', ['folder_id'], {
+      name: 'videos_folder_id',
+    });
+
+    // Tag filters use jsonb containment (@>), which a GIN index speeds up
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.addIndex('videos', ['tags'], {
+        name: 'videos_tags',
+        using: 'GIN',
+      });
+    }
+
+    console.log('✅ Created media_folders table and added folders and tags to videos');
+  },
+
+  async down(queryInterface, Sequelize) {
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.removeIndex('videos', 'videos_tags');
+    }
+    await queryInterface.removeIndex('videos', 'videos_folder_id');
+    await queryInterface.removeColumn('videos', 'tags');
+    await queryInterface.removeColumn('videos', 'folder_id');
+    await queryInterface.dropTable('media_folders');
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Migration: Add Schedule Item Recurrence
+ *
+ * Schedule items can follow an iCalendar RRULE (e.g. first Monday of the
+ * month, every other week) instead of a dayOfWeek array, and skip exception
+ * dates (EXDATE), e.g. public holidays.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('schedule_items', 'rrule', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=1MO (null: dayOfWeek applies)',
+    });
+
+    await queryInterface.addColumn('schedule_items', 'exdates', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: Sequelize.literal("'[]'"),
+      comment: 'Dates the item skips (YYYY-MM-DD)',
+    });
+
+    console.log('✅ Added recurrence rules to schedule items');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('schedule_items', 'exdates');
+    await queryInterface.removeColumn('schedule_items', 'rrule');
+  }
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Migration: Add Schedule Item Priorities
+ *
+ * Items get a priority deciding which one plays when items overlap and
+ * whether a new item may override another. Overlapping items are no longer
+ * deactivated or cut short for good: an item lists the items it gives way
+ * to, and the resolver applies that to the overlapping occurrences only
+ * ("override" takes them off, "split" cuts them around the other item), so
+ * the conflict can be undone by restoring the item.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('schedule_items', 'priority', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      comment: 'Priority from 1 to 10: higher wins when items overlap',
+    });
+
+    await queryInterface.addColumn('schedule_items', 'yields_to', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: Sequelize.literal("'[]'"),
+      comment: 'Items this item gives way to where they overlap: [{ itemId, action, at }]',
+    });
+
+    console.log('✅ Added priorities and per-occurrence conflict handling to schedule items');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('schedule_items', 'yields_to');
+    await queryInterface.removeColumn('schedule_items', 'priority');
+  }
+};
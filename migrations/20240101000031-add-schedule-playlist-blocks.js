@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration: Add Schedule Playlist Blocks
+ *
+ * A schedule item can play a playlist for its time window (dayparting,
+ * e.g. a breakfast menu loop from 6 to 11am) instead of a single video, and
+ * a schedule can have a fallback playlist played whenever no item is on.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('schedule_items', 'video_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('schedule_items', 'playlist_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'playlists',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Playlist looped for the duration of the item (null: the item plays video_id)',
+    });
+
+    await queryInterface.addColumn('schedules', 'fallback_playlist_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'playlists',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Playlist played whenever no schedule item is on',
+    });
+
+    await queryInterface.addIndex('schedule_items', ['playlist_id']);
+
+    console.log('✅ Added playlist blocks and fallback playlists to schedules');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('schedule_items', { video_id: null });
+    await queryInterface.removeIndex('schedule_items', ['playlist_id']);
+    await queryInterface.removeColumn('schedules', 'fallback_playlist_id');
+    await queryInterface.removeColumn('schedule_items', 'playlist_id');
+
+    await queryInterface.changeColumn('schedule_items', 'video_id', {
+      type: Sequelize.UUID,
+      allowNull: false,
+    });
+  }
+};
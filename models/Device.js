@@ -13,6 +13,81 @@ const Device = sequelize.define('Device', {
     unique: true,
     comment: 'Unique identifier from the machine (MAC address, hardware ID, etc.)',
   },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+    comment: 'Company that owns the device (set on registration or when claimed)',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Friendly display name of the device',
+  },
+  scheduleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'schedule_id',
+    references: {
+      model: 'schedules',
+      key: 'id',
+    },
+    comment: 'Schedule assigned to the device (instead of a playlist)',
+  },
+  layoutId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'layout_id',
+    references: {
+      model: 'layouts',
+      key: 'id',
+    },
+    comment: 'Layout assigned to the device (instead of a playlist or schedule)',
+  },
+  groupId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'group_id',
+    references: {
+      model: 'device_groups',
+      key: 'id',
+    },
+    comment: 'Group the device belongs to (its content overrides the device assignment)',
+  },
+  pairingCode: {
+    type: DataTypes.STRING(6),
+    allowNull: true,
+    field: 'pairing_code',
+    comment: 'Short-lived PIN shown on screen while waiting to be claimed',
+  },
+  pairingCodeExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'pairing_code_expires_at',
+    comment: 'When the pairing PIN stops being valid',
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'token_hash',
+    comment: 'SHA-256 hash of the current device token',
+  },
+  tokenIssuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'token_issued_at',
+    comment: 'When the current device token was issued',
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at',
+    comment: 'When the device access was revoked (null = not revoked)',
+  },
   deviceInfo: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -25,6 +100,12 @@ const Device = sequelize.define('Device', {
     field: 'last_seen',
     comment: 'Last time the device was seen/active',
   },
+  lastHeartbeat: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'last_heartbeat',
+    comment: 'Latest heartbeat payload (current item, playback position, cache fill, uptime)',
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -45,9 +126,31 @@ const Device = sequelize.define('Device', {
     {
       fields: ['last_seen'],
     },
+    {
+      fields: ['company_id'],
+    },
+    {
+      fields: ['schedule_id'],
+    },
+    {
+      fields: ['group_id'],
+    },
+    {
+      fields: ['pairing_code'],
+    },
+    {
+      fields: ['token_hash'],
+      unique: true,
+    },
   ],
 });
 
+// Instance method to get device without its token hash
+Device.prototype.toSafeObject = function() {
+  const { tokenHash, ...deviceWithoutToken } = this.toJSON();
+  return deviceWithoutToken;
+};
+
 module.exports = Device;
 
 
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const DeviceCommand = sequelize.define('DeviceCommand', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  deviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'device_id',
+    references: {
+      model: 'devices',
+      key: 'id',
+    },
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM('reload', 'clear_cache', 're_register', 'screenshot'),
+    allowNull: false,
+    comment: 'What the player should do',
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'delivered', 'completed', 'failed', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Outcome reported by the player (error message, screenshot path, ...)',
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at',
+    comment: 'When the player first received the command',
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at',
+    comment: 'When the player acknowledged the command',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+    comment: 'Commands not acknowledged by then are expired',
+  },
+}, {
+  tableName: 'device_commands',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['device_id', 'status'],
+    },
+    {
+      fields: ['company_id'],
+    },
+    {
+      fields: ['created_at'],
+    },
+  ],
+});
+
+module.exports = DeviceCommand;
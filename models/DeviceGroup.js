@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const DeviceGroup = sequelize.define('DeviceGroup', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name of the group (e.g., Lobby screens, Store 12)',
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional description of the group',
+  },
+  playlistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'playlist_id',
+    references: {
+      model: 'playlists',
+      key: 'id',
+    },
+    comment: 'Playlist played by every device of the group',
+  },
+  scheduleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'schedule_id',
+    references: {
+      model: 'schedules',
+      key: 'id',
+    },
+    comment: 'Schedule played by every device of the group (instead of a playlist)',
+  },
+  layoutId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'layout_id',
+    references: {
+      model: 'layouts',
+      key: 'id',
+    },
+    comment: 'Layout played by every device of the group (instead of a playlist or schedule)',
+  },
+}, {
+  tableName: 'device_groups',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['company_id'],
+    },
+    {
+      fields: ['playlist_id'],
+    },
+    {
+      fields: ['schedule_id'],
+    },
+  ],
+});
+
+module.exports = DeviceGroup;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const Layout = sequelize.define('Layout', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name of the layout (e.g., Video with ticker)',
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional description of the layout',
+  },
+  backgroundColor: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    defaultValue: '#000000',
+    field: 'background_color',
+    comment: 'Color shown where no zone covers the screen (#RRGGBB)',
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active',
+  },
+}, {
+  tableName: 'layouts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['company_id'],
+    },
+  ],
+});
+
+module.exports = Layout;
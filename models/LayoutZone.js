@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const LayoutZone = sequelize.define('LayoutZone', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  layoutId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'layout_id',
+    references: {
+      model: 'layouts',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name of the zone (e.g., Main, Ticker, Logo)',
+  },
+  x: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Left edge, in percent of the screen width',
+  },
+  y: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Top edge, in percent of the screen height',
+  },
+  width: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Width, in percent of the screen width',
+  },
+  height: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Height, in percent of the screen height',
+  },
+  zIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'z_index',
+    comment: 'Stacking order (higher zones are drawn on top)',
+  },
+  playlistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'playlist_id',
+    references: {
+      model: 'playlists',
+      key: 'id',
+    },
+    comment: 'Playlist played in the zone (empty zones show the background)',
+  },
+  audioEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'audio_enabled',
+    comment: 'Whether the zone plays sound (other zones are muted)',
+  },
+}, {
+  tableName: 'layout_zones',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['layout_id'],
+    },
+    {
+      fields: ['playlist_id'],
+    },
+  ],
+});
+
+module.exports = LayoutZone;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const MediaFolder = sequelize.define('MediaFolder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'parent_id',
+    references: {
+      model: 'media_folders',
+      key: 'id',
+    },
+    comment: 'Folder this folder is in (null: the library root)',
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name of the folder (e.g., Campaigns, Summer 2024)',
+  },
+}, {
+  tableName: 'media_folders',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['company_id'],
+    },
+    {
+      fields: ['parent_id'],
+    },
+  ],
+});
+
+module.exports = MediaFolder;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const MediaJob = sequelize.define('MediaJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  videoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'video_id',
+    references: {
+      model: 'videos',
+      key: 'id',
+    },
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM('probe', 'thumbnail', 'hash', 'transcode', 'hls', 'clip'),
+    allowNull: false,
+    comment: 'Processing step to run on the video (clip: render a range of it into a new video)',
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of times the job was started',
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+    field: 'max_attempts',
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'run_at',
+    comment: 'The job is not started before this time (delays retries)',
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at',
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at',
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Parameters of the job, e.g. { start, end, fileName, uploadedBy } of a clip',
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error',
+    comment: 'Error of the last failed attempt',
+  },
+}, {
+  tableName: 'media_jobs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status', 'run_at'],
+    },
+    {
+      fields: ['video_id'],
+    },
+  ],
+});
+
+module.exports = MediaJob;
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const PlaybackLog = sequelize.define('PlaybackLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  deviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'device_id',
+    references: {
+      model: 'devices',
+      key: 'id',
+    },
+    comment: 'Device that played the video (null once the device is deleted)',
+  },
+  videoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'video_id',
+    references: {
+      model: 'videos',
+      key: 'id',
+    },
+  },
+  playlistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'playlist_id',
+    references: {
+      model: 'playlists',
+      key: 'id',
+    },
+  },
+  playlistItemId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'playlist_item_id',
+    comment: 'Timeline item that was played (kept after the item is removed)',
+  },
+  scheduleItemId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'schedule_item_id',
+    comment: 'Schedule item that was played (kept after the item is removed)',
+  },
+  clientEventId: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'client_event_id',
+    comment: 'ID generated by the player, so re-sent batches are not stored twice',
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at',
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ended_at',
+  },
+  durationPlayed: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    field: 'duration_played',
+    comment: 'Seconds the video was actually playing',
+  },
+  completed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the item played for its full timeline duration',
+  },
+}, {
+  tableName: 'playback_logs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['device_id', 'client_event_id'],
+    },
+    {
+      fields: ['company_id', 'started_at'],
+    },
+    {
+      fields: ['video_id'],
+    },
+  ],
+});
+
+module.exports = PlaybackLog;
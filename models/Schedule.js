@@ -52,6 +52,17 @@ const Schedule = sequelize.define('Schedule', {
     defaultValue: 'UTC',
     comment: 'Timezone for the schedule (e.g., America/New_York)',
   },
+  fallbackPlaylistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'fallback_playlist_id',
+    references: {
+      model: 'playlists',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Playlist played whenever no schedule item is on',
+  },
   settings: {
     type: DataTypes.JSONB,
     defaultValue: {},
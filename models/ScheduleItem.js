@@ -19,24 +19,36 @@ const ScheduleItem = sequelize.define('ScheduleItem', {
   },
   videoId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     field: 'video_id',
     references: {
       model: 'videos',
       key: 'id',
     },
     onDelete: 'CASCADE',
+    comment: 'Video played by the item (null: the item loops playlistId)',
+  },
+  playlistId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'playlist_id',
+    references: {
+      model: 'playlists',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+    comment: 'Playlist looped for the duration of the item (dayparting block)',
   },
   startTime: {
     type: DataTypes.TIME,
     allowNull: false,
     field: 'start_time',
-    comment: 'Time when video should start playing (HH:MM:SS)',
+    comment: 'Time when the video or playlist should start playing (HH:MM:SS)',
   },
   duration: {
     type: DataTypes.INTEGER,
     allowNull: false,
-    comment: 'Duration in seconds the video should play',
+    comment: 'Duration in seconds the video or playlist should play',
   },
   dayOfWeek: {
     type: DataTypes.ARRAY(DataTypes.INTEGER),
@@ -56,11 +68,35 @@ const ScheduleItem = sequelize.define('ScheduleItem', {
     field: 'end_date',
     comment: 'Optional end date for this item',
   },
+  rrule: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=1MO (null: dayOfWeek applies). startDate is its DTSTART.',
+  },
+  exdates: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Dates the item skips (YYYY-MM-DD), e.g. public holidays',
+  },
   order: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
     comment: 'Display order for items with same start time',
   },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    comment: 'Priority from 1 to 10: higher wins when items overlap',
+  },
+  yieldsTo: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'yields_to',
+    comment: 'Items this item gives way to where their occurrences overlap: [{ itemId, action: override|split, at }]',
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -83,6 +119,9 @@ const ScheduleItem = sequelize.define('ScheduleItem', {
     {
       fields: ['video_id'],
     },
+    {
+      fields: ['playlist_id'],
+    },
     {
       fields: ['start_time'],
     },
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const StorageBlob = sequelize.define('StorageBlob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'content_hash',
+    comment: 'SHA-256 of the file (hex)',
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'File size in bytes',
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Relative path to the file in the filesystem',
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'mime_type',
+  },
+  refCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'ref_count',
+    comment: 'Number of videos using the file',
+  },
+  renditions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Transcoded files shared by the videos of the blob: { settings, value } (value: video.renditions)',
+  },
+  hls: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'HLS package shared by the videos of the blob: { settings, value } (value: video.hls)',
+  },
+}, {
+  tableName: 'storage_blobs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['company_id', 'content_hash'],
+    },
+  ],
+});
+
+module.exports = StorageBlob;
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./sequelize');
+
+const UploadSession = sequelize.define('UploadSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'company_id',
+    references: {
+      model: 'companies',
+      key: 'id',
+    },
+  },
+  uploadedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'uploaded_by',
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  originalFileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'original_file_name',
+  },
+  displayName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'display_name',
+    comment: 'Name of the video to create (defaults to the file name)',
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'mime_type',
+  },
+  fileSize: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'file_size',
+    comment: 'Size of the whole file in bytes',
+  },
+  uploadedBytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'uploaded_bytes',
+    comment: 'Bytes received so far (the partial file is the source of truth)',
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  status: {
+    type: DataTypes.ENUM('uploading', 'completed', 'aborted', 'expired'),
+    allowNull: false,
+    defaultValue: 'uploading',
+  },
+  videoId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'video_id',
+    references: {
+      model: 'videos',
+      key: 'id',
+    },
+    comment: 'Video created when the upload was completed',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+    comment: 'Unfinished uploads are discarded after this time',
+  },
+}, {
+  tableName: 'upload_sessions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['company_id', 'uploaded_by'],
+    },
+    {
+      fields: ['status', 'expires_at'],
+    },
+  ],
+});
+
+module.exports = UploadSession;
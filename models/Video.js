@@ -37,11 +37,53 @@ const Video = sequelize.define('Video', {
     field: 'original_file_name',
     comment: 'Original file name when uploaded',
   },
+  folderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'folder_id',
+    references: {
+      model: 'media_folders',
+      key: 'id',
+    },
+    comment: 'Folder the video is in (null: the library root)',
+  },
+  tags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Free-form tags (lowercase), e.g. ["promo", "summer"]',
+  },
+  mediaType: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'video',
+    field: 'media_type',
+    validate: {
+      isIn: [['video', 'image', 'pdf', 'web']],
+    },
+    comment: 'video, image, pdf (shown page by page) or web (a URL shown in a frame)',
+  },
   filePath: {
     type: DataTypes.STRING,
-    allowNull: false,
+    allowNull: true,
     field: 'file_path',
-    comment: 'Relative path to the file in the filesystem',
+    comment: 'Relative path to the file in the filesystem (null for web pages)',
+  },
+  blobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'blob_id',
+    references: {
+      model: 'storage_blobs',
+      key: 'id',
+    },
+    comment: 'Stored file shared with videos of the same contents (null for web pages and files stored before deduplication)',
+  },
+  sourceUrl: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'source_url',
+    comment: 'URL shown by web page items',
   },
   fileSize: {
     type: DataTypes.BIGINT,
@@ -58,7 +100,19 @@ const Video = sequelize.define('Video', {
   duration: {
     type: DataTypes.FLOAT,
     allowNull: true,
-    comment: 'Video duration in seconds (optional)',
+    comment: 'Video duration in seconds, or the default display duration of images, PDFs and web pages (optional)',
+  },
+  trimStart: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'trim_start',
+    comment: 'In point in seconds: players start the video here (null: the start)',
+  },
+  trimEnd: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'trim_end',
+    comment: 'Out point in seconds: players loop back to the in point here (null: the end)',
   },
   resolution: {
     type: DataTypes.STRING,
@@ -71,6 +125,50 @@ const Video = sequelize.define('Video', {
     field: 'thumbnail_path',
     comment: 'Path to video thumbnail image',
   },
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'content_hash',
+    comment: 'SHA-256 of the video file (hex), used by players to verify cached copies',
+  },
+  contentHashedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'content_hashed_at',
+    comment: 'When contentHash was computed',
+  },
+  transcodeStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'transcode_status',
+    validate: {
+      isIn: [['pending', 'processing', 'ready', 'failed']],
+    },
+    comment: 'Background transcode status (null for images, PDFs, web pages and videos never transcoded)',
+  },
+  transcodeError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'transcode_error',
+    comment: 'Why the last transcode failed',
+  },
+  renditions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Transcoded files by name (main, low): { path, size, contentHash, mimeType, resolution }',
+  },
+  transcodedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'transcoded_at',
+    comment: 'When the last transcode finished',
+  },
+  hls: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'HLS package: { path (directory), variants: [{ name, height, resolution, bandwidth }], createdAt }',
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -92,6 +190,18 @@ const Video = sequelize.define('Video', {
     {
       fields: ['uploaded_by'],
     },
+    {
+      fields: ['company_id', 'media_type'],
+    },
+    {
+      fields: ['transcode_status'],
+    },
+    {
+      fields: ['blob_id'],
+    },
+    {
+      fields: ['folder_id'],
+    },
     {
       unique: true,
       fields: ['company_id', 'file_name'],
@@ -10,6 +10,17 @@ const PlaylistItem = require('./PlaylistItem');
 const Device = require('./Device');
 const DevicePlaylist = require('./DevicePlaylist');
 const License = require('./License');
+const Schedule = require('./Schedule');
+const ScheduleItem = require('./ScheduleItem');
+const DeviceGroup = require('./DeviceGroup');
+const DeviceCommand = require('./DeviceCommand');
+const PlaybackLog = require('./PlaybackLog');
+const Layout = require('./Layout');
+const LayoutZone = require('./LayoutZone');
+const MediaJob = require('./MediaJob');
+const UploadSession = require('./UploadSession');
+const StorageBlob = require('./StorageBlob');
+const MediaFolder = require('./MediaFolder');
 
 // Define relationships
 // User <-> Company (Many-to-Many through UserCompany)
@@ -147,6 +158,298 @@ DevicePlaylist.belongsTo(Playlist, {
   as: 'playlist'
 });
 
+// Device <-> Company
+Device.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+Company.hasMany(Device, {
+  foreignKey: 'companyId',
+  as: 'devices'
+});
+
+// Schedule associations
+Schedule.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+Schedule.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+Company.hasMany(Schedule, {
+  foreignKey: 'companyId',
+  as: 'schedules'
+});
+
+User.hasMany(Schedule, {
+  foreignKey: 'createdBy',
+  as: 'createdSchedules'
+});
+
+// ScheduleItem associations
+ScheduleItem.belongsTo(Schedule, {
+  foreignKey: 'scheduleId',
+  as: 'schedule'
+});
+
+ScheduleItem.belongsTo(Video, {
+  foreignKey: 'videoId',
+  as: 'video'
+});
+
+ScheduleItem.belongsTo(Playlist, {
+  foreignKey: 'playlistId',
+  as: 'playlist'
+});
+
+Schedule.hasMany(ScheduleItem, {
+  foreignKey: 'scheduleId',
+  as: 'items'
+});
+
+Schedule.belongsTo(Playlist, {
+  foreignKey: 'fallbackPlaylistId',
+  as: 'fallbackPlaylist'
+});
+
+Video.hasMany(ScheduleItem, {
+  foreignKey: 'videoId',
+  as: 'scheduleItems'
+});
+
+Playlist.hasMany(ScheduleItem, {
+  foreignKey: 'playlistId',
+  as: 'scheduleItems'
+});
+
+// Device -> Schedule
+Device.belongsTo(Schedule, {
+  foreignKey: 'scheduleId',
+  as: 'schedule'
+});
+
+Schedule.hasMany(Device, {
+  foreignKey: 'scheduleId',
+  as: 'devices'
+});
+
+// DeviceGroup associations
+DeviceGroup.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+DeviceGroup.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+DeviceGroup.belongsTo(Playlist, {
+  foreignKey: 'playlistId',
+  as: 'playlist'
+});
+
+DeviceGroup.belongsTo(Schedule, {
+  foreignKey: 'scheduleId',
+  as: 'schedule'
+});
+
+Company.hasMany(DeviceGroup, {
+  foreignKey: 'companyId',
+  as: 'deviceGroups'
+});
+
+Device.belongsTo(DeviceGroup, {
+  foreignKey: 'groupId',
+  as: 'group'
+});
+
+DeviceGroup.hasMany(Device, {
+  foreignKey: 'groupId',
+  as: 'devices'
+});
+
+// DeviceCommand associations
+DeviceCommand.belongsTo(Device, {
+  foreignKey: 'deviceId',
+  as: 'device'
+});
+
+DeviceCommand.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+Device.hasMany(DeviceCommand, {
+  foreignKey: 'deviceId',
+  as: 'commands'
+});
+
+// PlaybackLog associations
+PlaybackLog.belongsTo(Device, {
+  foreignKey: 'deviceId',
+  as: 'device'
+});
+
+PlaybackLog.belongsTo(Video, {
+  foreignKey: 'videoId',
+  as: 'video'
+});
+
+PlaybackLog.belongsTo(Playlist, {
+  foreignKey: 'playlistId',
+  as: 'playlist'
+});
+
+Device.hasMany(PlaybackLog, {
+  foreignKey: 'deviceId',
+  as: 'playbackLogs'
+});
+
+Video.hasMany(PlaybackLog, {
+  foreignKey: 'videoId',
+  as: 'playbackLogs'
+});
+
+// Layout associations
+Layout.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+Layout.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+Company.hasMany(Layout, {
+  foreignKey: 'companyId',
+  as: 'layouts'
+});
+
+Layout.hasMany(LayoutZone, {
+  foreignKey: 'layoutId',
+  as: 'zones'
+});
+
+LayoutZone.belongsTo(Layout, {
+  foreignKey: 'layoutId',
+  as: 'layout'
+});
+
+LayoutZone.belongsTo(Playlist, {
+  foreignKey: 'playlistId',
+  as: 'playlist'
+});
+
+Playlist.hasMany(LayoutZone, {
+  foreignKey: 'playlistId',
+  as: 'layoutZones'
+});
+
+Device.belongsTo(Layout, {
+  foreignKey: 'layoutId',
+  as: 'layout'
+});
+
+Layout.hasMany(Device, {
+  foreignKey: 'layoutId',
+  as: 'devices'
+});
+
+DeviceGroup.belongsTo(Layout, {
+  foreignKey: 'layoutId',
+  as: 'layout'
+});
+
+Layout.hasMany(DeviceGroup, {
+  foreignKey: 'layoutId',
+  as: 'deviceGroups'
+});
+
+// MediaJob associations
+MediaJob.belongsTo(Video, {
+  foreignKey: 'videoId',
+  as: 'video'
+});
+
+Video.hasMany(MediaJob, {
+  foreignKey: 'videoId',
+  as: 'jobs'
+});
+
+// UploadSession associations
+UploadSession.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+UploadSession.belongsTo(User, {
+  foreignKey: 'uploadedBy',
+  as: 'uploader'
+});
+
+UploadSession.belongsTo(Video, {
+  foreignKey: 'videoId',
+  as: 'video'
+});
+
+// StorageBlob associations
+StorageBlob.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+Company.hasMany(StorageBlob, {
+  foreignKey: 'companyId',
+  as: 'storageBlobs'
+});
+
+Video.belongsTo(StorageBlob, {
+  foreignKey: 'blobId',
+  as: 'blob'
+});
+
+StorageBlob.hasMany(Video, {
+  foreignKey: 'blobId',
+  as: 'videos'
+});
+
+// MediaFolder associations
+MediaFolder.belongsTo(Company, {
+  foreignKey: 'companyId',
+  as: 'company'
+});
+
+Company.hasMany(MediaFolder, {
+  foreignKey: 'companyId',
+  as: 'mediaFolders'
+});
+
+MediaFolder.belongsTo(MediaFolder, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+MediaFolder.hasMany(MediaFolder, {
+  foreignKey: 'parentId',
+  as: 'children'
+});
+
+Video.belongsTo(MediaFolder, {
+  foreignKey: 'folderId',
+  as: 'folder'
+});
+
+MediaFolder.hasMany(Video, {
+  foreignKey: 'folderId',
+  as: 'videos'
+});
+
 // License associations
 License.belongsTo(User, {
   foreignKey: 'createdBy',
@@ -181,5 +484,16 @@ module.exports = {
   Device,
   DevicePlaylist,
   License,
+  Schedule,
+  ScheduleItem,
+  DeviceGroup,
+  DeviceCommand,
+  PlaybackLog,
+  Layout,
+  LayoutZone,
+  MediaJob,
+  UploadSession,
+  StorageBlob,
+  MediaFolder,
 };
 
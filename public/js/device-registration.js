@@ -6,7 +6,7 @@ if (existingRegistration) {
     try {
         const data = JSON.parse(existingRegistration);
         // Verify the data is valid
-        if (data.device && data.playlist) {
+        if (data.device && (data.playlist || data.layout || data.schedule)) {
             console.log('Device already registered, redirecting to player...');
             window.location.href = '/device-player.html';
         }
@@ -66,16 +66,31 @@ codeInputs.forEach((input, index) => {
 // Auto-focus first input
 codeInputs[0].focus();
 
+// Token saved with the screen's registration for the player page
+function getRegisteredDeviceToken() {
+    try {
+        const registration = JSON.parse(localStorage.getItem('devicePlaylistRegistration'));
+        return (registration && registration.deviceToken) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function rememberDeviceToken(token) {
+    pairingToken = token;
+    localStorage.setItem('devicePairingToken', token);
+}
+
 // Handle form submission
 deviceForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     
-    // Get playlist code from inputs
-    const playlistCode = Array.from(codeInputs).map(input => input.value).join('');
+    // Get the playlist or schedule code from inputs
+    const code = Array.from(codeInputs).map(input => input.value).join('');
     
     // Validate code
-    if (playlistCode.length !== 5) {
-        showAlert('Please enter a complete 5-character playlist code', 'error');
+    if (code.length !== 5) {
+        showAlert('Please enter a complete 5-character playlist or schedule code', 'error');
         return;
     }
     
@@ -93,29 +108,35 @@ deviceForm.addEventListener('submit', async (e) => {
     submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Registering...';
     submitBtn.disabled = true;
     
+    const deviceToken = pairingToken;
+    
     try {
-        const response = await fetch('/playlists/device/register', {
+        // Playlist and schedule codes look alike: try the code as a playlist first
+        let response = await fetch('/playlists/device/register', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...(deviceToken && { 'X-Device-Token': deviceToken }),
             },
             body: JSON.stringify({
-                playlistCode,
+                playlistCode: code,
                 uid,
                 deviceInfo
             })
         });
         
-        const data = await response.json();
+        let data = await response.json();
         
         if (response.ok && data.success) {
             showAlert(`Device registered successfully! Redirecting...`, 'success');
+            rememberDeviceToken(data.data.deviceToken);
             
             // Store device info with full data
             localStorage.setItem('devicePlaylistRegistration', JSON.stringify({
-                playlistCode,
+                playlistCode: code,
                 uid,
                 device: data.data.device,
+                deviceToken: data.data.deviceToken,
                 playlist: data.data.playlist,
                 deviceInfo: deviceInfo,
                 registeredAt: new Date().toISOString()
@@ -125,9 +146,38 @@ deviceForm.addEventListener('submit', async (e) => {
             setTimeout(() => {
                 window.location.href = '/device-player.html';
             }, 1000);
-        } else {
-            showAlert(data.message || 'Registration failed. Please check your code.', 'error');
+            return;
+        }
+        
+        if (response.status === 404) {
+            response = await fetch('/api/schedules/device/register', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(deviceToken && { 'X-Device-Token': deviceToken }),
+                },
+                body: JSON.stringify({
+                    scheduleCode: code,
+                    uid,
+                    deviceInfo
+                })
+            });
+            
+            const scheduleData = await response.json();
+            
+            if (response.ok && scheduleData.success) {
+                rememberDeviceToken(scheduleData.deviceToken);
+                showAlert(`Device registered to schedule "${scheduleData.schedule.name}"! Redirecting...`, 'success');
+                completeScheduleRegistration(code, uid, scheduleData, deviceInfo);
+                return;
+            }
+            
+            data = response.status === 404 || response.status === 400
+                ? { message: 'No playlist or schedule was found with this code.' }
+                : scheduleData;
         }
+        
+        showAlert(data.message || 'Registration failed. Please check your code.', 'error');
     } catch (error) {
         console.error('Registration error:', error);
         showAlert('Network error. Please check your connection and try again.', 'error');
@@ -137,6 +187,223 @@ deviceForm.addEventListener('submit', async (e) => {
     }
 });
 
+// The player follows the schedule's timeline and asks for it again with the device token
+function completeScheduleRegistration(scheduleCode, uid, data, deviceInfo) {
+    localStorage.setItem('devicePlaylistRegistration', JSON.stringify({
+        scheduleCode,
+        uid,
+        device: data.device,
+        deviceToken: data.deviceToken,
+        schedule: { ...data.schedule, receivedAt: new Date().toISOString() },
+        deviceInfo: deviceInfo,
+        registeredAt: new Date().toISOString()
+    }));
+    
+    setTimeout(() => {
+        window.location.href = '/device-player.html';
+    }, 1000);
+}
+
+// Pairing Mode
+// The screen shows a short-lived PIN, a company user claims it from the
+// dashboard, and we poll until a playlist, a layout or a schedule has been assigned
+
+const PAIRING_POLL_INTERVAL_MS = 5000;
+
+const registrationSection = document.getElementById('registrationSection');
+const pairingSection = document.getElementById('pairingSection');
+const pairingPin = document.getElementById('pairingPin');
+const pairingStatus = document.getElementById('pairingStatus');
+const pairingExpiry = document.getElementById('pairingExpiry');
+
+let pairingUID = null;
+// Latest token issued to this screen (by pairing or registration), kept across
+// reloads: once issued, the server only pairs or registers the screen again with it
+let pairingToken = localStorage.getItem('devicePairingToken') || getRegisteredDeviceToken();
+let pairingExpiresAt = null;
+let pairingPollTimer = null;
+let pairingCountdownTimer = null;
+
+document.getElementById('pairScreenBtn').addEventListener('click', startPairing);
+document.getElementById('cancelPairingBtn').addEventListener('click', stopPairing);
+
+async function startPairing() {
+    registrationSection.style.display = 'none';
+    pairingSection.style.display = 'block';
+
+    pairingUID = await generateDeviceUID();
+    await requestPairingCode();
+}
+
+function stopPairing() {
+    clearTimeout(pairingPollTimer);
+    clearInterval(pairingCountdownTimer);
+    pairingSection.style.display = 'none';
+    registrationSection.style.display = 'block';
+    codeInputs[0].focus();
+}
+
+async function requestPairingCode() {
+    clearTimeout(pairingPollTimer);
+    pairingPin.textContent = '------';
+
+    try {
+        const response = await fetch('/api/devices/pairing', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(pairingToken && { 'X-Device-Token': pairingToken }),
+            },
+            body: JSON.stringify({
+                uid: pairingUID,
+                deviceInfo: getDeviceInfo()
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            showAlert(data.message || 'Could not get a pairing PIN. Please try again.', 'error');
+            stopPairing();
+            return;
+        }
+
+        // Credential for polling now and for the player once claimed
+        rememberDeviceToken(data.data.deviceToken);
+
+        // Show as "123 456" for readability
+        pairingPin.textContent = data.data.pairingCode.replace(/(\d{3})(\d{3})/, '$1 $2');
+        pairingExpiresAt = new Date(data.data.expiresAt);
+        setPairingStatus('Waiting to be claimed...', true);
+        startPairingCountdown();
+
+        pairingPollTimer = setTimeout(pollPairingStatus, PAIRING_POLL_INTERVAL_MS);
+    } catch (error) {
+        console.error('Pairing request error:', error);
+        showAlert('Network error. Please check your connection and try again.', 'error');
+        stopPairing();
+    }
+}
+
+async function pollPairingStatus() {
+    try {
+        const response = await fetch(`/api/devices/pairing/${encodeURIComponent(pairingUID)}`, {
+            headers: { 'X-Device-Token': pairingToken }
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            const { status, device, assignment } = data.data;
+
+            if (status === 'expired' || status === 'unpaired') {
+                // Get a fresh PIN and keep waiting
+                await requestPairingCode();
+                return;
+            }
+
+            if (status === 'paired') {
+                clearInterval(pairingCountdownTimer);
+                pairingExpiry.textContent = '';
+
+                if (assignment && assignment.type === 'playlist') {
+                    completePairing(device, assignment.playlist);
+                    return;
+                }
+
+                if (assignment && assignment.type === 'layout') {
+                    completeLayoutPairing(device, assignment.layout);
+                    return;
+                }
+
+                if (assignment && assignment.type === 'schedule') {
+                    completeSchedulePairing(device, assignment.schedule);
+                    return;
+                }
+
+                setPairingStatus('Paired! Waiting for content to be assigned...', true);
+            }
+        }
+    } catch (error) {
+        console.error('Pairing status error:', error);
+    }
+
+    pairingPollTimer = setTimeout(pollPairingStatus, PAIRING_POLL_INTERVAL_MS);
+}
+
+function completePairing(device, playlist) {
+    setPairingStatus(`Paired as "${device.name}"! Starting playlist...`, false);
+
+    // Same shape the playlist code registration stores
+    localStorage.setItem('devicePlaylistRegistration', JSON.stringify({
+        playlistCode: playlist.code,
+        uid: pairingUID,
+        device: device,
+        deviceToken: pairingToken,
+        playlist: playlist,
+        deviceInfo: getDeviceInfo(),
+        registeredAt: new Date().toISOString()
+    }));
+
+    setTimeout(() => {
+        window.location.href = '/device-player.html';
+    }, 1000);
+}
+
+// Layouts have no playlist code: the player loads them with the device token
+function completeLayoutPairing(device, layout) {
+    setPairingStatus(`Paired as "${device.name}"! Starting layout...`, false);
+
+    localStorage.setItem('devicePlaylistRegistration', JSON.stringify({
+        uid: pairingUID,
+        device: device,
+        deviceToken: pairingToken,
+        layout: layout,
+        deviceInfo: getDeviceInfo(),
+        registeredAt: new Date().toISOString()
+    }));
+
+    setTimeout(() => {
+        window.location.href = '/device-player.html';
+    }, 1000);
+}
+
+// Schedules are loaded with the device token too, like layouts
+function completeSchedulePairing(device, schedule) {
+    setPairingStatus(`Paired as "${device.name}"! Starting schedule...`, false);
+
+    localStorage.setItem('devicePlaylistRegistration', JSON.stringify({
+        uid: pairingUID,
+        device: device,
+        deviceToken: pairingToken,
+        schedule: { ...schedule, receivedAt: new Date().toISOString() },
+        deviceInfo: getDeviceInfo(),
+        registeredAt: new Date().toISOString()
+    }));
+
+    setTimeout(() => {
+        window.location.href = '/device-player.html';
+    }, 1000);
+}
+
+function startPairingCountdown() {
+    clearInterval(pairingCountdownTimer);
+
+    const update = () => {
+        const secondsLeft = Math.max(0, Math.floor((pairingExpiresAt - Date.now()) / 1000));
+        const minutes = Math.floor(secondsLeft / 60);
+        const seconds = (secondsLeft % 60).toString().padStart(2, '0');
+        pairingExpiry.textContent = `PIN expires in ${minutes}:${seconds}`;
+    };
+
+    update();
+    pairingCountdownTimer = setInterval(update, 1000);
+}
+
+function setPairingStatus(message, waiting) {
+    pairingStatus.innerHTML = waiting ? '<span class="spinner-border spinner-border-sm me-1"></span> ' : '<i class="bi bi-check-circle text-success"></i> ';
+    pairingStatus.appendChild(document.createTextNode(message));
+}
+
 // Helper Functions
 
 function showAlert(message, type) {
@@ -0,0 +1,398 @@
+/**
+ * Resumable Upload Client
+ * Uploads a file in chunks through /api/videos/uploads so a dropped
+ * connection only costs the chunk in flight. Network errors are retried
+ * with a growing delay; the upload can also be paused and resumed, and an
+ * upload interrupted by closing the page continues when the same file is
+ * chosen again.
+ *
+ * Usage:
+ *    const upload = new ResumableUpload(file, {
+ *        displayName: 'Lobby loop',              // optional
+ *        onProgress: (sent, total) => { ... },
+ *        onStateChange: (state, error) => { ... },
+ *    });
+ *    const result = await upload.start();       // { success, message, data: video }
+ *    upload.pause();
+ *    upload.resume();
+ *    await upload.abort();
+ *
+ * States: idle, uploading, paused (by the user, or after repeated network
+ * errors), completing, completed, failed, aborted. start() rejects when the
+ * server refuses the upload (e.g. storage quota) or it is aborted.
+ */
+
+const ResumableUpload = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        endpoint: '/api/videos/uploads',
+        maxRetries: 5,
+        retryDelayMs: 1000,
+        storagePrefix: 'resumableUpload:',
+    };
+
+    /**
+     * Key under which the upload ID of a file is remembered
+     */
+    function storageKey(file) {
+        return config.storagePrefix + [file.name, file.size, file.lastModified].join(':');
+    }
+
+    function rememberUpload(file, uploadId) {
+        try {
+            localStorage.setItem(storageKey(file), uploadId);
+        } catch (error) {
+            // Private mode or storage full: the upload just can't outlive the page
+        }
+    }
+
+    function forgetUpload(file) {
+        try {
+            localStorage.removeItem(storageKey(file));
+        } catch (error) {
+            // Ignore
+        }
+    }
+
+    function getRememberedUpload(file) {
+        try {
+            return localStorage.getItem(storageKey(file));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Error for a failed API response
+     */
+    function responseError(status, body) {
+        const error = new Error((body && body.message) || `Request failed (${status})`);
+        error.status = status;
+        error.data = body && body.data;
+        return error;
+    }
+
+    /**
+     * Network errors, server errors and a chunk still being received are
+     * worth another try; anything else is a refusal
+     */
+    function isTransient(error) {
+        return !error.status || error.status >= 500 || error.status === 409;
+    }
+
+    async function request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            credentials: 'include',
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw responseError(response.status, data);
+        }
+        return data;
+    }
+
+    class Upload {
+        constructor(file, options = {}) {
+            this.file = file;
+            this.options = options;
+            this.uploadId = null;
+            this.uploadedBytes = 0;
+            this.chunkSize = null;
+            this.state = 'idle';
+            this.retries = 0;
+            this.running = false;
+            this.xhr = null;
+            this.retryTimer = null;
+            this.finished = new Promise((resolve, reject) => {
+                this.resolveFinished = resolve;
+                this.rejectFinished = reject;
+            });
+        }
+
+        /**
+         * Start uploading
+         * @returns {Promise<Object>} Response of the completed upload
+         */
+        start() {
+            if (this.state === 'idle') {
+                this.run();
+            }
+            return this.finished;
+        }
+
+        /**
+         * Stop sending after the chunk in flight is cancelled
+         */
+        pause() {
+            if (this.state !== 'uploading') {
+                return;
+            }
+
+            this.setState('paused');
+            clearTimeout(this.retryTimer);
+            if (this.xhr) {
+                this.xhr.abort();
+            }
+        }
+
+        /**
+         * Continue a paused upload from what the server has received
+         */
+        resume() {
+            if (this.state !== 'paused') {
+                return;
+            }
+
+            this.retries = 0;
+            this.run();
+        }
+
+        /**
+         * Cancel the upload and delete what the server received
+         */
+        async abort() {
+            if (['completing', 'completed', 'failed', 'aborted'].includes(this.state)) {
+                return;
+            }
+
+            this.setState('aborted');
+            clearTimeout(this.retryTimer);
+            if (this.xhr) {
+                this.xhr.abort();
+            }
+
+            if (this.uploadId) {
+                // The server may still be finishing the cancelled chunk
+                for (let attempt = 0; attempt < 3; attempt++) {
+                    try {
+                        await request('DELETE', `${config.endpoint}/${this.uploadId}`);
+                        break;
+                    } catch (error) {
+                        if (error.status !== 409) {
+                            break; // Left to expire on the server
+                        }
+                        await delay(config.retryDelayMs);
+                    }
+                }
+            }
+
+            forgetUpload(this.file);
+            const error = new Error('Upload cancelled');
+            error.aborted = true;
+            this.rejectFinished(error);
+        }
+
+        setState(state, error) {
+            this.state = state;
+            if (this.options.onStateChange) {
+                this.options.onStateChange(state, error);
+            }
+        }
+
+        reportProgress(sentBytes) {
+            if (this.options.onProgress) {
+                this.options.onProgress(Math.min(sentBytes, this.file.size), this.file.size);
+            }
+        }
+
+        async run() {
+            if (this.running) {
+                return;
+            }
+            this.running = true;
+            this.setState('uploading');
+
+            try {
+                const session = this.uploadId ? await this.fetchSession(this.uploadId) : await this.openSession();
+                if (!session) {
+                    return;
+                }
+
+                while (this.uploadedBytes < this.file.size) {
+                    if (this.state !== 'uploading') {
+                        return;
+                    }
+                    await this.sendChunk();
+                    this.retries = 0;
+                }
+
+                if (this.state !== 'uploading') {
+                    return;
+                }
+
+                this.setState('completing');
+                const result = await request('POST', `${config.endpoint}/${this.uploadId}/complete`);
+                this.finish(result);
+            } catch (error) {
+                this.handleError(error);
+            } finally {
+                this.running = false;
+            }
+        }
+
+        /**
+         * Continue the upload remembered for this file, or start a new one
+         */
+        async openSession() {
+            const rememberedId = getRememberedUpload(this.file);
+            if (rememberedId) {
+                try {
+                    const session = await this.fetchSession(rememberedId);
+                    if (session) {
+                        return session;
+                    }
+                } catch (error) {
+                    if (isTransient(error)) {
+                        throw error;
+                    }
+                }
+                forgetUpload(this.file);
+            }
+
+            const body = {
+                fileName: this.file.name,
+                mimeType: this.file.type,
+                fileSize: this.file.size,
+            };
+            if (this.options.displayName) {
+                body.displayName = this.options.displayName;
+            }
+            if (this.options.metadata) {
+                body.metadata = this.options.metadata;
+            }
+
+            const { data } = await request('POST', config.endpoint, body);
+            this.useSession(data);
+            rememberUpload(this.file, data.uploadId);
+            return data;
+        }
+
+        /**
+         * Read where to continue an upload
+         * @returns {Promise<Object|null>} Session, or null if it can't be continued
+         */
+        async fetchSession(uploadId) {
+            const { data } = await request('GET', `${config.endpoint}/${uploadId}`);
+
+            if (data.status === 'completed' && uploadId === this.uploadId) {
+                // Completed, but the response was lost on the way back
+                this.finish({ success: true, message: 'Upload completed', data: { id: data.videoId } });
+                return null;
+            }
+
+            if (data.status !== 'uploading' || data.fileSize !== this.file.size) {
+                if (uploadId === this.uploadId) {
+                    this.uploadId = null;
+                    return this.openSession();
+                }
+                return null;
+            }
+
+            this.useSession(data);
+            return data;
+        }
+
+        useSession(session) {
+            this.uploadId = session.uploadId;
+            this.chunkSize = session.chunkSize;
+            this.uploadedBytes = session.uploadedBytes;
+            this.reportProgress(this.uploadedBytes);
+        }
+
+        sendChunk() {
+            return new Promise((resolve, reject) => {
+                const start = this.uploadedBytes;
+                const end = Math.min(start + this.chunkSize, this.file.size);
+                const xhr = new XMLHttpRequest();
+                this.xhr = xhr;
+
+                xhr.upload.addEventListener('progress', (event) => {
+                    this.reportProgress(start + event.loaded);
+                });
+
+                xhr.addEventListener('load', () => {
+                    this.xhr = null;
+                    let body = {};
+                    try {
+                        body = JSON.parse(xhr.responseText);
+                    } catch (error) {
+                        // Keep the empty body
+                    }
+
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        this.uploadedBytes = body.data.uploadedBytes;
+                        this.reportProgress(this.uploadedBytes);
+                        resolve();
+                    } else if (xhr.status === 409 && body.data && typeof body.data.uploadedBytes === 'number') {
+                        // The server has a different part of the file: continue from there
+                        this.uploadedBytes = body.data.uploadedBytes;
+                        resolve();
+                    } else {
+                        reject(responseError(xhr.status, body));
+                    }
+                });
+
+                xhr.addEventListener('error', () => {
+                    this.xhr = null;
+                    reject(new Error('Network error while uploading'));
+                });
+
+                xhr.addEventListener('abort', () => {
+                    this.xhr = null;
+                    reject(new Error('Upload interrupted'));
+                });
+
+                xhr.open('PUT', `${config.endpoint}/${this.uploadId}?offset=${start}`);
+                xhr.withCredentials = true;
+                xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+                xhr.send(this.file.slice(start, end));
+            });
+        }
+
+        finish(result) {
+            forgetUpload(this.file);
+            this.reportProgress(this.file.size);
+            this.setState('completed');
+            this.resolveFinished(result);
+        }
+
+        handleError(error) {
+            // Caused by pause() or abort()
+            if (this.state === 'paused' || this.state === 'aborted') {
+                return;
+            }
+
+            if (isTransient(error)) {
+                if (this.retries < config.maxRetries) {
+                    const wait = config.retryDelayMs * Math.pow(2, this.retries);
+                    this.retries++;
+                    console.warn(`Upload error, retrying in ${wait}ms:`, error.message);
+                    this.retryTimer = setTimeout(() => this.run(), wait);
+                    return;
+                }
+
+                // Keep what was sent; the user can resume when the connection is back
+                this.setState('paused', error);
+                return;
+            }
+
+            if (error.status === 404 || error.status === 410) {
+                forgetUpload(this.file);
+            }
+            this.setState('failed', error);
+            this.rejectFinished(error);
+        }
+    }
+
+    return Upload;
+})();
@@ -1,10 +1,13 @@
 /**
  * Video Upload Management
  * Handles video upload, listing, editing, and deletion
+ * Uploads use the resumable upload client: include /js/resumable-upload.js
+ * before this script.
  */
 
 let videos = [];
 let selectedVideos = new Set();
+let activeUpload = null;
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -183,32 +186,61 @@ async function handleFileUpload(event) {
     return;
   }
 
-  try {
-    showLoading(true, 'Uploading video...');
-
-    const formData = new FormData();
-    formData.append('video', file);
-
-    const response = await fetch('/api/videos/upload', {
-      method: 'POST',
-      credentials: 'include',
-      body: formData,
-    });
+  event.target.value = '';
 
-    const data = await response.json();
+  if (activeUpload) {
+    showWarning('Please wait for the current upload to finish');
+    return;
+  }
 
-    if (!response.ok) {
-      throw new Error(data.message || 'Upload failed');
-    }
+  // Sent in chunks: a dropped connection only costs the chunk in flight,
+  // and choosing the same file again continues an interrupted upload
+  const upload = new ResumableUpload(file, {
+    onProgress: (sent, total) => updateUploadProgress(sent, total),
+    onStateChange: (state, error) => {
+      updateUploadControls(state);
+      if (state === 'paused' && error) {
+        showWarning('Connection lost. Press Resume to continue the upload.');
+      }
+    },
+  });
+  activeUpload = upload;
+  showUploadProgress(true, file);
 
-    showSuccess('Video uploaded successfully!');
-    event.target.value = '';
+  try {
+    const data = await upload.start();
+    showSuccess(data.message || 'Video uploaded successfully!');
     await loadVideos();
   } catch (error) {
-    console.error('Upload error:', error);
-    showError('Upload failed: ' + error.message);
+    if (!error.aborted) {
+      console.error('Upload error:', error);
+      showError('Upload failed: ' + error.message);
+    }
   } finally {
-    showLoading(false);
+    activeUpload = null;
+    showUploadProgress(false);
+  }
+}
+
+/**
+ * Pause or resume the current upload
+ */
+function toggleUploadPause() {
+  if (!activeUpload) return;
+
+  if (activeUpload.state === 'paused') {
+    activeUpload.resume();
+  } else {
+    activeUpload.pause();
+  }
+}
+
+/**
+ * Cancel the current upload
+ */
+function cancelUpload() {
+  if (activeUpload && confirm('Cancel this upload?')) {
+    activeUpload.abort();
   }
 }
 
@@ -543,6 +575,51 @@ function showLoading(show, message = 'Loading...') {
   loader.style.display = show ? 'flex' : 'none';
 }
 
+function showUploadProgress(show, file = null) {
+  let panel = document.getElementById('uploadProgressPanel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'uploadProgressPanel';
+    panel.className = 'loader-overlay';
+    panel.innerHTML = `
+      <div class="loader-content">
+        <p id="uploadProgressName"></p>
+        <progress id="uploadProgressBar" max="100" value="0"></progress>
+        <p id="uploadProgressText">0%</p>
+        <div class="action-buttons">
+          <button type="button" class="btn" id="uploadPauseBtn" onclick="toggleUploadPause()">Pause</button>
+          <button type="button" class="btn btn-cancel" onclick="cancelUpload()">Cancel</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(panel);
+  }
+
+  if (show) {
+    document.getElementById('uploadProgressName').textContent = `Uploading ${file.name}...`;
+    updateUploadProgress(0, file.size);
+    updateUploadControls('uploading');
+  }
+
+  panel.style.display = show ? 'flex' : 'none';
+}
+
+function updateUploadProgress(sent, total) {
+  const percent = Math.floor((sent / total) * 100);
+  const bar = document.getElementById('uploadProgressBar');
+  const text = document.getElementById('uploadProgressText');
+  if (bar) bar.value = percent;
+  if (text) text.textContent = `${percent}% of ${formatFileSize(total)}`;
+}
+
+function updateUploadControls(state) {
+  const pauseBtn = document.getElementById('uploadPauseBtn');
+  if (!pauseBtn) return;
+
+  pauseBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+  pauseBtn.disabled = state !== 'uploading' && state !== 'paused';
+}
+
 function showError(message) {
   showNotification(message, 'error');
 }
@@ -9,6 +9,7 @@ const { User, Company, UserCompany, Video, Playlist, PlaylistItem, Device, Licen
 const { webRequireAuth } = require('../middleware/sessionAuth');
 const { webRequireSuperAdmin } = require('../middleware/superAdminAuth');
 const crypto = require('crypto');
+const { summarizeDeviceStatuses } = require('../utils/deviceStatus');
 
 // Apply authentication middleware to all admin routes (auth only, not super admin check yet)
 router.use(webRequireAuth);
@@ -73,6 +74,13 @@ router.get('/', async (req, res) => {
       totalDevices: await Device.count({ where: { isActive: true } }),
     };
 
+    // Derive online/degraded/offline state from device heartbeats
+    const devices = await Device.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'lastSeen', 'lastHeartbeat', 'isActive'],
+    });
+    stats.deviceStatus = summarizeDeviceStatuses(devices);
+
     // Get recent activity
     const recentCompanies = await Company.findAll({
       where: { isActive: true },
@@ -5,12 +5,35 @@ const path = require('path');
 const { Video, User, Company, UserCompany, License } = require('../models');
 const { webRequireAuth, webRequireCompany } = require('../middleware/sessionAuth');
 const { webCheckCompanyLicense } = require('../middleware/licenseCheck');
-const { ensureCompanyDir, deleteFile, isValidVideoMimeType } = require('../utils/fileStorage');
+const { ensureCompanyDir, deleteFile, isValidMediaMimeType } = require('../utils/fileStorage');
+const { checkStorageQuota, releaseVideoFile } = require('../utils/storageBlobs');
+const { createUploadedMedia } = require('../utils/mediaUploads');
+const {
+  queueMediaProcessing,
+  queueClipJob,
+  retryFailedMediaJobs,
+  getProcessingSummaries,
+} = require('../utils/mediaJobs');
+const { validateClipRange, getPlayedDuration, estimateClipSize } = require('../utils/videoClips');
+const {
+  normalizeTags,
+  validateTags,
+  applyTagChanges,
+  parseLibraryQuery,
+  listFolders,
+  findFolder,
+  isFolderNameTaken,
+  deleteFolder,
+  buildLibraryWhere,
+  getLibraryOrder,
+  listTags,
+} = require('../utils/mediaLibrary');
 const { storageConfig } = require('../config');
-const { extractVideoMetadata, generateThumbnailAtPercentage } = require('../utils/videoMetadata');
+const { getSignedMediaUrls } = require('../utils/mediaUrls');
+const { publishPlaylistUpdate } = require('../utils/deviceEvents');
 
 /**
- * Configure multer for video uploads
+ * Configure multer for media uploads (videos, images and PDFs)
  */
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -31,10 +54,10 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  if (isValidVideoMimeType(file.mimetype)) {
+  if (isValidMediaMimeType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only video files are allowed'), false);
+    cb(new Error('Only video, image (JPG, PNG, WebP, GIF) and PDF files are allowed'), false);
   }
 };
 
@@ -94,43 +117,81 @@ router.get('/', webRequireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Media library URL of a folder, for redirects after changes
+ * @param {string|null} folderId - UUID of the folder (null: all media)
+ * @param {Object} flash - { success } or { error }
+ * @returns {string}
+ */
+function libraryUrl(folderId, flash) {
+  const params = new URLSearchParams(flash);
+  if (folderId) {
+    params.set('folderId', folderId);
+  }
+  return `/dashboard/videos?${params}`;
+}
+
 /**
  * GET /dashboard/videos
- * Video library page
+ * Video library page (folders, tag filter, search and pages; same query as GET /api/videos)
  */
 router.get('/videos', webRequireAuth, webRequireCompany, async (req, res) => {
   try {
-    // Load videos for the company
-    const videos = await Video.findAll({
-      where: {
-        companyId: req.company.id,
-        isActive: true,
-      },
-      include: [{
-        model: User,
-        as: 'uploader',
-        attributes: ['id', 'email', 'firstName', 'lastName'],
-      }],
-      order: [['createdAt', 'DESC']],
-    });
+    const filters = parseLibraryQuery(req.query);
+
+    // Load a page of the company's videos
+    const [{ rows: videos, count: total }, folders, tags] = await Promise.all([
+      Video.findAndCountAll({
+        where: await buildLibraryWhere(req.company.id, filters),
+        include: [{
+          model: User,
+          as: 'uploader',
+          attributes: ['id', 'email', 'firstName', 'lastName'],
+        }],
+        order: getLibraryOrder(filters),
+        limit: filters.pageSize,
+        offset: (filters.page - 1) * filters.pageSize,
+      }),
+      listFolders(req.company.id),
+      listTags(req.company.id),
+    ]);
+
+    const currentFolder = folders.find(folder => folder.id === filters.folderId) || null;
+    const subfolders = folders.filter(folder =>
+      folder.parentId === (currentFolder ? currentFolder.id : null));
+
+    const processing = await getProcessingSummaries(videos.map(video => video.id));
 
     // Format videos for display
-    const formattedVideos = videos.map(video => ({
-      id: video.id,
-      fileName: video.fileName,
-      originalFileName: video.originalFileName,
-      fileSize: video.fileSize,
-      mimeType: video.mimeType,
-      duration: video.duration,
-      resolution: video.resolution,
-      thumbnailPath: video.thumbnailPath,
-      uploadedAt: video.createdAt,
-      uploader: {
-        id: video.uploader.id,
-        email: video.uploader.email,
-        name: `${video.uploader.firstName} ${video.uploader.lastName}`,
-      },
-    }));
+    const formattedVideos = videos.map(video => {
+      // Signed, expiring URLs for previews and thumbnails
+      const urls = getSignedMediaUrls(video, { companyId: req.company.id });
+      return {
+        id: video.id,
+        fileName: video.fileName,
+        originalFileName: video.originalFileName,
+        mediaType: video.mediaType,
+        sourceUrl: video.sourceUrl,
+        fileSize: video.fileSize,
+        mimeType: video.mimeType,
+        duration: video.duration,
+        trimStart: video.trimStart,
+        trimEnd: video.trimEnd,
+        resolution: video.resolution,
+        folderId: video.folderId,
+        tags: video.tags || [],
+        thumbnailPath: video.thumbnailPath,
+        thumbnailUrl: urls.thumbnail,
+        downloadUrl: urls.download,
+        processing: processing.get(video.id) || null,
+        uploadedAt: video.createdAt,
+        uploader: {
+          id: video.uploader.id,
+          email: video.uploader.email,
+          name: `${video.uploader.firstName} ${video.uploader.lastName}`,
+        },
+      };
+    });
 
     res.render('videos', {
       user: req.user,
@@ -138,6 +199,17 @@ router.get('/videos', webRequireAuth, webRequireCompany, async (req, res) => {
       userCompany: req.userCompany,
       session: req.session,
       videos: formattedVideos,
+      folders,
+      currentFolder,
+      subfolders,
+      tags,
+      filters,
+      pagination: {
+        page: filters.page,
+        pageSize: filters.pageSize,
+        total,
+        totalPages: Math.ceil(total / filters.pageSize),
+      },
     });
   } catch (error) {
     console.error('Video library error:', error);
@@ -151,7 +223,8 @@ router.get('/videos', webRequireAuth, webRequireCompany, async (req, res) => {
  */
 router.get('/playlists', webRequireAuth, webRequireCompany, async (req, res) => {
   try {
-    const { Playlist, PlaylistItem, User } = require('../models');
+    const { Playlist, PlaylistItem, User, Device } = require('../models');
+    const { summarizeDeviceStatuses } = require('../utils/deviceStatus');
     
     const playlists = await Playlist.findAll({
       where: {
@@ -169,13 +242,25 @@ router.get('/playlists', webRequireAuth, webRequireCompany, async (req, res) =>
           as: 'items',
           attributes: ['id'],
           required: false,
+        },
+        {
+          model: Device,
+          as: 'devices',
+          attributes: ['id', 'lastSeen', 'lastHeartbeat', 'isActive'],
+          through: { where: { isActive: true }, attributes: [] },
+          required: false,
         }
       ],
       order: [['createdAt', 'DESC']],
     });
 
-    // Convert to plain objects and debug logging
-    const playlistsData = playlists.map(p => p.toJSON());
+    // Convert to plain objects and derive screen status counts
+    const playlistsData = playlists.map(p => {
+      const playlist = p.toJSON();
+      playlist.deviceStatus = summarizeDeviceStatuses(playlist.devices);
+      delete playlist.devices;
+      return playlist;
+    });
     
     console.log('📋 Found', playlistsData.length, 'playlists');
     playlistsData.forEach(playlist => {
@@ -243,6 +328,7 @@ router.get('/playlists/:playlistId/timeline', webRequireAuth, webRequireCompany,
       playlist: playlist,
       videos: allVideos,
       availableVideos: allVideos,
+      getPlayedDuration,
     });
   } catch (error) {
     console.error('Playlist timeline error:', error);
@@ -356,6 +442,8 @@ router.post('/playlists/:playlistId/timeline/add', webRequireAuth, webRequireCom
       }],
     });
 
+    publishPlaylistUpdate(playlistId, 'add');
+
     res.json({ 
       success: true, 
       message: 'Video added to playlist',
@@ -410,6 +498,8 @@ router.post('/playlists/:playlistId/timeline/:itemId/update', webRequireAuth, we
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
 
+    publishPlaylistUpdate(playlistId, 'update');
+
     res.json({ success: true, message: 'Video duration updated' });
   } catch (error) {
     console.error('Update playlist item error:', error);
@@ -479,6 +569,8 @@ router.post('/playlists/:playlistId/timeline/:itemId/reorder', webRequireAuth, w
       
       // Update the moved item
       await itemToMove.update({ order: newOrder });
+
+      publishPlaylistUpdate(playlistId, 'reorder');
     }
 
     res.json({ success: true, message: 'Video reordered successfully' });
@@ -522,6 +614,8 @@ router.post('/playlists/:playlistId/timeline/:itemId/remove', webRequireAuth, we
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
 
+    publishPlaylistUpdate(playlistId, 'remove');
+
     res.json({ success: true, message: 'Video removed from playlist' });
   } catch (error) {
     console.error('Remove video from playlist error:', error);
@@ -558,6 +652,8 @@ router.post('/playlists/:playlistId/timeline/clear', webRequireAuth, webRequireC
       },
     });
 
+    publishPlaylistUpdate(playlistId, 'clear');
+
     res.json({ 
       success: true, 
       message: 'Playlist cleared',
@@ -639,6 +735,8 @@ router.post('/playlists/:playlistId/delete', webRequireAuth, webRequireCompany,
     // Delete playlist
     await playlist.update({ isActive: false });
 
+    publishPlaylistUpdate(playlistId, 'delete');
+
     res.redirect('/dashboard/playlists?success=' + encodeURIComponent('Playlist deleted successfully'));
   } catch (error) {
     console.error('Playlist deletion error:', error);
@@ -646,9 +744,564 @@ router.post('/playlists/:playlistId/delete', webRequireAuth, webRequireCompany,
   }
 });
 
+/**
+ * GET /dashboard/devices
+ * Devices page - lists the company's screens and device groups, lets users claim
+ * new screens by PIN and manage them through /api/devices and /api/device-groups
+ */
+router.get('/devices', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const { Device, DeviceGroup, Layout, Playlist, Schedule } = require('../models');
+    const { toDeviceSummary } = require('../utils/deviceInfo');
+
+    const devices = await Device.findAll({
+      where: {
+        companyId: req.company.id,
+      },
+      include: [
+        {
+          model: Playlist,
+          as: 'playlists',
+          attributes: ['id', 'name', 'code'],
+          through: { where: { isActive: true }, attributes: ['registeredAt'] },
+          required: false,
+        },
+        {
+          model: Schedule,
+          as: 'schedule',
+          attributes: ['id', 'name', 'code'],
+          required: false,
+        },
+        {
+          model: Layout,
+          as: 'layout',
+          attributes: ['id', 'name'],
+          required: false,
+        },
+        {
+          model: DeviceGroup,
+          as: 'group',
+          attributes: ['id', 'name'],
+          required: false,
+          include: [
+            { model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false },
+            { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+            { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+          ],
+        },
+      ],
+      order: [['lastSeen', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+    });
+
+    const now = new Date();
+    const devicesData = devices.map(device => toDeviceSummary(device, now));
+
+    const groups = await DeviceGroup.findAll({
+      where: { companyId: req.company.id },
+      include: [
+        { model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false },
+        { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+        { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+      ],
+      order: [['name', 'ASC']],
+    });
+
+    const groupsData = groups.map(group => ({
+      ...group.toJSON(),
+      deviceCount: devicesData.filter(device => device.group && device.group.id === group.id).length,
+    }));
+
+    // Content that can be assigned when claiming or reassigning a screen
+    const playlists = await Playlist.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      attributes: ['id', 'name', 'code'],
+      order: [['name', 'ASC']],
+    });
+
+    const schedules = await Schedule.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      attributes: ['id', 'name', 'code'],
+      order: [['name', 'ASC']],
+    });
+
+    const layouts = await Layout.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']],
+    });
+
+    res.render('devices', {
+      user: req.user,
+      company: req.company,
+      userCompany: req.userCompany,
+      session: req.session,
+      devices: devicesData,
+      groups: groupsData,
+      playlists,
+      schedules,
+      layouts,
+    });
+  } catch (error) {
+    console.error('Devices error:', error);
+    res.status(500).send('Error loading devices');
+  }
+});
+
+/**
+ * POST /dashboard/devices/claim
+ * Claim a screen that is showing a pairing PIN and assign it a playlist, a
+ * schedule, a layout or a device group (it then plays the group's content)
+ */
+router.post('/devices/claim', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
+  const { sequelize, Device, DeviceGroup, Layout, Playlist, Schedule } = require('../models');
+  const { Op } = require('sequelize');
+  const {
+    isValidPairingCode,
+    getClaimThrottleKeys,
+    getClaimRetryAfter,
+    recordClaimFailure,
+  } = require('../utils/pairingCode');
+  const { assignPlaylistToDevice, assignScheduleToDevice, assignLayoutToDevice } = require('../utils/deviceContent');
+  const { generateDeviceName } = require('../utils/deviceName');
+
+  try {
+    const pairingCode = (req.body.pairingCode || '').replace(/\s/g, '');
+    const { name, contentType, playlistId, scheduleId, layoutId, groupId } = req.body;
+
+    // A PIN is all that protects a waiting screen, so wrong guesses are limited
+    const throttleKeys = getClaimThrottleKeys(req.company.id, req.ip);
+    const retryAfter = getClaimRetryAfter(throttleKeys);
+
+    if (retryAfter > 0) {
+      console.log(`❌ Device claim throttled for company ${req.company.id} from ${req.ip}`);
+      return res.redirect('/dashboard/devices?error=' + encodeURIComponent(`Too many incorrect PINs. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`));
+    }
+
+    // Validate input
+    if (!isValidPairingCode(pairingCode)) {
+      return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Enter the 6-digit PIN shown on the screen'));
+    }
+
+    if (name && name.trim().length > 100) {
+      return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Device name must be at most 100 characters'));
+    }
+
+    // Verify the assigned content belongs to company
+    let playlist = null;
+    let schedule = null;
+    let layout = null;
+    let group = null;
+
+    if (contentType === 'group') {
+      group = groupId && await DeviceGroup.findOne({
+        where: { id: groupId, companyId: req.company.id },
+      });
+
+      if (!group) {
+        return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Please select a group'));
+      }
+    } else if (contentType === 'schedule') {
+      schedule = scheduleId && await Schedule.findOne({
+        where: { id: scheduleId, companyId: req.company.id, isActive: true },
+      });
+
+      if (!schedule) {
+        return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Please select a schedule'));
+      }
+    } else if (contentType === 'layout') {
+      layout = layoutId && await Layout.findOne({
+        where: { id: layoutId, companyId: req.company.id, isActive: true },
+      });
+
+      if (!layout) {
+        return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Please select a layout'));
+      }
+    } else {
+      playlist = playlistId && await Playlist.findOne({
+        where: { id: playlistId, companyId: req.company.id, isActive: true },
+      });
+
+      if (!playlist) {
+        return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Please select a playlist'));
+      }
+    }
+
+    const device = await Device.findOne({
+      where: {
+        pairingCode,
+        pairingCodeExpiresAt: { [Op.gt]: new Date() },
+      },
+    });
+
+    if (!device) {
+      recordClaimFailure(throttleKeys);
+      return res.redirect('/dashboard/devices?error=' + encodeURIComponent('Invalid or expired PIN. Check the code on the screen and try again.'));
+    }
+
+    // Revoked screens keep their company: only that company can pair them again
+    if (device.companyId && device.companyId !== req.company.id) {
+      recordClaimFailure(throttleKeys);
+      console.log(`❌ Device ${device.uid} of another company refused for company ${req.company.id}`);
+      return res.redirect('/dashboard/devices?error=' + encodeURIComponent('This screen belongs to another company. It must be removed there before it can be paired here.'));
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await device.update({
+        companyId: req.company.id,
+        name: name?.trim() || device.name || generateDeviceName(),
+        pairingCode: null,
+        pairingCodeExpiresAt: null,
+        revokedAt: null,
+        isActive: true,
+        groupId: group ? group.id : null,
+      }, { transaction });
+
+      if (layout) {
+        await assignLayoutToDevice(device, layout.id, transaction);
+      } else if (schedule) {
+        await assignScheduleToDevice(device, schedule.id, transaction);
+      } else if (playlist) {
+        await assignPlaylistToDevice(device, playlist.id, transaction);
+      }
+    });
+
+    console.log(`🔗 Device ${device.uid} claimed by company ${req.company.id}`);
+
+    if (group) {
+      return res.redirect('/dashboard/devices?success=' + encodeURIComponent(`${device.name} paired and added to group "${group.name}"`));
+    }
+
+    let target = `playlist "${playlist?.name}"`;
+    if (layout) {
+      target = `layout "${layout.name}"`;
+    } else if (schedule) {
+      target = `schedule "${schedule.name}"`;
+    }
+    res.redirect('/dashboard/devices?success=' + encodeURIComponent(`${device.name} paired and assigned to ${target}`));
+  } catch (error) {
+    console.error('Device claim error:', error);
+    res.redirect('/dashboard/devices?error=' + encodeURIComponent('Error pairing device'));
+  }
+});
+
+/**
+ * GET /dashboard/layouts
+ * Layouts page - multi-zone screen layouts with a zone editor
+ */
+router.get('/layouts', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const { Device, DeviceGroup, Layout, LayoutZone, Playlist } = require('../models');
+
+    const layouts = await Layout.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      include: [
+        {
+          model: LayoutZone,
+          as: 'zones',
+          required: false,
+          include: [{ model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false }],
+        },
+        { model: Device, as: 'devices', attributes: ['id'], required: false },
+        { model: DeviceGroup, as: 'deviceGroups', attributes: ['id'], required: false },
+      ],
+      order: [['name', 'ASC'], [{ model: LayoutZone, as: 'zones' }, 'zIndex', 'ASC']],
+    });
+
+    const layoutsData = layouts.map(l => {
+      const layout = l.toJSON();
+      layout.deviceCount = layout.devices.length;
+      layout.groupCount = layout.deviceGroups.length;
+      delete layout.devices;
+      delete layout.deviceGroups;
+      return layout;
+    });
+
+    const playlists = await Playlist.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      attributes: ['id', 'name', 'code'],
+      order: [['name', 'ASC']],
+    });
+
+    res.render('layouts', {
+      user: req.user,
+      company: req.company,
+      userCompany: req.userCompany,
+      session: req.session,
+      layouts: layoutsData,
+      playlists,
+    });
+  } catch (error) {
+    console.error('Layouts error:', error);
+    res.status(500).send('Error loading layouts');
+  }
+});
+
+/**
+ * GET /dashboard/schedules
+ * Schedules page - which screens follow each schedule (directly or through
+ * their group) and what each schedule shows right now in its timezone
+ */
+router.get('/schedules', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const { Device, DeviceGroup, Layout, Playlist, Schedule, ScheduleItem } = require('../models');
+    const { toDeviceSummary } = require('../utils/deviceInfo');
+    const { loadPlayerScheduleItems } = require('../utils/deviceContent');
+    const { resolveSchedule } = require('../utils/scheduleResolver');
+
+    const schedules = await Schedule.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      include: [{
+        model: ScheduleItem,
+        as: 'items',
+        where: { isActive: true },
+        required: false,
+        include: [{
+          model: Video,
+          as: 'video',
+          where: { isActive: true },
+          required: false,
+          attributes: ['id', 'fileName', 'mediaType', 'duration'],
+        }],
+      }],
+      order: [['name', 'ASC'], [{ model: ScheduleItem, as: 'items' }, 'startTime', 'ASC']],
+    });
+
+    // Same includes as the Devices page, so group assignments are resolved the same way
+    const devices = await Device.findAll({
+      where: { companyId: req.company.id },
+      include: [
+        {
+          model: Playlist,
+          as: 'playlists',
+          attributes: ['id', 'name', 'code'],
+          through: { where: { isActive: true }, attributes: ['registeredAt'] },
+          required: false,
+        },
+        { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+        { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+        {
+          model: DeviceGroup,
+          as: 'group',
+          attributes: ['id', 'name'],
+          required: false,
+          include: [
+            { model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false },
+            { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+            { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+          ],
+        },
+      ],
+      order: [['name', 'ASC']],
+    });
+
+    const now = new Date();
+    const devicesData = devices.map(device => toDeviceSummary(device, now));
+    const itemName = item => (item.playlist ? item.playlist.name : item.video.fileName);
+
+    const schedulesData = [];
+    for (const schedule of schedules) {
+      const { items, fallbackPlaylist } = await loadPlayerScheduleItems(schedule);
+      const resolved = resolveSchedule({ timezone: schedule.timezone, items, fallbackPlaylist }, now, { limit: 1 });
+      const next = resolved.upcoming[0] || null;
+      const scheduleDevices = devicesData.filter(device => device.schedule && device.schedule.id === schedule.id);
+
+      schedulesData.push({
+        id: schedule.id,
+        name: schedule.name,
+        description: schedule.description,
+        code: schedule.code,
+        timezone: resolved.timezone,
+        localTime: resolved.localTime,
+        utcOffset: resolved.utcOffset,
+        itemCount: items.length,
+        fallbackPlaylist: fallbackPlaylist ? { id: fallbackPlaylist.id, name: fallbackPlaylist.name } : null,
+        current: resolved.current
+          ? { name: itemName(resolved.current.item), isPlaylist: !!resolved.current.item.playlist, endsAt: resolved.current.endsAt }
+          : null,
+        next: next ? { name: itemName(next.item), startsAt: next.startsAt } : null,
+        devices: scheduleDevices,
+        onlineCount: scheduleDevices.filter(device => device.isActive && !device.revokedAt && device.status === 'online').length,
+      });
+    }
+
+    res.render('schedules', {
+      user: req.user,
+      company: req.company,
+      userCompany: req.userCompany,
+      session: req.session,
+      schedules: schedulesData,
+    });
+  } catch (error) {
+    console.error('Schedules error:', error);
+    res.status(500).send('Error loading schedules');
+  }
+});
+
+/**
+ * GET /dashboard/proof-of-play
+ * Proof-of-play report - plays and seconds played per video and device
+ * Query: { from, to (YYYY-MM-DD, default last 7 days), videoId, deviceId }
+ */
+router.get('/proof-of-play', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const { Device } = require('../models');
+    const { parseReportFilters, buildPlaybackWhere, summarizePlayback } = require('../utils/proofOfPlay');
+
+    const filters = parseReportFilters(req.query);
+    const summary = await summarizePlayback(buildPlaybackWhere(req.company.id, filters));
+
+    // Deleted videos stay in the filter list, since their plays are still reported
+    const videos = await Video.findAll({
+      where: { companyId: req.company.id },
+      attributes: ['id', 'fileName', 'isActive'],
+      order: [['isActive', 'DESC'], ['fileName', 'ASC']],
+    });
+
+    const devices = await Device.findAll({
+      where: { companyId: req.company.id },
+      attributes: ['id', 'uid', 'name'],
+      order: [['name', 'ASC']],
+    });
+
+    const videosById = new Map(videos.map(video => [video.id, video]));
+    const devicesById = new Map(devices.map(device => [device.id, device]));
+
+    const rows = summary.map(row => {
+      const video = videosById.get(row.videoId);
+      const device = row.deviceId ? devicesById.get(row.deviceId) : null;
+
+      return {
+        ...row,
+        videoName: video ? video.fileName : 'Unknown video',
+        videoDeleted: video ? !video.isActive : false,
+        deviceName: device ? (device.name || device.uid) : 'Deleted device',
+      };
+    });
+
+    const totals = rows.reduce((acc, row) => ({
+      plays: acc.plays + row.plays,
+      completedPlays: acc.completedPlays + row.completedPlays,
+      secondsPlayed: acc.secondsPlayed + row.secondsPlayed,
+    }), { plays: 0, completedPlays: 0, secondsPlayed: 0 });
+
+    res.render('proof-of-play', {
+      user: req.user,
+      company: req.company,
+      userCompany: req.userCompany,
+      session: req.session,
+      filters,
+      rows,
+      totals,
+      videos,
+      devices,
+    });
+  } catch (error) {
+    console.error('Proof of play error:', error);
+    res.status(500).send('Error loading proof-of-play report');
+  }
+});
+
+/**
+ * GET /dashboard/proof-of-play/export.csv
+ * Download every playback matching the report filters as CSV
+ * Query: same as GET /dashboard/proof-of-play
+ */
+router.get('/proof-of-play/export.csv', webRequireAuth, webRequireCompany, async (req, res) => {
+  const { PlaybackLog, Device, Playlist } = require('../models');
+  const { parseReportFilters, buildPlaybackWhere, toCsvLine } = require('../utils/proofOfPlay');
+  const pageSize = 1000;
+
+  try {
+    const filters = parseReportFilters(req.query);
+    const where = buildPlaybackWhere(req.company.id, filters);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="proof-of-play-${filters.from}-to-${filters.to}.csv"`);
+    res.write(toCsvLine([
+      'started_at', 'ended_at', 'seconds_played', 'completed',
+      'video_id', 'video', 'device_id', 'device', 'playlist_id', 'playlist',
+      'playlist_item_id', 'schedule_item_id',
+    ]));
+
+    // Stream page by page so large ranges are not loaded in memory at once
+    for (let offset = 0; ; offset += pageSize) {
+      const logs = await PlaybackLog.findAll({
+        where,
+        include: [
+          { model: Video, as: 'video', attributes: ['id', 'fileName'], required: false },
+          { model: Device, as: 'device', attributes: ['id', 'uid', 'name'], required: false },
+          { model: Playlist, as: 'playlist', attributes: ['id', 'name'], required: false },
+        ],
+        order: [['startedAt', 'ASC'], ['id', 'ASC']],
+        limit: pageSize,
+        offset,
+      });
+
+      for (const log of logs) {
+        res.write(toCsvLine([
+          log.startedAt,
+          log.endedAt,
+          log.durationPlayed.toFixed(2),
+          log.completed ? 'yes' : 'no',
+          log.videoId,
+          log.video ? log.video.fileName : null,
+          log.deviceId,
+          log.device ? (log.device.name || log.device.uid) : null,
+          log.playlistId,
+          log.playlist ? log.playlist.name : null,
+          log.playlistItemId,
+          log.scheduleItemId,
+        ]));
+      }
+
+      if (logs.length < pageSize) {
+        break;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Proof of play export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.redirect('/dashboard/proof-of-play?error=' + encodeURIComponent('Error exporting proof-of-play report'));
+  }
+});
+
+/**
+ * GET /dashboard/videos/processing-status?ids=...
+ * Processing status of media items, polled by the library page while they are processed
+ */
+router.get('/videos/processing-status', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const ids = String(req.query.ids || '').split(',').filter(id => uuidRegex.test(id)).slice(0, 200);
+
+    const videos = await Video.findAll({
+      where: {
+        id: ids,
+        companyId: req.company.id,
+        isActive: true,
+      },
+      attributes: ['id'],
+    });
+
+    const processing = await getProcessingSummaries(videos.map(video => video.id));
+
+    res.json({
+      success: true,
+      data: Object.fromEntries([...processing].map(([videoId, summary]) => [videoId, summary.status])),
+    });
+  } catch (error) {
+    console.error('Processing status error:', error);
+    res.status(500).json({ success: false, message: 'Error loading processing status' });
+  }
+});
+
 /**
  * POST /dashboard/upload
- * Upload a new video
+ * Upload a new video, image or PDF
  */
 router.post('/upload', webRequireAuth, webRequireCompany, webCheckCompanyLicense, (req, res, next) => {
   upload.single('video')(req, res, async (err) => {
@@ -667,98 +1320,33 @@ router.post('/upload', webRequireAuth, webRequireCompany, webCheckCompanyLicense
     }
 
     try {
-      // Get display name from original filename
-      let displayName = path.basename(req.file.originalname, path.extname(req.file.originalname));
-
-      // Check if a video with this display name already exists and auto-number if needed
-      const baseDisplayName = displayName;
-      let counter = 1;
-      let finalDisplayName = displayName;
-      
-      while (true) {
-        const existingVideo = await Video.findOne({
-          where: {
-            companyId: req.company.id,
-            fileName: finalDisplayName,
-          },
-        });
-
-        if (!existingVideo) {
-          displayName = finalDisplayName;
-          break;
-        }
-
-        finalDisplayName = `${baseDisplayName} (${counter})`;
-        counter++;
-
-        if (counter > 1000) {
-          await deleteFile(path.join('videos', req.company.id, req.file.filename));
-          return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Unable to generate unique filename')}`);
-        }
-      }
-
-      // Extract video metadata (duration, resolution, etc.)
-      let videoMetadata = {};
-      let duration = null;
-      let resolution = null;
-      let thumbnailPath = null;
-
-      try {
-        const fullPath = path.join(process.cwd(), 'videos', req.company.id, req.file.filename);
-        const extractedMetadata = await extractVideoMetadata(fullPath);
-        
-        duration = extractedMetadata.duration;
-        resolution = extractedMetadata.resolution;
-        videoMetadata = {
-          codec: extractedMetadata.codec,
-          bitrate: extractedMetadata.bitrate,
-          fps: extractedMetadata.fps,
-          format: extractedMetadata.format,
-        };
-
-        console.log('✅ Video metadata extracted:', { duration, resolution });
-
-        // Generate thumbnail (at 10% of video duration)
-        try {
-          const thumbnailFilename = `${path.basename(req.file.filename, path.extname(req.file.filename))}_thumb.jpg`;
-          const thumbnailFullPath = path.join(process.cwd(), 'videos', req.company.id, 'thumbnails', thumbnailFilename);
-          
-          await generateThumbnailAtPercentage(fullPath, thumbnailFullPath, 10);
-          thumbnailPath = path.join('videos', req.company.id, 'thumbnails', thumbnailFilename);
-          
-          console.log('✅ Thumbnail generated:', thumbnailPath);
-        } catch (thumbError) {
-          console.error('⚠️  Failed to generate thumbnail:', thumbError.message);
-          // Continue without thumbnail
-        }
-      } catch (metadataError) {
-        console.error('⚠️  Failed to extract video metadata:', metadataError.message);
-        // Continue with upload even if metadata extraction fails
-      }
-
-      // Create video record
-      await Video.create({
+      const tempPath = path.join('videos', req.company.id, req.file.filename);
+      const { video, quota } = await createUploadedMedia({
         companyId: req.company.id,
         uploadedBy: req.user.id,
-        fileName: displayName,
-        originalFileName: req.file.originalname,
-        filePath: path.join('videos', req.company.id, req.file.filename),
+        tempPath,
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
-        duration: duration,
-        resolution: resolution,
-        thumbnailPath: thumbnailPath,
-        metadata: videoMetadata,
-        isActive: true,
+        originalFileName: req.file.originalname,
       });
 
-      // Update company storage usage
-      await Company.increment('storageUsedBytes', {
-        by: req.file.size,
-        where: { id: req.company.id }
-      });
+      if (quota) {
+        await deleteFile(tempPath);
+        const usedMB = (quota.currentUsage / (1024 * 1024)).toFixed(2);
+        const limitMB = (quota.limit / (1024 * 1024)).toFixed(2);
+        return res.redirect(`/dashboard/videos?error=${encodeURIComponent(`Company storage limit exceeded (${usedMB}MB of ${limitMB}MB used). This file would exceed your storage quota.`)}`);
+      }
+
+      if (!video) {
+        await deleteFile(tempPath);
+        return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Unable to generate unique filename')}`);
+      }
 
-      res.redirect(`/dashboard/videos?success=${encodeURIComponent('Video uploaded successfully!')}`);
+      // Probe, thumbnail, checksum and transcode run in the background
+      await queueMediaProcessing(video);
+
+      const typeLabel = { video: 'Video', image: 'Image', pdf: 'PDF' }[video.mediaType];
+      res.redirect(`/dashboard/videos?success=${encodeURIComponent(`${typeLabel} uploaded successfully! Processing continues in the background.`)}`);
     } catch (error) {
       console.error('Video upload error:', error);
       // Try to delete the uploaded file
@@ -770,9 +1358,65 @@ router.post('/upload', webRequireAuth, webRequireCompany, webCheckCompanyLicense
   });
 });
 
+/**
+ * POST /dashboard/videos/web-page
+ * Add a web page (URL shown for a set duration) to the media library
+ */
+router.post('/videos/web-page', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
+  try {
+    const { isValidWebPageUrl } = require('../utils/fileStorage');
+    const name = (req.body.name || '').trim();
+    const url = (req.body.url || '').trim();
+    const duration = parseInt(req.body.duration) || storageConfig.defaultDisplayDurationSeconds;
+
+    if (!name) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Name is required')}`);
+    }
+
+    if (!isValidWebPageUrl(url)) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('URL must start with http:// or https://')}`);
+    }
+
+    if (duration < 1) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Duration must be at least 1 second')}`);
+    }
+
+    const existingVideo = await Video.findOne({
+      where: {
+        companyId: req.company.id,
+        fileName: name,
+      },
+    });
+
+    if (existingVideo) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent(`"${name}" already exists in the media library`)}`);
+    }
+
+    await Video.create({
+      companyId: req.company.id,
+      uploadedBy: req.user.id,
+      fileName: name,
+      originalFileName: url,
+      mediaType: 'web',
+      filePath: null,
+      sourceUrl: url,
+      fileSize: 0,
+      mimeType: 'text/html',
+      duration,
+      metadata: {},
+      isActive: true,
+    });
+
+    res.redirect(`/dashboard/videos?success=${encodeURIComponent('Web page added successfully!')}`);
+  } catch (error) {
+    console.error('Add web page error:', error);
+    res.redirect(`/dashboard/videos?error=${encodeURIComponent('Adding web page failed: ' + error.message)}`);
+  }
+});
+
 /**
  * POST /dashboard/videos/:videoId/edit
- * Edit video name
+ * Edit video name (and the URL and display duration of web pages)
  */
 router.post('/videos/:videoId/edit', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
   try {
@@ -804,16 +1448,207 @@ router.post('/videos/:videoId/edit', webRequireAuth, webRequireCompany, webCheck
       return res.redirect(`/dashboard/videos?error=${encodeURIComponent('You do not have permission to edit this video')}`);
     }
 
+    const updates = { fileName: fileName.trim() };
+
+    if (req.body.folderId !== undefined) {
+      if (req.body.folderId && !await findFolder(req.company.id, req.body.folderId)) {
+        return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Folder not found')}`);
+      }
+      updates.folderId = req.body.folderId || null;
+    }
+
+    if (req.body.tags !== undefined) {
+      const tags = normalizeTags(req.body.tags);
+      const tagsError = validateTags(tags);
+      if (tagsError) {
+        return res.redirect(`/dashboard/videos?error=${encodeURIComponent(tagsError)}`);
+      }
+      updates.tags = tags;
+    }
+
+    if (video.mediaType === 'web') {
+      const { isValidWebPageUrl } = require('../utils/fileStorage');
+
+      if (req.body.url !== undefined) {
+        const url = req.body.url.trim();
+        if (!isValidWebPageUrl(url)) {
+          return res.redirect(`/dashboard/videos?error=${encodeURIComponent('URL must start with http:// or https://')}`);
+        }
+        updates.sourceUrl = url;
+        updates.originalFileName = url;
+      }
+
+      if (req.body.duration !== undefined) {
+        const duration = parseInt(req.body.duration);
+        if (!duration || duration < 1) {
+          return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Duration must be at least 1 second')}`);
+        }
+        updates.duration = duration;
+      }
+    }
+
     // Update video name
-    await video.update({ fileName: fileName.trim() });
+    await video.update(updates);
+
+    // Players showing this web page pick up the new URL or duration right away
+    if (video.mediaType === 'web') {
+      const { getVideoPlaylistIds } = require('../utils/deviceContent');
+      (await getVideoPlaylistIds(video.id))
+        .forEach(playlistId => publishPlaylistUpdate(playlistId, 'update'));
+    }
 
-    res.redirect(`/dashboard/videos?success=${encodeURIComponent('Video name updated successfully!')}`);
+    res.redirect(libraryUrl(video.folderId, { success: 'Media item updated successfully!' }));
   } catch (error) {
     console.error('Video edit error:', error);
     res.redirect(`/dashboard/videos?error=${encodeURIComponent('Update failed: ' + error.message)}`);
   }
 });
 
+/**
+ * POST /dashboard/videos/:videoId/trim
+ * Save (or, with both fields empty, clear) the in/out points of a video
+ */
+router.post('/videos/:videoId/trim', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const start = req.body.start === undefined || req.body.start === '' ? null : parseFloat(req.body.start);
+    const end = req.body.end === undefined || req.body.end === '' ? null : parseFloat(req.body.end);
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.company.id,
+        isActive: true,
+      },
+    });
+
+    if (!video) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Video not found')}`);
+    }
+
+    const canEdit =
+      video.uploadedBy === req.user.id ||
+      ['owner', 'admin', 'manager'].includes(req.userCompany.role);
+
+    if (!canEdit) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('You do not have permission to edit this video')}`);
+    }
+
+    const clearing = start === null && end === null;
+    const rangeError = clearing ? null : validateClipRange(video, start || 0, end ?? video.duration ?? Infinity);
+    if (rangeError) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent(rangeError)}`);
+    }
+
+    await video.update({ trimStart: start || null, trimEnd: end });
+
+    // Players showing this video pick up the new in/out points right away
+    const { getVideoPlaylistIds } = require('../utils/deviceContent');
+    (await getVideoPlaylistIds(video.id))
+      .forEach(playlistId => publishPlaylistUpdate(playlistId, 'update'));
+
+    const message = clearing ? 'In/out points cleared!' : 'In/out points saved!';
+    res.redirect(`/dashboard/videos?success=${encodeURIComponent(message)}`);
+  } catch (error) {
+    console.error('Video trim error:', error);
+    res.redirect(`/dashboard/videos?error=${encodeURIComponent('Trim failed: ' + error.message)}`);
+  }
+});
+
+/**
+ * POST /dashboard/videos/:videoId/clips
+ * Render a range of a video into a new video (counts toward the storage quota)
+ */
+router.post('/videos/:videoId/clips', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const start = parseFloat(req.body.start) || 0;
+    const name = (req.body.name || '').trim();
+
+    if (req.userCompany.role === 'viewer') {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('You do not have permission to create clips')}`);
+    }
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.company.id,
+        isActive: true,
+      },
+    });
+
+    if (!video) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Video not found')}`);
+    }
+
+    // Without an out point the clip runs to the end of the video
+    const end = req.body.end ? parseFloat(req.body.end) : video.duration;
+    const rangeError = validateClipRange(video, start, end);
+    if (rangeError) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent(rangeError)}`);
+    }
+
+    const quota = await checkStorageQuota(req.company.id, estimateClipSize(video, start, end));
+    if (!quota.allowed) {
+      const usedMB = (quota.currentUsage / (1024 * 1024)).toFixed(2);
+      const limitMB = (quota.limit / (1024 * 1024)).toFixed(2);
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent(`Company storage limit exceeded (${usedMB}MB of ${limitMB}MB used). This clip would exceed your storage quota.`)}`);
+    }
+
+    await queueClipJob(video, {
+      start,
+      end,
+      fileName: name || null,
+      uploadedBy: req.user.id,
+    });
+
+    res.redirect(`/dashboard/videos?success=${encodeURIComponent('Clip is being rendered and will appear in the library when ready')}`);
+  } catch (error) {
+    console.error('Video clip error:', error);
+    res.redirect(`/dashboard/videos?error=${encodeURIComponent('Clip failed: ' + error.message)}`);
+  }
+});
+
+/**
+ * POST /dashboard/videos/:videoId/retry-processing
+ * Queue the failed processing steps (probe, thumbnail, hash, transcode) of a media item again
+ */
+router.post('/videos/:videoId/retry-processing', webRequireAuth, webRequireCompany, webCheckCompanyLicense, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.company.id,
+        isActive: true,
+      },
+    });
+
+    if (!video) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('Video not found')}`);
+    }
+
+    const canEdit =
+      video.uploadedBy === req.user.id ||
+      ['owner', 'admin', 'manager'].includes(req.userCompany.role);
+
+    if (!canEdit) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('You do not have permission to edit this video')}`);
+    }
+
+    const retried = await retryFailedMediaJobs(video);
+    if (retried === 0) {
+      return res.redirect(`/dashboard/videos?error=${encodeURIComponent('No failed processing steps to retry')}`);
+    }
+
+    res.redirect(`/dashboard/videos?success=${encodeURIComponent('Processing restarted!')}`);
+  } catch (error) {
+    console.error('Video retry processing error:', error);
+    res.redirect(`/dashboard/videos?error=${encodeURIComponent('Retry failed: ' + error.message)}`);
+  }
+});
+
 /**
  * POST /dashboard/videos/:videoId/delete
  * Delete a single video
@@ -843,18 +1678,13 @@ router.post('/videos/:videoId/delete', webRequireAuth, webRequireCompany, async
       return res.redirect(`/dashboard/videos?error=${encodeURIComponent('You do not have permission to delete this video')}`);
     }
 
-    // Delete file from filesystem
-    await deleteFile(video.filePath);
+    // Delete the file, renditions and HLS package (unless another video
+    // shares them) and update company storage usage
+    await releaseVideoFile(video);
 
     // Soft delete in database
     await video.update({ isActive: false });
 
-    // Update company storage usage
-    await Company.decrement('storageUsedBytes', {
-      by: video.fileSize,
-      where: { id: req.company.id }
-    });
-
     res.redirect(`/dashboard/videos?success=${encodeURIComponent('Video deleted successfully!')}`);
   } catch (error) {
     console.error('Video delete error:', error);
@@ -899,18 +1729,13 @@ router.post('/videos/bulk-delete', webRequireAuth, webRequireCompany, async (req
           continue;
         }
 
-        // Delete file from filesystem
-        await deleteFile(video.filePath);
+        // Delete the file, renditions and HLS package (unless another video
+        // shares them) and update company storage usage
+        await releaseVideoFile(video);
 
         // Soft delete in database
         await video.update({ isActive: false });
 
-        // Update company storage usage
-        await Company.decrement('storageUsedBytes', {
-          by: video.fileSize,
-          where: { id: req.company.id }
-        });
-
         deleted++;
       } catch (error) {
         console.error(`Error deleting video ${video.id}:`, error);
@@ -928,6 +1753,205 @@ router.post('/videos/bulk-delete', webRequireAuth, webRequireCompany, async (req
   }
 });
 
+/**
+ * POST /dashboard/videos/folders/create
+ * Create a media folder (inside parentId, or at the library root)
+ */
+router.post('/videos/folders/create', webRequireAuth, webRequireCompany, async (req, res) => {
+  const parentId = req.body.parentId || null;
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (req.userCompany.role === 'viewer') {
+      return res.redirect(libraryUrl(parentId, { error: 'You do not have permission to create folders' }));
+    }
+
+    if (!name || name.length > 100) {
+      return res.redirect(libraryUrl(parentId, { error: 'Folder name must be 1 to 100 characters' }));
+    }
+
+    if (parentId && !await findFolder(req.company.id, parentId)) {
+      return res.redirect(libraryUrl(null, { error: 'Parent folder not found' }));
+    }
+
+    if (await isFolderNameTaken(req.company.id, parentId, name)) {
+      return res.redirect(libraryUrl(parentId, { error: 'A folder with this name already exists here' }));
+    }
+
+    const { MediaFolder } = require('../models');
+    const folder = await MediaFolder.create({
+      companyId: req.company.id,
+      createdBy: req.user.id,
+      parentId,
+      name,
+    });
+
+    res.redirect(libraryUrl(folder.id, { success: 'Folder created!' }));
+  } catch (error) {
+    console.error('Create media folder error:', error);
+    res.redirect(libraryUrl(parentId, { error: 'Creating folder failed: ' + error.message }));
+  }
+});
+
+/**
+ * POST /dashboard/videos/folders/:folderId/rename
+ * Rename a media folder
+ */
+router.post('/videos/folders/:folderId/rename', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const folder = await findFolder(req.company.id, req.params.folderId);
+
+    if (!folder) {
+      return res.redirect(libraryUrl(null, { error: 'Folder not found' }));
+    }
+
+    if (req.userCompany.role === 'viewer') {
+      return res.redirect(libraryUrl(folder.id, { error: 'You do not have permission to rename folders' }));
+    }
+
+    if (!name || name.length > 100) {
+      return res.redirect(libraryUrl(folder.id, { error: 'Folder name must be 1 to 100 characters' }));
+    }
+
+    if (await isFolderNameTaken(req.company.id, folder.parentId, name, folder.id)) {
+      return res.redirect(libraryUrl(folder.id, { error: 'A folder with this name already exists here' }));
+    }
+
+    await folder.update({ name });
+
+    res.redirect(libraryUrl(folder.id, { success: 'Folder renamed!' }));
+  } catch (error) {
+    console.error('Rename media folder error:', error);
+    res.redirect(libraryUrl(req.params.folderId, { error: 'Renaming folder failed: ' + error.message }));
+  }
+});
+
+/**
+ * POST /dashboard/videos/folders/:folderId/delete
+ * Delete a media folder; its media items and subfolders move to its parent
+ */
+router.post('/videos/folders/:folderId/delete', webRequireAuth, webRequireCompany, async (req, res) => {
+  try {
+    const folder = await findFolder(req.company.id, req.params.folderId);
+
+    if (!folder) {
+      return res.redirect(libraryUrl(null, { error: 'Folder not found' }));
+    }
+
+    if (!['owner', 'admin', 'manager'].includes(req.userCompany.role)) {
+      return res.redirect(libraryUrl(folder.id, { error: 'You do not have permission to delete folders' }));
+    }
+
+    await deleteFolder(folder);
+
+    res.redirect(libraryUrl(folder.parentId, { success: `Folder "${folder.name}" deleted; its contents moved up` }));
+  } catch (error) {
+    console.error('Delete media folder error:', error);
+    res.redirect(libraryUrl(req.params.folderId, { error: 'Deleting folder failed: ' + error.message }));
+  }
+});
+
+/**
+ * Load the selected videos of a bulk form the user may change
+ * @param {Object} req - Request with company, user, userCompany and videoIds[] in the body
+ * @returns {Promise<Object>} { videos, failed } (failed: how many were skipped)
+ */
+async function loadBulkSelection(req) {
+  const videoIds = req.body['videoIds[]'] || req.body.videoIds || [];
+  const idsArray = Array.isArray(videoIds) ? videoIds : [videoIds];
+
+  const videos = idsArray.length === 0 ? [] : await Video.findAll({
+    where: {
+      id: idsArray,
+      companyId: req.company.id,
+      isActive: true,
+    },
+  });
+
+  const allowed = videos.filter(video =>
+    video.uploadedBy === req.user.id ||
+    ['owner', 'admin', 'manager'].includes(req.userCompany.role));
+
+  return { videos: allowed, failed: idsArray.length - allowed.length };
+}
+
+/**
+ * POST /dashboard/videos/bulk-move
+ * Move the selected videos into a folder (none: the library root)
+ */
+router.post('/videos/bulk-move', webRequireAuth, webRequireCompany, async (req, res) => {
+  const folderId = req.body.folderId || null;
+  try {
+    if (folderId && !await findFolder(req.company.id, folderId)) {
+      return res.redirect(libraryUrl(null, { error: 'Folder not found' }));
+    }
+
+    const { videos, failed } = await loadBulkSelection(req);
+
+    if (videos.length === 0 && failed === 0) {
+      return res.redirect(libraryUrl(null, { error: 'No videos selected' }));
+    }
+
+    if (videos.length > 0) {
+      await Video.update(
+        { folderId },
+        { where: { id: videos.map(video => video.id) } }
+      );
+    }
+
+    const message = `Moved ${videos.length} item(s)` +
+                   (failed > 0 ? `. ${failed} item(s) could not be moved.` : '');
+
+    res.redirect(libraryUrl(folderId, { success: message }));
+  } catch (error) {
+    console.error('Bulk move error:', error);
+    res.redirect(libraryUrl(null, { error: 'Bulk move failed: ' + error.message }));
+  }
+});
+
+/**
+ * POST /dashboard/videos/bulk-tag
+ * Add and remove tags (comma-separated addTags / removeTags) on the selected videos
+ */
+router.post('/videos/bulk-tag', webRequireAuth, webRequireCompany, async (req, res) => {
+  const returnFolderId = req.body.returnFolderId || null;
+  try {
+    const add = normalizeTags(req.body.addTags);
+    const remove = normalizeTags(req.body.removeTags);
+
+    if (add.length === 0 && remove.length === 0) {
+      return res.redirect(libraryUrl(returnFolderId, { error: 'Enter at least one tag to add or remove' }));
+    }
+
+    const { videos, failed } = await loadBulkSelection(req);
+
+    if (videos.length === 0 && failed === 0) {
+      return res.redirect(libraryUrl(returnFolderId, { error: 'No videos selected' }));
+    }
+
+    let tagged = 0;
+    let skipped = failed;
+    for (const video of videos) {
+      const tags = applyTagChanges(video.tags, { add, remove });
+      if (validateTags(tags)) {
+        skipped++;
+        continue;
+      }
+      await video.update({ tags });
+      tagged++;
+    }
+
+    const message = `Updated tags of ${tagged} item(s)` +
+                   (skipped > 0 ? `. ${skipped} item(s) could not be changed.` : '');
+
+    res.redirect(libraryUrl(returnFolderId, { success: message }));
+  } catch (error) {
+    console.error('Bulk tag error:', error);
+    res.redirect(libraryUrl(returnFolderId, { error: 'Bulk tagging failed: ' + error.message }));
+  }
+});
+
 /**
  * GET /dashboard/users
  * User management page for company owners/admins
@@ -0,0 +1,1331 @@
+/**
+ * Device Routes
+ *
+ * Endpoints used by screens (players) to report their state, and the device
+ * management API used by the dashboard
+ */
+
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, validationResult } = require('express-validator');
+const {
+  sequelize,
+  Device,
+  DevicePlaylist,
+  DeviceGroup,
+  DeviceCommand,
+  Layout,
+  PlaybackLog,
+  Playlist,
+  Schedule,
+  User,
+  Video,
+} = require('../models');
+const { deviceConfig } = require('../config');
+const { getDeviceStatus } = require('../utils/deviceStatus');
+const { toDeviceSummary } = require('../utils/deviceInfo');
+const { generateUniquePairingCode } = require('../utils/pairingCode');
+const {
+  findAssignableContent,
+  assignPlaylistToDevice,
+  assignScheduleToDevice,
+  assignLayoutToDevice,
+  getDeviceAssignmentRef,
+  getDeviceAssignment,
+} = require('../utils/deviceContent');
+const { issueDeviceToken, verifyDeviceToken, isDeviceRegistered } = require('../utils/deviceToken');
+const {
+  COMMAND_TYPES,
+  OPEN_STATUSES,
+  toCommandPayload,
+  enqueueDeviceCommand,
+  expireStaleCommands,
+  takeOpenCommands,
+  saveScreenshot,
+  deleteDeviceScreenshots,
+} = require('../utils/deviceCommands');
+const { MAX_EVENTS_PER_BATCH, normalizePlaybackEvent } = require('../utils/proofOfPlay');
+const { publishDeviceEvent, publishDeviceRevoked } = require('../utils/deviceEvents');
+const { requireDeviceToken, getDeviceToken } = require('../middleware/deviceAuth');
+const { protect, requireRole } = require('../middleware/sessionAuth');
+
+/**
+ * Associations loaded for device summaries (see toDeviceSummary)
+ */
+const deviceIncludes = () => [
+  {
+    model: Playlist,
+    as: 'playlists',
+    attributes: ['id', 'name', 'code'],
+    through: { where: { isActive: true }, attributes: ['registeredAt'] },
+    required: false,
+  },
+  {
+    model: Schedule,
+    as: 'schedule',
+    attributes: ['id', 'name', 'code'],
+    required: false,
+  },
+  {
+    model: Layout,
+    as: 'layout',
+    attributes: ['id', 'name'],
+    required: false,
+  },
+  {
+    model: DeviceGroup,
+    as: 'group',
+    attributes: ['id', 'name'],
+    required: false,
+    include: [
+      { model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false },
+      { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+      { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+    ],
+  },
+];
+
+/**
+ * Find a device of the current company with the associations needed for its summary
+ * @param {string} deviceId - UUID of the device
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<Object|null>} Device instance or null
+ */
+const findCompanyDevice = (deviceId, companyId) => {
+  return Device.findOne({
+    where: { id: deviceId, companyId },
+    include: deviceIncludes(),
+  });
+};
+
+const deviceIdParam = param('deviceId').isUUID().withMessage('Device ID must be a valid UUID');
+
+/**
+ * POST /api/devices/heartbeat
+ * Report that a device is alive along with its current playback state
+ * Requires: device token
+ * Body: { playlistId, layoutId, scheduleId, currentItemId, position, cacheFill: { cached, total }, uptime, playing, lastError }
+ * The response carries the device's assignment and any remote commands waiting for it.
+ */
+router.post('/heartbeat',
+  requireDeviceToken,
+  [
+    body('playlistId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Playlist ID must be a valid UUID'),
+    body('layoutId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Layout ID must be a valid UUID'),
+    body('scheduleId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Schedule ID must be a valid UUID'),
+    body('currentItemId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Current item ID must be a valid UUID'),
+    body('position')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Position must be a positive number (seconds)'),
+    body('cacheFill.cached')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('cacheFill.cached must be a positive integer'),
+    body('cacheFill.total')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('cacheFill.total must be a positive integer'),
+    body('uptime')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Uptime must be a positive integer (seconds)'),
+    body('playing')
+      .optional()
+      .isBoolean()
+      .withMessage('playing must be a boolean'),
+    body('lastError')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('lastError must be a string of at most 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { playlistId, layoutId, scheduleId, currentItemId, position, cacheFill, uptime, playing, lastError } = req.body;
+      const device = req.device;
+      const now = new Date();
+
+      await device.update({
+        lastSeen: now,
+        lastHeartbeat: {
+          playlistId: playlistId || null,
+          layoutId: layoutId || null,
+          scheduleId: scheduleId || null,
+          currentItemId: currentItemId || null,
+          position: position !== undefined && position !== null ? Number(position) : null,
+          cacheFill: cacheFill ? {
+            cached: parseInt(cacheFill.cached) || 0,
+            total: parseInt(cacheFill.total) || 0,
+          } : null,
+          uptime: uptime !== undefined ? parseInt(uptime) : null,
+          playing: playing !== undefined ? Boolean(playing) : null,
+          lastError: lastError || null,
+          receivedAt: now.toISOString(),
+        },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          status: getDeviceStatus(device, now),
+          nextHeartbeatIn: deviceConfig.heartbeatIntervalSeconds,
+          assignment: await getDeviceAssignmentRef(device),
+          commands: await takeOpenCommands(device),
+        },
+      });
+    } catch (error) {
+      console.error('Device heartbeat error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while recording the heartbeat',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/devices/assignment
+ * Get the content currently assigned to the calling device
+ * Requires: device token
+ * Players call this when the heartbeat or an "assignment-changed" event shows
+ * they were moved to other content.
+ */
+router.get('/assignment', requireDeviceToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        assignment: await getDeviceAssignment(req.device),
+      },
+    });
+  } catch (error) {
+    console.error('Device assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the device assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/devices/commands
+ * Get the remote commands waiting for the calling device
+ * Requires: device token
+ * Commands are also delivered in the heartbeat response and pushed as "command"
+ * events; players acknowledge each one with POST /api/devices/commands/:commandId/ack
+ */
+router.get('/commands', requireDeviceToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        commands: await takeOpenCommands(req.device),
+      },
+    });
+  } catch (error) {
+    console.error('Device commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching commands',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/devices/commands/:commandId/ack
+ * Acknowledge a remote command
+ * Requires: device token
+ * Body: { status: 'completed'|'failed', error, screenshot (data URL, screenshot commands only) }
+ */
+router.post('/commands/:commandId/ack',
+  requireDeviceToken,
+  [
+    param('commandId').isUUID().withMessage('Command ID must be a valid UUID'),
+    body('status')
+      .isIn(['completed', 'failed'])
+      .withMessage('Status must be "completed" or "failed"'),
+    body('error')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('error must be a string of at most 500 characters'),
+    body('screenshot')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('screenshot must be a data URL'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const command = await DeviceCommand.findOne({
+        where: {
+          id: req.params.commandId,
+          deviceId: req.device.id,
+        },
+      });
+
+      if (!command) {
+        return res.status(404).json({
+          success: false,
+          message: 'Command not found',
+        });
+      }
+
+      if (!OPEN_STATUSES.includes(command.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Command is already ${command.status}`,
+        });
+      }
+
+      let { status } = req.body;
+      let errorMessage = req.body.error;
+      const result = {};
+
+      if (command.type === COMMAND_TYPES.SCREENSHOT && status === 'completed') {
+        try {
+          result.screenshotPath = await saveScreenshot(command, req.body.screenshot);
+        } catch (screenshotError) {
+          status = 'failed';
+          errorMessage = screenshotError.message;
+        }
+      }
+
+      if (errorMessage) {
+        result.error = errorMessage;
+      }
+
+      await command.update({
+        status,
+        result,
+        deliveredAt: command.deliveredAt || new Date(),
+        completedAt: new Date(),
+      });
+
+      console.log(`📟 Command ${command.type} ${status} on device ${req.device.uid}`);
+
+      res.json({
+        success: true,
+        data: {
+          command: toCommandPayload(command),
+        },
+      });
+    } catch (error) {
+      console.error('Device command ack error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while acknowledging the command',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/playback-logs
+ * Report proof-of-play events (one per played timeline item)
+ * Requires: device token
+ * Body: { events: [{ id, videoId, playlistId, playlistItemId, scheduleItemId, startedAt, endedAt, durationPlayed, completed }] }
+ * Players buffer events offline and re-send them until this succeeds; events
+ * already stored (same device and id) are ignored. Invalid events and videos
+ * of other companies are counted as rejected instead of failing the batch.
+ */
+router.post('/playback-logs',
+  requireDeviceToken,
+  [
+    body('events')
+      .isArray({ min: 1, max: MAX_EVENTS_PER_BATCH })
+      .withMessage(`events must be an array of 1 to ${MAX_EVENTS_PER_BATCH} events`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = req.device;
+      let events = req.body.events.map(normalizePlaybackEvent).filter(Boolean);
+
+      if (!device.companyId) {
+        events = [];
+      }
+
+      // Only keep videos (including deleted ones) and playlists of the device's company
+      if (events.length > 0) {
+        const [videos, playlists] = await Promise.all([
+          Video.findAll({
+            where: {
+              id: { [Op.in]: [...new Set(events.map(e => e.videoId))] },
+              companyId: device.companyId,
+            },
+            attributes: ['id'],
+          }),
+          Playlist.findAll({
+            where: {
+              id: { [Op.in]: [...new Set(events.map(e => e.playlistId).filter(Boolean))] },
+              companyId: device.companyId,
+            },
+            attributes: ['id'],
+          }),
+        ]);
+
+        const videoIds = new Set(videos.map(v => v.id));
+        const playlistIds = new Set(playlists.map(p => p.id));
+
+        events = events
+          .filter(e => videoIds.has(e.videoId))
+          .map(e => ({
+            ...e,
+            playlistId: playlistIds.has(e.playlistId) ? e.playlistId : null,
+            companyId: device.companyId,
+            deviceId: device.id,
+          }));
+      }
+
+      if (events.length > 0) {
+        await PlaybackLog.bulkCreate(events, { ignoreDuplicates: true });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          accepted: events.length,
+          rejected: req.body.events.length - events.length,
+        },
+      });
+    } catch (error) {
+      console.error('Playback log ingest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while saving playback logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/pairing
+ * Request a pairing PIN to display on an unregistered screen
+ * PUBLIC ENDPOINT - No authentication required
+ * Body: { uid, deviceInfo }
+ * A company user enters the PIN on /dashboard/devices to claim the screen.
+ * Also returns a new device token (only once) used to poll the pairing status
+ * and, after the screen is claimed, for all player endpoints.
+ * A screen that already has a token (pairing pending, or registered and not
+ * revoked) must send it in X-Device-Token: the UID alone is a guessable
+ * fingerprint. Its token is then kept rather than replaced.
+ */
+router.post('/pairing',
+  [
+    body('uid')
+      .trim()
+      .notEmpty()
+      .withMessage('Device UID is required'),
+    body('deviceInfo')
+      .optional()
+      .isObject()
+      .withMessage('Device info must be an object'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { uid, deviceInfo } = req.body;
+      const now = new Date();
+
+      let device = await Device.findOne({
+        where: { uid },
+      });
+
+      // Revoked devices have no token and may be paired again (by their own company)
+      const currentToken = getDeviceToken(req);
+      const registered = isDeviceRegistered(device);
+
+      if (registered && !verifyDeviceToken(device, currentToken)) {
+        console.log(`❌ Pairing refused for registered device ${device.uid} without its token`);
+        return res.status(401).json({
+          success: false,
+          message: 'This screen is already registered. Send its device token to request a new PIN, or remove it from the dashboard to pair it again.',
+        });
+      }
+
+      if (!device) {
+        device = await Device.create({
+          uid,
+          deviceInfo: deviceInfo || {},
+          lastSeen: now,
+          isActive: true,
+        });
+      } else {
+        await device.update({
+          deviceInfo: deviceInfo || device.deviceInfo,
+          lastSeen: now,
+        });
+      }
+
+      // Keep showing the same PIN if the screen reloads before it expires
+      if (!device.pairingCode || !device.pairingCodeExpiresAt || device.pairingCodeExpiresAt <= now) {
+        const pairingCode = await generateUniquePairingCode(Device);
+
+        await device.update({
+          pairingCode,
+          pairingCodeExpiresAt: new Date(now.getTime() + deviceConfig.pairingCodeTtlSeconds * 1000),
+        });
+      }
+
+      const deviceToken = registered ? currentToken : await issueDeviceToken(device);
+
+      console.log(`🔗 Pairing code ${device.pairingCode} issued for device ${device.uid}`);
+
+      res.json({
+        success: true,
+        data: {
+          pairingCode: device.pairingCode,
+          expiresAt: device.pairingCodeExpiresAt,
+          deviceToken,
+        },
+      });
+    } catch (error) {
+      console.error('Device pairing request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while requesting a pairing code',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/devices/pairing/:uid
+ * Poll the pairing state of a screen
+ * Requires: the device token returned by POST /api/devices/pairing
+ * Returns status "pending" or "expired" while unclaimed, and "paired" with the
+ * assigned playlist or schedule once a company user has claimed the PIN
+ */
+router.get('/pairing/:uid', async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      where: { uid: req.params.uid },
+    });
+
+    // Unclaimed and revoked devices may poll, so the token is checked directly
+    if (!device || !verifyDeviceToken(device, getDeviceToken(req))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device token',
+      });
+    }
+
+    const now = new Date();
+
+    if (device.pairingCode) {
+      const expired = !device.pairingCodeExpiresAt || device.pairingCodeExpiresAt <= now;
+
+      return res.json({
+        success: true,
+        data: {
+          status: expired ? 'expired' : 'pending',
+          expiresAt: device.pairingCodeExpiresAt,
+        },
+      });
+    }
+
+    if (!device.companyId || device.revokedAt) {
+      return res.json({
+        success: true,
+        data: { status: 'unpaired' },
+      });
+    }
+
+    await device.update({ lastSeen: now });
+
+    res.json({
+      success: true,
+      data: {
+        status: 'paired',
+        device: {
+          id: device.id,
+          uid: device.uid,
+          name: device.name,
+          lastSeen: device.lastSeen,
+        },
+        assignment: await getDeviceAssignment(device),
+      },
+    });
+  } catch (error) {
+    console.error('Device pairing status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while checking the pairing status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/devices
+ * List the company's devices with status, device info and current content
+ * Requires: accessToken
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const devices = await Device.findAll({
+      where: { companyId: req.company.id },
+      include: deviceIncludes(),
+      order: [['lastSeen', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+    });
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => toDeviceSummary(device, now)),
+        count: devices.length,
+      },
+    });
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId
+ * Get a single device
+ * Requires: accessToken
+ */
+router.get('/:deviceId', protect, [deviceIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        device: toDeviceSummary(device),
+      },
+    });
+  } catch (error) {
+    console.error('Get device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the device',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/devices/:deviceId
+ * Rename a device
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { name }
+ */
+router.put('/:deviceId',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    deviceIdParam,
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Device name is required')
+      .isLength({ max: 100 })
+      .withMessage('Device name must be at most 100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await device.update({ name: req.body.name });
+
+      res.json({
+        success: true,
+        message: 'Device renamed successfully',
+        data: {
+          device: toDeviceSummary(device),
+        },
+      });
+    } catch (error) {
+      console.error('Rename device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while renaming the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/devices/:deviceId/assignment
+ * Reassign a device to a playlist, a schedule or a layout
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { contentType: 'playlist'|'schedule'|'layout', playlistId, scheduleId, layoutId }
+ * The device is taken out of its group, if any. The player is notified with an
+ * "assignment-changed" event and switches content.
+ */
+router.put('/:deviceId/assignment',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    deviceIdParam,
+    body('contentType')
+      .isIn(['playlist', 'schedule', 'layout'])
+      .withMessage('Content type must be "playlist", "schedule" or "layout"'),
+    body('playlistId')
+      .if(body('contentType').equals('playlist'))
+      .isUUID()
+      .withMessage('Playlist ID must be a valid UUID'),
+    body('scheduleId')
+      .if(body('contentType').equals('schedule'))
+      .isUUID()
+      .withMessage('Schedule ID must be a valid UUID'),
+    body('layoutId')
+      .if(body('contentType').equals('layout'))
+      .isUUID()
+      .withMessage('Layout ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { contentType, playlistId, scheduleId, layoutId } = req.body;
+
+      const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      // Verify the content belongs to company
+      const content = await findAssignableContent(req.company.id, { contentType, playlistId, scheduleId, layoutId });
+
+      if (!content) {
+        const labels = { playlist: 'Playlist', schedule: 'Schedule', layout: 'Layout' };
+        return res.status(404).json({
+          success: false,
+          message: `${labels[contentType]} not found`,
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await device.update({ groupId: null }, { transaction });
+
+        if (contentType === 'layout') {
+          await assignLayoutToDevice(device, content.id, transaction);
+        } else if (contentType === 'schedule') {
+          await assignScheduleToDevice(device, content.id, transaction);
+        } else {
+          await assignPlaylistToDevice(device, content.id, transaction);
+        }
+      });
+
+      publishDeviceEvent(device.id, 'assignment-changed', { type: contentType, id: content.id });
+
+      console.log(`🔀 Device ${device.uid} assigned to ${contentType} ${content.id}`);
+
+      await device.reload({ include: deviceIncludes() });
+
+      res.json({
+        success: true,
+        message: `Device assigned to ${contentType} "${content.name}"`,
+        data: {
+          device: toDeviceSummary(device),
+        },
+      });
+    } catch (error) {
+      console.error('Assign device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while assigning the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/:deviceId/deactivate
+ * Deactivate a device - it stops playing until it is activated again
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.post('/:deviceId/deactivate',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [deviceIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await device.update({ isActive: false });
+
+      // Close any open event streams of the device
+      publishDeviceRevoked(device.id, 'deactivated');
+
+      console.log(`⏸️  Device ${device.uid} deactivated by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Device deactivated successfully',
+        data: {
+          device: toDeviceSummary(device),
+        },
+      });
+    } catch (error) {
+      console.error('Deactivate device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while deactivating the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/:deviceId/activate
+ * Re-activate a deactivated device
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * The screen resumes with its existing device token; revoked devices must be paired again.
+ */
+router.post('/:deviceId/activate',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [deviceIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await device.update({ isActive: true });
+
+      console.log(`▶️  Device ${device.uid} activated by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Device activated successfully',
+        data: {
+          device: toDeviceSummary(device),
+        },
+      });
+    } catch (error) {
+      console.error('Activate device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while activating the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/:deviceId/revoke
+ * Revoke a device's credential (e.g. a stolen screen)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * The device stops receiving content and cannot re-register with a playlist code
+ * until it is paired again with a PIN
+ */
+router.post('/:deviceId/revoke',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [deviceIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await findCompanyDevice(req.params.deviceId, req.company.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await device.update({
+        tokenHash: null,
+        revokedAt: new Date(),
+        pairingCode: null,
+        pairingCodeExpiresAt: null,
+      });
+
+      // Close any open event streams of the device
+      publishDeviceRevoked(device.id);
+
+      console.log(`🚫 Device ${device.uid} revoked by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Device access revoked successfully',
+        data: {
+          device: toDeviceSummary(device),
+        },
+      });
+    } catch (error) {
+      console.error('Revoke device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while revoking the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/devices/:deviceId
+ * Delete a device and its playlist registrations
+ * Requires: accessToken
+ * Allowed roles: owner, admin
+ * The screen shows the registration page again and can be paired as a new device.
+ */
+router.delete('/:deviceId',
+  protect,
+  requireRole('owner', 'admin'),
+  [deviceIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await Device.findOne({
+        where: { id: req.params.deviceId, companyId: req.company.id },
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await deleteDeviceScreenshots(device.id);
+
+      await sequelize.transaction(async (transaction) => {
+        await DevicePlaylist.destroy({ where: { deviceId: device.id }, transaction });
+        await device.destroy({ transaction });
+      });
+
+      publishDeviceRevoked(device.id, 'deleted');
+
+      console.log(`🗑️  Device ${device.uid} deleted by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Device deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while deleting the device',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/:deviceId/commands
+ * Send a remote command to a device
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { type: 'reload'|'clear_cache'|'re_register'|'screenshot' }
+ * The player runs it on its next heartbeat, or immediately if its event stream is open.
+ */
+router.post('/:deviceId/commands',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    deviceIdParam,
+    body('type')
+      .isIn(Object.values(COMMAND_TYPES))
+      .withMessage(`Command type must be one of: ${Object.values(COMMAND_TYPES).join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await Device.findOne({
+        where: { id: req.params.deviceId, companyId: req.company.id },
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      if (device.revokedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Commands cannot be sent to a revoked device',
+        });
+      }
+
+      const command = await enqueueDeviceCommand(device, req.body.type, req.user.id);
+
+      console.log(`📟 Command ${command.type} queued for device ${device.uid} by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Command sent. The screen runs it the next time it checks in.',
+        data: {
+          command: toCommandPayload(command),
+        },
+      });
+    } catch (error) {
+      console.error('Send device command error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while sending the command',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/devices/:deviceId/commands
+ * Command history of a device (latest 50)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.get('/:deviceId/commands',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [deviceIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await Device.findOne({
+        where: { id: req.params.deviceId, companyId: req.company.id },
+        attributes: ['id'],
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+
+      await expireStaleCommands({ deviceId: device.id });
+
+      const commands = await DeviceCommand.findAll({
+        where: { deviceId: device.id },
+        include: [{
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'firstName', 'lastName', 'email'],
+          required: false,
+        }],
+        order: [['createdAt', 'DESC']],
+        limit: 50,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          commands: commands.map(command => ({
+            ...toCommandPayload(command),
+            error: command.result ? command.result.error || null : null,
+            hasScreenshot: !!(command.result && command.result.screenshotPath),
+            deliveredAt: command.deliveredAt,
+            completedAt: command.completedAt,
+            creator: command.creator,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error('Device command history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while fetching the command history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/devices/:deviceId/commands/:commandId/cancel
+ * Cancel a command the player has not acknowledged yet
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.post('/:deviceId/commands/:commandId/cancel',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    deviceIdParam,
+    param('commandId').isUUID().withMessage('Command ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const command = await DeviceCommand.findOne({
+        where: {
+          id: req.params.commandId,
+          deviceId: req.params.deviceId,
+          companyId: req.company.id,
+        },
+      });
+
+      if (!command) {
+        return res.status(404).json({
+          success: false,
+          message: 'Command not found',
+        });
+      }
+
+      if (!OPEN_STATUSES.includes(command.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Command is already ${command.status}`,
+        });
+      }
+
+      await command.update({ status: 'cancelled', completedAt: new Date() });
+
+      res.json({
+        success: true,
+        message: 'Command cancelled',
+        data: {
+          command: toCommandPayload(command),
+        },
+      });
+    } catch (error) {
+      console.error('Cancel device command error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while cancelling the command',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/devices/:deviceId/commands/:commandId/screenshot
+ * Download the screenshot captured by a screenshot command
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.get('/:deviceId/commands/:commandId/screenshot',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    deviceIdParam,
+    param('commandId').isUUID().withMessage('Command ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const command = await DeviceCommand.findOne({
+        where: {
+          id: req.params.commandId,
+          deviceId: req.params.deviceId,
+          companyId: req.company.id,
+          type: COMMAND_TYPES.SCREENSHOT,
+        },
+      });
+
+      if (!command || !command.result || !command.result.screenshotPath) {
+        return res.status(404).json({
+          success: false,
+          message: 'Screenshot not found',
+        });
+      }
+
+      res.sendFile(path.join(__dirname, '..', command.result.screenshotPath));
+    } catch (error) {
+      console.error('Device screenshot error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while fetching the screenshot',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
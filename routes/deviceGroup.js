@@ -0,0 +1,587 @@
+/**
+ * Device Group Routes
+ *
+ * Endpoints for grouping screens and assigning a playlist, schedule or layout
+ * to a whole group at once. Devices in a group play the group's content.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, validationResult } = require('express-validator');
+const { sequelize, Device, DeviceGroup, Layout, Playlist, Schedule } = require('../models');
+const { findAssignableContent, assignContentToGroup, getGroupDeviceIds } = require('../utils/deviceContent');
+const { publishDeviceEvent } = require('../utils/deviceEvents');
+const { protect, requireRole } = require('../middleware/sessionAuth');
+
+/**
+ * Associations loaded with a group
+ */
+const groupIncludes = () => [
+  { model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false },
+  { model: Schedule, as: 'schedule', attributes: ['id', 'name', 'code'], required: false },
+  { model: Layout, as: 'layout', attributes: ['id', 'name'], required: false },
+  { model: Device, as: 'devices', attributes: ['id', 'uid', 'name', 'isActive', 'lastSeen'], required: false },
+];
+
+/**
+ * Shape a group for API responses
+ * @param {Object} group - DeviceGroup instance loaded with groupIncludes()
+ * @returns {Object}
+ */
+const toGroupSummary = (group) => {
+  const data = group.toJSON();
+  return {
+    ...data,
+    deviceCount: (data.devices || []).length,
+  };
+};
+
+/**
+ * Tell every player in a list that its content may have changed
+ * @param {string[]} deviceIds - UUIDs of the devices
+ */
+const notifyAssignmentChanged = (deviceIds) => {
+  deviceIds.forEach(deviceId => publishDeviceEvent(deviceId, 'assignment-changed'));
+};
+
+const groupIdParam = param('groupId').isUUID().withMessage('Group ID must be a valid UUID');
+
+const contentValidators = [
+  body('contentType')
+    .optional()
+    .isIn(['playlist', 'schedule', 'layout', 'none'])
+    .withMessage('Content type must be "playlist", "schedule", "layout" or "none"'),
+  body('playlistId')
+    .if(body('contentType').equals('playlist'))
+    .isUUID()
+    .withMessage('Playlist ID must be a valid UUID'),
+  body('scheduleId')
+    .if(body('contentType').equals('schedule'))
+    .isUUID()
+    .withMessage('Schedule ID must be a valid UUID'),
+  body('layoutId')
+    .if(body('contentType').equals('layout'))
+    .isUUID()
+    .withMessage('Layout ID must be a valid UUID'),
+];
+
+const contentLabels = { playlist: 'Playlist', schedule: 'Schedule', layout: 'Layout' };
+
+/**
+ * GET /api/device-groups
+ * List the company's device groups with their content and devices
+ * Requires: accessToken
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const groups = await DeviceGroup.findAll({
+      where: { companyId: req.company.id },
+      include: groupIncludes(),
+      order: [['name', 'ASC']],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        groups: groups.map(toGroupSummary),
+        count: groups.length,
+      },
+    });
+  } catch (error) {
+    console.error('List device groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching device groups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/device-groups
+ * Create a device group
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { name, description, contentType: 'playlist'|'schedule'|'layout'|'none', playlistId, scheduleId, layoutId }
+ */
+router.post('/',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Group name is required')
+      .isLength({ max: 100 })
+      .withMessage('Group name must be at most 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim(),
+    ...contentValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { name, description, contentType, playlistId, scheduleId, layoutId } = req.body;
+
+      let content = null;
+      if (contentLabels[contentType]) {
+        content = await findAssignableContent(req.company.id, { contentType, playlistId, scheduleId, layoutId });
+
+        if (!content) {
+          return res.status(404).json({
+            success: false,
+            message: `${contentLabels[contentType]} not found`,
+          });
+        }
+      }
+
+      const group = await DeviceGroup.create({
+        companyId: req.company.id,
+        createdBy: req.user.id,
+        name,
+        description: description || null,
+        playlistId: contentType === 'playlist' ? content.id : null,
+        scheduleId: contentType === 'schedule' ? content.id : null,
+        layoutId: contentType === 'layout' ? content.id : null,
+      });
+
+      await group.reload({ include: groupIncludes() });
+
+      console.log(`📁 Device group "${group.name}" created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Device group created successfully',
+        data: {
+          group: toGroupSummary(group),
+        },
+      });
+    } catch (error) {
+      console.error('Create device group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while creating the device group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/device-groups/:groupId
+ * Get a device group with its devices
+ * Requires: accessToken
+ */
+router.get('/:groupId', protect, [groupIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const group = await DeviceGroup.findOne({
+      where: { id: req.params.groupId, companyId: req.company.id },
+      include: groupIncludes(),
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        group: toGroupSummary(group),
+      },
+    });
+  } catch (error) {
+    console.error('Get device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the device group',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/device-groups/:groupId
+ * Update a device group's name and description
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { name, description }
+ */
+router.put('/:groupId',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    groupIdParam,
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Group name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Group name must be at most 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const group = await DeviceGroup.findOne({
+        where: { id: req.params.groupId, companyId: req.company.id },
+      });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device group not found',
+        });
+      }
+
+      const { name, description } = req.body;
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (description !== undefined) updates.description = description || null;
+
+      await group.update(updates);
+      await group.reload({ include: groupIncludes() });
+
+      res.json({
+        success: true,
+        message: 'Device group updated successfully',
+        data: {
+          group: toGroupSummary(group),
+        },
+      });
+    } catch (error) {
+      console.error('Update device group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating the device group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/device-groups/:groupId/assignment
+ * Assign a playlist, schedule or layout to every device of the group
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { contentType: 'playlist'|'schedule'|'layout'|'none', playlistId, scheduleId, layoutId }
+ * With "none" the devices fall back to their own assignment.
+ */
+router.put('/:groupId/assignment',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    groupIdParam,
+    body('contentType')
+      .exists()
+      .withMessage('Content type is required'),
+    ...contentValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { contentType, playlistId, scheduleId, layoutId } = req.body;
+
+      const group = await DeviceGroup.findOne({
+        where: { id: req.params.groupId, companyId: req.company.id },
+      });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device group not found',
+        });
+      }
+
+      let content = null;
+      if (contentType !== 'none') {
+        content = await findAssignableContent(req.company.id, { contentType, playlistId, scheduleId, layoutId });
+
+        if (!content) {
+          return res.status(404).json({
+            success: false,
+            message: `${contentLabels[contentType]} not found`,
+          });
+        }
+      }
+
+      await assignContentToGroup(group, {
+        playlistId: contentType === 'playlist' ? content.id : null,
+        scheduleId: contentType === 'schedule' ? content.id : null,
+        layoutId: contentType === 'layout' ? content.id : null,
+      });
+
+      const deviceIds = await getGroupDeviceIds(group.id);
+      notifyAssignmentChanged(deviceIds);
+
+      console.log(`🔀 Device group "${group.name}" (${deviceIds.length} devices) assigned to ${content ? `${contentType} ${content.id}` : 'no content'}`);
+
+      await group.reload({ include: groupIncludes() });
+
+      res.json({
+        success: true,
+        message: content
+          ? `Group assigned to ${contentType} "${content.name}"`
+          : 'Group content cleared',
+        data: {
+          group: toGroupSummary(group),
+        },
+      });
+    } catch (error) {
+      console.error('Assign device group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while assigning the device group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/device-groups/:groupId/devices
+ * Add devices to a group (they start playing the group's content)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { deviceIds: [uuid, ...] }
+ * Devices in another group are moved to this one.
+ */
+router.post('/:groupId/devices',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    groupIdParam,
+    body('deviceIds')
+      .isArray({ min: 1 })
+      .withMessage('deviceIds must be a non-empty array'),
+    body('deviceIds.*')
+      .isUUID()
+      .withMessage('Each device ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const group = await DeviceGroup.findOne({
+        where: { id: req.params.groupId, companyId: req.company.id },
+      });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device group not found',
+        });
+      }
+
+      const deviceIds = [...new Set(req.body.deviceIds)];
+
+      // Only devices of the company can be grouped
+      const devices = await Device.findAll({
+        where: {
+          id: { [Op.in]: deviceIds },
+          companyId: req.company.id,
+        },
+        attributes: ['id'],
+      });
+
+      if (devices.length !== deviceIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more devices not found',
+        });
+      }
+
+      await Device.update(
+        { groupId: group.id },
+        { where: { id: { [Op.in]: deviceIds } } }
+      );
+
+      notifyAssignmentChanged(deviceIds);
+
+      console.log(`📁 ${deviceIds.length} device(s) added to group "${group.name}"`);
+
+      res.json({
+        success: true,
+        message: `${deviceIds.length} device${deviceIds.length === 1 ? '' : 's'} added to group "${group.name}"`,
+        data: {
+          groupId: group.id,
+          deviceIds,
+        },
+      });
+    } catch (error) {
+      console.error('Add devices to group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while adding devices to the group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/device-groups/:groupId/devices/:deviceId
+ * Remove a device from a group (it falls back to its own assignment)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.delete('/:groupId/devices/:deviceId',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    groupIdParam,
+    param('deviceId').isUUID().withMessage('Device ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const device = await Device.findOne({
+        where: {
+          id: req.params.deviceId,
+          groupId: req.params.groupId,
+          companyId: req.company.id,
+        },
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found in this group',
+        });
+      }
+
+      await device.update({ groupId: null });
+
+      notifyAssignmentChanged([device.id]);
+
+      res.json({
+        success: true,
+        message: `${device.name || device.uid} removed from the group`,
+      });
+    } catch (error) {
+      console.error('Remove device from group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while removing the device from the group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/device-groups/:groupId
+ * Delete a device group
+ * Requires: accessToken
+ * Allowed roles: owner, admin
+ * Its devices are kept and fall back to their own assignment.
+ */
+router.delete('/:groupId',
+  protect,
+  requireRole('owner', 'admin'),
+  [groupIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const group = await DeviceGroup.findOne({
+        where: { id: req.params.groupId, companyId: req.company.id },
+      });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device group not found',
+        });
+      }
+
+      const deviceIds = await getGroupDeviceIds(group.id);
+
+      await sequelize.transaction(async (transaction) => {
+        await Device.update({ groupId: null }, { where: { groupId: group.id }, transaction });
+        await group.destroy({ transaction });
+      });
+
+      notifyAssignmentChanged(deviceIds);
+
+      console.log(`🗑️  Device group "${group.name}" deleted by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Device group deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete device group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while deleting the device group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
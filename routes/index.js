@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const router = express.Router();
+const { requireDeviceToken } = require('../middleware/deviceAuth');
 
 // Note: Login, register, company-selection, and dashboard routes are handled by web.js and dashboard.js
 // This file only contains API routes and device-specific pages
@@ -40,6 +41,46 @@ router.get('/api', (req, res) => {
             users: {
                 create: 'POST /api/users/create (requires accessToken, owner/admin) - Create user and optionally add to company',
                 search: 'GET /api/users/search?email=query (requires accessToken, owner/admin) - Search users by email'
+            },
+            devices: {
+                list: 'GET /api/devices (requires accessToken)',
+                rename: 'PUT /api/devices/:deviceId (requires accessToken, owner/admin/manager)',
+                assign: 'PUT /api/devices/:deviceId/assignment (requires accessToken, owner/admin/manager)',
+                remove: 'DELETE /api/devices/:deviceId (requires accessToken, owner/admin)'
+            },
+            deviceGroups: {
+                list: 'GET /api/device-groups (requires accessToken)',
+                create: 'POST /api/device-groups (requires accessToken, owner/admin/manager)',
+                assign: 'PUT /api/device-groups/:groupId/assignment (requires accessToken, owner/admin/manager) - Assign content to every device of the group',
+                addDevices: 'POST /api/device-groups/:groupId/devices (requires accessToken, owner/admin/manager)'
+            },
+            videos: {
+                list: 'GET /api/videos?folderId=&includeSubfolders=&tag=&q=&mediaType=&sort=&order=&page=&pageSize= (requires accessToken) - Filtered, paginated media library',
+                tags: 'GET /api/videos/tags (requires accessToken) - Tags in use, most used first',
+                bulkMove: 'POST /api/videos/bulk-move (requires accessToken) - Move media items into a folder',
+                bulkTag: 'POST /api/videos/bulk-tag (requires accessToken) - Add and remove tags on media items',
+                bulkDelete: 'POST /api/videos/bulk-delete (requires accessToken)'
+            },
+            mediaFolders: {
+                list: 'GET /api/media-folders (requires accessToken)',
+                create: 'POST /api/media-folders (requires accessToken, owner/admin/manager/member) - Nested with parentId',
+                update: 'PUT /api/media-folders/:folderId (requires accessToken, owner/admin/manager/member) - Rename or move',
+                remove: 'DELETE /api/media-folders/:folderId (requires accessToken, owner/admin/manager) - Contents move to the parent'
+            },
+            schedules: {
+                publicNow: 'GET /api/schedules/public/:code/now?limit= - Current item, seconds remaining and upcoming items, in the schedule timezone',
+                publicAt: 'GET /api/schedules/public/:code/at?ts=&limit= - Same as /now at a given instant',
+                previewItem: 'POST /api/schedules/:scheduleId/items/preview (requires accessToken) - Conflicts of an item and what strategy reject/override/split would do, without saving',
+                restoreItem: 'POST /api/schedules/:scheduleId/items/:itemId/restore (requires accessToken) - Restore an overridden or split item',
+                playlistBlocks: 'POST /api/schedules/:scheduleId/items with playlistId - Loop a playlist for the item\'s time window; fallbackPlaylistId on the schedule plays between items',
+                deviceRegister: 'POST /api/schedules/device/register - Register a screen with a schedule code (returns a device token and the resolved timeline)',
+                events: 'GET /api/schedules/:scheduleId/events (requires device token) - Server-Sent Events for screens following the schedule'
+            },
+            layouts: {
+                list: 'GET /api/layouts (requires accessToken)',
+                create: 'POST /api/layouts (requires accessToken, owner/admin/manager) - Zones positioned in percent, each with its own playlist',
+                update: 'PUT /api/layouts/:layoutId (requires accessToken, owner/admin/manager)',
+                remove: 'DELETE /api/layouts/:layoutId (requires accessToken, owner/admin)'
             }
         },
         authFlow: {
@@ -73,12 +114,21 @@ router.get('/favicon.ico', (req, res) => {
  * POST /playlists/device/register
  * Register a device to a playlist using the playlist code
  * PUBLIC ENDPOINT - No authentication required
- * Creates or updates device registration and returns playlist details
+ * Creates or updates device registration and returns playlist details along
+ * with a new device token (returned only once - the player must store it).
+ * A device in a group that has a playlist assigned gets the group's playlist.
+ * A device that already has a token must send it in X-Device-Token, which it
+ * keeps; a device registered to a company can only register to that
+ * company's playlists.
  */
 router.post('/playlists/device/register', async (req, res) => {
   console.log('🔥 Device registration endpoint hit!', req.body);
   try {
     const { Playlist, PlaylistItem, Video, Device, DevicePlaylist, Company, License } = require('../models');
+    const { generateDeviceName } = require('../utils/deviceName');
+    const { issueDeviceToken, verifyDeviceToken, isDeviceRegistered } = require('../utils/deviceToken');
+    const { getDeviceAssignment } = require('../utils/deviceContent');
+    const { getDeviceToken } = require('../middleware/deviceAuth');
     const { playlistCode, uid, deviceInfo } = req.body;
 
     // Validate inputs
@@ -121,7 +171,7 @@ router.post('/playlists/device/register', async (req, res) => {
               as: 'video',
               where: { isActive: true },
               required: false,
-              attributes: ['id', 'fileName', 'filePath', 'thumbnailPath', 'fileSize', 'mimeType', 'duration', 'resolution'],
+              attributes: ['id', 'fileName', 'mediaType', 'filePath', 'sourceUrl', 'thumbnailPath', 'fileSize', 'mimeType', 'duration', 'resolution', 'contentHash', 'renditions', 'hls', 'trimStart', 'trimEnd'],
             },
           ],
         },
@@ -180,9 +230,46 @@ router.post('/playlists/device/register', async (req, res) => {
       where: { uid },
     });
 
+    if (device && device.revokedAt) {
+      console.log('❌ Registration refused for revoked device:', device.uid);
+      return res.status(403).json({
+        success: false,
+        message: 'This device\'s access has been revoked. Pair it again from the dashboard.',
+      });
+    }
+
+    if (device && !device.isActive && device.companyId) {
+      console.log('❌ Registration refused for deactivated device:', device.uid);
+      return res.status(403).json({
+        success: false,
+        message: 'This device has been deactivated. Activate it from the dashboard.',
+      });
+    }
+
+    const currentToken = getDeviceToken(req);
+    const registered = isDeviceRegistered(device);
+
+    if (registered && !verifyDeviceToken(device, currentToken)) {
+      console.log('❌ Registration refused for registered device without its token:', device.uid);
+      return res.status(401).json({
+        success: false,
+        message: 'This screen is already registered. Send its device token to register it again.',
+      });
+    }
+
+    if (device && device.companyId && device.companyId !== playlist.companyId) {
+      console.log('❌ Registration refused for device of another company:', device.uid);
+      return res.status(403).json({
+        success: false,
+        message: 'This screen belongs to another company. It must be removed there before it can be registered here.',
+      });
+    }
+
     if (device) {
-      // Update existing device
+      // Update existing device (a playlist code replaces any schedule assignment)
       await device.update({
+        companyId: playlist.companyId,
+        scheduleId: null,
         deviceInfo: deviceInfo || device.deviceInfo,
         lastSeen: new Date(),
         isActive: true,
@@ -191,6 +278,8 @@ router.post('/playlists/device/register', async (req, res) => {
       // Create new device
       device = await Device.create({
         uid,
+        companyId: playlist.companyId,
+        name: generateDeviceName(),
         deviceInfo: deviceInfo || {},
         lastSeen: new Date(),
         isActive: true,
@@ -221,6 +310,21 @@ router.post('/playlists/device/register', async (req, res) => {
       });
     }
 
+    // Issue a credential for player endpoints (a registered device keeps its own)
+    const deviceToken = registered ? currentToken : await issueDeviceToken(device);
+
+    // Content assigned to the device's group wins over the registered playlist
+    const assignment = device.groupId ? await getDeviceAssignment(device) : null;
+    const playerPlaylist = assignment && assignment.source === 'group' && assignment.type === 'playlist'
+      ? assignment.playlist
+      : {
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        code: playlist.code,
+        items: playlist.items,
+      };
+
     console.log('✅ Sending success response');
     console.log('📋 Playlist items count:', playlist.items?.length || 0);
     if (playlist.items && playlist.items.length > 0) {
@@ -240,13 +344,8 @@ router.post('/playlists/device/register', async (req, res) => {
           uid: device.uid,
           lastSeen: device.lastSeen,
         },
-        playlist: {
-          id: playlist.id,
-          name: playlist.name,
-          description: playlist.description,
-          code: playlist.code,
-          items: playlist.items,
-        },
+        deviceToken,
+        playlist: playerPlaylist,
       },
     });
     console.log('✅ Response sent successfully');
@@ -262,20 +361,35 @@ router.post('/playlists/device/register', async (req, res) => {
 
 /**
  * GET /api/playlists/:playlistId/timeline
- * Get playlist timeline with video details
- * PUBLIC ENDPOINT - No authentication required
+ * Get playlist timeline with video details and the manifest players verify
+ * their cache against (content hash, size and ETag per video)
+ * Requires: device token of a device the playlist is assigned to, directly or
+ * through its group
+ * The response carries the manifest ETag; send it back in If-None-Match to get
+ * 304 Not Modified while nothing changed.
  */
-router.get('/api/playlists/:playlistId/timeline', async (req, res) => {
+router.get('/api/playlists/:playlistId/timeline', requireDeviceToken, async (req, res) => {
   try {
     const { Playlist, PlaylistItem, Video } = require('../models');
+    const { canDeviceAccessPlaylist } = require('../utils/deviceContent');
+    const { buildTimelineManifest, isNotModified } = require('../utils/playerManifest');
     const { playlistId } = req.params;
 
     console.log('📋 Fetching timeline for playlist:', playlistId);
 
+    if (!await canDeviceAccessPlaylist(req.device, playlistId)) {
+      console.log('❌ Playlist not assigned to device');
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found',
+      });
+    }
+
     // Find the playlist with items
     const playlist = await Playlist.findOne({
       where: {
         id: playlistId,
+        companyId: req.device.companyId,
         isActive: true,
       },
       include: [{
@@ -287,7 +401,7 @@ router.get('/api/playlists/:playlistId/timeline', async (req, res) => {
           as: 'video',
           where: { isActive: true },
           required: false,
-          attributes: ['id', 'fileName', 'filePath', 'mimeType', 'duration', 'fileSize'],
+          attributes: ['id', 'companyId', 'fileName', 'mediaType', 'filePath', 'sourceUrl', 'mimeType', 'duration', 'fileSize', 'contentHash', 'renditions', 'hls', 'trimStart', 'trimEnd'],
         }],
       }],
       order: [[{ model: PlaylistItem, as: 'items' }, 'order', 'ASC']],
@@ -303,9 +417,21 @@ router.get('/api/playlists/:playlistId/timeline', async (req, res) => {
 
     console.log('✅ Found playlist with', playlist.items?.length || 0, 'items');
 
+    const manifest = await buildTimelineManifest(playlist.items || []);
+
+    res.set({
+      'ETag': manifest.etag,
+      'Cache-Control': 'no-cache',
+    });
+
+    if (isNotModified(req, manifest.etag)) {
+      return res.status(304).end();
+    }
+
     res.json({
       success: true,
       data: playlist.items || [],
+      manifest,
     });
 
   } catch (error) {
@@ -318,5 +444,97 @@ router.get('/api/playlists/:playlistId/timeline', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/playlists/:playlistId/events
+ * Server-Sent Events stream notifying players when the playlist timeline changes
+ * Requires: device token (?deviceToken= since EventSource cannot send headers)
+ * of a device the playlist is assigned to
+ * Sends a "timeline-updated" event after every timeline change in the dashboard,
+ * "assignment-changed" when the device is moved to other content, and "revoked"
+ * (then closes the stream) when the device is revoked, deactivated or deleted
+ */
+router.get('/api/playlists/:playlistId/events', requireDeviceToken, async (req, res) => {
+  try {
+    const { Playlist } = require('../models');
+    const { deviceConfig } = require('../config');
+    const { playlistChannel, deviceChannel, subscribe } = require('../utils/deviceEvents');
+    const { canDeviceAccessPlaylist } = require('../utils/deviceContent');
+    const { playlistId } = req.params;
+
+    if (!await canDeviceAccessPlaylist(req.device, playlistId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found',
+      });
+    }
+
+    const playlist = await Playlist.findOne({
+      where: {
+        id: playlistId,
+        companyId: req.device.companyId,
+        isActive: true,
+      },
+      attributes: ['id'],
+    });
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found',
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable nginx response buffering
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Tell EventSource how long to wait before reconnecting after a drop
+    res.write('retry: 10000\n\n');
+    send('connected', { playlistId });
+
+    const channels = [playlistChannel(playlistId), deviceChannel(req.device.id)];
+    let keepalive = null;
+
+    const close = () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    };
+
+    const unsubscribe = subscribe(channels, ({ event, data }) => {
+      send(event, data);
+
+      if (event === 'revoked') {
+        close();
+        res.end();
+      }
+    });
+
+    keepalive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, deviceConfig.eventsKeepaliveSeconds * 1000);
+
+    req.on('close', close);
+
+  } catch (error) {
+    console.error('❌ Error opening playlist event stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error opening event stream',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,558 @@
+/**
+ * Layout Routes
+ *
+ * Endpoints for multi-zone screen layouts: the screen is split into zones
+ * (position, size, stacking order), each playing its own playlist. Layouts
+ * are assigned to devices and device groups in place of a single playlist.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, validationResult } = require('express-validator');
+const { sequelize, Device, DeviceGroup, Layout, LayoutZone, Playlist } = require('../models');
+const { getDeviceAssignmentRef, getLayoutDeviceIds } = require('../utils/deviceContent');
+const {
+  layoutChannel,
+  playlistChannel,
+  deviceChannel,
+  subscribe,
+  publishDeviceEvent,
+  publishLayoutUpdate,
+} = require('../utils/deviceEvents');
+const { deviceConfig } = require('../config');
+const { requireDeviceToken } = require('../middleware/deviceAuth');
+const { protect, requireRole } = require('../middleware/sessionAuth');
+
+/**
+ * Largest number of zones in a layout
+ */
+const MAX_ZONES = 10;
+
+/**
+ * Associations loaded with a layout
+ */
+const layoutIncludes = () => [
+  {
+    model: LayoutZone,
+    as: 'zones',
+    required: false,
+    include: [{ model: Playlist, as: 'playlist', attributes: ['id', 'name', 'code'], required: false }],
+  },
+];
+
+const layoutOrder = [[{ model: LayoutZone, as: 'zones' }, 'zIndex', 'ASC']];
+
+/**
+ * Find an active layout of the current company with its zones
+ * @param {string} layoutId - UUID of the layout
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<Object|null>} Layout instance or null
+ */
+const findCompanyLayout = (layoutId, companyId) => {
+  return Layout.findOne({
+    where: { id: layoutId, companyId, isActive: true },
+    include: layoutIncludes(),
+    order: layoutOrder,
+  });
+};
+
+/**
+ * Check zones sent by the dashboard and shape them for LayoutZone.bulkCreate
+ * Zone playlists must be active playlists of the company.
+ * @param {Object[]} zones - [{ name, x, y, width, height, zIndex, playlistId, audioEnabled }]
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<Object>} { zones } or { error }
+ */
+const normalizeZones = async (zones, companyId) => {
+  const normalized = zones.map((zone, index) => ({
+    name: zone.name.trim(),
+    x: Number(zone.x),
+    y: Number(zone.y),
+    width: Number(zone.width),
+    height: Number(zone.height),
+    zIndex: zone.zIndex !== undefined ? parseInt(zone.zIndex) : index,
+    playlistId: zone.playlistId || null,
+    audioEnabled: zone.audioEnabled === true,
+  }));
+
+  const outside = normalized.find(zone => zone.x + zone.width > 100.001 || zone.y + zone.height > 100.001);
+  if (outside) {
+    return { error: `Zone "${outside.name}" does not fit on the screen` };
+  }
+
+  if (normalized.filter(zone => zone.audioEnabled).length > 1) {
+    return { error: 'Only one zone can play sound' };
+  }
+
+  const playlistIds = [...new Set(normalized.map(zone => zone.playlistId).filter(Boolean))];
+  if (playlistIds.length > 0) {
+    const count = await Playlist.count({
+      where: { id: { [Op.in]: playlistIds }, companyId, isActive: true },
+    });
+
+    if (count !== playlistIds.length) {
+      return { error: 'Playlist not found' };
+    }
+  }
+
+  return { zones: normalized };
+};
+
+/**
+ * Devices playing a layout (directly or through their group) reload its zones
+ * when they get a "layout-updated" event; devices whose layout was deleted are
+ * told to look up their new assignment
+ * @param {string[]} deviceIds - UUIDs of the devices
+ */
+const notifyAssignmentChanged = (deviceIds) => {
+  deviceIds.forEach(deviceId => publishDeviceEvent(deviceId, 'assignment-changed'));
+};
+
+const layoutIdParam = param('layoutId').isUUID().withMessage('Layout ID must be a valid UUID');
+
+/**
+ * Validators for the zones of a layout
+ * Element checks only run on the zones sent, so optional() on the array is enough for updates
+ * @param {Object} zones - Validation chain for the zones field
+ * @returns {Object[]} express-validator chains
+ */
+const zoneValidators = (zones) => [
+  zones
+    .isArray({ min: 1, max: MAX_ZONES })
+    .withMessage(`zones must be an array of 1 to ${MAX_ZONES} zones`),
+  body('zones.*.name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Zone name is required')
+    .isLength({ max: 100 })
+    .withMessage('Zone name must be at most 100 characters'),
+  body(['zones.*.x', 'zones.*.y'])
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Zone position must be between 0 and 100 (percent)'),
+  body(['zones.*.width', 'zones.*.height'])
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Zone size must be greater than 0 and at most 100 (percent)'),
+  body('zones.*.zIndex')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Zone z-order must be an integer between 0 and 1000'),
+  body('zones.*.playlistId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage('Zone playlist ID must be a valid UUID'),
+  body('zones.*.audioEnabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('audioEnabled must be a boolean'),
+];
+
+const layoutValidators = [
+  body('description')
+    .optional({ nullable: true })
+    .trim(),
+  body('backgroundColor')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Background color must be a #RRGGBB color'),
+];
+
+/**
+ * GET /api/layouts
+ * List the company's layouts with their zones
+ * Requires: accessToken
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const layouts = await Layout.findAll({
+      where: { companyId: req.company.id, isActive: true },
+      include: layoutIncludes(),
+      order: [['name', 'ASC'], ...layoutOrder],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        layouts,
+      },
+    });
+  } catch (error) {
+    console.error('List layouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching layouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/layouts
+ * Create a layout
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { name, description, backgroundColor, zones: [{ name, x, y, width, height, zIndex, playlistId, audioEnabled }] }
+ * Positions and sizes are percentages of the screen.
+ */
+router.post('/',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Layout name is required')
+      .isLength({ max: 100 })
+      .withMessage('Layout name must be at most 100 characters'),
+    ...layoutValidators,
+    ...zoneValidators(body('zones')),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { name, description, backgroundColor } = req.body;
+
+      const { zones, error } = await normalizeZones(req.body.zones, req.company.id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const layout = await sequelize.transaction(async (transaction) => {
+        const created = await Layout.create({
+          companyId: req.company.id,
+          createdBy: req.user.id,
+          name,
+          description: description || null,
+          backgroundColor: backgroundColor || '#000000',
+        }, { transaction });
+
+        await LayoutZone.bulkCreate(
+          zones.map(zone => ({ ...zone, layoutId: created.id })),
+          { transaction }
+        );
+
+        return created;
+      });
+
+      console.log(`🧩 Layout "${layout.name}" created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Layout created successfully',
+        data: {
+          layout: await findCompanyLayout(layout.id, req.company.id),
+        },
+      });
+    } catch (error) {
+      console.error('Create layout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while creating the layout',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/layouts/:layoutId/events
+ * Server-Sent Events stream for players showing a layout
+ * Requires: device token (?deviceToken= since EventSource cannot send headers)
+ * of a device the layout is assigned to, directly or through its group
+ * Forwards "timeline-updated" from the zones' playlists, "layout-updated" when
+ * the layout is edited, and the device's own events ("assignment-changed",
+ * "command", "revoked" - the stream closes after "revoked")
+ */
+router.get('/:layoutId/events', requireDeviceToken, [layoutIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { layoutId } = req.params;
+    const ref = await getDeviceAssignmentRef(req.device);
+
+    if (!ref || ref.type !== 'layout' || ref.id !== layoutId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layout not found',
+      });
+    }
+
+    const zones = await LayoutZone.findAll({
+      where: { layoutId },
+      attributes: ['playlistId'],
+    });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable nginx response buffering
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Tell EventSource how long to wait before reconnecting after a drop
+    res.write('retry: 10000\n\n');
+    send('connected', { layoutId });
+
+    // Zone playlists are fixed for the life of the stream: players reconnect after "layout-updated"
+    const playlistIds = [...new Set(zones.map(zone => zone.playlistId).filter(Boolean))];
+    const channels = [
+      layoutChannel(layoutId),
+      deviceChannel(req.device.id),
+      ...playlistIds.map(playlistChannel),
+    ];
+    let keepalive = null;
+
+    const close = () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    };
+
+    const unsubscribe = subscribe(channels, ({ event, data }) => {
+      send(event, data);
+
+      if (event === 'revoked') {
+        close();
+        res.end();
+      }
+    });
+
+    keepalive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, deviceConfig.eventsKeepaliveSeconds * 1000);
+
+    req.on('close', close);
+  } catch (error) {
+    console.error('Layout event stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while opening the event stream',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/layouts/:layoutId
+ * Get a layout with its zones
+ * Requires: accessToken
+ */
+router.get('/:layoutId', protect, [layoutIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const layout = await findCompanyLayout(req.params.layoutId, req.company.id);
+
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layout not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        layout,
+      },
+    });
+  } catch (error) {
+    console.error('Get layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the layout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/layouts/:layoutId
+ * Update a layout; zones, when sent, replace all existing zones
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ * Body: { name, description, backgroundColor, zones }
+ * Players showing the layout are notified with a "layout-updated" event.
+ */
+router.put('/:layoutId',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [
+    layoutIdParam,
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Layout name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Layout name must be at most 100 characters'),
+    ...layoutValidators,
+    ...zoneValidators(body('zones').optional()),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const layout = await findCompanyLayout(req.params.layoutId, req.company.id);
+
+      if (!layout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Layout not found',
+        });
+      }
+
+      let zones = null;
+      if (req.body.zones !== undefined) {
+        const result = await normalizeZones(req.body.zones, req.company.id);
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            message: result.error,
+          });
+        }
+        zones = result.zones;
+      }
+
+      const { name, description, backgroundColor } = req.body;
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (description !== undefined) updates.description = description || null;
+      if (backgroundColor !== undefined) updates.backgroundColor = backgroundColor;
+
+      await sequelize.transaction(async (transaction) => {
+        await layout.update(updates, { transaction });
+
+        if (zones) {
+          await LayoutZone.destroy({ where: { layoutId: layout.id }, transaction });
+          await LayoutZone.bulkCreate(
+            zones.map(zone => ({ ...zone, layoutId: layout.id })),
+            { transaction }
+          );
+        }
+      });
+
+      publishLayoutUpdate(layout.id, 'update');
+
+      console.log(`🧩 Layout "${layout.name}" updated by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Layout updated successfully',
+        data: {
+          layout: await findCompanyLayout(layout.id, req.company.id),
+        },
+      });
+    } catch (error) {
+      console.error('Update layout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating the layout',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/layouts/:layoutId
+ * Delete a layout
+ * Requires: accessToken
+ * Allowed roles: owner, admin
+ * Devices and groups showing it are left without content until reassigned.
+ */
+router.delete('/:layoutId',
+  protect,
+  requireRole('owner', 'admin'),
+  [layoutIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const layout = await Layout.findOne({
+        where: { id: req.params.layoutId, companyId: req.company.id, isActive: true },
+      });
+
+      if (!layout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Layout not found',
+        });
+      }
+
+      const deviceIds = await getLayoutDeviceIds(layout.id);
+
+      await sequelize.transaction(async (transaction) => {
+        await Device.update({ layoutId: null }, { where: { layoutId: layout.id }, transaction });
+        await DeviceGroup.update({ layoutId: null }, { where: { layoutId: layout.id }, transaction });
+        await layout.update({ isActive: false }, { transaction });
+      });
+
+      publishLayoutUpdate(layout.id, 'delete');
+      notifyAssignmentChanged(deviceIds);
+
+      console.log(`🗑️  Layout "${layout.name}" deleted by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Layout deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete layout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while deleting the layout',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,284 @@
+/**
+ * Media Folder Routes
+ *
+ * Endpoints for organizing the media library into nested folders. Media items
+ * are moved into folders with PUT /api/videos/:videoId or POST /api/videos/bulk-move.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { MediaFolder } = require('../models');
+const { protect, requireRole } = require('../middleware/sessionAuth');
+const {
+  listFolders,
+  getFolderTreeIds,
+  findFolder,
+  isFolderNameTaken,
+  deleteFolder,
+} = require('../utils/mediaLibrary');
+
+const folderIdParam = param('folderId').isUUID().withMessage('Folder ID must be a valid UUID');
+
+const parentIdValidator = body('parentId')
+  .optional({ nullable: true })
+  .isUUID()
+  .withMessage('Parent folder ID must be a valid UUID');
+
+/**
+ * Shape a folder for API responses, with its place in the tree
+ * @param {Object} folder - MediaFolder instance
+ * @returns {Promise<Object>}
+ */
+const toFolderSummary = async (folder) => {
+  const folders = await listFolders(folder.companyId);
+  return folders.find(entry => entry.id === folder.id);
+};
+
+/**
+ * GET /api/media-folders
+ * List the company's media folders (flat, in tree order, with their path and
+ * the number of media items directly inside)
+ * Requires: accessToken
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const folders = await listFolders(req.company.id);
+
+    res.json({
+      success: true,
+      data: {
+        folders,
+        count: folders.length,
+      },
+    });
+  } catch (error) {
+    console.error('List media folders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching media folders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/media-folders
+ * Create a media folder
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
+ * Body: { name, parentId } (no parentId: at the library root)
+ */
+router.post('/',
+  protect,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Folder name is required')
+      .isLength({ max: 100 })
+      .withMessage('Folder name must be at most 100 characters'),
+    parentIdValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { name } = req.body;
+      const parentId = req.body.parentId || null;
+
+      if (parentId && !await findFolder(req.company.id, parentId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found',
+        });
+      }
+
+      if (await isFolderNameTaken(req.company.id, parentId, name)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A folder with this name already exists here',
+        });
+      }
+
+      const folder = await MediaFolder.create({
+        companyId: req.company.id,
+        createdBy: req.user.id,
+        parentId,
+        name,
+      });
+
+      console.log(`📂 Media folder "${folder.name}" created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Folder created successfully',
+        data: {
+          folder: await toFolderSummary(folder),
+        },
+      });
+    } catch (error) {
+      console.error('Create media folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while creating the folder',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/media-folders/:folderId
+ * Rename a media folder or move it into another folder
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
+ * Body: { name, parentId } (parentId null: to the library root)
+ */
+router.put('/:folderId',
+  protect,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    folderIdParam,
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Folder name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Folder name must be at most 100 characters'),
+    parentIdValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const folder = await findFolder(req.company.id, req.params.folderId);
+
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      const name = req.body.name !== undefined ? req.body.name : folder.name;
+      const parentId = req.body.parentId !== undefined ? (req.body.parentId || null) : folder.parentId;
+
+      if (parentId && parentId !== folder.parentId) {
+        if (!await findFolder(req.company.id, parentId)) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent folder not found',
+          });
+        }
+
+        const folders = await MediaFolder.findAll({
+          where: { companyId: req.company.id },
+          attributes: ['id', 'parentId'],
+        });
+        if (getFolderTreeIds(folders, folder.id).includes(parentId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A folder cannot be moved into itself or one of its subfolders',
+          });
+        }
+      }
+
+      if (await isFolderNameTaken(req.company.id, parentId, name, folder.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A folder with this name already exists here',
+        });
+      }
+
+      await folder.update({ name, parentId });
+
+      res.json({
+        success: true,
+        message: 'Folder updated successfully',
+        data: {
+          folder: await toFolderSummary(folder),
+        },
+      });
+    } catch (error) {
+      console.error('Update media folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating the folder',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/media-folders/:folderId
+ * Delete a media folder; its media items and subfolders move to its parent
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.delete('/:folderId',
+  protect,
+  requireRole('owner', 'admin', 'manager'),
+  [folderIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const folder = await findFolder(req.company.id, req.params.folderId);
+
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      const moved = await deleteFolder(folder);
+
+      console.log(`🗑️  Media folder "${folder.name}" deleted by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Folder deleted successfully',
+        data: {
+          id: folder.id,
+          parentId: folder.parentId,
+          ...moved,
+        },
+      });
+    } catch (error) {
+      console.error('Delete media folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while deleting the folder',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,10 +7,42 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult, param } = require('express-validator');
-const { Video, User, Company, sequelize, Sequelize } = require('../models');
+const { body, validationResult, param, query } = require('express-validator');
+const { Video, User, Company, Device, Playlist, Schedule, ScheduleItem, sequelize, Sequelize } = require('../models');
 const { protect, requireRole } = require('../middleware/sessionAuth');
 const { checkCompanyLicense } = require('../middleware/licenseCheck');
+const { generateUniqueCode, isValidCode } = require('../utils/scheduleCode');
+const { generateDeviceName } = require('../utils/deviceName');
+const { issueDeviceToken, verifyDeviceToken, isDeviceRegistered } = require('../utils/deviceToken');
+const {
+  loadPlayerScheduleItems,
+  loadPlayerSchedule,
+  assignScheduleToDevice,
+  getDeviceAssignmentRef,
+} = require('../utils/deviceContent');
+const {
+  scheduleChannel,
+  playlistChannel,
+  deviceChannel,
+  subscribe,
+  publishScheduleUpdate,
+} = require('../utils/deviceEvents');
+const { deviceConfig } = require('../config');
+const { requireDeviceToken, getDeviceToken } = require('../middleware/deviceAuth');
+const { isValidTimeZone, getLocalDate, resolveSchedule, MAX_UPCOMING_LIMIT } = require('../utils/scheduleResolver');
+const { normalizeRRule, normalizeExdates, validateRecurrence } = require('../utils/scheduleRecurrence');
+const {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  DEFAULT_PRIORITY,
+  planConflicts,
+  formatConflicts,
+  applyConflicts,
+  releaseYieldingItems,
+  describeConflicts,
+} = require('../utils/scheduleConflicts');
 const verifyToken = protect; // Alias for compatibility
 
 /**
@@ -22,185 +54,131 @@ const isValidUUID = (str) => {
 };
 
 /**
- * Helper function to convert time string (HH:MM:SS) to seconds
+ * Helper function to normalize a time to HH:MM:SS format
  */
-const timeToSeconds = (timeStr) => {
-  const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-  return hours * 3600 + minutes * 60 + (seconds || 0);
-};
+const normalizeTime = (time) => (time.split(':').length === 2 ? `${time}:00` : time);
 
 /**
- * Helper function to check if two day-of-week arrays overlap
- * Returns true if they share common days or if either is null (every day)
+ * Helper function to throw the validation error of a recurrence part
  */
-const daysOverlap = (days1, days2) => {
-  // If either is null, it means "every day", so they overlap
-  if (!days1 || !days2) return true;
-  
-  // Check if arrays share any common day
-  return days1.some(day => days2.includes(day));
+const assertRecurrence = (recurrence) => {
+  const error = validateRecurrence(recurrence);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
 };
 
 /**
- * Helper function to check if date ranges overlap
+ * Validators shared by adding, updating and previewing schedule items
  */
-const dateRangesOverlap = (start1, end1, start2, end2) => {
-  // If no date ranges specified, they overlap
-  if (!start1 && !end1 && !start2 && !end2) return true;
-  
-  // Convert to dates for comparison
-  const s1 = start1 ? new Date(start1) : null;
-  const e1 = end1 ? new Date(end1) : null;
-  const s2 = start2 ? new Date(start2) : null;
-  const e2 = end2 ? new Date(end2) : null;
-  
-  // If one has no date range, assume it overlaps
-  if (!s1 && !e1) return true;
-  if (!s2 && !e2) return true;
-  
-  // Check if date ranges overlap
-  // Range 1: [s1, e1], Range 2: [s2, e2]
-  // They overlap if: s1 <= e2 AND s2 <= e1
-  const start1Date = s1 || new Date('1900-01-01');
-  const end1Date = e1 || new Date('2100-12-31');
-  const start2Date = s2 || new Date('1900-01-01');
-  const end2Date = e2 || new Date('2100-12-31');
-  
-  return start1Date <= end2Date && start2Date <= end1Date;
-};
+const itemOptionValidators = [
+  body('playlistId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Playlist ID must be a valid UUID')
+    .custom((playlistId, { req }) => {
+      if (playlistId && req.body.videoId) {
+        throw new Error('Use either videoId or playlistId, not both');
+      }
+      return true;
+    }),
+  body('rrule')
+    .optional({ nullable: true })
+    .custom((rrule, { req }) => {
+      if (rrule && req.body.dayOfWeek && req.body.dayOfWeek.length > 0) {
+        throw new Error('Use either dayOfWeek or rrule, not both');
+      }
+      return assertRecurrence({ rrule });
+    }),
+  body('exdates')
+    .optional({ nullable: true })
+    .custom((exdates) => assertRecurrence({ exdates })),
+  body('priority')
+    .optional()
+    .isInt({ min: MIN_PRIORITY, max: MAX_PRIORITY })
+    .withMessage(`Priority must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`),
+  body('strategy')
+    .optional()
+    .isIn(STRATEGIES)
+    .withMessage(`Strategy must be one of ${STRATEGIES.join(', ')}`),
+];
 
 /**
- * Find and adjust overlapping schedule items
- * New items have PRIORITY - existing items are automatically adjusted or removed
- * @returns {Object} { adjustedItems, removedItems }
+ * Work out the timing of a schedule item from a request body
+ * Values missing from the body are taken from the existing item when updating.
+ * Setting dayOfWeek replaces the recurrence rule and the other way round; a
+ * recurrence rule counts from its startDate (DTSTART), today in the
+ * schedule's timezone if not given.
+ * @returns {Object} { startTime, duration, dayOfWeek, rrule, exdates, startDate, endDate, priority }
  */
-const adjustOverlappingItems = async (scheduleId, startTime, duration, dayOfWeek, startDate, endDate, transaction, excludeItemId = null) => {
-  const newStartSeconds = timeToSeconds(startTime);
-  const newEndSeconds = newStartSeconds + duration;
-  
-  // Get all active items in the schedule
-  const existingItems = await ScheduleItem.findAll({
-    where: {
-      scheduleId: scheduleId,
-      isActive: true,
-      ...(excludeItemId && { id: { [Sequelize.Op.ne]: excludeItemId } }),
-    },
-    include: [
-      {
-        model: Video,
-        as: 'video',
-        attributes: ['id', 'fileName'],
-      },
-    ],
-    transaction,
-  });
-  
-  const adjustedItems = [];
-  const removedItems = [];
-  
-  for (const item of existingItems) {
-    const itemStartSeconds = timeToSeconds(item.startTime);
-    const itemEndSeconds = itemStartSeconds + item.duration;
-    
-    // Check if time ranges overlap
-    const timeOverlaps = newStartSeconds < itemEndSeconds && itemStartSeconds < newEndSeconds;
-    if (!timeOverlaps) continue;
-    
-    // Check if days overlap
-    const daysOverlapFlag = daysOverlap(dayOfWeek, item.dayOfWeek);
-    if (!daysOverlapFlag) continue;
-    
-    // Check if date ranges overlap
-    const datesOverlapFlag = dateRangesOverlap(startDate, endDate, item.startDate, item.endDate);
-    if (!datesOverlapFlag) continue;
-    
-    // Overlap detected - determine how to adjust (NEW VIDEO HAS PRIORITY)
-    
-    // Case 1: New item completely covers existing item -> Remove existing
-    if (newStartSeconds <= itemStartSeconds && newEndSeconds >= itemEndSeconds) {
-      await item.update({ isActive: false }, { transaction });
-      removedItems.push({
-        id: item.id,
-        videoName: item.video.fileName,
-        reason: 'Completely overlapped by new video',
-      });
-      continue;
-    }
-    
-    // Case 2: New item starts before and overlaps beginning -> Trim existing item start
-    if (newStartSeconds <= itemStartSeconds && newEndSeconds < itemEndSeconds) {
-      const newItemStart = newEndSeconds; // Start after new video ends
-      const newItemDuration = itemEndSeconds - newEndSeconds;
-      const newStartTime = new Date(newItemStart * 1000).toISOString().substr(11, 8);
-      
-      await item.update({
-        startTime: newStartTime,
-        duration: newItemDuration,
-      }, { transaction });
-      
-      adjustedItems.push({
-        id: item.id,
-        videoName: item.video.fileName,
-        oldStart: item.startTime,
-        oldDuration: item.duration,
-        newStart: newStartTime,
-        newDuration: newItemDuration,
-        adjustment: 'Start time moved forward',
-      });
-      continue;
-    }
-    
-    // Case 3: New item starts after and overlaps end -> Trim existing item end
-    if (newStartSeconds > itemStartSeconds && newEndSeconds >= itemEndSeconds) {
-      const newItemDuration = newStartSeconds - itemStartSeconds;
-      
-      await item.update({
-        duration: newItemDuration,
-      }, { transaction });
-      
-      adjustedItems.push({
-        id: item.id,
-        videoName: item.video.fileName,
-        oldStart: item.startTime,
-        oldDuration: item.duration,
-        newStart: item.startTime,
-        newDuration: newItemDuration,
-        adjustment: 'Duration shortened',
-      });
-      continue;
-    }
-    
-    // Case 4: New item is in the middle -> Split existing item (keep first part, remove second)
-    if (newStartSeconds > itemStartSeconds && newEndSeconds < itemEndSeconds) {
-      // Keep the part before the new item, discard the part after
-      const newItemDuration = newStartSeconds - itemStartSeconds;
-      
-      await item.update({
-        duration: newItemDuration,
-      }, { transaction });
-      
-      adjustedItems.push({
-        id: item.id,
-        videoName: item.video.fileName,
-        oldStart: item.startTime,
-        oldDuration: item.duration,
-        newStart: item.startTime,
-        newDuration: newItemDuration,
-        adjustment: 'Duration shortened (middle overlap - new video takes priority)',
-      });
-      // Note: We don't create the second part - new video takes complete priority
-    }
+const buildItemTiming = (data, schedule, existing = null) => {
+  const current = existing || {
+    startTime: null,
+    duration: null,
+    dayOfWeek: null,
+    rrule: null,
+    exdates: [],
+    startDate: null,
+    endDate: null,
+    priority: DEFAULT_PRIORITY,
+  };
+
+  let rrule = current.rrule;
+  if (data.rrule !== undefined) {
+    rrule = data.rrule ? normalizeRRule(data.rrule) : null;
+  } else if (data.dayOfWeek) {
+    rrule = null;
   }
-  
+
   return {
-    adjustedItems,
-    removedItems,
+    startTime: data.startTime ? normalizeTime(data.startTime) : current.startTime,
+    duration: data.duration !== undefined ? Number(data.duration) : current.duration,
+    dayOfWeek: rrule ? null : ((data.dayOfWeek !== undefined ? data.dayOfWeek : current.dayOfWeek) || null),
+    rrule,
+    exdates: data.exdates !== undefined ? normalizeExdates(data.exdates || []).exdates : current.exdates,
+    startDate: (data.startDate !== undefined ? data.startDate : current.startDate)
+      || (rrule ? getLocalDate(schedule.timezone) : null),
+    endDate: (data.endDate !== undefined ? data.endDate : current.endDate) || null,
+    priority: data.priority !== undefined ? Number(data.priority) : current.priority,
   };
 };
 
+/**
+ * Build the 409 response body for an item whose conflicts cannot be resolved
+ */
+const conflictResponse = (plan, strategy) => {
+  const rejected = plan.conflicts.filter(conflict => conflict.action === 'reject');
+  const message = strategy === 'reject'
+    ? `The item overlaps ${rejected.length} existing item(s). Preview the conflicts, or save with strategy 'override' or 'split'`
+    : `The item cannot be saved with strategy '${strategy}': ${rejected.length} overlapping item(s) cannot be changed`;
+
+  return {
+    success: false,
+    message,
+    data: {
+      strategy,
+      conflicts: formatConflicts(plan.conflicts),
+    },
+  };
+};
+
+/**
+ * Helper function to find an active playlist of the company
+ */
+const findCompanyPlaylist = (companyId, playlistId, transaction = null) => Playlist.findOne({
+  where: {
+    id: playlistId,
+    companyId,
+    isActive: true,
+  },
+  transaction,
+});
+
 /**
  * POST /api/schedules
  * Create a new schedule
+ * fallbackPlaylistId: playlist played whenever no item is on
  * Requires: accessToken
  * Allowed roles: owner, admin, manager, member
  */
@@ -220,8 +198,12 @@ router.post('/',
       .trim(),
     body('timezone')
       .optional()
-      .isString()
-      .withMessage('Timezone must be a string'),
+      .custom(isValidTimeZone)
+      .withMessage('Timezone must be an IANA timezone name (e.g. Europe/Berlin)'),
+    body('fallbackPlaylistId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Fallback playlist ID must be a valid UUID'),
     body('settings')
       .optional()
       .isObject()
@@ -238,7 +220,14 @@ router.post('/',
         });
       }
 
-      const { name, description, timezone, settings } = req.body;
+      const { name, description, timezone, settings, fallbackPlaylistId } = req.body;
+
+      if (fallbackPlaylistId && !await findCompanyPlaylist(req.company.id, fallbackPlaylistId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fallback playlist not found',
+        });
+      }
 
       // Generate unique code
       const code = await generateUniqueCode(Schedule);
@@ -251,6 +240,7 @@ router.post('/',
         description: description || null,
         code,
         timezone: timezone || 'UTC',
+        fallbackPlaylistId: fallbackPlaylistId || null,
         settings: settings || {},
         isActive: true,
       });
@@ -264,6 +254,7 @@ router.post('/',
           description: schedule.description,
           code: schedule.code,
           timezone: schedule.timezone,
+          fallbackPlaylistId: schedule.fallbackPlaylistId,
           settings: schedule.settings,
           isActive: schedule.isActive,
           createdAt: schedule.createdAt,
@@ -308,10 +299,20 @@ router.get('/', verifyToken, async (req, res) => {
             {
               model: Video,
               as: 'video',
-              attributes: ['id', 'fileName', 'fileSize', 'mimeType', 'duration'],
+              attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'fileSize', 'mimeType', 'duration'],
+            },
+            {
+              model: Playlist,
+              as: 'playlist',
+              attributes: ['id', 'name', 'code'],
             },
           ],
         },
+        {
+          model: Playlist,
+          as: 'fallbackPlaylist',
+          attributes: ['id', 'name', 'code'],
+        },
       ],
       order: [
         ['createdAt', 'DESC'],
@@ -328,6 +329,7 @@ router.get('/', verifyToken, async (req, res) => {
       settings: schedule.settings,
       isActive: schedule.isActive,
       itemCount: schedule.items ? schedule.items.length : 0,
+      fallbackPlaylist: schedule.fallbackPlaylist,
       creator: {
         id: schedule.creator.id,
         email: schedule.creator.email,
@@ -392,11 +394,21 @@ router.get('/:scheduleId', verifyToken, async (req, res) => {
             {
               model: Video,
               as: 'video',
-              attributes: ['id', 'fileName', 'originalFileName', 'fileSize', 'mimeType', 'duration', 'resolution'],
+              attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'originalFileName', 'fileSize', 'mimeType', 'duration', 'resolution'],
+            },
+            {
+              model: Playlist,
+              as: 'playlist',
+              attributes: ['id', 'name', 'code'],
             },
           ],
           order: [['startTime', 'ASC']],
         },
+        {
+          model: Playlist,
+          as: 'fallbackPlaylist',
+          attributes: ['id', 'name', 'code'],
+        },
       ],
     });
 
@@ -423,6 +435,7 @@ router.get('/:scheduleId', verifyToken, async (req, res) => {
         description: schedule.description,
         code: schedule.code,
         timezone: schedule.timezone,
+        fallbackPlaylist: schedule.fallbackPlaylist,
         settings: schedule.settings,
         isActive: schedule.isActive,
         deviceCount: deviceCount,
@@ -436,11 +449,16 @@ router.get('/:scheduleId', verifyToken, async (req, res) => {
           startTime: item.startTime,
           duration: item.duration,
           dayOfWeek: item.dayOfWeek,
+          rrule: item.rrule,
+          exdates: item.exdates,
           startDate: item.startDate,
           endDate: item.endDate,
+          priority: item.priority,
           order: item.order,
+          yieldsTo: item.yieldsTo,
           metadata: item.metadata,
           video: item.video,
+          playlist: item.playlist,
           createdAt: item.createdAt,
         })) : [],
         createdAt: schedule.createdAt,
@@ -466,11 +484,8 @@ router.get('/public/:code', async (req, res) => {
   try {
     const { code } = req.params;
 
-    // Normalize code to uppercase for case-insensitive matching
-    const normalizedCode = code.toUpperCase();
-
-    // Validate code format
-    if (!isValidCode(normalizedCode)) {
+    // Codes mix upper and lower case, so they are matched exactly as stored
+    if (!isValidCode(code)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid schedule code format',
@@ -479,7 +494,7 @@ router.get('/public/:code', async (req, res) => {
 
     const schedule = await Schedule.findOne({
       where: {
-        code: normalizedCode,
+        code,
         isActive: true,
       },
       include: [
@@ -498,7 +513,8 @@ router.get('/public/:code', async (req, res) => {
               model: Video,
               as: 'video',
               where: { isActive: true },
-              attributes: ['id', 'fileName', 'fileSize', 'mimeType', 'duration', 'resolution'],
+              required: false,
+              attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'fileSize', 'mimeType', 'duration', 'resolution'],
             },
           ],
         },
@@ -521,6 +537,8 @@ router.get('/public/:code', async (req, res) => {
       },
     });
 
+    const { items, fallbackPlaylist } = await loadPlayerScheduleItems(schedule);
+
     res.json({
       success: true,
       data: {
@@ -535,17 +553,8 @@ router.get('/public/:code', async (req, res) => {
           name: schedule.company.name,
           logo: schedule.company.logo,
         },
-        items: schedule.items ? schedule.items.map(item => ({
-          id: item.id,
-          startTime: item.startTime,
-          duration: item.duration,
-          dayOfWeek: item.dayOfWeek,
-          startDate: item.startDate,
-          endDate: item.endDate,
-          order: item.order,
-          metadata: item.metadata,
-          video: item.video,
-        })) : [],
+        items,
+        fallbackPlaylist,
         createdAt: schedule.createdAt,
         updatedAt: schedule.updatedAt,
       },
@@ -560,11 +569,270 @@ router.get('/public/:code', async (req, res) => {
   }
 });
 
+const upcomingLimitValidator = query('limit')
+  .optional()
+  .isInt({ min: 0, max: MAX_UPCOMING_LIMIT })
+  .withMessage(`Limit must be an integer between 0 and ${MAX_UPCOMING_LIMIT}`);
+
+/**
+ * Resolve a public schedule at an instant and send the result
+ * @param {Object} req - Request with params.code and query.limit
+ * @param {Object} res - Response
+ * @param {Date} at - Instant to resolve
+ */
+const sendResolvedSchedule = async (req, res, at) => {
+  const { code } = req.params;
+
+  if (!isValidCode(code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid schedule code format',
+    });
+  }
+
+  const schedule = await Schedule.findOne({
+    where: {
+      code,
+      isActive: true,
+    },
+    include: [
+      {
+        model: ScheduleItem,
+        as: 'items',
+        where: { isActive: true },
+        required: false,
+        include: [
+          {
+            model: Video,
+            as: 'video',
+            where: { isActive: true },
+            required: false,
+            attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'fileSize', 'mimeType', 'duration', 'resolution'],
+          },
+        ],
+      },
+    ],
+    order: [[{ model: ScheduleItem, as: 'items' }, 'startTime', 'ASC']],
+  });
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found or inactive',
+    });
+  }
+
+  const { items, fallbackPlaylist } = await loadPlayerScheduleItems(schedule);
+
+  const resolved = resolveSchedule(
+    { timezone: schedule.timezone, items, fallbackPlaylist },
+    at,
+    { limit: req.query.limit }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      id: schedule.id,
+      name: schedule.name,
+      code: schedule.code,
+      ...resolved,
+    },
+  });
+};
+
+/**
+ * GET /api/schedules/public/:code/now
+ * What the schedule shows right now, in its timezone (NO AUTHENTICATION REQUIRED)
+ * Query: limit - number of upcoming items (default 5)
+ * Returns the current item with the seconds remaining (null between items)
+ * and the upcoming items of the next 7 days
+ */
+router.get('/public/:code/now',
+  [upcomingLimitValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      await sendResolvedSchedule(req, res, new Date());
+    } catch (error) {
+      console.error('Resolve schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while resolving the schedule',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/schedules/public/:code/at
+ * What the schedule shows at a given instant (NO AUTHENTICATION REQUIRED)
+ * Query: ts - ISO 8601 timestamp or epoch milliseconds; limit - as for /now
+ */
+router.get('/public/:code/at',
+  [
+    query('ts')
+      .notEmpty()
+      .withMessage('ts is required')
+      .bail()
+      .custom(value => /^\d+$/.test(value) || !isNaN(Date.parse(value)))
+      .withMessage('ts must be an ISO 8601 timestamp or epoch milliseconds'),
+    upcomingLimitValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { ts } = req.query;
+      const at = new Date(/^\d+$/.test(ts) ? Number(ts) : ts);
+
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'ts is out of range',
+        });
+      }
+
+      await sendResolvedSchedule(req, res, at);
+    } catch (error) {
+      console.error('Resolve schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while resolving the schedule',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/schedules/:scheduleId/events
+ * Server-Sent Events stream for players following a schedule
+ * Requires: device token (?deviceToken= since EventSource cannot send headers)
+ * of a device the schedule is assigned to, directly or through its group
+ * Forwards "schedule-updated" when the schedule or its items change,
+ * "timeline-updated" from the playlists it plays, and the device's own events
+ * ("assignment-changed", "command", "revoked" - the stream closes after "revoked")
+ */
+router.get('/:scheduleId/events',
+  requireDeviceToken,
+  [param('scheduleId').isUUID().withMessage('Schedule ID must be a valid UUID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { scheduleId } = req.params;
+      const ref = await getDeviceAssignmentRef(req.device);
+
+      if (!ref || ref.type !== 'schedule' || ref.id !== scheduleId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Schedule not found',
+        });
+      }
+
+      const [schedule, items] = await Promise.all([
+        Schedule.findByPk(scheduleId, { attributes: ['id', 'fallbackPlaylistId'] }),
+        ScheduleItem.findAll({
+          where: { scheduleId, isActive: true, playlistId: { [Sequelize.Op.ne]: null } },
+          attributes: ['playlistId'],
+        }),
+      ]);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable nginx response buffering
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Tell EventSource how long to wait before reconnecting after a drop
+      res.write('retry: 10000\n\n');
+      send('connected', { scheduleId });
+
+      // Playlists are fixed for the life of the stream: players reconnect after "schedule-updated"
+      const playlistIds = [...new Set([
+        schedule && schedule.fallbackPlaylistId,
+        ...items.map(item => item.playlistId),
+      ].filter(Boolean))];
+      const channels = [
+        scheduleChannel(scheduleId),
+        deviceChannel(req.device.id),
+        ...playlistIds.map(playlistChannel),
+      ];
+      let keepalive = null;
+
+      const close = () => {
+        clearInterval(keepalive);
+        unsubscribe();
+      };
+
+      const unsubscribe = subscribe(channels, ({ event, data }) => {
+        send(event, data);
+
+        if (event === 'revoked') {
+          close();
+          res.end();
+        }
+      });
+
+      keepalive = setInterval(() => {
+        res.write(': keepalive\n\n');
+      }, deviceConfig.eventsKeepaliveSeconds * 1000);
+
+      req.on('close', close);
+    } catch (error) {
+      console.error('Schedule event stream error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while opening the event stream',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * POST /api/schedules/device/register
  * Register a device to a schedule using the schedule code
  * PUBLIC ENDPOINT - No authentication required
- * Creates or updates device registration and returns schedule details
+ * Creates or updates device registration and returns the schedule as players
+ * follow it (see loadPlayerSchedule) along with a new device token (returned
+ * only once - the player must store it). A schedule code replaces any playlist
+ * or layout the device was assigned. A device that already has a token must
+ * send it in X-Device-Token, which it keeps; a device registered to a company
+ * can only register to that company's schedules.
  */
 router.post('/device/register',
   [
@@ -596,21 +864,18 @@ router.post('/device/register',
 
       const { scheduleCode, uid, deviceInfo } = req.body;
 
-      // Normalize code to uppercase for case-insensitive matching
-      const normalizedCode = scheduleCode.toUpperCase();
-
       // Validate code format
-      if (!isValidCode(normalizedCode)) {
+      if (!isValidCode(scheduleCode)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid schedule code format',
         });
       }
 
-      // Find schedule by code (case-insensitive)
+      // Find schedule by code (case-sensitive, like playlist codes)
       const schedule = await Schedule.findOne({
         where: {
-          code: normalizedCode,
+          code: scheduleCode,
           isActive: true,
         },
         include: [
@@ -619,22 +884,7 @@ router.post('/device/register',
             as: 'company',
             attributes: ['id', 'name', 'logo'],
           },
-          {
-            model: ScheduleItem,
-            as: 'items',
-            where: { isActive: true },
-            required: false,
-            include: [
-              {
-                model: Video,
-                as: 'video',
-                where: { isActive: true },
-                attributes: ['id', 'fileName', 'fileSize', 'mimeType', 'duration', 'resolution'],
-              },
-            ],
-          },
         ],
-        order: [[{ model: ScheduleItem, as: 'items' }, 'startTime', 'ASC']],
       });
 
       if (!schedule) {
@@ -674,31 +924,71 @@ router.post('/device/register',
 
       console.log('✅ Valid license found for company:', schedule.companyId);
 
-      // Create or update device registration
-      const [device, created] = await Device.findOrCreate({
-        where: {
-          scheduleId: schedule.id,
-          uid: uid,
-        },
-        defaults: {
-          scheduleId: schedule.id,
-          uid: uid,
-          name: generateDeviceName(), // Auto-generate friendly name
-          deviceInfo: deviceInfo || {},
-          lastSeen: new Date(),
-          isActive: true,
-        },
+      // Find or create device
+      let device = await Device.findOne({
+        where: { uid },
       });
+      const created = !device;
+
+      if (device && device.revokedAt) {
+        console.log('❌ Registration refused for revoked device:', device.uid);
+        return res.status(403).json({
+          success: false,
+          message: 'This device\'s access has been revoked. Pair it again from the dashboard.',
+        });
+      }
+
+      if (device && !device.isActive && device.companyId) {
+        console.log('❌ Registration refused for deactivated device:', device.uid);
+        return res.status(403).json({
+          success: false,
+          message: 'This device has been deactivated. Activate it from the dashboard.',
+        });
+      }
+
+      const currentToken = getDeviceToken(req);
+      const registered = isDeviceRegistered(device);
+
+      if (registered && !verifyDeviceToken(device, currentToken)) {
+        console.log('❌ Registration refused for registered device without its token:', device.uid);
+        return res.status(401).json({
+          success: false,
+          message: 'This screen is already registered. Send its device token to register it again.',
+        });
+      }
+
+      if (device && device.companyId && device.companyId !== schedule.companyId) {
+        console.log('❌ Registration refused for device of another company:', device.uid);
+        return res.status(403).json({
+          success: false,
+          message: 'This screen belongs to another company. It must be removed there before it can be registered here.',
+        });
+      }
 
-      // If device already exists, update it
-      if (!created) {
+      if (device) {
         await device.update({
+          companyId: schedule.companyId,
           deviceInfo: deviceInfo || device.deviceInfo,
           lastSeen: new Date(),
           isActive: true,
         });
+      } else {
+        device = await Device.create({
+          uid,
+          companyId: schedule.companyId,
+          name: generateDeviceName(), // Auto-generate friendly name
+          deviceInfo: deviceInfo || {},
+          lastSeen: new Date(),
+          isActive: true,
+        });
       }
 
+      await assignScheduleToDevice(device, schedule.id);
+
+      // Issue a credential for player endpoints (a registered device keeps its own)
+      const deviceToken = registered ? currentToken : await issueDeviceToken(device);
+      const playerSchedule = await loadPlayerSchedule(schedule.id);
+
       res.status(created ? 201 : 200).json({
         success: true,
         message: created 
@@ -711,28 +1001,13 @@ router.post('/device/register',
           lastSeen: device.lastSeen,
           registered: created,
         },
+        deviceToken,
         schedule: {
-          id: schedule.id,
-          name: schedule.name,
-          description: schedule.description,
-          code: schedule.code,
-          timezone: schedule.timezone,
-          settings: schedule.settings,
+          ...playerSchedule,
           company: {
             name: schedule.company.name,
             logo: schedule.company.logo,
           },
-          items: schedule.items ? schedule.items.map(item => ({
-            id: item.id,
-            startTime: item.startTime,
-            duration: item.duration,
-            dayOfWeek: item.dayOfWeek,
-            startDate: item.startDate,
-            endDate: item.endDate,
-            order: item.order,
-            metadata: item.metadata,
-            video: item.video,
-          })) : [],
           createdAt: schedule.createdAt,
           updatedAt: schedule.updatedAt,
         },
@@ -842,7 +1117,7 @@ router.put('/device/:deviceId/name',
 
 /**
  * PUT /api/schedules/:scheduleId
- * Update schedule details
+ * Update schedule details (fallbackPlaylistId null: nothing plays between items)
  * Requires: accessToken
  * Allowed roles: owner, admin, manager, member (creator only for members)
  */
@@ -860,8 +1135,12 @@ router.put('/:scheduleId',
       .trim(),
     body('timezone')
       .optional()
-      .isString()
-      .withMessage('Timezone must be a string'),
+      .custom(isValidTimeZone)
+      .withMessage('Timezone must be an IANA timezone name (e.g. Europe/Berlin)'),
+    body('fallbackPlaylistId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Fallback playlist ID must be a valid UUID'),
     body('settings')
       .optional()
       .isObject()
@@ -883,7 +1162,7 @@ router.put('/:scheduleId',
       }
 
       const { scheduleId } = req.params;
-      const { name, description, timezone, settings, isActive } = req.body;
+      const { name, description, timezone, settings, isActive, fallbackPlaylistId } = req.body;
 
       if (!isValidUUID(scheduleId)) {
         return res.status(400).json({
@@ -919,16 +1198,26 @@ router.put('/:scheduleId',
         });
       }
 
+      if (fallbackPlaylistId && !await findCompanyPlaylist(req.company.id, fallbackPlaylistId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fallback playlist not found',
+        });
+      }
+
       // Update schedule
       const updateData = {};
       if (name !== undefined) updateData.name = name;
       if (description !== undefined) updateData.description = description;
       if (timezone !== undefined) updateData.timezone = timezone;
+      if (fallbackPlaylistId !== undefined) updateData.fallbackPlaylistId = fallbackPlaylistId || null;
       if (settings !== undefined) updateData.settings = settings;
       if (isActive !== undefined) updateData.isActive = isActive;
 
       await schedule.update(updateData);
 
+      publishScheduleUpdate(schedule.id, 'update');
+
       res.json({
         success: true,
         message: 'Schedule updated successfully',
@@ -938,6 +1227,7 @@ router.put('/:scheduleId',
           description: schedule.description,
           code: schedule.code,
           timezone: schedule.timezone,
+          fallbackPlaylistId: schedule.fallbackPlaylistId,
           settings: schedule.settings,
           isActive: schedule.isActive,
           updatedAt: schedule.updatedAt,
@@ -1004,6 +1294,8 @@ router.delete('/:scheduleId',
       // Soft delete
       await schedule.update({ isActive: false });
 
+      publishScheduleUpdate(schedule.id, 'delete');
+
       res.json({
         success: true,
         message: 'Schedule deleted successfully',
@@ -1026,7 +1318,12 @@ router.delete('/:scheduleId',
 
 /**
  * POST /api/schedules/:scheduleId/items
- * Add a video item to schedule timeline
+ * Add an item to schedule timeline: a video, or a playlist looped for the
+ * item's duration (playlistId, a dayparting block)
+ * Repeats on the dayOfWeek days (null: every day) or by an iCalendar rrule
+ * (e.g. FREQ=MONTHLY;BYDAY=1MO, startDate is its DTSTART), skipping exdates
+ * Items it overlaps are handled by strategy: reject (default, 409 with the
+ * conflicts), override (items of lower priority) or split
  * Requires: accessToken
  * Allowed roles: owner, admin, manager, member
  */
@@ -1036,6 +1333,7 @@ router.post('/:scheduleId/items',
   checkCompanyLicense,
   [
     body('videoId')
+      .optional({ nullable: true })
       .isUUID()
       .withMessage('Valid video ID is required'),
     body('startTime')
@@ -1052,6 +1350,7 @@ router.post('/:scheduleId/items',
       .optional()
       .isInt({ min: 0, max: 6 })
       .withMessage('Day of week values must be 0-6 (0=Sunday)'),
+    ...itemOptionValidators,
     body('startDate')
       .optional()
       .isISO8601()
@@ -1085,7 +1384,8 @@ router.post('/:scheduleId/items',
       }
 
       const { scheduleId } = req.params;
-      const { videoId, startTime, duration, dayOfWeek, startDate, endDate, order, metadata } = req.body;
+      const { videoId, playlistId, order, metadata } = req.body;
+      const strategy = req.body.strategy || DEFAULT_STRATEGY;
 
       if (!isValidUUID(scheduleId)) {
         await t.rollback();
@@ -1095,8 +1395,16 @@ router.post('/:scheduleId/items',
         });
       }
 
-      // Check schedule exists and belongs to company
-      const schedule = await Schedule.findOne({
+      if (!videoId && !playlistId) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Either videoId or playlistId is required',
+        });
+      }
+
+      // Check schedule exists and belongs to company
+      const schedule = await Schedule.findOne({
         where: {
           id: scheduleId,
           companyId: req.company.id,
@@ -1113,62 +1421,67 @@ router.post('/:scheduleId/items',
         });
       }
 
-      // Check video exists and belongs to company
-      const video = await Video.findOne({
-        where: {
-          id: videoId,
-          companyId: req.company.id,
-          isActive: true,
-        },
-        transaction: t,
-      });
+      // Check video or playlist exists and belongs to company
+      const video = videoId
+        ? await Video.findOne({
+          where: {
+            id: videoId,
+            companyId: req.company.id,
+            isActive: true,
+          },
+          transaction: t,
+        })
+        : null;
+      const playlist = playlistId ? await findCompanyPlaylist(req.company.id, playlistId, t) : null;
 
-      if (!video) {
+      if (!video && !playlist) {
         await t.rollback();
         return res.status(404).json({
           success: false,
-          message: 'Video not found',
+          message: playlistId ? 'Playlist not found' : 'Video not found',
         });
       }
 
-      // Normalize time to HH:MM:SS format
-      let normalizedTime = startTime;
-      if (startTime.split(':').length === 2) {
-        normalizedTime = `${startTime}:00`;
-      }
+      const timing = buildItemTiming(req.body, schedule);
 
-      // Adjust overlapping schedule items (new video has priority)
-      const adjustmentResult = await adjustOverlappingItems(
-        scheduleId,
-        normalizedTime,
-        duration,
-        dayOfWeek || null,
-        startDate || null,
-        endDate || null,
-        t // Pass transaction
-      );
+      // Work out what happens to overlapping items before saving anything
+      const plan = await planConflicts(timing, {
+        scheduleId: schedule.id,
+        timezone: schedule.timezone,
+        strategy,
+        transaction: t,
+      });
+
+      if (plan.blocked) {
+        await t.rollback();
+        return res.status(409).json(conflictResponse(plan, strategy));
+      }
 
       // Create schedule item (within transaction)
       const scheduleItem = await ScheduleItem.create({
         scheduleId: schedule.id,
-        videoId: video.id,
-        startTime: normalizedTime,
-        duration,
-        dayOfWeek: dayOfWeek || null,
-        startDate: startDate || null,
-        endDate: endDate || null,
+        videoId: video ? video.id : null,
+        playlistId: playlist ? playlist.id : null,
+        ...timing,
         order: order || 0,
         metadata: metadata || {},
         isActive: true,
       }, { transaction: t });
 
+      const applied = await applyConflicts(plan.conflicts, scheduleItem.id, t);
+
       // Fetch complete item with video details
       const completeItem = await ScheduleItem.findByPk(scheduleItem.id, {
         include: [
           {
             model: Video,
             as: 'video',
-            attributes: ['id', 'fileName', 'fileSize', 'mimeType', 'duration'],
+            attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'fileSize', 'mimeType', 'duration'],
+          },
+          {
+            model: Playlist,
+            as: 'playlist',
+            attributes: ['id', 'name', 'code'],
           },
         ],
         transaction: t,
@@ -1177,10 +1490,12 @@ router.post('/:scheduleId/items',
       // Commit transaction
       await t.commit();
 
+      publishScheduleUpdate(scheduleId, 'add-item');
+
       // Build response message
       let message = 'Schedule item added successfully';
-      if (adjustmentResult.adjustedItems.length > 0 || adjustmentResult.removedItems.length > 0) {
-        message += `. ${adjustmentResult.adjustedItems.length} existing video(s) adjusted, ${adjustmentResult.removedItems.length} video(s) removed to make room.`;
+      if (applied.length > 0) {
+        message += `. ${describeConflicts(applied)} (restorable).`;
       }
 
       res.status(201).json({
@@ -1191,17 +1506,18 @@ router.post('/:scheduleId/items',
           startTime: completeItem.startTime,
           duration: completeItem.duration,
           dayOfWeek: completeItem.dayOfWeek,
+          rrule: completeItem.rrule,
+          exdates: completeItem.exdates,
           startDate: completeItem.startDate,
           endDate: completeItem.endDate,
+          priority: completeItem.priority,
           order: completeItem.order,
           metadata: completeItem.metadata,
           video: completeItem.video,
+          playlist: completeItem.playlist,
           createdAt: completeItem.createdAt,
         },
-        adjustments: {
-          adjusted: adjustmentResult.adjustedItems,
-          removed: adjustmentResult.removedItems,
-        },
+        conflicts: applied,
       });
     } catch (error) {
       // Rollback transaction on error
@@ -1216,9 +1532,142 @@ router.post('/:scheduleId/items',
   }
 );
 
+/**
+ * POST /api/schedules/:scheduleId/items/preview
+ * Dry run: list the items a new or changed item would overlap and what the
+ * strategy would do to each of them, without saving anything
+ * Body: the fields of POST /items (or of PUT /items/:itemId with itemId) and strategy
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
+ */
+router.post('/:scheduleId/items/preview',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    body('itemId')
+      .optional()
+      .isUUID()
+      .withMessage('Item ID must be a valid UUID'),
+    body('startTime')
+      .optional()
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+      .withMessage('Start time must be in HH:MM or HH:MM:SS format'),
+    body('duration')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Duration must be a positive integer (seconds)'),
+    body('dayOfWeek')
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage('Day of week must be an array'),
+    body('dayOfWeek.*')
+      .optional()
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Day of week values must be 0-6 (0=Sunday)'),
+    ...itemOptionValidators,
+    body('startDate')
+      .optional()
+      .custom((value) => value === null || /^\d{4}-\d{2}-\d{2}$/.test(value))
+      .withMessage('Start date must be null or a valid date (YYYY-MM-DD)'),
+    body('endDate')
+      .optional()
+      .custom((value) => value === null || /^\d{4}-\d{2}-\d{2}$/.test(value))
+      .withMessage('End date must be null or a valid date (YYYY-MM-DD)'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { scheduleId } = req.params;
+      const { itemId } = req.body;
+      const strategy = req.body.strategy || DEFAULT_STRATEGY;
+
+      if (!isValidUUID(scheduleId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid schedule ID format',
+        });
+      }
+
+      const schedule = await Schedule.findOne({
+        where: {
+          id: scheduleId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Schedule not found',
+        });
+      }
+
+      let existingItem = null;
+      if (itemId) {
+        existingItem = await ScheduleItem.findOne({
+          where: {
+            id: itemId,
+            scheduleId: scheduleId,
+            isActive: true,
+          },
+        });
+
+        if (!existingItem) {
+          return res.status(404).json({
+            success: false,
+            message: 'Schedule item not found',
+          });
+        }
+      } else if (!req.body.startTime || !req.body.duration) {
+        return res.status(400).json({
+          success: false,
+          message: 'startTime and duration are required to preview a new item',
+        });
+      }
+
+      const timing = buildItemTiming(req.body, schedule, existingItem);
+
+      const plan = await planConflicts(timing, {
+        scheduleId: schedule.id,
+        timezone: schedule.timezone,
+        strategy,
+        excludeIds: existingItem ? [existingItem.id] : [],
+        item: existingItem,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          strategy,
+          canSave: !plan.blocked,
+          timing,
+          conflicts: formatConflicts(plan.conflicts),
+        },
+      });
+    } catch (error) {
+      console.error('Preview schedule item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while previewing the schedule item',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * PUT /api/schedules/:scheduleId/items/:itemId
- * Update a schedule item
+ * Update a schedule item (videoId or playlistId switches what it plays)
+ * Items it overlaps are handled by strategy, as when adding an item
  * Requires: accessToken
  * Allowed roles: owner, admin, manager, member
  */
@@ -1239,9 +1688,14 @@ router.put('/:scheduleId/items/:itemId',
       .isInt({ min: 1 })
       .withMessage('Duration must be a positive integer (seconds)'),
     body('dayOfWeek')
-      .optional()
+      .optional({ nullable: true })
       .isArray()
       .withMessage('Day of week must be an array'),
+    body('dayOfWeek.*')
+      .optional()
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Day of week values must be 0-6 (0=Sunday)'),
+    ...itemOptionValidators,
     body('startDate')
       .optional()
       .custom((value) => value === null || /^\d{4}-\d{2}-\d{2}$/.test(value))
@@ -1275,7 +1729,8 @@ router.put('/:scheduleId/items/:itemId',
       }
 
       const { scheduleId, itemId } = req.params;
-      const { videoId, startTime, duration, dayOfWeek, startDate, endDate, order, metadata } = req.body;
+      const { videoId, playlistId, order, metadata } = req.body;
+      const strategy = req.body.strategy || DEFAULT_STRATEGY;
 
       if (!isValidUUID(scheduleId) || !isValidUUID(itemId)) {
         await t.rollback();
@@ -1341,47 +1796,62 @@ router.put('/:scheduleId/items/:itemId',
         }
       }
 
+      // Same for a playlist the item should loop instead
+      if (playlistId && !await findCompanyPlaylist(req.company.id, playlistId, t)) {
+        await t.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Playlist not found',
+        });
+      }
+
       // Prepare updated values (use existing if not provided)
-      const updatedStartTime = startTime 
-        ? (startTime.split(':').length === 2 ? `${startTime}:00` : startTime)
-        : scheduleItem.startTime;
-      const updatedDuration = duration !== undefined ? duration : scheduleItem.duration;
-      const updatedDayOfWeek = dayOfWeek !== undefined ? dayOfWeek : scheduleItem.dayOfWeek;
-      const updatedStartDate = startDate !== undefined ? startDate : scheduleItem.startDate;
-      const updatedEndDate = endDate !== undefined ? endDate : scheduleItem.endDate;
-
-      // Adjust overlapping schedule items (updated video has priority)
-      const adjustmentResult = await adjustOverlappingItems(
-        scheduleId,
-        updatedStartTime,
-        updatedDuration,
-        updatedDayOfWeek,
-        updatedStartDate,
-        updatedEndDate,
-        t, // Pass transaction
-        itemId // Exclude this item from overlap check
-      );
+      const timing = buildItemTiming(req.body, schedule, scheduleItem);
+
+      // Work out what happens to overlapping items before saving anything
+      const plan = await planConflicts(timing, {
+        scheduleId: schedule.id,
+        timezone: schedule.timezone,
+        strategy,
+        excludeIds: [scheduleItem.id],
+        item: scheduleItem,
+        transaction: t,
+      });
+
+      if (plan.blocked) {
+        await t.rollback();
+        return res.status(409).json(conflictResponse(plan, strategy));
+      }
 
       // Update schedule item
-      const updateData = {};
-      if (videoId !== undefined) updateData.videoId = videoId;
-      if (startTime !== undefined) updateData.startTime = updatedStartTime;
-      if (duration !== undefined) updateData.duration = duration;
-      if (dayOfWeek !== undefined) updateData.dayOfWeek = dayOfWeek;
-      if (startDate !== undefined) updateData.startDate = startDate;
-      if (endDate !== undefined) updateData.endDate = endDate;
+      const updateData = { ...timing };
+      if (videoId) {
+        updateData.videoId = videoId;
+        updateData.playlistId = null;
+      }
+      if (playlistId) {
+        updateData.playlistId = playlistId;
+        updateData.videoId = null;
+      }
       if (order !== undefined) updateData.order = order;
       if (metadata !== undefined) updateData.metadata = metadata;
 
       await scheduleItem.update(updateData, { transaction: t });
 
+      const applied = await applyConflicts(plan.conflicts, scheduleItem.id, t);
+
       // Fetch updated item with video details
       const updatedItem = await ScheduleItem.findByPk(scheduleItem.id, {
         include: [
           {
             model: Video,
             as: 'video',
-            attributes: ['id', 'fileName', 'fileSize', 'mimeType', 'duration'],
+            attributes: ['id', 'fileName', 'mediaType', 'sourceUrl', 'fileSize', 'mimeType', 'duration'],
+          },
+          {
+            model: Playlist,
+            as: 'playlist',
+            attributes: ['id', 'name', 'code'],
           },
         ],
         transaction: t,
@@ -1390,10 +1860,12 @@ router.put('/:scheduleId/items/:itemId',
       // Commit transaction
       await t.commit();
 
+      publishScheduleUpdate(scheduleId, 'update-item');
+
       // Build response message
       let message = 'Schedule item updated successfully';
-      if (adjustmentResult.adjustedItems.length > 0 || adjustmentResult.removedItems.length > 0) {
-        message += `. ${adjustmentResult.adjustedItems.length} existing video(s) adjusted, ${adjustmentResult.removedItems.length} video(s) removed to make room.`;
+      if (applied.length > 0) {
+        message += `. ${describeConflicts(applied)} (restorable).`;
       }
 
       res.json({
@@ -1404,17 +1876,18 @@ router.put('/:scheduleId/items/:itemId',
           startTime: updatedItem.startTime,
           duration: updatedItem.duration,
           dayOfWeek: updatedItem.dayOfWeek,
+          rrule: updatedItem.rrule,
+          exdates: updatedItem.exdates,
           startDate: updatedItem.startDate,
           endDate: updatedItem.endDate,
+          priority: updatedItem.priority,
           order: updatedItem.order,
           metadata: updatedItem.metadata,
           video: updatedItem.video,
+          playlist: updatedItem.playlist,
           updatedAt: updatedItem.updatedAt,
         },
-        adjustments: {
-          adjusted: adjustmentResult.adjustedItems,
-          removed: adjustmentResult.removedItems,
-        },
+        conflicts: applied,
       });
     } catch (error) {
       // Rollback transaction on error
@@ -1429,9 +1902,147 @@ router.put('/:scheduleId/items/:itemId',
   }
 );
 
+/**
+ * POST /api/schedules/:scheduleId/items/:itemId/restore
+ * Put an overridden or split item back as it was: it no longer gives way to
+ * other items
+ * Body: { strategy } for the items it would overlap now (default: reject)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
+ */
+router.post('/:scheduleId/items/:itemId/restore',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    body('strategy')
+      .optional()
+      .isIn(STRATEGIES)
+      .withMessage(`Strategy must be one of ${STRATEGIES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { scheduleId, itemId } = req.params;
+      const strategy = req.body.strategy || DEFAULT_STRATEGY;
+
+      if (!isValidUUID(scheduleId) || !isValidUUID(itemId)) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid ID format',
+        });
+      }
+
+      const schedule = await Schedule.findOne({
+        where: {
+          id: scheduleId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+        transaction: t,
+      });
+
+      if (!schedule) {
+        await t.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Schedule not found',
+        });
+      }
+
+      const scheduleItem = await ScheduleItem.findOne({
+        where: {
+          id: itemId,
+          scheduleId: scheduleId,
+          isActive: true,
+        },
+        transaction: t,
+      });
+
+      if (!scheduleItem) {
+        await t.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Schedule item not found',
+        });
+      }
+
+      if (scheduleItem.yieldsTo.length === 0) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Schedule item has not been overridden or split',
+        });
+      }
+
+      const timing = buildItemTiming({}, schedule, scheduleItem);
+
+      // Restored, the item no longer gives way to anything
+      const plan = await planConflicts(timing, {
+        scheduleId: schedule.id,
+        timezone: schedule.timezone,
+        strategy,
+        excludeIds: [scheduleItem.id],
+        item: { id: scheduleItem.id, yieldsTo: [] },
+        transaction: t,
+      });
+
+      if (plan.blocked) {
+        await t.rollback();
+        return res.status(409).json(conflictResponse(plan, strategy));
+      }
+
+      await scheduleItem.update({ yieldsTo: [] }, { transaction: t });
+
+      const applied = await applyConflicts(plan.conflicts, scheduleItem.id, t);
+
+      await t.commit();
+
+      publishScheduleUpdate(scheduleId, 'restore-item');
+
+      let message = 'Schedule item restored successfully';
+      if (applied.length > 0) {
+        message += `. ${describeConflicts(applied)} (restorable).`;
+      }
+
+      res.json({
+        success: true,
+        message,
+        data: {
+          id: scheduleItem.id,
+          startTime: scheduleItem.startTime,
+          duration: scheduleItem.duration,
+          priority: scheduleItem.priority,
+        },
+        conflicts: applied,
+      });
+    } catch (error) {
+      await t.rollback();
+      console.error('Restore schedule item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while restoring the schedule item',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/schedules/:scheduleId/items/:itemId
  * Delete a schedule item (soft delete)
+ * Items that gave way to it play in full again
  * Requires: accessToken
  * Allowed roles: owner, admin, manager, member
  */
@@ -1482,14 +2093,25 @@ router.delete('/:scheduleId/items/:itemId',
       }
 
       // Soft delete
-      await scheduleItem.update({ isActive: false });
+      const releasedCount = await sequelize.transaction(async (transaction) => {
+        await scheduleItem.update({ isActive: false }, { transaction });
+        return releaseYieldingItems(scheduleId, scheduleItem.id, transaction);
+      });
+
+      publishScheduleUpdate(scheduleId, 'remove-item');
+
+      let message = 'Schedule item deleted successfully';
+      if (releasedCount > 0) {
+        message += `. ${releasedCount} item(s) that gave way to it play in full again.`;
+      }
 
       res.json({
         success: true,
-        message: 'Schedule item deleted successfully',
+        message,
         data: {
           id: scheduleItem.id,
           deletedAt: new Date(),
+          releasedCount,
         },
       });
     } catch (error) {
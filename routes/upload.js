@@ -0,0 +1,501 @@
+/**
+ * Resumable Upload Routes
+ *
+ * Chunked uploads for large media files, continued after a dropped
+ * connection instead of restarted:
+ *   1. POST   /api/videos/uploads                  start (file name, type, size)
+ *   2. PUT    /api/videos/uploads/:uploadId?offset=n  send the next chunk (raw bytes)
+ *   3. POST   /api/videos/uploads/:uploadId/complete  create the video
+ * GET returns how many bytes the server has, i.e. where to continue.
+ * Chunks are stored under the company directory; the storage quota is
+ * checked when the upload starts and again before it is completed, when the
+ * file is stored as a (possibly shared) blob.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { UploadSession } = require('../models');
+const { protect, requireRole } = require('../middleware/sessionAuth');
+const { checkCompanyLicense } = require('../middleware/licenseCheck');
+const { storageConfig } = require('../config');
+const { isValidMediaMimeType } = require('../utils/fileStorage');
+const { queueMediaProcessing } = require('../utils/mediaJobs');
+const {
+  getSessionExpiry,
+  createPartFile,
+  getUploadedBytes,
+  lockSession,
+  unlockSession,
+  appendChunk,
+  getPartPath,
+  discardUploadSession,
+} = require('../utils/uploadSessions');
+const { findBlob, checkStorageQuota } = require('../utils/storageBlobs');
+const { createUploadedMedia } = require('../utils/mediaUploads');
+
+/**
+ * Helper function to validate UUID format
+ */
+const isValidUUID = (str) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(str);
+};
+
+/**
+ * Format the state of an upload session for responses
+ */
+const formatSession = (session) => ({
+  uploadId: session.id,
+  fileName: session.originalFileName,
+  fileSize: Number(session.fileSize),
+  uploadedBytes: Number(session.uploadedBytes),
+  chunkSize: storageConfig.uploadChunkSizeBytes,
+  status: session.status,
+  videoId: session.videoId,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Response for a file that does not fit in the company's storage
+ */
+const quotaExceeded = (res, quota) => {
+  const currentUsageMB = (quota.currentUsage / (1024 * 1024)).toFixed(2);
+  const fileSizeMB = (quota.fileSize / (1024 * 1024)).toFixed(2);
+  const limitMB = (quota.limit / (1024 * 1024)).toFixed(2);
+
+  return res.status(413).json({
+    success: false,
+    message: `Company storage limit exceeded. Your company has used ${currentUsageMB}MB of ${limitMB}MB. This file (${fileSizeMB}MB) would exceed your storage quota.`,
+    data: {
+      currentUsage: quota.currentUsage,
+      fileSize: quota.fileSize,
+      limit: quota.limit,
+      availableSpace: quota.availableSpace,
+    }
+  });
+};
+
+/**
+ * Load an upload session of the current user, or send the error response
+ * @returns {Promise<Object|null>} UploadSession instance, or null if a response was sent
+ */
+const findUploadSession = async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (!isValidUUID(uploadId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid upload ID format',
+    });
+    return null;
+  }
+
+  const session = await UploadSession.findOne({
+    where: {
+      id: uploadId,
+      companyId: req.company.id,
+      uploadedBy: req.user.id,
+    },
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload not found',
+    });
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Send the error response for a session that no longer accepts data
+ * @returns {boolean} True if a response was sent
+ */
+const rejectClosedSession = (session, res) => {
+  if (session.status === 'uploading' && session.expiresAt > new Date()) {
+    return false;
+  }
+
+  const messages = {
+    completed: 'This upload has already been completed',
+    aborted: 'This upload was cancelled',
+  };
+
+  res.status(410).json({
+    success: false,
+    message: messages[session.status] || 'This upload has expired. Please start it again.',
+    data: formatSession(session),
+  });
+  return true;
+};
+
+/**
+ * POST /api/videos/uploads
+ * Start a resumable upload of a video, image (JPG, PNG, WebP, GIF) or PDF file
+ * Requires: accessToken, body { fileName, mimeType, fileSize, displayName?, metadata?, contentHash? }
+ * contentHash (SHA-256 of the file, hex) lets a file the company already has
+ * start even when the storage quota is full, as it takes no extra space.
+ * Allowed roles: owner, admin, manager, member
+ */
+router.post('/',
+  protect,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  checkCompanyLicense,
+  [
+    body('fileName').trim().notEmpty().withMessage('File name is required')
+      .isLength({ max: 255 }).withMessage('File name must be at most 255 characters'),
+    body('mimeType').trim().notEmpty().withMessage('File type is required'),
+    body('fileSize').isInt({ min: 1 }).withMessage('File size must be a positive number').toInt(),
+    body('displayName').optional().trim().notEmpty().withMessage('Display name cannot be empty')
+      .isLength({ max: 255 }).withMessage('Display name must be at most 255 characters'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+    body('contentHash').optional().isHash('sha256').withMessage('Content hash must be a SHA-256 hex digest'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { fileName, mimeType, fileSize, displayName, metadata, contentHash } = req.body;
+
+      if (!isValidMediaMimeType(mimeType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only video, image (JPG, PNG, WebP, GIF) and PDF files are allowed',
+        });
+      }
+
+      if (fileSize > storageConfig.maxFileSizeBytes) {
+        const maxSizeMB = (storageConfig.maxFileSizeBytes / (1024 * 1024)).toFixed(0);
+        return res.status(400).json({
+          success: false,
+          message: `File size too large. Maximum allowed size is ${maxSizeMB}MB`,
+        });
+      }
+
+      // Fail early instead of after the whole file was sent (checked again on completion)
+      const alreadyStored = contentHash && await findBlob(req.company.id, contentHash.toLowerCase());
+      if (!alreadyStored) {
+        const quota = await checkStorageQuota(req.company.id, fileSize);
+        if (!quota.allowed) {
+          return quotaExceeded(res, quota);
+        }
+      }
+
+      const session = await UploadSession.create({
+        companyId: req.company.id,
+        uploadedBy: req.user.id,
+        originalFileName: fileName,
+        displayName: displayName || null,
+        mimeType,
+        fileSize,
+        metadata: metadata || {},
+        expiresAt: getSessionExpiry(),
+      });
+
+      await createPartFile(session);
+
+      res.status(201).json({
+        success: true,
+        message: 'Upload started',
+        data: formatSession(session),
+      });
+    } catch (error) {
+      console.error('Start upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while starting the upload',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/videos/uploads/:uploadId
+ * Get the state of an upload; uploadedBytes is the offset of the next chunk
+ * Requires: accessToken
+ * Allowed roles: the user who started the upload
+ */
+router.get('/:uploadId', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    if (session.status === 'uploading') {
+      session.uploadedBytes = await getUploadedBytes(session);
+    }
+
+    res.json({
+      success: true,
+      data: formatSession(session),
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/videos/uploads/:uploadId?offset=n
+ * Append a chunk (raw bytes, application/octet-stream) at the given offset,
+ * which must be the number of bytes the server has received so far
+ * Requires: accessToken, Content-Length of at most the chunk size
+ * Allowed roles: the user who started the upload
+ */
+router.put('/:uploadId', protect, async (req, res) => {
+  let session = null;
+  let locked = false;
+
+  try {
+    session = await findUploadSession(req, res);
+    if (!session || rejectClosedSession(session, res)) {
+      return;
+    }
+
+    const contentLength = parseInt(req.headers['content-length'], 10);
+    if (!Number.isInteger(contentLength) || contentLength <= 0) {
+      return res.status(411).json({
+        success: false,
+        message: 'Chunks must be sent with a Content-Length',
+      });
+    }
+
+    if (contentLength > storageConfig.uploadChunkSizeBytes) {
+      return res.status(413).json({
+        success: false,
+        message: `Chunk too large. Maximum chunk size is ${storageConfig.uploadChunkSizeBytes} bytes`,
+      });
+    }
+
+    locked = lockSession(session.id);
+    if (!locked) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another chunk of this upload is still being received',
+      });
+    }
+
+    // The client continues from what the server has, whatever it sent last
+    const uploadedBytes = await getUploadedBytes(session);
+    const offset = parseInt(req.query.offset, 10);
+    if (offset !== uploadedBytes) {
+      session.uploadedBytes = uploadedBytes;
+      return res.status(409).json({
+        success: false,
+        message: `Offset mismatch: the server has ${uploadedBytes} bytes of this upload`,
+        data: formatSession(session),
+      });
+    }
+
+    if (uploadedBytes + contentLength > Number(session.fileSize)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk goes past the end of the file',
+      });
+    }
+
+    await appendChunk(session, req);
+
+    res.json({
+      success: true,
+      data: formatSession(session),
+    });
+  } catch (error) {
+    // The client went away mid-chunk; what arrived is kept for the next attempt
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.code === 'ECONNRESET') {
+      console.warn(`⚠️  Upload ${session?.id} interrupted mid-chunk`);
+      return;
+    }
+
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while receiving the chunk',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  } finally {
+    if (locked) {
+      unlockSession(session.id);
+    }
+  }
+});
+
+/**
+ * POST /api/videos/uploads/:uploadId/complete
+ * Create the video from a fully received upload
+ * Requires: accessToken
+ * Allowed roles: the user who started the upload (owner, admin, manager, member)
+ */
+router.post('/:uploadId/complete',
+  protect,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  checkCompanyLicense,
+  async (req, res) => {
+    let session = null;
+    let locked = false;
+
+    try {
+      session = await findUploadSession(req, res);
+      if (!session || rejectClosedSession(session, res)) {
+        return;
+      }
+
+      locked = lockSession(session.id);
+      if (!locked) {
+        return res.status(409).json({
+          success: false,
+          message: 'This upload is still receiving a chunk',
+        });
+      }
+
+      const fileSize = Number(session.fileSize);
+      const uploadedBytes = await getUploadedBytes(session);
+      if (uploadedBytes !== fileSize) {
+        session.uploadedBytes = uploadedBytes;
+        return res.status(409).json({
+          success: false,
+          message: `Upload is not finished: ${uploadedBytes} of ${fileSize} bytes received`,
+          data: formatSession(session),
+        });
+      }
+
+      // Other uploads may have used up the space since this one started; the
+      // received file is then kept so completing can be retried after freeing space
+      const { video, baseName, wasRenamed, quota } = await createUploadedMedia({
+        companyId: req.company.id,
+        uploadedBy: req.user.id,
+        tempPath: getPartPath(session),
+        fileSize,
+        mimeType: session.mimeType,
+        originalFileName: session.originalFileName,
+        displayName: session.displayName,
+        metadata: session.metadata,
+      });
+
+      if (quota) {
+        return quotaExceeded(res, quota);
+      }
+
+      if (!video) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unable to generate unique filename. Please use a different name.',
+        });
+      }
+
+      await session.update({ status: 'completed', uploadedBytes, videoId: video.id });
+
+      // Probe, thumbnail, checksum and transcode run in the background
+      const jobs = await queueMediaProcessing(video);
+
+      const typeLabel = { video: 'Video', image: 'Image', pdf: 'PDF' }[video.mediaType];
+
+      res.status(201).json({
+        success: true,
+        message: wasRenamed
+          ? `${typeLabel} uploaded successfully. Name was changed to "${video.fileName}" to avoid duplicates.`
+          : `${typeLabel} uploaded successfully`,
+        data: {
+          id: video.id,
+          fileName: video.fileName,
+          originalName: baseName,
+          mediaType: video.mediaType,
+          duration: video.duration,
+          fileSize: video.fileSize,
+          mimeType: video.mimeType,
+          transcodeStatus: video.transcodeStatus,
+          processing: jobs.map(job => job.type),
+          uploadedAt: video.createdAt,
+          wasRenamed: wasRenamed,
+        },
+      });
+    } catch (error) {
+      // A file stored before the video failed to be created has been released
+      // with its part file, so the upload has to be sent again
+      console.error('Complete upload error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'A video with this name already exists. Please use a different name.',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while completing the upload',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    } finally {
+      if (locked) {
+        unlockSession(session.id);
+      }
+    }
+  }
+);
+
+/**
+ * DELETE /api/videos/uploads/:uploadId
+ * Cancel an upload and delete the chunks received so far
+ * Requires: accessToken
+ * Allowed roles: the user who started the upload
+ */
+router.delete('/:uploadId', protect, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    if (session.status !== 'uploading') {
+      return res.status(410).json({
+        success: false,
+        message: 'This upload is no longer in progress',
+        data: formatSession(session),
+      });
+    }
+
+    if (!lockSession(session.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This upload is still receiving a chunk',
+      });
+    }
+
+    try {
+      await discardUploadSession(session, 'aborted');
+    } finally {
+      unlockSession(session.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while cancelling the upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
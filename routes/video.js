@@ -1,7 +1,8 @@
 /**
  * Video Management Routes
  * 
- * Endpoints for uploading, listing, and deleting video files
+ * Endpoints for uploading, listing, and deleting media: video, image and
+ * PDF files, plus web pages (URLs) that are shown without a stored file
  * Each company has its own isolated video storage
  */
 
@@ -9,22 +10,56 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const { Video, User, ScheduleItem, Schedule } = require('../models');
 const { requireAuth, requireCompany, requireRole } = require('../middleware/sessionAuth');
 const { checkCompanyLicense } = require('../middleware/licenseCheck');
+const { requireDeviceOrSession, requireMediaAccess } = require('../middleware/deviceAuth');
 const verifyToken = requireAuth; // Alias for compatibility
 const { storageConfig } = require('../config');
 const {
   ensureCompanyDir,
   deleteFile,
-  isValidVideoMimeType,
+  isValidMediaMimeType,
+  isValidWebPageUrl,
 } = require('../utils/fileStorage');
+const { getVideoContent, videoETag, isNotModified } = require('../utils/playerManifest');
+const { needsTranscode, getPlayerRendition } = require('../utils/videoTranscoder');
+const {
+  needsHlsPackage,
+  getHlsFilePath,
+  addQueryToPlaylist,
+} = require('../utils/hlsPackager');
+const {
+  checkStorageQuota,
+  releaseVideoFile,
+  calculateStorageUsed,
+} = require('../utils/storageBlobs');
+const { createUploadedMedia } = require('../utils/mediaUploads');
+const mediaStorage = require('../utils/storage');
+const { signMediaQuery, getSignedMediaUrls } = require('../utils/mediaUrls');
+const {
+  queueMediaJob,
+  queueMediaProcessing,
+  queueClipJob,
+  retryFailedMediaJobs,
+  getProcessingSummaries,
+} = require('../utils/mediaJobs');
+const { validateClipRange, getPlayedDuration, estimateClipSize } = require('../utils/videoClips');
+const {
+  normalizeTags,
+  validateTags,
+  applyTagChanges,
+  parseLibraryQuery,
+  findFolder,
+  buildLibraryWhere,
+  getLibraryOrder,
+  listTags,
+} = require('../utils/mediaLibrary');
 
 /**
  * Configure multer for video uploads
- * Files are stored in videos/{companyId}/ directory
+ * Files are received in videos/{companyId}/, then stored as blobs (see utils/storageBlobs.js)
  */
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -47,13 +82,13 @@ const storage = multer.diskStorage({
 });
 
 /**
- * File filter to only accept video files
+ * File filter to only accept video, image and PDF files
  */
 const fileFilter = (req, file, cb) => {
-  if (isValidVideoMimeType(file.mimetype)) {
+  if (isValidMediaMimeType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only video files are allowed'), false);
+    cb(new Error('Only video, image (JPG, PNG, WebP, GIF) and PDF files are allowed'), false);
   }
 };
 
@@ -77,9 +112,22 @@ const isValidUUID = (str) => {
   return uuidRegex.test(str);
 };
 
+/**
+ * Helper function to send a stored file's stream as the response body
+ * The headers are already sent, so a storage error halfway ends the response.
+ */
+const pipeToResponse = (stream, res) => {
+  stream.on('error', (error) => {
+    console.error('Error streaming file:', error);
+    res.destroy(error);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+};
+
 /**
  * POST /api/videos/upload
- * Upload a video file
+ * Upload a video, image (JPG, PNG, WebP, GIF) or PDF file
  * Requires: accessToken, multipart/form-data with 'video' field
  * Allowed roles: owner, admin, manager, member
  */
@@ -138,128 +186,77 @@ router.post('/upload',
         });
       }
 
-      // Check company storage limit from license
-      const { License } = require('../models');
-      const activeLicense = await License.findOne({
-        where: {
-          companyId: req.company.id,
-          isActive: true,
+      // Parse metadata if provided
+      let metadata = {};
+      if (req.body.metadata) {
+        try {
+          metadata = JSON.parse(req.body.metadata);
+        } catch (e) {
+          metadata = {};
         }
+      }
+
+      const tempPath = path.join('videos', req.company.id, req.file.filename);
+      const { video, baseName, wasRenamed, quota } = await createUploadedMedia({
+        companyId: req.company.id,
+        uploadedBy: req.user.id,
+        tempPath,
+        fileSize: req.file.size,
+        mimeType: req.file.mimetype,
+        originalFileName: req.file.originalname,
+        displayName: req.body.displayName,
+        metadata,
       });
-      
-      // Use license storage limit if available, otherwise fall back to config
-      const companyStorageLimit = activeLicense?.maxStorageBytes || storageConfig.companyStorageLimitBytes;
-      
-      // Get current storage from company record (cached for performance)
-      const currentUsage = req.company.storageUsedBytes || 0;
 
-      // Check if adding this file would exceed the limit
-      const newTotalSize = currentUsage + req.file.size;
-      if (newTotalSize > companyStorageLimit) {
+      if (quota) {
         // Delete the uploaded file as it exceeds company limit
-        await deleteFile(path.join('videos', req.company.id, req.file.filename));
-        
+        await deleteFile(tempPath);
+
+        const { currentUsage, limit } = quota;
         const currentUsageMB = (currentUsage / (1024 * 1024)).toFixed(2);
         const fileSizeMB = (req.file.size / (1024 * 1024)).toFixed(2);
-        const limitMB = (companyStorageLimit / (1024 * 1024)).toFixed(2);
-        
+        const limitMB = (limit / (1024 * 1024)).toFixed(2);
+
         return res.status(413).json({
           success: false,
           message: `Company storage limit exceeded. Your company has used ${currentUsageMB}MB of ${limitMB}MB. This file (${fileSizeMB}MB) would exceed your storage quota.`,
           data: {
             currentUsage: currentUsage,
             fileSize: req.file.size,
-            limit: companyStorageLimit,
-            availableSpace: companyStorageLimit - currentUsage,
+            limit: limit,
+            availableSpace: quota.availableSpace,
           }
         });
       }
 
-      // Get display name from request or use original filename
-      let displayName = req.body.displayName || path.basename(
-        req.file.originalname,
-        path.extname(req.file.originalname)
-      );
-
-      // Check if a video with this display name already exists and auto-number if needed
-      // NOTE: Check ALL videos (active and inactive) because DB constraint applies to all
-      const baseDisplayName = displayName;
-      let counter = 1;
-      let finalDisplayName = displayName;
-      
-      while (true) {
-        const existingVideo = await Video.findOne({
-          where: {
-            companyId: req.company.id,
-            fileName: finalDisplayName,
-            // Don't filter by isActive - DB constraint applies to all records
-          },
+      if (!video) {
+        await deleteFile(tempPath);
+        return res.status(400).json({
+          success: false,
+          message: 'Unable to generate unique filename. Please use a different name.',
         });
-
-        if (!existingVideo) {
-          // Name is available
-          displayName = finalDisplayName;
-          break;
-        }
-
-        // Name exists, try next number
-        finalDisplayName = `${baseDisplayName} (${counter})`;
-        counter++;
-
-        // Safety limit to prevent infinite loops
-        if (counter > 1000) {
-          await deleteFile(path.join('videos', req.company.id, req.file.filename));
-          return res.status(400).json({
-            success: false,
-            message: 'Unable to generate unique filename. Please use a different name.',
-          });
-        }
-      }
-
-      // Parse metadata if provided
-      let metadata = {};
-      if (req.body.metadata) {
-        try {
-          metadata = JSON.parse(req.body.metadata);
-        } catch (e) {
-          metadata = {};
-        }
       }
 
-      // Create video record in database
-      const video = await Video.create({
-        companyId: req.company.id,
-        uploadedBy: req.user.id,
-        fileName: displayName,
-        originalFileName: req.file.originalname,
-        filePath: path.join('videos', req.company.id, req.file.filename),
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        metadata: metadata,
-        isActive: true,
-      });
-
-      // Update company storage usage
-      const { Company } = require('../models');
-      await Company.increment('storageUsedBytes', {
-        by: req.file.size,
-        where: { id: req.company.id }
-      });
+      // Probe, thumbnail, checksum and transcode run in the background
+      const jobs = await queueMediaProcessing(video);
 
-      // Check if name was auto-numbered
-      const wasRenamed = displayName !== baseDisplayName;
+      const typeLabel = { video: 'Video', image: 'Image', pdf: 'PDF' }[video.mediaType];
 
       res.status(201).json({
         success: true,
         message: wasRenamed 
-          ? `Video uploaded successfully. Name was changed to "${displayName}" to avoid duplicates.`
-          : 'Video uploaded successfully',
+          ? `${typeLabel} uploaded successfully. Name was changed to "${video.fileName}" to avoid duplicates.`
+          : `${typeLabel} uploaded successfully`,
         data: {
           id: video.id,
           fileName: video.fileName,
-          originalName: baseDisplayName,
+          originalName: baseName,
+          mediaType: video.mediaType,
+          duration: video.duration,
           fileSize: video.fileSize,
           mimeType: video.mimeType,
+          transcodeStatus: video.transcodeStatus,
+          processing: jobs.map(job => job.type),
           uploadedAt: video.createdAt,
           wasRenamed: wasRenamed,
         },
@@ -294,6 +291,88 @@ router.post('/upload',
   }
 );
 
+/**
+ * POST /api/videos/web-pages
+ * Add a web page to the media library; players show the URL in a frame
+ * for the given display duration
+ * Requires: accessToken, body { name, url, duration? }
+ * Allowed roles: owner, admin, manager, member
+ */
+router.post('/web-pages',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  checkCompanyLicense,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('url').trim().custom(isValidWebPageUrl).withMessage('URL must be an http:// or https:// address'),
+    body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 second').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { name, url } = req.body;
+      const duration = req.body.duration || storageConfig.defaultDisplayDurationSeconds;
+
+      const existingVideo = await Video.findOne({
+        where: {
+          companyId: req.company.id,
+          fileName: name,
+        },
+      });
+
+      if (existingVideo) {
+        return res.status(409).json({
+          success: false,
+          message: 'A video with this name already exists. Please use a different name.',
+        });
+      }
+
+      const video = await Video.create({
+        companyId: req.company.id,
+        uploadedBy: req.user.id,
+        fileName: name,
+        originalFileName: url,
+        mediaType: 'web',
+        filePath: null,
+        sourceUrl: url,
+        fileSize: 0,
+        mimeType: 'text/html',
+        duration,
+        metadata: {},
+        isActive: true,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Web page added successfully',
+        data: {
+          id: video.id,
+          fileName: video.fileName,
+          mediaType: video.mediaType,
+          sourceUrl: video.sourceUrl,
+          duration: video.duration,
+          uploadedAt: video.createdAt,
+        },
+      });
+    } catch (error) {
+      console.error('Add web page error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while adding the web page',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/videos/storage
  * Get storage usage statistics for the current company
@@ -304,13 +383,8 @@ router.get('/storage', verifyToken, async (req, res) => {
   try {
     const companyStorageLimit = storageConfig.companyStorageLimitBytes;
     
-    // Calculate current storage used by the company
-    const currentUsage = await Video.sum('fileSize', {
-      where: {
-        companyId: req.company.id,
-        isActive: true,
-      }
-    }) || 0;
+    // Calculate current storage used by the company (files shared by videos count once)
+    const currentUsage = await calculateStorageUsed(req.company.id);
 
     // Get video count
     const videoCount = await Video.count({
@@ -348,34 +422,50 @@ router.get('/storage', verifyToken, async (req, res) => {
 
 /**
  * GET /api/videos
- * List all videos for the current company
+ * List the company's videos, a page at a time
+ * Query: folderId (UUID, or "root" for items outside any folder),
+ *   includeSubfolders=true, tag (repeatable; items must have all of them),
+ *   q (searches names), mediaType, sort (uploaded|name|size|duration),
+ *   order (asc|desc), page, pageSize (50 by default, at most 200)
  * Requires: accessToken
  * Allowed roles: All authenticated users
  */
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const videos = await Video.findAll({
-      where: {
-        companyId: req.company.id,
-        isActive: true,
-      },
+    const filters = parseLibraryQuery(req.query);
+
+    const { rows: videos, count: total } = await Video.findAndCountAll({
+      where: await buildLibraryWhere(req.company.id, filters),
       include: [{
         model: User,
         as: 'uploader',
         attributes: ['id', 'email', 'firstName', 'lastName'],
       }],
-      order: [['createdAt', 'DESC']],
+      order: getLibraryOrder(filters),
+      limit: filters.pageSize,
+      offset: (filters.page - 1) * filters.pageSize,
     });
 
+    const processing = await getProcessingSummaries(videos.map(video => video.id));
+
     const formattedVideos = videos.map(video => ({
       id: video.id,
       fileName: video.fileName,
       originalFileName: video.originalFileName,
+      mediaType: video.mediaType,
+      sourceUrl: video.sourceUrl,
       fileSize: video.fileSize,
       mimeType: video.mimeType,
       duration: video.duration,
+      trimStart: video.trimStart,
+      trimEnd: video.trimEnd,
       resolution: video.resolution,
+      folderId: video.folderId,
+      tags: video.tags,
       metadata: video.metadata,
+      transcodeStatus: video.transcodeStatus,
+      transcodeError: video.transcodeError,
+      processingStatus: processing.get(video.id)?.status || null,
       uploadedBy: {
         id: video.uploader.id,
         email: video.uploader.email,
@@ -390,6 +480,12 @@ router.get('/', verifyToken, async (req, res) => {
       data: {
         videos: formattedVideos,
         count: formattedVideos.length,
+        pagination: {
+          page: filters.page,
+          pageSize: filters.pageSize,
+          total,
+          totalPages: Math.ceil(total / filters.pageSize),
+        },
       },
     });
   } catch (error) {
@@ -402,6 +498,33 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/videos/tags
+ * List the tags used in the company's media library, most used first
+ * Requires: accessToken
+ * Allowed roles: All authenticated users
+ */
+router.get('/tags', verifyToken, async (req, res) => {
+  try {
+    const tags = await listTags(req.company.id);
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        count: tags.length,
+      },
+    });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching tags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * GET /api/videos/:videoId
  * Get details of a specific video
@@ -446,12 +569,24 @@ router.get('/:videoId', verifyToken, async (req, res) => {
         id: video.id,
         fileName: video.fileName,
         originalFileName: video.originalFileName,
+        mediaType: video.mediaType,
         filePath: video.filePath,
+        sourceUrl: video.sourceUrl,
         fileSize: video.fileSize,
         mimeType: video.mimeType,
         duration: video.duration,
+        trimStart: video.trimStart,
+        trimEnd: video.trimEnd,
         resolution: video.resolution,
+        folderId: video.folderId,
+        tags: video.tags,
         metadata: video.metadata,
+        transcodeStatus: video.transcodeStatus,
+        transcodeError: video.transcodeError,
+        renditions: video.renditions,
+        transcodedAt: video.transcodedAt,
+        hls: video.hls,
+        urls: getSignedMediaUrls(video, { companyId: req.company.id }),
         uploadedBy: {
           id: video.uploader.id,
           email: video.uploader.email,
@@ -474,11 +609,16 @@ router.get('/:videoId', verifyToken, async (req, res) => {
 /**
  * GET /api/videos/:videoId/download
  * Download or stream a video file
- * PUBLIC ENDPOINT - No authentication required
- * Supports: Range requests for video streaming
- * Perfect for: Digital signage displays, public viewing, embedded players
+ * Requires: a signed media URL (see GET /api/videos/:videoId/media-urls), an
+ * X-Device-Token header or a logged-in session
+ * Only videos of the device's / session's company are served
+ * Supports: Range requests for video streaming, If-None-Match with the
+ * content-hash ETag
+ * Transcoded videos are served as their player-safe MP4 rendition;
+ * ?rendition=low asks for the low-bitrate one (when produced) and
+ * ?rendition=original for the uploaded file
  */
-router.get('/:videoId/download', async (req, res) => {
+router.get('/:videoId/download', requireMediaAccess, async (req, res) => {
   try {
     const { videoId } = req.params;
 
@@ -490,10 +630,11 @@ router.get('/:videoId/download', async (req, res) => {
       });
     }
 
-    // Find video (public access - no company check)
+    // Find video belonging to the requesting device's or user's company
     const video = await Video.findOne({
       where: {
         id: videoId,
+        companyId: req.accessCompanyId,
         isActive: true,
       },
     });
@@ -505,52 +646,73 @@ router.get('/:videoId/download', async (req, res) => {
       });
     }
 
-    // Get full file path
-    const filePath = path.join(__dirname, '..', video.filePath);
+    // Web pages are loaded from their URL, there is no file to download
+    if (!video.filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'This media item has no file to download',
+      });
+    }
+
+    // Serve the transcoded rendition when there is one
+    const rendition = getPlayerRendition(video, req.query.rendition);
+    const fileKey = rendition ? rendition.path : video.filePath;
+    const mimeType = rendition ? rendition.mimeType : video.mimeType;
+    const fileName = `${encodeURIComponent(video.fileName)}${rendition ? '.mp4' : path.extname(video.originalFileName)}`;
 
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      console.error('File not found on disk:', filePath);
+    const stat = await mediaStorage.stat(fileKey);
+    if (!stat) {
+      console.error('File not found in storage:', fileKey);
       return res.status(404).json({
         success: false,
         message: 'Video file not found on server',
       });
     }
 
-    // Get file stats
-    const stat = fs.statSync(filePath);
     const fileSize = stat.size;
     const range = req.headers.range;
 
+    // Content-hash ETag lets players and browsers revalidate their copy
+    const content = await getVideoContent(video, req.query.rendition);
+    if (content) {
+      const etag = videoETag(content.contentHash);
+      res.setHeader('ETag', etag);
+
+      if (!range && isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+    }
+
     // If range header exists, handle partial content (for video streaming)
     if (range) {
       const parts = range.replace(/bytes=/, '').split('-');
       const start = parseInt(parts[0], 10);
       const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
       const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(filePath, { start, end });
+      const file = await mediaStorage.getStream(fileKey, { start, end });
 
       const head = {
         'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         'Accept-Ranges': 'bytes',
         'Content-Length': chunksize,
-        'Content-Type': video.mimeType,
-        'Content-Disposition': `inline; filename="${encodeURIComponent(video.fileName)}${path.extname(video.originalFileName)}"`,
+        'Content-Type': mimeType,
+        'Content-Disposition': `inline; filename="${fileName}"`,
       };
 
       res.writeHead(206, head);
-      file.pipe(res);
+      pipeToResponse(file, res);
     } else {
       // No range header, send entire file
       const head = {
         'Content-Length': fileSize,
-        'Content-Type': video.mimeType,
-        'Content-Disposition': `inline; filename="${encodeURIComponent(video.fileName)}${path.extname(video.originalFileName)}"`,
+        'Content-Type': mimeType,
+        'Content-Disposition': `inline; filename="${fileName}"`,
         'Accept-Ranges': 'bytes',
       };
 
       res.writeHead(200, head);
-      fs.createReadStream(filePath).pipe(res);
+      pipeToResponse(await mediaStorage.getStream(fileKey), res);
     }
   } catch (error) {
     console.error('Download video error:', error);
@@ -569,109 +731,750 @@ router.get('/:videoId/download', async (req, res) => {
 });
 
 /**
- * PUT /api/videos/:videoId
- * Update video metadata (display name, metadata)
- * Requires: accessToken
- * Allowed roles: owner, admin, manager, member (only uploader or higher roles)
+ * GET /api/videos/:videoId/hls/*
+ * Stream a video's HLS package: master.m3u8, then the variant playlists and
+ * segments it lists. Playlists are rewritten so every URI carries a signed
+ * media query for the device or company of the request.
+ * Requires: a signed media URL, an X-Device-Token header or a dashboard session
+ * Allowed: devices and users of the company owning the video
  */
-router.put('/:videoId',
-  verifyToken,
-  requireRole('owner', 'admin', 'manager', 'member'),
-  [
-    body('fileName').optional().trim().notEmpty().withMessage('File name cannot be empty'),
-    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array(),
-        });
-      }
+router.get('/:videoId/hls/*', requireMediaAccess, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const fileName = req.params[0];
 
-      const { videoId } = req.params;
-      const { fileName, metadata } = req.body;
+    if (!isValidUUID(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format',
+      });
+    }
 
-      // Validate UUID format
-      if (!isValidUUID(videoId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid video ID format',
-        });
-      }
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.accessCompanyId,
+        isActive: true,
+      },
+      attributes: ['id', 'hls'],
+    });
 
-      const video = await Video.findOne({
-        where: {
-          id: videoId,
-          companyId: req.company.id,
-          isActive: true,
-        },
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found',
       });
+    }
 
-      if (!video) {
-        return res.status(404).json({
-          success: false,
-          message: 'Video not found',
-        });
-      }
+    const fileKey = getHlsFilePath(video, fileName);
+    const stat = fileKey ? await mediaStorage.stat(fileKey) : null;
+    if (!stat) {
+      return res.status(404).json({
+        success: false,
+        message: video.hls ? 'HLS file not found' : 'This video has no HLS package',
+      });
+    }
 
-      // Check if user has permission to update
-      // Only uploader, or owner/admin can update
-      const canUpdate = 
-        video.uploadedBy === req.user.id ||
-        ['owner', 'admin'].includes(req.userCompany.role);
+    // Segments never change within a package (a new package gets a new directory)
+    if (fileName.endsWith('.ts')) {
+      res.writeHead(200, {
+        'Content-Type': 'video/mp2t',
+        'Content-Length': stat.size,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+      });
+      return pipeToResponse(await mediaStorage.getStream(fileKey), res);
+    }
 
-      if (!canUpdate) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to update this video',
-        });
-      }
+    // Native HLS players can't send headers, so the URIs carry a signature
+    const issuedTo = req.device ? { deviceId: req.device.id } : { companyId: req.accessCompanyId };
+    const query = new URLSearchParams(signMediaQuery(video.id, issuedTo)).toString();
+    const playlist = (await mediaStorage.readFile(fileKey)).toString('utf8');
 
-      // Check if new fileName already exists
-      if (fileName && fileName !== video.fileName) {
-        const existingVideo = await Video.findOne({
-          where: {
-            companyId: req.company.id,
-            fileName: fileName,
-            isActive: true,
-            id: { [require('sequelize').Op.ne]: videoId },
-          },
-        });
+    // Playlists carry expiring URIs, so they are fetched again rather than cached
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(addQueryToPlaylist(playlist, query));
+  } catch (error) {
+    console.error('Stream HLS error:', error);
 
-        if (existingVideo) {
-          return res.status(409).json({
-            success: false,
-            message: 'A video with this name already exists',
-          });
-        }
-      }
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while streaming the video',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/videos/:videoId/thumbnail
+ * Serve a media item's thumbnail (an image is its own thumbnail)
+ * Requires: a signed media URL, an X-Device-Token header or a logged-in session
+ * Allowed: devices and users of the company owning the media item
+ */
+router.get('/:videoId/thumbnail', requireMediaAccess, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidUUID(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format',
+      });
+    }
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.accessCompanyId,
+        isActive: true,
+      },
+      attributes: ['id', 'mediaType', 'mimeType', 'thumbnailPath'],
+    });
+
+    const stat = video && video.thumbnailPath ? await mediaStorage.stat(video.thumbnailPath) : null;
+    if (!stat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found',
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': video.mediaType === 'image' ? video.mimeType : 'image/jpeg',
+      'Content-Length': stat.size,
+      'Cache-Control': 'private, max-age=3600',
+    });
+    pipeToResponse(await mediaStorage.getStream(video.thumbnailPath), res);
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the thumbnail',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/videos/:videoId/media-urls
+ * Get signed, expiring URLs of a media item's files (download, HLS master
+ * playlist, thumbnail) for the requesting device or the session's company;
+ * null for files the item doesn't have. Players ask again before expiresAt.
+ * Requires: device token (X-Device-Token header) or a logged-in session
+ * Allowed: devices and users of the company owning the media item
+ */
+router.get('/:videoId/media-urls', requireDeviceOrSession, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidUUID(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format',
+      });
+    }
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.accessCompanyId,
+        isActive: true,
+      },
+      attributes: ['id', 'filePath', 'thumbnailPath', 'hls'],
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getSignedMediaUrls(video, req.device ? { deviceId: req.device.id } : { companyId: req.accessCompanyId }),
+    });
+  } catch (error) {
+    console.error('Get media URLs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while signing the media URLs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/videos/:videoId
+ * Update video metadata (display name, folder, tags, metadata; URL and display duration of web pages)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member (only uploader or higher roles)
+ */
+router.put('/:videoId',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    body('fileName').optional().trim().notEmpty().withMessage('File name cannot be empty'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+    body('url').optional().trim().custom(isValidWebPageUrl).withMessage('URL must be an http:// or https:// address'),
+    body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 second').toInt(),
+    body('folderId').optional({ nullable: true }).isUUID().withMessage('Folder ID must be a valid UUID'),
+    body('tags').optional().isArray().withMessage('Tags must be an array of strings'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { videoId } = req.params;
+      const { fileName, metadata, url, duration, folderId } = req.body;
+      const tags = req.body.tags !== undefined ? normalizeTags(req.body.tags) : undefined;
+
+      // Validate UUID format
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      const video = await Video.findOne({
+        where: {
+          id: videoId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
+
+      // Check if user has permission to update
+      // Only uploader, or owner/admin can update
+      const canUpdate = 
+        video.uploadedBy === req.user.id ||
+        ['owner', 'admin'].includes(req.userCompany.role);
+
+      if (!canUpdate) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this video',
+        });
+      }
+
+      // Check if new fileName already exists
+      if (fileName && fileName !== video.fileName) {
+        const existingVideo = await Video.findOne({
+          where: {
+            companyId: req.company.id,
+            fileName: fileName,
+            isActive: true,
+            id: { [require('sequelize').Op.ne]: videoId },
+          },
+        });
+
+        if (existingVideo) {
+          return res.status(409).json({
+            success: false,
+            message: 'A video with this name already exists',
+          });
+        }
+      }
+
+      if ((url !== undefined || duration !== undefined) && video.mediaType !== 'web') {
+        return res.status(400).json({
+          success: false,
+          message: 'URL and duration can only be changed on web pages',
+        });
+      }
+
+      if (folderId && !await findFolder(req.company.id, folderId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      const tagsError = tags && validateTags(tags);
+      if (tagsError) {
+        return res.status(400).json({
+          success: false,
+          message: tagsError,
+        });
+      }
 
       // Update video
       const updateData = {};
       if (fileName !== undefined) updateData.fileName = fileName;
       if (metadata !== undefined) updateData.metadata = metadata;
+      if (url !== undefined) {
+        updateData.sourceUrl = url;
+        updateData.originalFileName = url;
+      }
+      if (duration !== undefined) updateData.duration = duration;
+      if (folderId !== undefined) updateData.folderId = folderId || null;
+      if (tags !== undefined) updateData.tags = tags;
+
+      await video.update(updateData);
+
+      // Players showing this web page pick up the new URL or duration right away
+      if (url !== undefined || duration !== undefined) {
+        const { getVideoPlaylistIds } = require('../utils/deviceContent');
+        const { publishPlaylistUpdate } = require('../utils/deviceEvents');
+        (await getVideoPlaylistIds(video.id))
+          .forEach(playlistId => publishPlaylistUpdate(playlistId, 'update'));
+      }
+
+      res.json({
+        success: true,
+        message: 'Video updated successfully',
+        data: {
+          id: video.id,
+          fileName: video.fileName,
+          mediaType: video.mediaType,
+          sourceUrl: video.sourceUrl,
+          duration: video.duration,
+          folderId: video.folderId,
+          tags: video.tags,
+          metadata: video.metadata,
+          updatedAt: video.updatedAt,
+        },
+      });
+    } catch (error) {
+      console.error('Update video error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while updating the video',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/videos/:videoId/schedule-usage
+ * Check if video is used in any schedules
+ * Requires: accessToken
+ */
+router.get('/:videoId/schedule-usage',
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { videoId } = req.params;
+
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      // Find all schedule items using this video
+      const scheduleItems = await ScheduleItem.findAll({
+        where: {
+          videoId: videoId,
+          isActive: true,
+        },
+        include: [{
+          model: Schedule,
+          as: 'schedule',
+          where: {
+            companyId: req.company.id,
+            isActive: true,
+          },
+          attributes: ['id', 'name', 'description'],
+        }],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          isUsed: scheduleItems.length > 0,
+          usageCount: scheduleItems.length,
+          schedules: scheduleItems.map(item => ({
+            scheduleId: item.schedule.id,
+            scheduleName: item.schedule.name,
+            scheduleDescription: item.schedule.description,
+            itemId: item.id,
+            startTime: item.startTime,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error('Check video usage error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while checking video usage',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/videos/:videoId/jobs
+ * Processing status of a media item: the latest job of each step
+ * (probe, thumbnail, hash, transcode) with its attempts and last error
+ * Requires: accessToken
+ * Allowed roles: All authenticated users
+ */
+router.get('/:videoId/jobs', verifyToken, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidUUID(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format',
+      });
+    }
+
+    const video = await Video.findOne({
+      where: {
+        id: videoId,
+        companyId: req.company.id,
+        isActive: true,
+      },
+      attributes: ['id'],
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found',
+      });
+    }
+
+    const summaries = await getProcessingSummaries([video.id]);
+
+    res.json({
+      success: true,
+      data: summaries.get(video.id) || { status: null, steps: [] },
+    });
+  } catch (error) {
+    console.error('Get video jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the processing status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/videos/:videoId/jobs/retry
+ * Queue the failed processing steps of a media item again
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
+ */
+router.post('/:videoId/jobs/retry',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  async (req, res) => {
+    try {
+      const { videoId } = req.params;
+
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      const video = await Video.findOne({
+        where: {
+          id: videoId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
+
+      const retried = await retryFailedMediaJobs(video);
+      if (retried === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No failed processing steps to retry',
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `${retried} processing step(s) queued again`,
+        data: { retried },
+      });
+    } catch (error) {
+      console.error('Retry video jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while retrying the processing steps',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/videos/:videoId/transcode
+ * Queue a video for transcoding again (e.g. after changing the transcode settings)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.post('/:videoId/transcode',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager'),
+  async (req, res) => {
+    try {
+      const { videoId } = req.params;
+
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      const video = await Video.findOne({
+        where: {
+          id: videoId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
+
+      if (!needsTranscode(video)) {
+        return res.status(400).json({
+          success: false,
+          message: video.mediaType === 'video'
+            ? 'Transcoding is disabled on this server'
+            : 'Only videos can be transcoded',
+        });
+      }
+
+      if (['pending', 'processing'].includes(video.transcodeStatus)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This video is already being transcoded',
+        });
+      }
+
+      await queueMediaJob(video, 'transcode');
+
+      res.status(202).json({
+        success: true,
+        message: 'Video queued for transcoding',
+        data: {
+          id: video.id,
+          transcodeStatus: video.transcodeStatus,
+        },
+      });
+    } catch (error) {
+      console.error('Queue transcode error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while queueing the transcode',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/videos/:videoId/hls
+ * Package a video as HLS again, e.g. after changing the HLS settings
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager
+ */
+router.post('/:videoId/hls',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager'),
+  async (req, res) => {
+    try {
+      const { videoId } = req.params;
+
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      const video = await Video.findOne({
+        where: {
+          id: videoId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
 
-      await video.update(updateData);
+      if (!needsHlsPackage(video)) {
+        return res.status(400).json({
+          success: false,
+          message: video.mediaType === 'video'
+            ? 'HLS packaging is disabled on this server'
+            : 'Only videos can be packaged as HLS',
+        });
+      }
+
+      const job = await queueMediaJob(video, 'hls');
+
+      res.status(202).json({
+        success: true,
+        message: job.status === 'running'
+          ? 'This video is already being packaged'
+          : 'Video queued for HLS packaging',
+        data: {
+          id: video.id,
+          jobStatus: job.status,
+        },
+      });
+    } catch (error) {
+      console.error('Queue HLS packaging error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred while queueing the HLS packaging',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/videos/:videoId/trim
+ * Set the in/out points of a video (a virtual clip): players start it at
+ * start and loop back there at end; the file is left as it is. Omit or null
+ * either point to play from the beginning / to the end; null both to clear.
+ * Body: { start, end } in seconds
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member (only uploader or higher roles)
+ */
+router.put('/:videoId/trim',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    body('start').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('In point must be a number of seconds').toFloat(),
+    body('end').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Out point must be a number of seconds').toFloat(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { videoId } = req.params;
+      const start = req.body.start ?? null;
+      const end = req.body.end ?? null;
+
+      if (!isValidUUID(videoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid video ID format',
+        });
+      }
+
+      const video = await Video.findOne({
+        where: {
+          id: videoId,
+          companyId: req.company.id,
+          isActive: true,
+        },
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
+
+      const canUpdate =
+        video.uploadedBy === req.user.id ||
+        ['owner', 'admin', 'manager'].includes(req.userCompany.role);
+
+      if (!canUpdate) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to trim this video',
+        });
+      }
+
+      // An open-ended range is checked up to the end of the video, when known
+      const clearing = start === null && end === null;
+      const rangeError = clearing ? null : validateClipRange(video, start || 0, end ?? video.duration ?? Infinity);
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError,
+        });
+      }
+
+      await video.update({ trimStart: start || null, trimEnd: end });
+
+      // Players showing this video pick up the new in/out points right away
+      const { getVideoPlaylistIds } = require('../utils/deviceContent');
+      const { publishPlaylistUpdate } = require('../utils/deviceEvents');
+      (await getVideoPlaylistIds(video.id))
+        .forEach(playlistId => publishPlaylistUpdate(playlistId, 'update'));
 
       res.json({
         success: true,
-        message: 'Video updated successfully',
+        message: start === null && end === null ? 'In/out points cleared' : 'In/out points saved',
         data: {
           id: video.id,
-          fileName: video.fileName,
-          metadata: video.metadata,
-          updatedAt: video.updatedAt,
+          trimStart: video.trimStart,
+          trimEnd: video.trimEnd,
+          playedDuration: getPlayedDuration(video),
         },
       });
     } catch (error) {
-      console.error('Update video error:', error);
+      console.error('Trim video error:', error);
       res.status(500).json({
         success: false,
-        message: 'An error occurred while updating the video',
+        message: 'An error occurred while trimming the video',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
     }
@@ -679,15 +1482,36 @@ router.put('/:videoId',
 );
 
 /**
- * GET /api/videos/:videoId/schedule-usage
- * Check if video is used in any schedules
+ * POST /api/videos/:videoId/clips
+ * Render a range of a video into a new video in the background (a 'clip'
+ * media job of the source video). The clip is stored like an upload and
+ * counts toward the storage quota; it shows up in the library once rendered.
+ * Body: { start, end } in seconds, optional name (default: "{name} (clip)")
  * Requires: accessToken
+ * Allowed roles: owner, admin, manager, member
  */
-router.get('/:videoId/schedule-usage',
+router.post('/:videoId/clips',
   verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  checkCompanyLicense,
+  [
+    body('start').isFloat({ min: 0 }).withMessage('In point must be a number of seconds').toFloat(),
+    body('end').isFloat({ min: 0 }).withMessage('Out point must be a number of seconds').toFloat(),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
       const { videoId } = req.params;
+      const { start, end, name } = req.body;
 
       if (!isValidUUID(videoId)) {
         return res.status(400).json({
@@ -696,42 +1520,66 @@ router.get('/:videoId/schedule-usage',
         });
       }
 
-      // Find all schedule items using this video
-      const scheduleItems = await ScheduleItem.findAll({
+      const video = await Video.findOne({
         where: {
-          videoId: videoId,
+          id: videoId,
+          companyId: req.company.id,
           isActive: true,
         },
-        include: [{
-          model: Schedule,
-          as: 'schedule',
-          where: {
-            companyId: req.company.id,
-            isActive: true,
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found',
+        });
+      }
+
+      const rangeError = validateClipRange(video, start, end);
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError,
+        });
+      }
+
+      // Checked again with the real size when the clip is stored
+      const quota = await checkStorageQuota(req.company.id, estimateClipSize(video, start, end));
+      if (!quota.allowed) {
+        const currentUsageMB = (quota.currentUsage / (1024 * 1024)).toFixed(2);
+        const limitMB = (quota.limit / (1024 * 1024)).toFixed(2);
+        return res.status(413).json({
+          success: false,
+          message: `Company storage limit exceeded. Your company has used ${currentUsageMB}MB of ${limitMB}MB. This clip would exceed your storage quota.`,
+          data: {
+            currentUsage: quota.currentUsage,
+            limit: quota.limit,
+            availableSpace: quota.availableSpace,
           },
-          attributes: ['id', 'name', 'description'],
-        }],
+        });
+      }
+
+      const job = await queueClipJob(video, {
+        start,
+        end,
+        fileName: name || null,
+        uploadedBy: req.user.id,
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
+        message: 'Clip queued for rendering',
         data: {
-          isUsed: scheduleItems.length > 0,
-          usageCount: scheduleItems.length,
-          schedules: scheduleItems.map(item => ({
-            scheduleId: item.schedule.id,
-            scheduleName: item.schedule.name,
-            scheduleDescription: item.schedule.description,
-            itemId: item.id,
-            startTime: item.startTime,
-          })),
+          id: video.id,
+          jobId: job.id,
+          jobStatus: job.status,
         },
       });
     } catch (error) {
-      console.error('Check video usage error:', error);
+      console.error('Queue clip error:', error);
       res.status(500).json({
         success: false,
-        message: 'An error occurred while checking video usage',
+        message: 'An error occurred while queueing the clip',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
     }
@@ -835,19 +1683,13 @@ router.delete('/:videoId',
         );
       }
 
-      // Delete file from filesystem
-      const fileDeleted = await deleteFile(video.filePath);
+      // Delete the file, renditions and HLS package (unless another video
+      // shares them) and update company storage usage
+      const fileDeleted = await releaseVideoFile(video);
 
       // Soft delete in database
       await video.update({ isActive: false });
 
-      // Update company storage usage
-      const { Company } = require('../models');
-      await Company.decrement('storageUsedBytes', {
-        by: video.fileSize,
-        where: { id: req.company.id }
-      });
-
       res.json({
         success: true,
         message: 'Video deleted successfully',
@@ -982,8 +1824,9 @@ router.post('/bulk-delete',
             );
           }
 
-          // Delete file from filesystem
-          const fileDeleted = await deleteFile(video.filePath);
+          // Delete the file, renditions and HLS package (unless another video
+          // shares them) and update company storage usage
+          const fileDeleted = await releaseVideoFile(video);
 
           // Soft delete in database
           await video.update({ isActive: false });
@@ -1045,5 +1888,202 @@ router.post('/bulk-delete',
   }
 );
 
+/**
+ * Load the videos of a bulk request and split them by whether the user may change them
+ * @param {Object} req - Request with company, user and userCompany
+ * @param {string[]} videoIds - Requested video IDs
+ * @returns {Promise<Object>} { allowed: Video[], failed: [{ id, fileName, reason }] }
+ */
+async function loadBulkVideos(req, videoIds) {
+  const videos = await Video.findAll({
+    where: {
+      id: videoIds,
+      companyId: req.company.id,
+      isActive: true,
+    },
+  });
+
+  const allowed = [];
+  const failed = [];
+  const isManager = ['owner', 'admin', 'manager'].includes(req.userCompany.role);
+
+  videos.forEach(video => {
+    if (video.uploadedBy === req.user.id || isManager) {
+      allowed.push(video);
+    } else {
+      failed.push({ id: video.id, fileName: video.fileName, reason: 'Insufficient permissions' });
+    }
+  });
+
+  const foundIds = videos.map(video => video.id);
+  videoIds
+    .filter(id => !foundIds.includes(id))
+    .forEach(id => failed.push({ id, fileName: 'Unknown', reason: 'Video not found or already deleted' }));
+
+  return { allowed, failed };
+}
+
+const bulkVideoIdsValidators = [
+  body('videoIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('videoIds must be an array of 1 to 100 video IDs'),
+  body('videoIds.*')
+    .isUUID()
+    .withMessage('All video IDs must be valid UUIDs'),
+];
+
+/**
+ * POST /api/videos/bulk-move
+ * Move multiple videos into a folder in one request
+ * Body: { videoIds, folderId } (folderId null: to the library root)
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager (or the uploader for each video)
+ */
+router.post('/bulk-move',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    ...bulkVideoIdsValidators,
+    body('folderId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Folder ID must be a valid UUID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { videoIds } = req.body;
+      const folderId = req.body.folderId || null;
+
+      if (folderId && !await findFolder(req.company.id, folderId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      const { allowed, failed } = await loadBulkVideos(req, videoIds);
+
+      if (allowed.length > 0) {
+        await Video.update(
+          { folderId },
+          { where: { id: allowed.map(video => video.id) } }
+        );
+      }
+
+      const moved = allowed.map(video => ({ id: video.id, fileName: video.fileName }));
+      const statusCode = moved.length > 0 ? 200 : 207;
+
+      res.status(statusCode).json({
+        success: moved.length > 0,
+        message: `Moved ${moved.length} video(s), ${failed.length} failed`,
+        data: {
+          folderId,
+          moved,
+          failed,
+          summary: {
+            total: videoIds.length,
+            movedCount: moved.length,
+            failedCount: failed.length,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Bulk move error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred during bulk move',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/videos/bulk-tag
+ * Add and remove tags on multiple videos in one request
+ * Body: { videoIds, add: [tags], remove: [tags] }
+ * Requires: accessToken
+ * Allowed roles: owner, admin, manager (or the uploader for each video)
+ */
+router.post('/bulk-tag',
+  verifyToken,
+  requireRole('owner', 'admin', 'manager', 'member'),
+  [
+    ...bulkVideoIdsValidators,
+    body('add').optional().isArray().withMessage('add must be an array of tags'),
+    body('remove').optional().isArray().withMessage('remove must be an array of tags'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { videoIds } = req.body;
+      const add = normalizeTags(req.body.add || []);
+      const remove = normalizeTags(req.body.remove || []);
+
+      if (add.length === 0 && remove.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Give at least one tag to add or remove',
+        });
+      }
+
+      const { allowed, failed } = await loadBulkVideos(req, videoIds);
+      const updated = [];
+
+      for (const video of allowed) {
+        const tags = applyTagChanges(video.tags, { add, remove });
+        const tagsError = validateTags(tags);
+        if (tagsError) {
+          failed.push({ id: video.id, fileName: video.fileName, reason: tagsError });
+          continue;
+        }
+
+        await video.update({ tags });
+        updated.push({ id: video.id, fileName: video.fileName, tags });
+      }
+
+      const statusCode = updated.length > 0 ? 200 : 207;
+
+      res.status(statusCode).json({
+        success: updated.length > 0,
+        message: `Tagged ${updated.length} video(s), ${failed.length} failed`,
+        data: {
+          updated,
+          failed,
+          summary: {
+            total: videoIds.length,
+            updatedCount: updated.length,
+            failedCount: failed.length,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Bulk tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'An error occurred during bulk tagging',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 module.exports = router;
 
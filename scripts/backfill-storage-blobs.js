@@ -0,0 +1,134 @@
+/**
+ * Backfill Storage Blobs Script
+ * Turns the files of videos uploaded before content-addressed storage into
+ * blobs (a file stays where it is), so duplicates share one file, then
+ * recalculates each company's storage usage from its unique files. Add
+ * --dry-run to only report what would be deduplicated.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { Op } = require('sequelize');
+const { Video, Company, StorageBlob } = require('../models');
+const storage = require('../utils/storage');
+const { findBlob, calculateStorageUsed } = require('../utils/storageBlobs');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function backfillStorageBlobs() {
+  try {
+    console.log(`📦 Starting storage blob backfill${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const videos = await Video.findAll({
+      where: {
+        isActive: true,
+        blobId: null,
+        filePath: { [Op.ne]: null },
+      },
+      order: [['createdAt', 'ASC']],
+    });
+
+    console.log(`📊 Found ${videos.length} videos with their own file\n`);
+
+    const seen = new Set();
+    let stored = 0;
+    let deduplicated = 0;
+    let savedBytes = 0;
+    let failed = 0;
+
+    for (const video of videos) {
+      try {
+        if (!await storage.stat(video.filePath)) {
+          console.log(`❌ File not found: "${video.fileName}" at ${video.filePath}`);
+          failed++;
+          continue;
+        }
+
+        const contentHash = await storage.hashFile(video.filePath);
+        const key = `${video.companyId}:${contentHash}`;
+
+        if (dryRun) {
+          const duplicate = seen.has(key) || !!await findBlob(video.companyId, contentHash);
+          seen.add(key);
+          if (duplicate) {
+            console.log(`   ♻️  Duplicate: "${video.fileName}"`);
+            deduplicated++;
+            savedBytes += Number(video.fileSize || 0);
+          } else {
+            stored++;
+          }
+          continue;
+        }
+
+        const existing = await findBlob(video.companyId, contentHash);
+        if (!existing) {
+          const blob = await StorageBlob.create({
+            companyId: video.companyId,
+            contentHash,
+            size: Number(video.fileSize),
+            path: video.filePath,
+            mimeType: video.mimeType,
+            refCount: 1,
+          });
+          await video.update({
+            blobId: blob.id,
+            contentHash,
+            contentHashedAt: video.contentHashedAt || new Date(),
+          });
+
+          console.log(`   ✅ Stored: "${video.fileName}"`);
+          stored++;
+          continue;
+        }
+
+        const oldPath = video.filePath;
+        await existing.increment('refCount');
+        await video.update({
+          filePath: existing.path,
+          blobId: existing.id,
+          contentHash,
+          contentHashedAt: video.contentHashedAt || new Date(),
+          // An image is its own thumbnail
+          thumbnailPath: video.thumbnailPath === oldPath ? existing.path : video.thumbnailPath,
+        });
+        await storage.delete(oldPath);
+
+        console.log(`   ♻️  Deduplicated: "${video.fileName}"`);
+        deduplicated++;
+        savedBytes += Number(video.fileSize || 0);
+      } catch (error) {
+        console.log(`   ❌ Error for "${video.fileName}": ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (!dryRun) {
+      console.log('\n🔢 Recalculating company storage usage...');
+      const companies = await Company.findAll({ attributes: ['id', 'name', 'storageUsedBytes'] });
+      for (const company of companies) {
+        const storageUsedBytes = await calculateStorageUsed(company.id);
+        if (storageUsedBytes !== Number(company.storageUsedBytes)) {
+          await company.update({ storageUsedBytes });
+          console.log(`   ${company.name}: ${(storageUsedBytes / (1024 * 1024)).toFixed(2)}MB`);
+        }
+      }
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📊 Summary:');
+    console.log(`   ✅ ${dryRun ? 'Unique' : 'Stored'}: ${stored}`);
+    console.log(`   ♻️  ${dryRun ? 'Duplicates' : 'Deduplicated'}: ${deduplicated}`);
+    console.log(`   💾 Space ${dryRun ? 'to free' : 'freed'}: ${(savedBytes / (1024 * 1024)).toFixed(2)}MB`);
+    console.log(`   ❌ Failed: ${failed}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during storage blob backfill:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill
+backfillStorageBlobs();
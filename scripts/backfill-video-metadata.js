@@ -8,7 +8,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const { Video } = require('../models');
 const { extractVideoMetadata } = require('../utils/videoMetadata');
-const fs = require('fs').promises;
+const storage = require('../utils/storage');
 
 async function backfillVideoMetadata() {
   try {
@@ -18,6 +18,7 @@ async function backfillVideoMetadata() {
     const videosWithoutMetadata = await Video.findAll({
       where: {
         isActive: true,
+        mediaType: 'video',
       },
     });
 
@@ -37,10 +38,7 @@ async function backfillVideoMetadata() {
         }
 
         // Check if file exists
-        const fullPath = path.join(process.cwd(), video.filePath);
-        try {
-          await fs.access(fullPath);
-        } catch (err) {
+        if (!await storage.stat(video.filePath)) {
           console.log(`❌ File not found: "${video.fileName}" at ${video.filePath}`);
           failed++;
           continue;
@@ -48,7 +46,7 @@ async function backfillVideoMetadata() {
 
         // Extract metadata
         console.log(`🔄 Processing: "${video.fileName}"...`);
-        const metadata = await extractVideoMetadata(fullPath);
+        const metadata = await storage.withLocalFile(video.filePath, extractVideoMetadata);
 
         // Update video record
         await video.update({
@@ -7,8 +7,8 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const { Video } = require('../models');
-const { generateThumbnailAtPercentage } = require('../utils/videoMetadata');
-const fs = require('fs').promises;
+const storage = require('../utils/storage');
+const { createThumbnail } = require('../utils/mediaJobs');
 
 async function backfillVideoThumbnails() {
   try {
@@ -18,6 +18,7 @@ async function backfillVideoThumbnails() {
     const videosWithoutThumbnails = await Video.findAll({
       where: {
         isActive: true,
+        mediaType: 'video',
         thumbnailPath: null,
       },
     });
@@ -35,36 +36,17 @@ async function backfillVideoThumbnails() {
     for (const video of videosWithoutThumbnails) {
       try {
         // Check if video file exists
-        const videoFullPath = path.join(process.cwd(), video.filePath);
-        try {
-          await fs.access(videoFullPath);
-        } catch (err) {
+        if (!await storage.stat(video.filePath)) {
           console.log(`❌ Video file not found: "${video.fileName}" at ${video.filePath}`);
           failed++;
           continue;
         }
 
-        // Generate thumbnail filename and path
-        const videoFilename = path.basename(video.filePath);
-        const thumbnailFilename = `${path.basename(videoFilename, path.extname(videoFilename))}_thumb.jpg`;
-        
-        // Extract company ID from file path (videos/companyId/filename)
-        const pathParts = video.filePath.split(path.sep);
-        const companyId = pathParts[1];
-        
-        const thumbnailFullPath = path.join(process.cwd(), 'videos', companyId, 'thumbnails', thumbnailFilename);
-        const thumbnailRelativePath = path.join('videos', companyId, 'thumbnails', thumbnailFilename);
-
         // Generate thumbnail at 10% of video duration
         console.log(`🔄 Generating thumbnail for: "${video.fileName}"...`);
-        await generateThumbnailAtPercentage(videoFullPath, thumbnailFullPath, 10);
-
-        // Update video record
-        await video.update({
-          thumbnailPath: thumbnailRelativePath,
-        });
+        await createThumbnail(video);
 
-        console.log(`   ✅ Thumbnail generated: ${thumbnailFilename}`);
+        console.log(`   ✅ Thumbnail generated: ${path.basename(video.thumbnailPath)}`);
         generated++;
       } catch (error) {
         console.log(`   ❌ Error: ${error.message}`);
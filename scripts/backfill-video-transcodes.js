@@ -0,0 +1,87 @@
+/**
+ * Backfill Video Transcodes Script
+ * Queues transcode jobs for existing videos that were uploaded before
+ * transcoding was added (videos without a transcode status). Add --failed to
+ * queue failed ones again too, or --hls to queue HLS packaging of videos
+ * without a package instead. The running server's media job queue does the
+ * transcoding.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { Video } = require('../models');
+const { transcodeConfig } = require('../config');
+const { queueMediaJob } = require('../utils/mediaJobs');
+const storage = require('../utils/storage');
+
+const retryFailed = process.argv.includes('--failed');
+const packageHls = process.argv.includes('--hls');
+
+async function backfillVideoTranscodes() {
+  try {
+    console.log('🎞️  Starting video transcode backfill...\n');
+
+    if (packageHls ? !transcodeConfig.hlsEnabled : !transcodeConfig.enabled) {
+      console.log(packageHls
+        ? 'ℹ️  HLS packaging is disabled (TRANSCODE_HLS is not true), nothing to do.\n'
+        : 'ℹ️  Transcoding is disabled (TRANSCODE_ENABLED=false), nothing to do.\n');
+      process.exit(0);
+    }
+
+    // Find videos never transcoded (and failed ones when asked to), or without an HLS package
+    const videos = await Video.findAll({
+      where: packageHls
+        ? { isActive: true, mediaType: 'video', hls: null }
+        : {
+          isActive: true,
+          mediaType: 'video',
+          transcodeStatus: retryFailed ? [null, 'failed'] : null,
+        },
+      order: [['createdAt', 'ASC']],
+    });
+
+    console.log(`📊 Found ${videos.length} videos to process\n`);
+
+    let queued = 0;
+    let failed = 0;
+
+    for (const video of videos) {
+      try {
+        // Check if file exists
+        if (!await storage.stat(video.filePath)) {
+          console.log(`❌ File not found: "${video.fileName}" at ${video.filePath}`);
+          failed++;
+          continue;
+        }
+
+        await queueMediaJob(video, packageHls ? 'hls' : 'transcode');
+        console.log(`   ✅ Queued: "${video.fileName}"`);
+        queued++;
+      } catch (error) {
+        console.log(`   ❌ Error: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📊 Summary:');
+    console.log(`   ✅ Queued: ${queued}`);
+    console.log(`   ❌ Failed: ${failed}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (queued > 0) {
+      console.log('✅ Transcodes queued; the server runs them in the background.\n');
+    } else {
+      console.log('ℹ️  No videos needed transcoding.\n');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during transcode backfill:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill
+backfillVideoTranscodes();
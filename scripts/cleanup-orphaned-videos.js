@@ -1,61 +1,35 @@
 /**
  * Cleanup Orphaned Video Files
  * 
- * This script finds and removes video files that exist on the filesystem
- * but don't have corresponding active records in the database.
+ * This script finds and removes video files that exist in storage (local
+ * disk or S3, see utils/storage) but don't have corresponding active
+ * records in the database.
  * 
  * Usage: node scripts/cleanup-orphaned-videos.js [--dry-run]
  */
 
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
-const { Video } = require('../models');
+const { Video, StorageBlob } = require('../models');
 const { sequelize } = require('../models/sequelize');
+const storage = require('../utils/storage');
 
-const VIDEO_BASE_DIR = path.join(__dirname, '..', 'videos');
-
+/**
+ * Uploaded files in storage: directly in a company's directory (uploaded
+ * before deduplication) or in its blobs directory. Thumbnails, renditions,
+ * HLS packages and uploads in progress are left alone.
+ */
 async function getAllVideoFiles() {
-  const videoFiles = [];
-  
-  try {
-    const companies = await fs.readdir(VIDEO_BASE_DIR);
-    
-    for (const companyId of companies) {
-      if (companyId.startsWith('.')) continue; // Skip hidden files
-      
-      const companyDir = path.join(VIDEO_BASE_DIR, companyId);
-      const stat = await fs.stat(companyDir);
-      
-      if (!stat.isDirectory()) continue;
-      
-      const files = await fs.readdir(companyDir);
-      
-      for (const file of files) {
-        if (file.startsWith('.')) continue;
-        
-        const filePath = path.join('videos', companyId, file);
-        const fullPath = path.join(VIDEO_BASE_DIR, companyId, file);
-        const fileStats = await fs.stat(fullPath);
-        
-        videoFiles.push({
-          companyId,
-          fileName: file,
-          relativePath: filePath,
-          fullPath,
-          size: fileStats.size,
-        });
-      }
-    }
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('Videos directory does not exist yet.');
-      return [];
-    }
-    throw error;
-  }
-  
-  return videoFiles;
+  const files = await storage.list('videos');
+
+  return files
+    .map(file => ({ ...file, parts: file.key.split(/[\\/]/) }))
+    .filter(({ parts }) => parts.length === 3 || (parts.length === 4 && parts[2] === 'blobs'))
+    .map(({ key, size, parts }) => ({
+      companyId: parts[1],
+      fileName: parts[parts.length - 1],
+      relativePath: key,
+      size,
+    }));
 }
 
 async function getActiveVideosFromDB() {
@@ -67,6 +41,10 @@ async function getActiveVideosFromDB() {
   return videos;
 }
 
+async function getBlobsFromDB() {
+  return StorageBlob.findAll({ attributes: ['id', 'path'] });
+}
+
 async function cleanupOrphanedFiles(dryRun = false) {
   console.log('🔍 Scanning for orphaned video files...\n');
   
@@ -87,10 +65,12 @@ async function cleanupOrphanedFiles(dryRun = false) {
   const videosInDB = await getActiveVideosFromDB();
   console.log(`📊 Found ${videosInDB.length} active videos in database\n`);
   
-  // Create a Set of file paths that should exist
-  const validFilePaths = new Set(
-    videosInDB.map(v => v.filePath.replace(/\\/g, '/'))
-  );
+  // Create a Set of file paths that should exist (files of videos and blobs)
+  const blobsInDB = await getBlobsFromDB();
+  const validFilePaths = new Set([
+    ...videosInDB.filter(v => v.filePath).map(v => v.filePath.replace(/\\/g, '/')),
+    ...blobsInDB.map(blob => blob.path.replace(/\\/g, '/')),
+  ]);
   
   // Find orphaned files
   const orphanedFiles = filesOnDisk.filter(file => {
@@ -131,7 +111,7 @@ async function cleanupOrphanedFiles(dryRun = false) {
   
   for (const file of orphanedFiles) {
     try {
-      await fs.unlink(file.fullPath);
+      await storage.delete(file.relativePath);
       console.log(`✅ Deleted: ${file.relativePath}`);
       deletedCount++;
     } catch (error) {
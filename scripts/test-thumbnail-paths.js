@@ -4,10 +4,11 @@
  */
 
 const path = require('path');
-const fs = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const { Video } = require('../models');
+const storage = require('../utils/storage');
+const { getSignedMediaUrls } = require('../utils/mediaUrls');
 
 async function testThumbnailPaths() {
   try {
@@ -26,15 +27,13 @@ async function testThumbnailPaths() {
       console.log(`   DB Path: ${video.thumbnailPath || 'N/A'}`);
       
       if (video.thumbnailPath) {
-        const fullPath = path.join(process.cwd(), video.thumbnailPath);
-        const exists = fs.existsSync(fullPath);
-        const urlPath = `/${video.thumbnailPath}`;
+        const stats = await storage.stat(video.thumbnailPath);
+        const urlPath = getSignedMediaUrls(video, { companyId: video.companyId }).thumbnail;
         
-        console.log(`   File Exists: ${exists ? '✅' : '❌'}`);
+        console.log(`   File Exists: ${stats ? '✅' : '❌'}`);
         console.log(`   URL Path: ${urlPath}`);
         
-        if (exists) {
-          const stats = fs.statSync(fullPath);
+        if (stats) {
           console.log(`   File Size: ${(stats.size / 1024).toFixed(2)} KB`);
         }
       }
@@ -0,0 +1,112 @@
+/**
+ * Registering a screen with a playlist or schedule code
+ * A screen that is already registered must send its current token, and
+ * cannot be moved to another company. The database is not touched: the
+ * lookups are replaced, and the tests stop before anything is saved.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Playlist, Schedule, License, Device } = require('../models');
+const { hashDeviceToken } = require('../utils/deviceToken');
+const indexRoutes = require('../routes/index');
+const scheduleRoutes = require('../routes/schedule');
+
+const COMPANY_ID = '3f0c2b7e-5d41-4a8e-9f3b-1c2d3e4f5a01';
+const OTHER_COMPANY_ID = '3f0c2b7e-5d41-4a8e-9f3b-1c2d3e4f5a02';
+const UID = 'FP-A7F2E1B9C4D3';
+const TOKEN = `dvt_${'a'.repeat(64)}`;
+
+describe('device registration by code', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/', indexRoutes);
+    app.use('/api/schedules', scheduleRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Replace the lookups of the registration routes
+   * @param {Object} device - What Device.findOne returns (update is recorded)
+   * @returns {Object} Mock of device.update
+   */
+  const stubLookups = (device) => {
+    // The routes log every step, which garbles the test runner's output
+    mock.method(console, 'log', () => {});
+    mock.method(Playlist, 'findOne', async () => ({ id: 'playlist', companyId: COMPANY_ID, items: [] }));
+    mock.method(Schedule, 'findOne', async () => ({ id: 'schedule', companyId: COMPANY_ID, company: {} }));
+    mock.method(License, 'findOne', async () => ({ expiresAt: new Date(Date.now() + 86400000) }));
+    mock.method(Device, 'findOne', async () => device);
+    return mock.method(device, 'update', async () => device);
+  };
+
+  const registeredDevice = (companyId) => ({
+    id: 'device',
+    uid: UID,
+    companyId,
+    tokenHash: hashDeviceToken(TOKEN),
+    isActive: true,
+    revokedAt: null,
+    update: async () => {},
+  });
+
+  const register = (path, body, token) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { 'X-Device-Token': token }),
+    },
+    body: JSON.stringify({ uid: UID, ...body }),
+  });
+
+  const routes = [
+    ['/playlists/device/register', { playlistCode: 'ABCDE' }],
+    ['/api/schedules/device/register', { scheduleCode: 'ABCDE' }],
+  ];
+
+  for (const [path, body] of routes) {
+    it(`refuses ${path} for a registered screen without its token`, async () => {
+      const update = stubLookups(registeredDevice(COMPANY_ID));
+
+      const response = await register(path, body);
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(update.mock.callCount(), 0);
+    });
+
+    it(`refuses ${path} for a registered screen with another token`, async () => {
+      const update = stubLookups(registeredDevice(COMPANY_ID));
+
+      const response = await register(path, body, `dvt_${'b'.repeat(64)}`);
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(update.mock.callCount(), 0);
+    });
+
+    it(`refuses ${path} for a screen of another company`, async () => {
+      const update = stubLookups(registeredDevice(OTHER_COMPANY_ID));
+
+      const response = await register(path, body, TOKEN);
+
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(update.mock.callCount(), 0);
+    });
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * Schedule code lookups
+ * Generated codes mix upper and lower case, so public endpoints must look
+ * schedules up by the code exactly as given. The database is not touched:
+ * Schedule.findOne is replaced to record the lookup.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Schedule } = require('../models');
+const { generateCode, isValidCode } = require('../utils/scheduleCode');
+const scheduleRoutes = require('../routes/schedule');
+
+const MIXED_CASE_CODE = 'CDxMN';
+
+describe('schedule codes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/schedules', scheduleRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/schedules`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Replace Schedule.findOne with a stub that records the code looked up
+   * @param {Object|null} schedule - What the lookup returns
+   * @returns {Object} Mock of findOne
+   */
+  const stubFindOne = (schedule) => mock.method(Schedule, 'findOne', async () => schedule);
+
+  const lookedUpCode = (findOne) => findOne.mock.calls[0].arguments[0].where.code;
+
+  it('accepts generated codes, which may contain lower case letters', () => {
+    assert.ok(isValidCode(MIXED_CASE_CODE));
+    for (let i = 0; i < 100; i++) {
+      assert.ok(isValidCode(generateCode()));
+    }
+  });
+
+  it('looks up GET /public/:code by the exact code', async () => {
+    const findOne = stubFindOne(null);
+
+    const response = await fetch(`${baseUrl}/public/${MIXED_CASE_CODE}`);
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(lookedUpCode(findOne), MIXED_CASE_CODE);
+  });
+
+  it('resolves GET /public/:code/now for a mixed-case code', async () => {
+    const findOne = stubFindOne({
+      id: '6b102435-48ce-4736-b123-9c1791ff75cc',
+      name: 'Lobby',
+      code: MIXED_CASE_CODE,
+      timezone: 'Asia/Tokyo',
+      fallbackPlaylistId: null,
+      items: [],
+    });
+
+    const response = await fetch(`${baseUrl}/public/${MIXED_CASE_CODE}/now?limit=0`);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(lookedUpCode(findOne), MIXED_CASE_CODE);
+    assert.strictEqual(body.data.code, MIXED_CASE_CODE);
+    assert.strictEqual(body.data.current, null);
+  });
+
+  it('looks up GET /public/:code/at by the exact code', async () => {
+    const findOne = stubFindOne(null);
+
+    const response = await fetch(`${baseUrl}/public/${MIXED_CASE_CODE}/at?ts=2026-11-01T21:00:00Z`);
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(lookedUpCode(findOne), MIXED_CASE_CODE);
+  });
+
+  it('registers devices with POST /device/register by the exact code', async () => {
+    const findOne = stubFindOne(null);
+
+    const response = await fetch(`${baseUrl}/device/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scheduleCode: MIXED_CASE_CODE, uid: 'FP-A7F2E1B9C4D3' }),
+    });
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(lookedUpCode(findOne), MIXED_CASE_CODE);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Per-occurrence overrides and splits
+ * An item that overlaps another on some days only must take over those
+ * occurrences and leave the others alone.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { findOccurrenceOverlap } = require('../utils/scheduleConflicts');
+const { getLocalDate, resolveSchedule } = require('../utils/scheduleResolver');
+
+const DAILY_ID = '0f6d4b1e-2a8e-4c0b-9a51-7c9b3e6f1a01';
+const MONDAY_ID = '0f6d4b1e-2a8e-4c0b-9a51-7c9b3e6f1a02';
+
+const daily = (yields = []) => ({
+  id: DAILY_ID,
+  startTime: '10:00:00',
+  duration: 3600,
+  dayOfWeek: null,
+  priority: 5,
+  yieldsTo: yields,
+});
+
+const monday = {
+  id: MONDAY_ID,
+  startTime: '10:00:00',
+  duration: 1800,
+  dayOfWeek: [1],
+  priority: 5,
+  yieldsTo: [],
+};
+
+/**
+ * Id of the item on screen at an instant
+ * @param {Object[]} items - Schedule items
+ * @param {string} at - ISO instant
+ * @returns {string|null}
+ */
+const shownAt = (items, at) => {
+  const { current } = resolveSchedule({ timezone: 'Asia/Tokyo', items }, at, { limit: 0 });
+  return current ? current.item.id : null;
+};
+
+describe('schedule conflicts', () => {
+  it('finds the days a weekly item overlaps a daily one', () => {
+    // 2026-11-02 is a Monday
+    const overlap = findOccurrenceOverlap(monday, daily(), '2026-10-29');
+
+    assert.strictEqual(overlap.date, '2026-11-02');
+    assert.ok(overlap.occurrences > 100 && overlap.occurrences < 110);
+  });
+
+  it('does not report items that never overlap', () => {
+    const evening = { ...monday, startTime: '18:00:00' };
+
+    assert.strictEqual(findOccurrenceOverlap(evening, daily(), '2026-10-29'), null);
+  });
+
+  it('takes today in the schedule\'s timezone', () => {
+    // 20:00 UTC on a Sunday is already Monday in Tokyo
+    const at = Date.parse('2026-11-01T20:00:00Z');
+
+    assert.strictEqual(getLocalDate('Asia/Tokyo', at), '2026-11-02');
+    assert.strictEqual(getLocalDate('America/New_York', at), '2026-11-01');
+  });
+
+  it('splits only the occurrences that overlap', () => {
+    const items = [daily([{ itemId: MONDAY_ID, action: 'split' }]), monday];
+
+    // Monday 10:15 and 10:45, Tuesday 10:15 in Tokyo
+    assert.strictEqual(shownAt(items, '2026-11-02T01:15:00Z'), MONDAY_ID);
+    assert.strictEqual(shownAt(items, '2026-11-02T01:45:00Z'), DAILY_ID);
+    assert.strictEqual(shownAt(items, '2026-11-03T01:15:00Z'), DAILY_ID);
+  });
+
+  it('overrides only the occurrences that overlap', () => {
+    const items = [daily([{ itemId: MONDAY_ID, action: 'override' }]), monday];
+
+    assert.strictEqual(shownAt(items, '2026-11-02T01:15:00Z'), MONDAY_ID);
+    assert.strictEqual(shownAt(items, '2026-11-02T01:45:00Z'), null);
+    assert.strictEqual(shownAt(items, '2026-11-03T01:15:00Z'), DAILY_ID);
+  });
+
+  it('lets the item given way to play whatever its priority', () => {
+    const items = [daily([{ itemId: MONDAY_ID, action: 'split' }]), { ...monday, priority: 1 }];
+
+    assert.strictEqual(shownAt(items, '2026-11-02T01:15:00Z'), MONDAY_ID);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Recurrence rules
+ * Items following an RRULE must start on the days the rule gives, counted
+ * from their start date, without the days they skip, and at their local
+ * start time on both sides of a DST change.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getItemDates, parseRRule } = require('../utils/scheduleRecurrence');
+const { resolveSchedule } = require('../utils/scheduleResolver');
+
+const ITEM_ID = '5b2e8c1d-7f3a-4d6e-8a9b-2c4d6e8f0a01';
+
+/**
+ * When the item on screen at an instant started and ends
+ * @param {Object} item - Schedule item
+ * @param {string} timezone - IANA timezone of the schedule
+ * @param {string} at - ISO instant
+ * @returns {string[]|null} [startsAt, endsAt]
+ */
+const shownAt = (item, timezone, at) => {
+  const { current } = resolveSchedule({ timezone, items: [item] }, at, { limit: 0 });
+  return current ? [current.startsAt, current.endsAt] : null;
+};
+
+const daily = (startTime, duration) => ({
+  id: ITEM_ID,
+  startTime,
+  duration,
+  dayOfWeek: null,
+  rrule: 'FREQ=DAILY',
+  startDate: '2026-01-01',
+  priority: 5,
+  yieldsTo: [],
+});
+
+describe('schedule recurrence', () => {
+  it('expands numbered BYDAY entries within the month', () => {
+    const firstMonday = { rrule: 'FREQ=MONTHLY;BYDAY=1MO', startDate: '2026-01-01' };
+    const lastFriday = { rrule: 'FREQ=MONTHLY;BYDAY=-1FR', startDate: '2026-01-01' };
+
+    assert.deepStrictEqual(getItemDates(firstMonday, '2026-01-01', '2026-04-30'),
+      ['2026-01-05', '2026-02-02', '2026-03-02', '2026-04-06']);
+    assert.deepStrictEqual(getItemDates(lastFriday, '2026-01-01', '2026-03-31'),
+      ['2026-01-30', '2026-02-27', '2026-03-27']);
+  });
+
+  it('takes every other week with INTERVAL and BYDAY', () => {
+    const item = { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH', startDate: '2026-01-05' };
+
+    assert.deepStrictEqual(getItemDates(item, '2026-01-01', '2026-01-31'),
+      ['2026-01-06', '2026-01-08', '2026-01-20', '2026-01-22']);
+  });
+
+  it('counts BYMONTHDAY from the end of the month when negative', () => {
+    const item = { rrule: 'FREQ=MONTHLY;BYMONTHDAY=15,-1', startDate: '2026-01-01' };
+
+    assert.deepStrictEqual(getItemDates(item, '2026-01-01', '2026-03-31'),
+      ['2026-01-15', '2026-01-31', '2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31']);
+  });
+
+  it('counts COUNT from the start date, not from the range', () => {
+    const item = { rrule: 'FREQ=DAILY;COUNT=3', startDate: '2026-03-10' };
+
+    assert.deepStrictEqual(getItemDates(item, '2026-03-11', '2026-03-31'), ['2026-03-11', '2026-03-12']);
+  });
+
+  it('stops at UNTIL and refuses it with COUNT', () => {
+    const item = { rrule: 'FREQ=WEEKLY;UNTIL=20260122', startDate: '2026-01-01' };
+
+    assert.deepStrictEqual(getItemDates(item, '2026-01-01', '2026-02-28'),
+      ['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22']);
+    assert.ok(parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20260122').error);
+  });
+
+  it('skips exception dates', () => {
+    // 2026-12-25 is a Friday
+    const item = { rrule: 'FREQ=WEEKLY;BYDAY=FR', startDate: '2026-12-01', exdates: ['2026-12-25'] };
+
+    assert.deepStrictEqual(getItemDates(item, '2026-12-01', '2026-12-31'),
+      ['2026-12-04', '2026-12-11', '2026-12-18']);
+  });
+
+  it('keeps the local start time across DST changes', () => {
+    const item = daily('09:00:00', 3600);
+
+    // Berlin moves from UTC+1 to UTC+2 on 2026-03-29 and back on 2026-10-25
+    assert.deepStrictEqual(shownAt(item, 'Europe/Berlin', '2026-03-28T08:30:00Z'),
+      ['2026-03-28T08:00:00.000Z', '2026-03-28T09:00:00.000Z']);
+    assert.deepStrictEqual(shownAt(item, 'Europe/Berlin', '2026-03-30T07:30:00Z'),
+      ['2026-03-30T07:00:00.000Z', '2026-03-30T08:00:00.000Z']);
+    assert.deepStrictEqual(shownAt(item, 'Europe/Berlin', '2026-10-26T08:30:00Z'),
+      ['2026-10-26T08:00:00.000Z', '2026-10-26T09:00:00.000Z']);
+  });
+
+  it('shortens an occurrence reaching into the skipped hour and lengthens one over the repeated hour', () => {
+    // 02:00-03:00 local does not exist on 2026-03-29; 02:00-03:00 happens twice on 2026-10-25
+    assert.deepStrictEqual(shownAt(daily('01:30:00', 3600), 'Europe/Berlin', '2026-03-29T00:45:00Z'),
+      ['2026-03-29T00:30:00.000Z', '2026-03-29T01:00:00.000Z']);
+    assert.deepStrictEqual(shownAt(daily('01:30:00', 7200), 'Europe/Berlin', '2026-10-25T00:45:00Z'),
+      ['2026-10-24T23:30:00.000Z', '2026-10-25T02:30:00.000Z']);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Device Commands Utility
+ * Queue of remote commands sent from the dashboard to a player, and storage
+ * of the screenshots players send back
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Op } = require('sequelize');
+const { DeviceCommand } = require('../models');
+const { deviceConfig } = require('../config');
+const { publishDeviceEvent } = require('./deviceEvents');
+
+/**
+ * Commands a player understands
+ */
+const COMMAND_TYPES = {
+  RELOAD: 'reload',
+  CLEAR_CACHE: 'clear_cache',
+  RE_REGISTER: 're_register',
+  SCREENSHOT: 'screenshot',
+};
+
+/**
+ * Statuses in which a command is still waiting for the player
+ */
+const OPEN_STATUSES = ['pending', 'delivered'];
+
+/**
+ * Base directory for screenshots (outside the public /videos mount)
+ */
+const SCREENSHOT_BASE_DIR = path.join(__dirname, '..', 'uploads', 'screenshots');
+
+/**
+ * Shape a command for players and API responses
+ * @param {Object} command - DeviceCommand instance
+ * @returns {Object}
+ */
+function toCommandPayload(command) {
+  return {
+    id: command.id,
+    type: command.type,
+    status: command.status,
+    createdAt: command.createdAt,
+    expiresAt: command.expiresAt,
+  };
+}
+
+/**
+ * Queue a command for a device and push it to the player if it is connected
+ * @param {Object} device - Device instance (must belong to a company)
+ * @param {string} type - One of COMMAND_TYPES
+ * @param {string} userId - UUID of the user sending the command
+ * @returns {Promise<Object>} Created DeviceCommand instance
+ */
+async function enqueueDeviceCommand(device, type, userId) {
+  const command = await DeviceCommand.create({
+    deviceId: device.id,
+    companyId: device.companyId,
+    createdBy: userId,
+    type,
+    expiresAt: new Date(Date.now() + deviceConfig.commandTtlSeconds * 1000),
+  });
+
+  publishDeviceEvent(device.id, 'command', { command: toCommandPayload(command) });
+
+  return command;
+}
+
+/**
+ * Mark open commands past their expiry as expired
+ * @param {Object} where - Extra conditions (e.g. { deviceId })
+ */
+async function expireStaleCommands(where = {}) {
+  await DeviceCommand.update(
+    { status: 'expired' },
+    {
+      where: {
+        ...where,
+        status: { [Op.in]: OPEN_STATUSES },
+        expiresAt: { [Op.lte]: new Date() },
+      },
+    }
+  );
+}
+
+/**
+ * Get the commands a player still has to run and mark them delivered
+ * Delivered commands are handed out again until acknowledged, so a player
+ * that reloads before acknowledging does not lose them.
+ * @param {Object} device - Device instance
+ * @returns {Promise<Object[]>} Command payloads, oldest first
+ */
+async function takeOpenCommands(device) {
+  await expireStaleCommands({ deviceId: device.id });
+
+  const commands = await DeviceCommand.findAll({
+    where: {
+      deviceId: device.id,
+      status: { [Op.in]: OPEN_STATUSES },
+    },
+    order: [['createdAt', 'ASC']],
+  });
+
+  const pendingIds = commands.filter(c => c.status === 'pending').map(c => c.id);
+  if (pendingIds.length > 0) {
+    await DeviceCommand.update(
+      { status: 'delivered', deliveredAt: new Date() },
+      { where: { id: { [Op.in]: pendingIds } } }
+    );
+  }
+
+  return commands.map(toCommandPayload);
+}
+
+/**
+ * Decode a screenshot data URL sent by a player and store it as a file
+ * @param {Object} command - DeviceCommand instance
+ * @param {string} dataUrl - data:image/jpeg;base64,... or data:image/png;base64,...
+ * @returns {Promise<string>} Path of the stored file, relative to the project root
+ */
+async function saveScreenshot(command, dataUrl) {
+  const match = /^data:image\/(jpeg|png);base64,(.+)$/.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Screenshot must be a JPEG or PNG data URL');
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > deviceConfig.maxScreenshotBytes) {
+    throw new Error('Screenshot is too large');
+  }
+
+  const dir = path.join(SCREENSHOT_BASE_DIR, command.companyId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const fileName = `${command.id}.${match[1] === 'png' ? 'png' : 'jpg'}`;
+  await fs.writeFile(path.join(dir, fileName), buffer);
+
+  return path.join('uploads', 'screenshots', command.companyId, fileName);
+}
+
+/**
+ * Delete the screenshots stored for a device's commands
+ * @param {string} deviceId - UUID of the device
+ */
+async function deleteDeviceScreenshots(deviceId) {
+  const commands = await DeviceCommand.findAll({
+    where: { deviceId, type: COMMAND_TYPES.SCREENSHOT },
+    attributes: ['id', 'result'],
+  });
+
+  for (const command of commands) {
+    if (command.result && command.result.screenshotPath) {
+      await fs.unlink(path.join(__dirname, '..', command.result.screenshotPath)).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  OPEN_STATUSES,
+  toCommandPayload,
+  enqueueDeviceCommand,
+  expireStaleCommands,
+  takeOpenCommands,
+  saveScreenshot,
+  deleteDeviceScreenshots,
+};
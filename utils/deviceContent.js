@@ -0,0 +1,577 @@
+/**
+ * Device Content Utility
+ * Assigns content (a playlist, a schedule or a layout) to a device and loads
+ * what a player needs to start playing it. Content assigned to a device's
+ * group takes precedence over the device's own assignment.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Playlist,
+  PlaylistItem,
+  Video,
+  Device,
+  DevicePlaylist,
+  DeviceGroup,
+  Schedule,
+  ScheduleItem,
+  Layout,
+  LayoutZone,
+} = require('../models');
+const { buildTimelineManifest } = require('./playerManifest');
+const { resolveSchedule, MAX_UPCOMING_LIMIT } = require('./scheduleResolver');
+
+/**
+ * Video attributes players need to cache and play media
+ */
+const PLAYER_VIDEO_ATTRIBUTES = ['id', 'companyId', 'fileName', 'mediaType', 'filePath', 'sourceUrl', 'thumbnailPath', 'fileSize', 'mimeType', 'duration', 'resolution', 'contentHash', 'renditions', 'hls', 'trimStart', 'trimEnd'];
+
+/**
+ * Load an active playlist with its timeline in the shape players expect
+ * (same as the POST /playlists/device/register response)
+ * @param {string} playlistId - UUID of the playlist
+ * @returns {Promise<Object|null>} { id, name, description, code, items } or null
+ */
+async function loadPlayerPlaylist(playlistId) {
+  const playlist = await Playlist.findOne({
+    where: {
+      id: playlistId,
+      isActive: true,
+    },
+    include: [{
+      model: PlaylistItem,
+      as: 'items',
+      required: false,
+      include: [{
+        model: Video,
+        as: 'video',
+        where: { isActive: true },
+        required: false,
+        attributes: PLAYER_VIDEO_ATTRIBUTES,
+      }],
+    }],
+    order: [[{ model: PlaylistItem, as: 'items' }, 'order', 'ASC']],
+  });
+
+  if (!playlist) {
+    return null;
+  }
+
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    code: playlist.code,
+    items: playlist.items,
+  };
+}
+
+/**
+ * Shape the items of a schedule for players
+ * Playlist blocks come with the timeline of their playlist; items whose video
+ * or playlist was deleted are left out.
+ * @param {Object} schedule - Schedule with its items (and their videos)
+ * @returns {Promise<Object>} { items, fallbackPlaylist }
+ */
+async function loadPlayerScheduleItems(schedule) {
+  const scheduleItems = schedule.items || [];
+  const playlistIds = [...new Set([
+    schedule.fallbackPlaylistId,
+    ...scheduleItems.map(item => item.playlistId),
+  ].filter(Boolean))];
+
+  const playlists = new Map();
+  for (const playlistId of playlistIds) {
+    playlists.set(playlistId, await loadPlayerPlaylist(playlistId));
+  }
+
+  const items = scheduleItems
+    .filter(item => (item.playlistId ? playlists.get(item.playlistId) : item.video))
+    .map(item => ({
+      id: item.id,
+      startTime: item.startTime,
+      duration: item.duration,
+      dayOfWeek: item.dayOfWeek,
+      rrule: item.rrule,
+      exdates: item.exdates,
+      startDate: item.startDate,
+      endDate: item.endDate,
+      priority: item.priority,
+      yieldsTo: item.yieldsTo,
+      order: item.order,
+      metadata: item.metadata,
+      video: item.playlistId ? null : item.video,
+      playlist: item.playlistId ? playlists.get(item.playlistId) : null,
+    }));
+
+  return {
+    items,
+    fallbackPlaylist: schedule.fallbackPlaylistId ? playlists.get(schedule.fallbackPlaylistId) || null : null,
+  };
+}
+
+/**
+ * Load an active schedule in the shape players expect: its items, its
+ * fallback playlist and what it shows from now on, resolved in its timezone
+ * (players follow the timeline instead of evaluating recurrence themselves)
+ * @param {string} scheduleId - UUID of the schedule
+ * @param {Date|number} [at] - Instant the timeline starts at (default: now)
+ * @returns {Promise<Object|null>} { id, name, description, code, timezone, settings, items,
+ *   fallbackPlaylist, timeline, manifest } or null. timeline: { at, localTime, utcOffset,
+ *   current: { itemId, startsAt, endsAt, loopPosition } | null, fallback: { until } | null,
+ *   upcoming: [{ itemId, startsAt, endsAt }] }
+ */
+async function loadPlayerSchedule(scheduleId, at = Date.now()) {
+  const schedule = await Schedule.findOne({
+    where: {
+      id: scheduleId,
+      isActive: true,
+    },
+    include: [{
+      model: ScheduleItem,
+      as: 'items',
+      where: { isActive: true },
+      required: false,
+      include: [{
+        model: Video,
+        as: 'video',
+        where: { isActive: true },
+        required: false,
+        attributes: PLAYER_VIDEO_ATTRIBUTES,
+      }],
+    }],
+    order: [[{ model: ScheduleItem, as: 'items' }, 'startTime', 'ASC']],
+  });
+
+  if (!schedule) {
+    return null;
+  }
+
+  const { items, fallbackPlaylist } = await loadPlayerScheduleItems(schedule);
+  const resolved = resolveSchedule(
+    { timezone: schedule.timezone, items, fallbackPlaylist },
+    at,
+    { limit: MAX_UPCOMING_LIMIT }
+  );
+
+  // One manifest covering every video the schedule can show, for the player's cache
+  const manifestItems = [
+    ...items.filter(item => item.video),
+    ...items.flatMap(item => (item.playlist ? item.playlist.items : [])),
+    ...(fallbackPlaylist ? fallbackPlaylist.items : []),
+  ];
+
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    description: schedule.description,
+    code: schedule.code,
+    timezone: resolved.timezone,
+    settings: schedule.settings,
+    items,
+    fallbackPlaylist,
+    timeline: {
+      at: resolved.at,
+      localTime: resolved.localTime,
+      utcOffset: resolved.utcOffset,
+      current: resolved.current && {
+        itemId: resolved.current.item.id,
+        startsAt: resolved.current.startsAt,
+        endsAt: resolved.current.endsAt,
+        loopPosition: resolved.current.loopPosition || null,
+      },
+      fallback: resolved.fallback && { until: resolved.fallback.until },
+      upcoming: resolved.upcoming.map(segment => ({
+        itemId: segment.item.id,
+        startsAt: segment.startsAt,
+        endsAt: segment.endsAt,
+      })),
+    },
+    manifest: await buildTimelineManifest(manifestItems),
+  };
+}
+
+/**
+ * Load an active layout with the timeline of every zone, in the shape players expect
+ * @param {string} layoutId - UUID of the layout
+ * @returns {Promise<Object|null>} { id, name, description, backgroundColor, zones, manifest } or null
+ *   (zones: [{ id, name, x, y, width, height, zIndex, audioEnabled, playlist }], ordered by zIndex)
+ */
+async function loadPlayerLayout(layoutId) {
+  const layout = await Layout.findOne({
+    where: {
+      id: layoutId,
+      isActive: true,
+    },
+    include: [{
+      model: LayoutZone,
+      as: 'zones',
+      required: false,
+    }],
+    order: [[{ model: LayoutZone, as: 'zones' }, 'zIndex', 'ASC']],
+  });
+
+  if (!layout) {
+    return null;
+  }
+
+  const zones = [];
+  for (const zone of layout.zones) {
+    zones.push({
+      id: zone.id,
+      name: zone.name,
+      x: zone.x,
+      y: zone.y,
+      width: zone.width,
+      height: zone.height,
+      zIndex: zone.zIndex,
+      audioEnabled: zone.audioEnabled,
+      playlist: zone.playlistId ? await loadPlayerPlaylist(zone.playlistId) : null,
+    });
+  }
+
+  // One manifest covering the videos of every zone, for the player's cache
+  const items = zones.flatMap(zone => (zone.playlist ? zone.playlist.items : []));
+
+  return {
+    id: layout.id,
+    name: layout.name,
+    description: layout.description,
+    backgroundColor: layout.backgroundColor,
+    zones,
+    manifest: await buildTimelineManifest(items),
+  };
+}
+
+/**
+ * Point a device at a single playlist
+ * Other playlist registrations and any schedule assignment are deactivated
+ * @param {Object} device - Device instance
+ * @param {string} playlistId - UUID of the playlist
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function assignPlaylistToDevice(device, playlistId, transaction = null) {
+  await DevicePlaylist.update(
+    { isActive: false },
+    { where: { deviceId: device.id, isActive: true }, transaction }
+  );
+
+  const existing = await DevicePlaylist.findOne({
+    where: { deviceId: device.id, playlistId },
+    transaction,
+  });
+
+  if (existing) {
+    await existing.update({ registeredAt: new Date(), isActive: true }, { transaction });
+  } else {
+    await DevicePlaylist.create({
+      deviceId: device.id,
+      playlistId,
+      registeredAt: new Date(),
+      isActive: true,
+    }, { transaction });
+  }
+
+  await device.update({ scheduleId: null, layoutId: null }, { transaction });
+}
+
+/**
+ * Point a device at a schedule
+ * Playlist registrations are deactivated
+ * @param {Object} device - Device instance
+ * @param {string} scheduleId - UUID of the schedule
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function assignScheduleToDevice(device, scheduleId, transaction = null) {
+  await DevicePlaylist.update(
+    { isActive: false },
+    { where: { deviceId: device.id, isActive: true }, transaction }
+  );
+
+  await device.update({ scheduleId, layoutId: null }, { transaction });
+}
+
+/**
+ * Point a device at a layout
+ * Playlist registrations and any schedule assignment are deactivated
+ * @param {Object} device - Device instance
+ * @param {string} layoutId - UUID of the layout
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function assignLayoutToDevice(device, layoutId, transaction = null) {
+  await DevicePlaylist.update(
+    { isActive: false },
+    { where: { deviceId: device.id, isActive: true }, transaction }
+  );
+
+  await device.update({ scheduleId: null, layoutId }, { transaction });
+}
+
+/**
+ * Find an active playlist, schedule or layout of a company that can be assigned to devices
+ * @param {string} companyId - UUID of the company
+ * @param {Object} content - { contentType: 'playlist'|'schedule'|'layout', playlistId, scheduleId, layoutId }
+ * @returns {Promise<Object|null>} Playlist, Schedule or Layout instance, or null
+ */
+async function findAssignableContent(companyId, { contentType, playlistId, scheduleId, layoutId }) {
+  const contentTypes = {
+    playlist: [Playlist, playlistId],
+    schedule: [Schedule, scheduleId],
+    layout: [Layout, layoutId],
+  };
+  const [Model, id] = contentTypes[contentType] || contentTypes.playlist;
+
+  if (!id) {
+    return null;
+  }
+
+  return Model.findOne({
+    where: { id, companyId, isActive: true },
+  });
+}
+
+/**
+ * Point a device group at a playlist, a schedule or a layout (pass null for all to clear)
+ * @param {Object} group - DeviceGroup instance
+ * @param {Object} content - { playlistId, scheduleId, layoutId }
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function assignContentToGroup(group, { playlistId = null, scheduleId = null, layoutId = null }, transaction = null) {
+  await group.update({
+    playlistId: scheduleId || layoutId ? null : playlistId,
+    scheduleId: layoutId ? null : scheduleId,
+    layoutId,
+  }, { transaction });
+}
+
+/**
+ * Get the content assigned through the device's group, if any
+ * @param {Object} device - Device instance
+ * @returns {Promise<Object|null>} { type: 'playlist'|'schedule'|'layout', id } or null
+ */
+async function getGroupAssignmentRef(device) {
+  if (!device.groupId) {
+    return null;
+  }
+
+  const group = await DeviceGroup.findByPk(device.groupId, {
+    attributes: ['id', 'playlistId', 'scheduleId', 'layoutId'],
+  });
+
+  if (group && group.layoutId) {
+    return { type: 'layout', id: group.layoutId };
+  }
+
+  if (group && group.scheduleId) {
+    return { type: 'schedule', id: group.scheduleId };
+  }
+
+  if (group && group.playlistId) {
+    return { type: 'playlist', id: group.playlistId };
+  }
+
+  return null;
+}
+
+/**
+ * Identify what a device is assigned to without loading the content
+ * Used by the heartbeat so players notice reassignments
+ * @param {Object} device - Device instance
+ * @returns {Promise<Object|null>} { type: 'playlist'|'schedule'|'layout', id, source: 'group'|'device' } or null
+ */
+async function getDeviceAssignmentRef(device) {
+  const groupRef = await getGroupAssignmentRef(device);
+  if (groupRef) {
+    return { ...groupRef, source: 'group' };
+  }
+
+  if (device.layoutId) {
+    return { type: 'layout', id: device.layoutId, source: 'device' };
+  }
+
+  if (device.scheduleId) {
+    return { type: 'schedule', id: device.scheduleId, source: 'device' };
+  }
+
+  const devicePlaylist = await DevicePlaylist.findOne({
+    where: { deviceId: device.id, isActive: true },
+    order: [['registeredAt', 'DESC']],
+    attributes: ['playlistId'],
+  });
+
+  return devicePlaylist ? { type: 'playlist', id: devicePlaylist.playlistId, source: 'device' } : null;
+}
+
+/**
+ * Resolve what a device is currently assigned to play
+ * @param {Object} device - Device instance
+ * @returns {Promise<Object|null>} { type: 'playlist', playlist } | { type: 'schedule', schedule } |
+ *   { type: 'layout', layout } | null
+ */
+async function getDeviceAssignment(device) {
+  const ref = await getDeviceAssignmentRef(device);
+
+  if (!ref) {
+    return null;
+  }
+
+  if (ref.type === 'layout') {
+    const layout = await loadPlayerLayout(ref.id);
+    return layout ? { type: 'layout', source: ref.source, layout } : null;
+  }
+
+  if (ref.type === 'schedule') {
+    const schedule = await loadPlayerSchedule(ref.id);
+    return schedule ? { type: 'schedule', source: ref.source, schedule } : null;
+  }
+
+  const playlist = await loadPlayerPlaylist(ref.id);
+  return playlist ? { type: 'playlist', source: ref.source, playlist } : null;
+}
+
+/**
+ * Check whether a layout has a zone playing a playlist
+ * @param {string} layoutId - UUID of the layout
+ * @param {string} playlistId - UUID of the playlist
+ * @returns {Promise<boolean>}
+ */
+async function layoutHasPlaylist(layoutId, playlistId) {
+  const zone = await LayoutZone.findOne({
+    where: { layoutId, playlistId },
+    attributes: ['id'],
+  });
+
+  return !!zone;
+}
+
+/**
+ * Check whether a schedule plays a playlist, as a block or as its fallback
+ * @param {string} scheduleId - UUID of the schedule
+ * @param {string} playlistId - UUID of the playlist
+ * @returns {Promise<boolean>}
+ */
+async function scheduleHasPlaylist(scheduleId, playlistId) {
+  const schedule = await Schedule.findByPk(scheduleId, {
+    attributes: ['id', 'fallbackPlaylistId'],
+  });
+  if (!schedule) {
+    return false;
+  }
+  if (schedule.fallbackPlaylistId === playlistId) {
+    return true;
+  }
+
+  const item = await ScheduleItem.findOne({
+    where: { scheduleId, playlistId, isActive: true },
+    attributes: ['id'],
+  });
+
+  return !!item;
+}
+
+/**
+ * Check whether a device may play a playlist: the playlist it is assigned
+ * (directly or through its group), a playlist of one of the zones of its
+ * layout or of its schedule, or any playlist it registered to with a
+ * playlist code while not overridden by a group
+ * @param {Object} device - Device instance
+ * @param {string} playlistId - UUID of the playlist
+ * @returns {Promise<boolean>}
+ */
+async function canDeviceAccessPlaylist(device, playlistId) {
+  const groupRef = await getGroupAssignmentRef(device);
+  if (groupRef) {
+    if (groupRef.type === 'layout') {
+      return layoutHasPlaylist(groupRef.id, playlistId);
+    }
+    if (groupRef.type === 'schedule') {
+      return scheduleHasPlaylist(groupRef.id, playlistId);
+    }
+    return groupRef.type === 'playlist' && groupRef.id === playlistId;
+  }
+
+  if (device.layoutId) {
+    return layoutHasPlaylist(device.layoutId, playlistId);
+  }
+
+  if (device.scheduleId) {
+    return scheduleHasPlaylist(device.scheduleId, playlistId);
+  }
+
+  const devicePlaylist = await DevicePlaylist.findOne({
+    where: { deviceId: device.id, playlistId, isActive: true },
+    attributes: ['id'],
+  });
+
+  return !!devicePlaylist;
+}
+
+/**
+ * List the ids of the devices in a group (to notify them of changes)
+ * @param {string} groupId - UUID of the group
+ * @returns {Promise<string[]>}
+ */
+async function getGroupDeviceIds(groupId) {
+  const devices = await Device.findAll({
+    where: { groupId },
+    attributes: ['id'],
+  });
+
+  return devices.map(device => device.id);
+}
+
+/**
+ * List the ids of the devices playing a layout, directly or through their group
+ * @param {string} layoutId - UUID of the layout
+ * @returns {Promise<string[]>}
+ */
+async function getLayoutDeviceIds(layoutId) {
+  const groups = await DeviceGroup.findAll({
+    where: { layoutId },
+    attributes: ['id'],
+  });
+
+  const devices = await Device.findAll({
+    where: {
+      [Op.or]: [
+        { layoutId },
+        { groupId: { [Op.in]: groups.map(group => group.id) } },
+      ],
+    },
+    attributes: ['id'],
+  });
+
+  return devices.map(device => device.id);
+}
+
+/**
+ * List the ids of the playlists whose timeline uses a media item
+ * @param {string} videoId - UUID of the video, image, PDF or web page
+ * @returns {Promise<string[]>}
+ */
+async function getVideoPlaylistIds(videoId) {
+  const items = await PlaylistItem.findAll({
+    where: { videoId },
+    attributes: ['playlistId'],
+  });
+
+  return [...new Set(items.map(item => item.playlistId))];
+}
+
+module.exports = {
+  loadPlayerPlaylist,
+  loadPlayerScheduleItems,
+  loadPlayerSchedule,
+  loadPlayerLayout,
+  assignPlaylistToDevice,
+  assignScheduleToDevice,
+  assignLayoutToDevice,
+  findAssignableContent,
+  assignContentToGroup,
+  getDeviceAssignmentRef,
+  getDeviceAssignment,
+  canDeviceAccessPlaylist,
+  getGroupDeviceIds,
+  getLayoutDeviceIds,
+  getVideoPlaylistIds,
+};
@@ -0,0 +1,133 @@
+/**
+ * Device Events Utility
+ * In-process publish/subscribe hub used to push change notifications to
+ * connected players over Server-Sent Events.
+ *
+ * NOTE: Subscribers only receive events published by the same Node process.
+ * Players that miss an event still pick up changes through timeline polling.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per connected screen - there is no meaningful upper bound
+emitter.setMaxListeners(0);
+
+/**
+ * Build the channel name for a playlist
+ * @param {string} playlistId - UUID of the playlist
+ * @returns {string} Channel name
+ */
+const playlistChannel = (playlistId) => `playlist:${playlistId}`;
+
+/**
+ * Build the channel name for a layout
+ * @param {string} layoutId - UUID of the layout
+ * @returns {string} Channel name
+ */
+const layoutChannel = (layoutId) => `layout:${layoutId}`;
+
+/**
+ * Build the channel name for a schedule
+ * @param {string} scheduleId - UUID of the schedule
+ * @returns {string} Channel name
+ */
+const scheduleChannel = (scheduleId) => `schedule:${scheduleId}`;
+
+/**
+ * Build the channel name for a single device
+ * @param {string} deviceId - UUID of the device
+ * @returns {string} Channel name
+ */
+const deviceChannel = (deviceId) => `device:${deviceId}`;
+
+/**
+ * Publish an event on a channel
+ * @param {string} channel - Channel name (e.g. "playlist:<id>")
+ * @param {string} event - Event name sent to the player
+ * @param {Object} data - JSON-serializable payload
+ */
+function publish(channel, event, data = {}) {
+  emitter.emit(channel, {
+    event,
+    data: {
+      ...data,
+      publishedAt: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Subscribe to one or more channels
+ * @param {string[]} channels - Channel names
+ * @param {Function} listener - Called with { event, data } for every published event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(channels, listener) {
+  channels.forEach(channel => emitter.on(channel, listener));
+
+  return () => {
+    channels.forEach(channel => emitter.off(channel, listener));
+  };
+}
+
+/**
+ * Notify players that a playlist timeline changed
+ * @param {string} playlistId - UUID of the playlist
+ * @param {string} action - What changed (add, update, reorder, remove, clear)
+ */
+function publishPlaylistUpdate(playlistId, action) {
+  publish(playlistChannel(playlistId), 'timeline-updated', { playlistId, action });
+}
+
+/**
+ * Notify players that a layout changed (zones, background or deletion)
+ * @param {string} layoutId - UUID of the layout
+ * @param {string} action - What changed (update, delete)
+ */
+function publishLayoutUpdate(layoutId, action) {
+  publish(layoutChannel(layoutId), 'layout-updated', { layoutId, action });
+}
+
+/**
+ * Notify players that a schedule changed (its items, fallback, timezone or deletion)
+ * @param {string} scheduleId - UUID of the schedule
+ * @param {string} action - What changed (update, delete, add-item, update-item, restore-item, remove-item)
+ */
+function publishScheduleUpdate(scheduleId, action) {
+  publish(scheduleChannel(scheduleId), 'schedule-updated', { scheduleId, action });
+}
+
+/**
+ * Send an event to a single device
+ * @param {string} deviceId - UUID of the device
+ * @param {string} event - Event name sent to the player
+ * @param {Object} data - JSON-serializable payload
+ */
+function publishDeviceEvent(deviceId, event, data = {}) {
+  publish(deviceChannel(deviceId), event, { deviceId, ...data });
+}
+
+/**
+ * Notify a player that it may no longer play content
+ * Open event streams for the device are closed after this event
+ * @param {string} deviceId - UUID of the device
+ * @param {string} reason - Why access ended (revoked, deactivated, deleted)
+ */
+function publishDeviceRevoked(deviceId, reason = 'revoked') {
+  publishDeviceEvent(deviceId, 'revoked', { reason });
+}
+
+module.exports = {
+  playlistChannel,
+  layoutChannel,
+  scheduleChannel,
+  deviceChannel,
+  publish,
+  subscribe,
+  publishPlaylistUpdate,
+  publishLayoutUpdate,
+  publishScheduleUpdate,
+  publishDeviceEvent,
+  publishDeviceRevoked,
+};
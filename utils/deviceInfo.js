@@ -0,0 +1,110 @@
+/**
+ * Device Info Utility
+ * Turns the raw deviceInfo collected by getDeviceInfo() in
+ * public/js/device-registration.js into readable fields, and builds the
+ * device summary shown in the dashboard and returned by /api/devices
+ */
+
+const { getDeviceStatus } = require('./deviceStatus');
+
+/**
+ * Browser detection rules, checked in order (Edge and Opera also contain "Chrome")
+ */
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+];
+
+/**
+ * Operating system detection rules, checked in order (Android UAs also contain "Linux")
+ */
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+/**
+ * Summarize a device's deviceInfo JSON
+ * @param {Object} deviceInfo - Raw device info ({ resolution, browser (user agent), platform, location })
+ * @returns {Object} { resolution, browser, os, location }
+ */
+function describeDeviceInfo(deviceInfo) {
+  const info = deviceInfo || {};
+  const userAgent = info.browser || '';
+
+  const browser = BROWSERS.find(b => b.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(o => o.pattern.test(userAgent));
+
+  return {
+    resolution: info.resolution || null,
+    browser: browser ? `${browser.name} ${userAgent.match(browser.pattern)[1].split('.')[0]}` : null,
+    os: os ? os.name : (info.platform || null),
+    location: info.location || null,
+  };
+}
+
+/**
+ * Build the dashboard/API representation of a device
+ * Expects the device to be loaded with its active 'playlists' (through
+ * attribute registeredAt), its 'schedule', its 'layout' and its 'group' (with
+ * the group's 'playlist', 'schedule' and 'layout')
+ * @param {Object} device - Device instance
+ * @param {Date} now - Reference time for the status (default: current time)
+ * @returns {Object} Device fields plus status, info and the content it plays
+ *   (currentPlaylist, schedule or layout, with contentSource 'group' or 'device')
+ */
+function toDeviceSummary(device, now = new Date()) {
+  const data = device.toSafeObject();
+  const playlists = (data.playlists || []).map(({ DevicePlaylist, ...playlist }) => ({
+    ...playlist,
+    registeredAt: DevicePlaylist ? DevicePlaylist.registeredAt : null,
+  }));
+
+  // Most recent registration wins if a device was registered to several playlists
+  playlists.sort((a, b) => new Date(b.registeredAt) - new Date(a.registeredAt));
+
+  // Content assigned to the group overrides the device's own assignment
+  const group = data.group || null;
+  const groupContent = group && (group.layout || group.schedule || group.playlist);
+  const source = groupContent ? group : data;
+  const layout = source.layout || null;
+  const schedule = layout ? null : (source.schedule || null);
+  const ownPlaylist = groupContent ? (group.playlist || null) : (playlists[0] || null);
+  const currentPlaylist = layout || schedule ? null : ownPlaylist;
+  const hasContent = !!(layout || schedule || currentPlaylist);
+
+  return {
+    id: data.id,
+    uid: data.uid,
+    name: data.name,
+    isActive: data.isActive,
+    revokedAt: data.revokedAt,
+    status: getDeviceStatus(data, now),
+    lastSeen: data.lastSeen,
+    lastHeartbeat: data.lastHeartbeat,
+    info: describeDeviceInfo(data.deviceInfo),
+    deviceInfo: data.deviceInfo,
+    group: group ? { id: group.id, name: group.name } : null,
+    currentPlaylist,
+    schedule,
+    layout,
+    contentSource: hasContent ? (groupContent ? 'group' : 'device') : null,
+    playlists,
+    tokenIssuedAt: data.tokenIssuedAt,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+  };
+}
+
+module.exports = {
+  describeDeviceInfo,
+  toDeviceSummary,
+};
@@ -0,0 +1,70 @@
+/**
+ * Device Status Utility
+ * Derives online/degraded/offline state from a device's last heartbeat
+ */
+
+const { deviceConfig } = require('../config');
+
+/**
+ * Possible device states
+ */
+const DEVICE_STATUS = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline',
+};
+
+/**
+ * Determine the current status of a device
+ * - online: heard from recently and the player reports healthy playback
+ * - degraded: heartbeats are late, or the player reports a playback problem
+ * - offline: never seen, deactivated, or silent past the offline threshold
+ * @param {Object} device - Device instance or plain object (lastSeen, lastHeartbeat, isActive)
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {string} One of DEVICE_STATUS values
+ */
+function getDeviceStatus(device, now = new Date()) {
+  if (!device || device.isActive === false || !device.lastSeen) {
+    return DEVICE_STATUS.OFFLINE;
+  }
+
+  const secondsSinceSeen = (now.getTime() - new Date(device.lastSeen).getTime()) / 1000;
+
+  if (secondsSinceSeen > deviceConfig.offlineAfterSeconds) {
+    return DEVICE_STATUS.OFFLINE;
+  }
+
+  if (secondsSinceSeen > deviceConfig.degradedAfterSeconds) {
+    return DEVICE_STATUS.DEGRADED;
+  }
+
+  const heartbeat = device.lastHeartbeat;
+  if (heartbeat && (heartbeat.playing === false || heartbeat.lastError)) {
+    return DEVICE_STATUS.DEGRADED;
+  }
+
+  return DEVICE_STATUS.ONLINE;
+}
+
+/**
+ * Count devices per status
+ * @param {Object[]} devices - Devices to summarize
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Object} { online, degraded, offline, total }
+ */
+function summarizeDeviceStatuses(devices, now = new Date()) {
+  const summary = { online: 0, degraded: 0, offline: 0, total: 0 };
+
+  for (const device of devices || []) {
+    summary[getDeviceStatus(device, now)]++;
+    summary.total++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEVICE_STATUS,
+  getDeviceStatus,
+  summarizeDeviceStatuses,
+};
@@ -0,0 +1,79 @@
+/**
+ * Device Token Utility
+ * Issues and verifies the secret credential a player sends with every request.
+ * Only a SHA-256 hash of the token is stored on the device row.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a new random device token
+ * Format: "dvt_" followed by 64 hex characters
+ * @returns {string} Plain-text device token
+ */
+function generateDeviceToken() {
+  return `dvt_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Hash a device token for storage and lookup
+ * @param {string} token - Plain-text device token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a fresh token for a device, replacing any previous one
+ * The plain-text token is only available in the return value
+ * @param {Object} device - Device instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<string>} Plain-text device token
+ */
+async function issueDeviceToken(device, transaction = null) {
+  const token = generateDeviceToken();
+
+  await device.update({
+    tokenHash: hashDeviceToken(token),
+    tokenIssuedAt: new Date(),
+  }, { transaction });
+
+  return token;
+}
+
+/**
+ * Check that a token belongs to a device
+ * @param {Object} device - Device instance
+ * @param {string} token - Plain-text device token
+ * @returns {boolean} True if the token matches
+ */
+function verifyDeviceToken(device, token) {
+  if (!device || !device.tokenHash || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(device.tokenHash, 'hex');
+  const actual = Buffer.from(hashDeviceToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check whether a device already has a credential or a company
+ * Only a request carrying the device's current token may pair or register
+ * it again: the UID alone is a guessable fingerprint. Revoked devices have
+ * no token and may be paired again.
+ * @param {Object} device - Device instance
+ * @returns {boolean} True if the device is registered
+ */
+function isDeviceRegistered(device) {
+  return Boolean(device && (device.tokenHash || (device.companyId && !device.revokedAt)));
+}
+
+module.exports = {
+  generateDeviceToken,
+  hashDeviceToken,
+  issueDeviceToken,
+  verifyDeviceToken,
+  isDeviceRegistered,
+};
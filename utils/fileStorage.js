@@ -1,4 +1,6 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 
 /**
@@ -46,10 +48,14 @@ const ensureCompanyDir = async (companyId) => {
 
 /**
  * Delete a file from the filesystem
- * @param {string} filePath - Relative path to the file
+ * @param {string|null} filePath - Relative path to the file (null for media without a file, e.g. web pages)
  * @returns {Promise<boolean>} True if deleted, false if file didn't exist
  */
 const deleteFile = async (filePath) => {
+  if (!filePath) {
+    return false;
+  }
+
   const fullPath = path.join(__dirname, '..', filePath);
   
   try {
@@ -113,6 +119,24 @@ const getFileSize = async (filePath) => {
   return stats.size;
 };
 
+/**
+ * Compute the SHA-256 of a local file without loading it in memory
+ * (stored media files are hashed with hashFile of utils/storage)
+ * @param {string} filePath - Path to the file, relative to the project or absolute
+ * @returns {Promise<string>} Hex digest
+ */
+const hashFile = (filePath) => {
+  const fullPath = path.resolve(__dirname, '..', filePath);
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(fullPath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
 /**
  * List all files in a company's directory
  * @param {string} companyId - UUID of the company
@@ -158,6 +182,59 @@ const isValidVideoMimeType = (mimeType) => {
   return validTypes.includes(mimeType) || (mimeType && mimeType.startsWith('video/'));
 };
 
+/**
+ * Image types that can be shown as media items
+ */
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Get the media type of an uploaded file from its MIME type
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string|null} 'video', 'image', 'pdf' or null if the type is not supported
+ */
+const getMediaType = (mimeType) => {
+  if (isValidVideoMimeType(mimeType)) {
+    return 'video';
+  }
+
+  if (IMAGE_MIME_TYPES.includes(mimeType)) {
+    return 'image';
+  }
+
+  if (mimeType === 'application/pdf') {
+    return 'pdf';
+  }
+
+  return null;
+};
+
+/**
+ * Validate that a file can be uploaded to the media library (video, image or PDF)
+ * @param {string} mimeType - MIME type of the file
+ * @returns {boolean} True if the type is supported
+ */
+const isValidMediaMimeType = (mimeType) => {
+  return getMediaType(mimeType) !== null;
+};
+
+/**
+ * Validate the URL of a web page media item (absolute http or https URL)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if players can load the URL
+ */
+const isValidWebPageUrl = (url) => {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
 module.exports = {
   VIDEO_BASE_DIR,
   ensureVideoBaseDir,
@@ -167,7 +244,12 @@ module.exports = {
   fileExists,
   generateUniqueFileName,
   getFileSize,
+  hashFile,
   listCompanyFiles,
   isValidVideoMimeType,
+  IMAGE_MIME_TYPES,
+  getMediaType,
+  isValidMediaMimeType,
+  isValidWebPageUrl,
 };
 
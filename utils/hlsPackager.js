@@ -0,0 +1,363 @@
+/**
+ * HLS Packaging Utility
+ * Packages videos as multi-bitrate HLS with the bundled ffmpeg: one
+ * H.264/AAC variant per configured height (never above the source), cut
+ * into segments with aligned keyframes so players can switch between them,
+ * plus a master playlist listing the variants. Packages are stored next to
+ * the original under videos/{companyId}/hls/ and are built by 'hls' media
+ * jobs (see mediaJobs.js). Videos sharing a blob share its package.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { Video } = require('../models');
+const { transcodeConfig } = require('../config');
+const storage = require('./storage');
+const { getBlobOutput, shareBlobOutput } = require('./storageBlobs');
+// Also points fluent-ffmpeg at the bundled ffmpeg and ffprobe
+const { extractVideoMetadata } = require('./videoMetadata');
+
+/**
+ * File name of the master playlist in a package
+ */
+const MASTER_PLAYLIST = 'master.m3u8';
+
+/**
+ * Files of a package that may be requested: the master playlist, and the
+ * playlist and segments of a variant
+ */
+const PACKAGE_FILE_PATTERN = /^(master\.m3u8|\d+p\/(index\.m3u8|segment_\d+\.ts))$/;
+
+/**
+ * Key of the current HLS settings, recorded with the package of a blob so
+ * it is only reused while the settings are unchanged
+ * @returns {string}
+ */
+function getHlsSettingsKey() {
+  const settings = {
+    variants: transcodeConfig.hlsVariants,
+    segmentSeconds: transcodeConfig.hlsSegmentSeconds,
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Variants to produce for a source of the given height
+ * Variants taller than the source are left out; a source smaller than every
+ * variant gets the lowest one at its own height.
+ * @param {number|null} sourceHeight - Height of the source (null if unknown)
+ * @returns {Object[]} [{ height, kbps }], highest first
+ */
+function getVariantsForSource(sourceHeight) {
+  const variants = [...transcodeConfig.hlsVariants].sort((a, b) => b.height - a.height);
+  if (!sourceHeight) {
+    return variants;
+  }
+
+  const fitting = variants.filter(variant => variant.height <= sourceHeight);
+  if (fitting.length > 0) {
+    return fitting;
+  }
+
+  const lowest = variants[variants.length - 1];
+  return [{ height: sourceHeight - (sourceHeight % 2), kbps: lowest.kbps }];
+}
+
+/**
+ * Frame size of a variant, as the scale filter of encodeVariant produces it
+ * @param {number|null} sourceWidth - Width of the source
+ * @param {number|null} sourceHeight - Height of the source
+ * @param {number} height - Height of the variant
+ * @returns {string|null} e.g. '1280x720', or null if the source size is unknown
+ */
+function getVariantResolution(sourceWidth, sourceHeight, height) {
+  if (!sourceWidth || !sourceHeight) {
+    return null;
+  }
+
+  const outputHeight = Math.floor(Math.min(height, sourceHeight) / 2) * 2;
+  const outputWidth = Math.round((sourceWidth * outputHeight) / sourceHeight / 2) * 2;
+  return `${outputWidth}x${outputHeight}`;
+}
+
+/**
+ * Encode one variant as an HLS media playlist with its segments
+ * @param {string} inputPath - Absolute path of the source
+ * @param {string} variantDir - Absolute directory to write the variant to
+ * @param {Object} variant - { height, kbps }
+ * @returns {Promise<void>}
+ */
+function encodeVariant(inputPath, variantDir, variant) {
+  const segmentSeconds = transcodeConfig.hlsSegmentSeconds;
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions([
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'high',
+        '-pix_fmt', 'yuv420p',
+        '-vf', `scale=-2:'trunc(min(${variant.height},ih)/2)*2'`,
+        '-b:v', `${variant.kbps}k`,
+        '-maxrate', `${Math.round(variant.kbps * 1.1)}k`,
+        '-bufsize', `${variant.kbps * 2}k`,
+        // Keyframes at the same times in every variant, so segments line up
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`,
+        '-sc_threshold', '0',
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ac', '2',
+        '-hls_time', String(segmentSeconds),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(variantDir, 'segment_%04d.ts'),
+      ])
+      .format('hls')
+      .on('end', () => resolve())
+      .on('error', (err, stdout, stderr) => {
+        const lastLine = (stderr || '').trim().split('\n').pop();
+        reject(new Error(lastLine || err.message));
+      })
+      .save(path.join(variantDir, 'index.m3u8'));
+  });
+}
+
+/**
+ * Measure the bitrate of an encoded variant from its segments
+ * @param {string} variantDir - Absolute directory of the variant
+ * @returns {Promise<Object>} { bandwidth, averageBandwidth } in bits per second
+ */
+async function measureVariant(variantDir) {
+  const playlist = await fs.readFile(path.join(variantDir, 'index.m3u8'), 'utf8');
+  const lines = playlist.split('\n').map(line => line.trim());
+
+  let peak = 0;
+  let totalBits = 0;
+  let totalSeconds = 0;
+  let duration = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && duration) {
+      const { size } = await fs.stat(path.join(variantDir, line));
+      peak = Math.max(peak, (size * 8) / duration);
+      totalBits += size * 8;
+      totalSeconds += duration;
+      duration = null;
+    }
+  }
+
+  return {
+    bandwidth: Math.ceil(peak),
+    averageBandwidth: totalSeconds > 0 ? Math.ceil(totalBits / totalSeconds) : Math.ceil(peak),
+  };
+}
+
+/**
+ * Write the master playlist listing the variants
+ * @param {string} packageDir - Absolute directory of the package
+ * @param {Object[]} variants - [{ name, resolution, bandwidth, averageBandwidth }]
+ * @returns {Promise<void>}
+ */
+async function writeMasterPlaylist(packageDir, variants) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const variant of variants) {
+    const attributes = [`BANDWIDTH=${variant.bandwidth}`, `AVERAGE-BANDWIDTH=${variant.averageBandwidth}`];
+    if (variant.resolution) {
+      attributes.push(`RESOLUTION=${variant.resolution}`);
+    }
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+    lines.push(`${variant.name}/index.m3u8`);
+  }
+
+  await fs.writeFile(path.join(packageDir, MASTER_PLAYLIST), `${lines.join('\n')}\n`);
+}
+
+/**
+ * Delete the files of an HLS package
+ * @param {Object|null} hls - Package (video.hls)
+ * @returns {Promise<void>}
+ */
+async function deleteHlsPackage(hls) {
+  if (!hls || !hls.path) {
+    return;
+  }
+
+  try {
+    await storage.deletePrefix(hls.path);
+  } catch (error) {
+    console.error('Error deleting HLS package:', error);
+  }
+}
+
+/**
+ * Package a video as HLS now
+ * The package is built in a working directory and stored under a new
+ * prefix when complete, replacing the previous one. A video stored as a
+ * blob gets the package another video of the blob already has if it was
+ * made with the current settings; a new package is given to every video of
+ * the blob. Players pick it up with their next timeline.
+ * @param {string} videoId - UUID of the video
+ * @returns {Promise<Object|null>} The updated video, or null if there was nothing to package
+ */
+async function packageVideo(videoId) {
+  const video = await Video.findByPk(videoId);
+  if (!video || !video.isActive || video.mediaType !== 'video' || !video.filePath) {
+    return null;
+  }
+
+  const settings = getHlsSettingsKey();
+  const shared = video.blobId ? await getBlobOutput(video.blobId, 'hls', settings) : null;
+  if (shared) {
+    await video.update({ hls: shared });
+    console.log(`♻️  "${video.fileName}" uses the HLS package of the same file`);
+    return video;
+  }
+
+  const startedAt = Date.now();
+  console.log(`📦 Packaging "${video.fileName}" (${video.id}) as HLS...`);
+
+  const baseName = path.basename(video.filePath, path.extname(video.filePath));
+  const relativeDir = path.join('videos', video.companyId, 'hls', `${baseName}_${Date.now()}`);
+  const packageDir = await storage.createTempDir('hls-');
+
+  const variants = [];
+  try {
+    await storage.withLocalFile(video.filePath, async (inputPath) => {
+      const [sourceWidth, sourceHeight] = (video.resolution || (await extractVideoMetadata(inputPath)).resolution || '')
+        .split('x')
+        .map(value => parseInt(value, 10) || null);
+
+      for (const variant of getVariantsForSource(sourceHeight)) {
+        const name = `${variant.height}p`;
+        const variantDir = path.join(packageDir, name);
+        await fs.mkdir(variantDir, { recursive: true });
+        await encodeVariant(inputPath, variantDir, variant);
+
+        variants.push({
+          name,
+          height: variant.height,
+          resolution: getVariantResolution(sourceWidth, sourceHeight, variant.height),
+          ...await measureVariant(variantDir),
+        });
+      }
+    });
+
+    await writeMasterPlaylist(packageDir, variants);
+    await storage.putDirectory(relativeDir, packageDir, getPackageContentType);
+  } catch (error) {
+    await deleteHlsPackage({ path: relativeDir });
+    throw error;
+  } finally {
+    await fs.rm(packageDir, { recursive: true, force: true });
+  }
+
+  // The video may have been deleted while it was being packaged
+  await video.reload();
+  if (!video.isActive) {
+    await deleteHlsPackage({ path: relativeDir });
+    return null;
+  }
+
+  let hls = {
+    path: relativeDir,
+    variants,
+    createdAt: new Date(),
+  };
+
+  if (video.blobId) {
+    const result = await shareBlobOutput(video.blobId, 'hls', settings, hls);
+    if (!result.value) {
+      await deleteHlsPackage(hls);
+      return null;
+    }
+
+    // Another video of the blob was packaged first
+    if (result.value !== hls) {
+      await deleteHlsPackage(hls);
+    }
+    for (const replaced of result.replaced) {
+      if (replaced.path !== result.value.path) {
+        await deleteHlsPackage(replaced);
+      }
+    }
+
+    hls = result.value;
+  } else {
+    await deleteHlsPackage(video.hls);
+  }
+
+  await video.update({ hls });
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(`✅ Packaged "${video.fileName}" as HLS in ${seconds}s: ${variants.map(variant => variant.name).join(', ')}`);
+
+  return video;
+}
+
+/**
+ * Whether a video should be packaged as HLS (packaging enabled, video with a file)
+ * @param {Object} video - Video instance
+ * @returns {boolean}
+ */
+function needsHlsPackage(video) {
+  return transcodeConfig.hlsEnabled && video.mediaType === 'video' && !!video.filePath;
+}
+
+/**
+ * MIME type of a file in a package
+ * @param {string} fileName - e.g. 'master.m3u8' or 'segment_0003.ts'
+ * @returns {string}
+ */
+function getPackageContentType(fileName) {
+  return fileName.endsWith('.ts') ? 'video/mp2t' : 'application/vnd.apple.mpegurl';
+}
+
+/**
+ * Storage key of a file in a video's HLS package
+ * @param {Object} video - Video instance (with hls)
+ * @param {string} fileName - Path inside the package, e.g. 'master.m3u8' or '720p/segment_0003.ts'
+ * @returns {string|null} Storage key, or null if the video has no package or the name is not a package file
+ */
+function getHlsFilePath(video, fileName) {
+  if (!video.hls || !video.hls.path || !PACKAGE_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+
+  return path.join(video.hls.path, fileName);
+}
+
+/**
+ * Rewrite the URIs in a playlist to carry a query string
+ * Segment and variant requests of native HLS players can't send headers,
+ * so the media URL signature travels with every URI.
+ * @param {string} playlist - Playlist contents
+ * @param {string} query - Query string without '?', e.g. 'expires=...&device=...&sig=...'
+ * @returns {string}
+ */
+function addQueryToPlaylist(playlist, query) {
+  if (!query) {
+    return playlist;
+  }
+
+  return playlist
+    .split('\n')
+    .map(line => (line.trim() && !line.startsWith('#') ? `${line.trim()}?${query}` : line))
+    .join('\n');
+}
+
+module.exports = {
+  MASTER_PLAYLIST,
+  packageVideo,
+  needsHlsPackage,
+  deleteHlsPackage,
+  getHlsFilePath,
+  getPackageContentType,
+  addQueryToPlaylist,
+};
@@ -0,0 +1,561 @@
+/**
+ * Media Jobs Utility
+ * Background processing of uploaded media through a queue persisted in the
+ * media_jobs table: each upload gets one job per step (probe, thumbnail,
+ * hash, transcode, hls), and rendering a clip of a video is a 'clip' job of
+ * that video. Jobs run in-process with a concurrency limit and are retried
+ * with a growing delay when it fails. Jobs left running by a restart are
+ * queued again at startup, so the server is expected to run as a single
+ * process (like the device event streams).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { Op } = require('sequelize');
+const { MediaJob, Video } = require('../models');
+const { jobQueueConfig } = require('../config');
+const storage = require('./storage');
+const { getThumbnailPath } = require('./storageBlobs');
+const { extractVideoMetadata, generateThumbnailAtPercentage } = require('./videoMetadata');
+const { transcodeVideo, needsTranscode } = require('./videoTranscoder');
+const { packageVideo, needsHlsPackage } = require('./hlsPackager');
+const { renderClip } = require('./videoClips');
+
+/**
+ * Statuses in which a job is still to be done
+ */
+const OPEN_STATUSES = ['queued', 'running'];
+
+/**
+ * Job types that encode video, limited by the transcode concurrency
+ */
+const ENCODING_TYPES = ['transcode', 'hls', 'clip'];
+
+/**
+ * Jobs being run by this process, by id (value: job type)
+ */
+const activeJobs = new Map();
+let pollTimer = null;
+let claiming = false;
+let claimAgain = false;
+let lastPruneAt = 0;
+
+/**
+ * Read duration, resolution and codec details of a video, or the
+ * resolution of an image
+ * @param {Object} video - Video instance
+ */
+async function probeMedia(video) {
+  const metadata = await storage.withLocalFile(video.filePath, extractVideoMetadata);
+
+  if (video.mediaType === 'image') {
+    await video.update({
+      resolution: metadata.resolution,
+      metadata: { ...video.metadata, format: metadata.format },
+    });
+    return;
+  }
+
+  await video.update({
+    duration: metadata.duration,
+    resolution: metadata.resolution,
+    metadata: {
+      ...video.metadata,
+      codec: metadata.codec,
+      bitrate: metadata.bitrate,
+      fps: metadata.fps,
+      format: metadata.format,
+    },
+  });
+}
+
+/**
+ * Capture a thumbnail at 10% of a video
+ * @param {Object} video - Video instance
+ */
+async function createThumbnail(video) {
+  // Shared by the videos using the same blob, deleted with it (see utils/storageBlobs)
+  const thumbnailPath = getThumbnailPath(video.companyId, video.filePath);
+  const tempDir = await storage.createTempDir('thumbnail-');
+
+  try {
+    const localThumbnail = path.join(tempDir, path.basename(thumbnailPath));
+    await storage.withLocalFile(video.filePath, videoPath => generateThumbnailAtPercentage(videoPath, localThumbnail, 10));
+    await storage.putFile(thumbnailPath, localThumbnail, { contentType: 'image/jpeg', move: true });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  await video.update({ thumbnailPath });
+}
+
+/**
+ * Record the checksum players use to verify their cached copy
+ * @param {Object} video - Video instance
+ */
+async function hashMedia(video) {
+  const contentHash = await storage.hashFile(video.filePath);
+  await video.update({ contentHash, contentHashedAt: new Date() });
+}
+
+/**
+ * What each job type does with its (active) video
+ */
+const JOB_HANDLERS = {
+  probe: probeMedia,
+  thumbnail: createThumbnail,
+  hash: hashMedia,
+  transcode: video => transcodeVideo(video.id),
+  hls: video => packageVideo(video.id),
+  // The rendered clip is a new video, processed like an upload
+  clip: async (video, job) => queueMediaProcessing(await renderClip(video, job.payload)),
+};
+
+/**
+ * Processing steps an uploaded media item goes through, in order
+ * @param {Object} video - Video instance
+ * @returns {string[]} Job types
+ */
+function getProcessingSteps(video) {
+  if (!video.filePath) {
+    return [];
+  }
+
+  // Files stored as blobs were hashed on upload
+  const hash = video.contentHash ? [] : ['hash'];
+
+  if (video.mediaType === 'video') {
+    return [
+      'probe',
+      'thumbnail',
+      ...hash,
+      ...(needsTranscode(video) ? ['transcode'] : []),
+      ...(needsHlsPackage(video) ? ['hls'] : []),
+    ];
+  }
+
+  if (video.mediaType === 'image') {
+    return ['probe', ...hash];
+  }
+
+  return hash;
+}
+
+/**
+ * Queue one processing step of a video
+ * A step already queued or running is not queued twice, and a failed one is
+ * queued again (with its attempts reset) instead of adding a new job.
+ * @param {Object} video - Video instance
+ * @param {string} type - 'probe', 'thumbnail', 'hash', 'transcode' or 'hls'
+ * @returns {Promise<Object>} MediaJob instance
+ */
+async function queueMediaJob(video, type) {
+  let job = await MediaJob.findOne({
+    where: {
+      videoId: video.id,
+      type,
+      status: { [Op.in]: [...OPEN_STATUSES, 'failed'] },
+    },
+    order: [['createdAt', 'DESC']],
+  });
+
+  if (job && job.status !== 'failed') {
+    return job;
+  }
+
+  if (job) {
+    await job.update({
+      status: 'queued',
+      attempts: 0,
+      runAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      lastError: null,
+    });
+  } else {
+    job = await MediaJob.create({
+      videoId: video.id,
+      companyId: video.companyId,
+      type,
+      maxAttempts: jobQueueConfig.maxAttempts,
+      runAt: new Date(),
+    });
+  }
+
+  if (type === 'transcode') {
+    await video.update({ transcodeStatus: 'pending', transcodeError: null });
+  }
+
+  wakeMediaJobQueue();
+  return job;
+}
+
+/**
+ * Queue one processing step of a video unless it already has a job of that
+ * step that is open or failed (failed steps are only queued again on request,
+ * see retryFailedMediaJobs)
+ * @param {Object} video - Video instance (with id and companyId)
+ * @param {string} type - 'probe', 'thumbnail', 'hash', 'transcode' or 'hls'
+ * @returns {Promise<Object>} MediaJob instance
+ */
+async function ensureMediaJob(video, type) {
+  const job = await MediaJob.findOne({
+    where: {
+      videoId: video.id,
+      type,
+      status: { [Op.in]: [...OPEN_STATUSES, 'failed'] },
+    },
+    order: [['createdAt', 'DESC']],
+  });
+
+  return job || queueMediaJob(video, type);
+}
+
+/**
+ * Queue rendering a range of a video into a new video
+ * Unlike processing steps, every clip gets its own job.
+ * @param {Object} video - Video instance of the source
+ * @param {Object} payload - { start, end, fileName, uploadedBy }
+ * @returns {Promise<Object>} MediaJob instance
+ */
+async function queueClipJob(video, payload) {
+  const job = await MediaJob.create({
+    videoId: video.id,
+    companyId: video.companyId,
+    type: 'clip',
+    payload,
+    maxAttempts: jobQueueConfig.maxAttempts,
+    runAt: new Date(),
+  });
+
+  wakeMediaJobQueue();
+  return job;
+}
+
+/**
+ * Queue every processing step of a newly uploaded media item
+ * @param {Object} video - Video instance
+ * @returns {Promise<Object[]>} MediaJob instances
+ */
+async function queueMediaProcessing(video) {
+  const jobs = [];
+  for (const type of getProcessingSteps(video)) {
+    jobs.push(await queueMediaJob(video, type));
+  }
+  return jobs;
+}
+
+/**
+ * Queue the failed processing steps of a video again
+ * @param {Object} video - Video instance
+ * @returns {Promise<number>} Number of steps queued
+ */
+async function retryFailedMediaJobs(video) {
+  const failedJobs = await MediaJob.findAll({
+    where: {
+      videoId: video.id,
+      status: 'failed',
+    },
+  });
+
+  for (const job of failedJobs) {
+    if (job.type === 'clip') {
+      // Each clip job has its own range, so it is queued again as it is
+      await job.update({ status: 'queued', attempts: 0, runAt: new Date(), finishedAt: null, lastError: null });
+      wakeMediaJobQueue();
+    } else {
+      await queueMediaJob(video, job.type);
+    }
+  }
+
+  return failedJobs.length;
+}
+
+/**
+ * Summarize the latest job of each step of a video
+ * @param {Object[]} jobs - Latest MediaJob of each type
+ * @returns {Object|null} { status: 'processing'|'failed'|'ready', steps } or null without jobs
+ */
+function summarizeJobs(jobs) {
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  let status = 'ready';
+  if (jobs.some(job => OPEN_STATUSES.includes(job.status))) {
+    status = 'processing';
+  } else if (jobs.some(job => job.status === 'failed')) {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    steps: jobs.map(job => ({
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      lastError: job.lastError,
+      runAt: job.runAt,
+      finishedAt: job.finishedAt,
+    })),
+  };
+}
+
+/**
+ * Processing status of videos, from the latest job of each step
+ * Videos without jobs (uploaded before the queue, or whose finished jobs
+ * were pruned) are left out.
+ * @param {string[]} videoIds - UUIDs of the videos
+ * @returns {Promise<Map>} videoId -> { status, steps }
+ */
+async function getProcessingSummaries(videoIds) {
+  const summaries = new Map();
+  if (videoIds.length === 0) {
+    return summaries;
+  }
+
+  const jobs = await MediaJob.findAll({
+    where: { videoId: { [Op.in]: videoIds } },
+    order: [['createdAt', 'ASC']],
+  });
+
+  // Later jobs of a step replace earlier ones
+  const latestJobs = new Map();
+  for (const job of jobs) {
+    if (!latestJobs.has(job.videoId)) {
+      latestJobs.set(job.videoId, new Map());
+    }
+    latestJobs.get(job.videoId).set(job.type, job);
+  }
+
+  for (const [videoId, jobsByType] of latestJobs) {
+    summaries.set(videoId, summarizeJobs([...jobsByType.values()]));
+  }
+
+  return summaries;
+}
+
+/**
+ * Number of jobs of a type this process is running
+ * @param {string} type - Job type
+ * @returns {number}
+ */
+function countActiveJobs(type) {
+  return [...activeJobs.values()].filter(activeType => activeType === type).length;
+}
+
+/**
+ * Take the next due job, marking it as running
+ * The status check in the update keeps two claims from taking the same job.
+ * @returns {Promise<Object|null>} MediaJob instance, or null if none is due
+ */
+async function claimNextJob() {
+  const where = {
+    status: 'queued',
+    runAt: { [Op.lte]: new Date() },
+  };
+  const activeEncodings = ENCODING_TYPES.reduce((count, type) => count + countActiveJobs(type), 0);
+  if (activeEncodings >= jobQueueConfig.transcodeConcurrency) {
+    where.type = { [Op.notIn]: ENCODING_TYPES };
+  }
+
+  for (let tries = 0; tries < 5; tries++) {
+    const job = await MediaJob.findOne({
+      where,
+      order: [['runAt', 'ASC'], ['createdAt', 'ASC']],
+    });
+
+    if (!job) {
+      return null;
+    }
+
+    const [claimed] = await MediaJob.update(
+      { status: 'running', attempts: job.attempts + 1, startedAt: new Date() },
+      { where: { id: job.id, status: 'queued' } }
+    );
+
+    if (claimed === 1) {
+      await job.reload();
+      return job;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Short form of a job error for the dashboard
+ * ffmpeg and ffprobe errors carry their whole output; the cause is on the last line.
+ * @param {Error} error - What went wrong
+ * @returns {string}
+ */
+function getErrorSummary(error) {
+  const lines = String(error.message || error).trim().split('\n');
+  return lines[lines.length - 1].slice(0, 1000);
+}
+
+/**
+ * Record a failed attempt: retry later, or give up after the last attempt
+ * @param {Object} job - MediaJob instance
+ * @param {Error} error - What went wrong
+ */
+async function failJob(job, error) {
+  const lastError = getErrorSummary(error);
+
+  if (job.attempts < job.maxAttempts) {
+    const delaySeconds = jobQueueConfig.retryDelaySeconds * 2 ** (job.attempts - 1);
+    await job.update({
+      status: 'queued',
+      runAt: new Date(Date.now() + delaySeconds * 1000),
+      lastError,
+    });
+    console.error(`⚠️  ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delaySeconds}s:`, lastError);
+    return;
+  }
+
+  await job.update({
+    status: 'failed',
+    finishedAt: new Date(),
+    lastError,
+  });
+  console.error(`❌ ${job.type} job ${job.id} failed after ${job.attempts} attempts:`, lastError);
+}
+
+/**
+ * Run a claimed job
+ * Jobs of videos deleted in the meantime are cancelled.
+ * @param {Object} job - MediaJob instance (running)
+ */
+async function runJob(job) {
+  const startedAt = Date.now();
+
+  try {
+    const video = await Video.findByPk(job.videoId);
+    if (!video || !video.isActive || !video.filePath) {
+      await job.update({ status: 'cancelled', finishedAt: new Date() });
+      return;
+    }
+
+    await JOB_HANDLERS[job.type](video, job);
+    await job.update({ status: 'completed', finishedAt: new Date(), lastError: null });
+
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`✅ ${job.type} job for "${video.fileName}" done in ${seconds}s`);
+  } catch (error) {
+    try {
+      await failJob(job, error);
+    } catch (updateError) {
+      console.error(`❌ Error recording the failure of ${job.type} job ${job.id}:`, updateError);
+    }
+  }
+}
+
+/**
+ * Start due jobs until the concurrency limit is reached
+ */
+async function processDueJobs() {
+  if (!pollTimer) {
+    return;
+  }
+  if (claiming) {
+    claimAgain = true;
+    return;
+  }
+  claiming = true;
+
+  try {
+    do {
+      claimAgain = false;
+      while (activeJobs.size < jobQueueConfig.concurrency) {
+        const job = await claimNextJob();
+        if (!job) {
+          break;
+        }
+
+        activeJobs.set(job.id, job.type);
+        runJob(job).finally(() => {
+          activeJobs.delete(job.id);
+          setImmediate(processDueJobs);
+        });
+      }
+    } while (claimAgain);
+  } catch (error) {
+    console.error('❌ Error starting media jobs:', error);
+  } finally {
+    claiming = false;
+  }
+}
+
+/**
+ * Delete finished jobs older than the retention period (at most once an hour)
+ * Failed jobs are kept so they can still be seen and retried.
+ */
+async function pruneFinishedJobs() {
+  if (Date.now() - lastPruneAt < 60 * 60 * 1000) {
+    return;
+  }
+  lastPruneAt = Date.now();
+
+  try {
+    const cutoff = new Date(Date.now() - jobQueueConfig.retentionDays * 24 * 60 * 60 * 1000);
+    const deleted = await MediaJob.destroy({
+      where: {
+        status: { [Op.in]: ['completed', 'cancelled'] },
+        finishedAt: { [Op.lt]: cutoff },
+      },
+    });
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} finished media job(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error pruning media jobs:', error);
+  }
+}
+
+/**
+ * Look for due jobs right away instead of at the next poll
+ * Does nothing until the queue is started (e.g. in scripts, whose jobs are
+ * run by the server).
+ */
+function wakeMediaJobQueue() {
+  setImmediate(processDueJobs);
+}
+
+/**
+ * Start running media jobs in this process
+ * @returns {Promise<void>}
+ */
+async function startMediaJobQueue() {
+  if (pollTimer) {
+    return;
+  }
+
+  const [requeued] = await MediaJob.update(
+    { status: 'queued', runAt: new Date() },
+    { where: { status: 'running' } }
+  );
+  if (requeued > 0) {
+    console.log(`🔁 Re-queued ${requeued} media job(s) interrupted by a restart`);
+  }
+
+  pollTimer = setInterval(() => {
+    processDueJobs();
+    pruneFinishedJobs();
+  }, jobQueueConfig.pollIntervalSeconds * 1000);
+
+  console.log(`🎞️  Media job queue started (concurrency: ${jobQueueConfig.concurrency})`);
+  processDueJobs();
+}
+
+module.exports = {
+  probeMedia,
+  createThumbnail,
+  queueMediaJob,
+  ensureMediaJob,
+  queueMediaProcessing,
+  queueClipJob,
+  retryFailedMediaJobs,
+  getProcessingSummaries,
+  startMediaJobQueue,
+};
@@ -0,0 +1,304 @@
+/**
+ * Media Library Utility
+ * Folders, tags and the filters shared by GET /api/videos and the dashboard
+ * media library. Folders can be nested; a media item sits in at most one
+ * folder (none: the library root) and can have any number of tags. Tags are
+ * stored lowercase so filtering doesn't depend on how they were typed.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, MediaFolder, Video } = require('../models');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Sort options of the library: query value => [attribute, default direction]
+ */
+const SORT_OPTIONS = {
+  uploaded: ['createdAt', 'DESC'],
+  name: ['fileName', 'ASC'],
+  size: ['fileSize', 'DESC'],
+  duration: ['duration', 'DESC'],
+};
+
+const MEDIA_TYPES = ['video', 'image', 'pdf', 'web'];
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normalize tags: trimmed, lowercase, single spaces, without duplicates
+ * @param {string|string[]} input - Array of tags, or a comma-separated string
+ * @returns {string[]}
+ */
+function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = list
+    .map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Check a list of normalized tags
+ * @param {string[]} tags - Result of normalizeTags()
+ * @returns {string|null} What is wrong with the tags, or null if they can be used
+ */
+function validateTags(tags) {
+  if (tags.length > MAX_TAGS) {
+    return `A media item can have at most ${MAX_TAGS} tags`;
+  }
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return `Tags must be at most ${MAX_TAG_LENGTH} characters ("${tooLong}")`;
+  }
+  return null;
+}
+
+/**
+ * Add and remove tags
+ * @param {string[]} tags - Current tags
+ * @param {Object} changes - { add, remove } normalized tags
+ * @returns {string[]} New tags, in the order they were added
+ */
+function applyTagChanges(tags, { add = [], remove = [] }) {
+  const removed = new Set(remove);
+  return [...new Set([...(tags || []), ...add])].filter(tag => !removed.has(tag));
+}
+
+/**
+ * Parse library filters from a query string
+ * @param {Object} query - req.query
+ * @returns {Object} { folderId: null (any) | 'root' | UUID, includeSubfolders,
+ *   tags, search, mediaType, sort, order, page, pageSize }
+ */
+function parseLibraryQuery(query = {}) {
+  const folderId = query.folderId === 'root' || uuidRegex.test(query.folderId || '')
+    ? query.folderId
+    : null;
+  const sort = SORT_OPTIONS[query.sort] ? query.sort : 'uploaded';
+  const order = ['asc', 'desc'].includes(String(query.order).toLowerCase())
+    ? String(query.order).toUpperCase()
+    : SORT_OPTIONS[sort][1];
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    folderId,
+    includeSubfolders: query.includeSubfolders === 'true' || query.includeSubfolders === '1',
+    // ?tag=a&tag=b and ?tags=a,b both work; an item must have all of them
+    tags: normalizeTags([].concat(query.tag || [], query.tags ? String(query.tags).split(',') : [])),
+    search: String(query.q || '').trim(),
+    mediaType: MEDIA_TYPES.includes(query.mediaType) ? query.mediaType : null,
+    sort,
+    order,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Load a company's folders
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<Object[]>} Flat list in tree order:
+ *   [{ id, name, parentId, path, depth, videoCount, createdAt, updatedAt }]
+ */
+async function listFolders(companyId) {
+  const [folders, counts] = await Promise.all([
+    MediaFolder.findAll({
+      where: { companyId },
+      order: [['name', 'ASC']],
+    }),
+    Video.findAll({
+      where: { companyId, isActive: true, folderId: { [Op.ne]: null } },
+      attributes: ['folderId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['folderId'],
+      raw: true,
+    }),
+  ]);
+
+  const videoCounts = new Map(counts.map(row => [row.folderId, Number(row.count)]));
+  const result = [];
+
+  const addChildren = (parentId, parentPath, depth) => {
+    folders
+      .filter(folder => folder.parentId === parentId)
+      .forEach(folder => {
+        const path = parentPath ? `${parentPath} / ${folder.name}` : folder.name;
+        result.push({
+          id: folder.id,
+          name: folder.name,
+          parentId: folder.parentId,
+          path,
+          depth,
+          videoCount: videoCounts.get(folder.id) || 0,
+          createdAt: folder.createdAt,
+          updatedAt: folder.updatedAt,
+        });
+        addChildren(folder.id, path, depth + 1);
+      });
+  };
+  addChildren(null, '', 0);
+
+  return result;
+}
+
+/**
+ * IDs of a folder and every folder inside it
+ * @param {Object[]} folders - Result of listFolders() (or folders with id and parentId)
+ * @param {string} folderId - UUID of the folder
+ * @returns {string[]}
+ */
+function getFolderTreeIds(folders, folderId) {
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    folders
+      .filter(folder => folder.parentId === ids[i])
+      .forEach(folder => ids.push(folder.id));
+  }
+  return ids;
+}
+
+/**
+ * Find a folder of a company
+ * @param {string} companyId - UUID of the company
+ * @param {string} folderId - UUID of the folder
+ * @returns {Promise<Object|null>} MediaFolder instance
+ */
+async function findFolder(companyId, folderId) {
+  if (!uuidRegex.test(folderId || '')) {
+    return null;
+  }
+  return MediaFolder.findOne({ where: { id: folderId, companyId } });
+}
+
+/**
+ * Check whether a folder name is already used next to where it would go
+ * @param {string} companyId - UUID of the company
+ * @param {string|null} parentId - UUID of the parent folder (null: root)
+ * @param {string} name - Folder name
+ * @param {string} [excludeId] - Folder being renamed or moved
+ * @returns {Promise<boolean>}
+ */
+async function isFolderNameTaken(companyId, parentId, name, excludeId = null) {
+  const where = { companyId, parentId, name };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+  return !!await MediaFolder.findOne({ where });
+}
+
+/**
+ * Delete a folder; its media items and subfolders move to its parent
+ * @param {Object} folder - MediaFolder instance
+ * @returns {Promise<Object>} { movedVideos, movedFolders }
+ */
+async function deleteFolder(folder) {
+  return sequelize.transaction(async (transaction) => {
+    const [movedVideos] = await Video.update(
+      { folderId: folder.parentId },
+      { where: { folderId: folder.id }, transaction }
+    );
+    const [movedFolders] = await MediaFolder.update(
+      { parentId: folder.parentId },
+      { where: { parentId: folder.id }, transaction }
+    );
+    await folder.destroy({ transaction });
+    return { movedVideos, movedFolders };
+  });
+}
+
+/**
+ * Build the Video where clause for a company and library filters
+ * @param {string} companyId - UUID of the company
+ * @param {Object} filters - Result of parseLibraryQuery()
+ * @returns {Promise<Object>} Sequelize where clause
+ */
+async function buildLibraryWhere(companyId, filters) {
+  const where = {
+    companyId,
+    isActive: true,
+  };
+
+  if (filters.folderId === 'root') {
+    if (!filters.includeSubfolders) {
+      where.folderId = null;
+    }
+  } else if (filters.folderId) {
+    where.folderId = filters.includeSubfolders
+      ? getFolderTreeIds(await MediaFolder.findAll({ where: { companyId }, attributes: ['id', 'parentId'] }), filters.folderId)
+      : filters.folderId;
+  }
+
+  if (filters.tags.length > 0) {
+    // jsonb containment: the item has every one of the tags
+    where.tags = { [Op.contains]: filters.tags };
+  }
+
+  if (filters.search) {
+    const postgres = sequelize.getDialect() === 'postgres';
+    const like = postgres ? Op.iLike : Op.like;
+    // Postgres escapes LIKE wildcards with a backslash by default (SQLite has no default escape)
+    const term = postgres ? filters.search.replace(/[\\%_]/g, '\\$&') : filters.search;
+    const pattern = `%${term}%`;
+    where[Op.or] = [
+      { fileName: { [like]: pattern } },
+      { originalFileName: { [like]: pattern } },
+    ];
+  }
+
+  if (filters.mediaType) {
+    where.mediaType = filters.mediaType;
+  }
+
+  return where;
+}
+
+/**
+ * Order clause for library filters
+ * @param {Object} filters - Result of parseLibraryQuery()
+ * @returns {Array} Sequelize order
+ */
+function getLibraryOrder(filters) {
+  const [attribute] = SORT_OPTIONS[filters.sort];
+  return [[attribute, filters.order], ['id', 'ASC']];
+}
+
+/**
+ * Tags used in a company's library
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<Object[]>} [{ tag, count }], most used first
+ */
+async function listTags(companyId) {
+  const videos = await Video.findAll({
+    where: { companyId, isActive: true },
+    attributes: ['id', 'tags'],
+  });
+
+  const counts = new Map();
+  videos.forEach(({ tags }) => {
+    (tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_OPTIONS,
+  normalizeTags,
+  validateTags,
+  applyTagChanges,
+  parseLibraryQuery,
+  listFolders,
+  getFolderTreeIds,
+  findFolder,
+  isFolderNameTaken,
+  deleteFolder,
+  buildLibraryWhere,
+  getLibraryOrder,
+  listTags,
+};
@@ -0,0 +1,123 @@
+/**
+ * Media Uploads Utility
+ * Turns a received file into a media item: the item gets a name no other
+ * media item of the company uses, the file is stored as a (possibly shared)
+ * blob and the Video is created. Used by direct uploads (API and dashboard)
+ * and completed resumable uploads; rendered clips use the same naming.
+ * Media processing is left to the caller (see queueMediaProcessing).
+ */
+
+const path = require('path');
+const { Video } = require('../models');
+const { storageConfig } = require('../config');
+const { getMediaType } = require('./fileStorage');
+const { storeBlob, releaseBlob } = require('./storageBlobs');
+
+/**
+ * Numbers tried before a name is given up on
+ */
+const MAX_NAME_NUMBER = 1000;
+
+/**
+ * Find a name no other media item of the company uses, numbering it if needed
+ * ("Name", "Name (1)", "Name (2)", ...)
+ * @param {string} companyId - UUID of the company
+ * @param {string} name - Desired name
+ * @returns {Promise<string|null>} The name, or null if every number up to MAX_NAME_NUMBER is taken
+ */
+async function getUniqueVideoName(companyId, name) {
+  let candidate = name;
+
+  // Inactive videos count too, as the unique constraint covers them
+  for (let counter = 1; await Video.findOne({ where: { companyId, fileName: candidate } }); counter++) {
+    if (counter > MAX_NAME_NUMBER) {
+      return null;
+    }
+    candidate = `${name} (${counter})`;
+  }
+
+  return candidate;
+}
+
+/**
+ * Store a received file and create its media item
+ * Stills are shown for the default display duration and an image is its own
+ * thumbnail; duration, resolution and the video thumbnail are filled in by
+ * media jobs. If creating the item fails, the reference to the blob is
+ * released again before the error is thrown.
+ * @param {Object} options
+ * @param {string} options.companyId - UUID of the company
+ * @param {string} options.uploadedBy - UUID of the user
+ * @param {string} options.tempPath - Relative path of the received local file
+ * @param {number} options.fileSize - Size of the file in bytes
+ * @param {string} options.mimeType - MIME type of the file
+ * @param {string} options.originalFileName - Name of the uploaded file
+ * @param {string} [options.displayName] - Name of the media item (default: the file name without extension)
+ * @param {Object} [options.metadata] - Metadata of the media item
+ * @returns {Promise<Object>} { video, baseName, wasRenamed, quota }; video is
+ *   null, and the received file kept, if no free name was found (quota null)
+ *   or the file would exceed the storage quota (quota: see checkStorageQuota)
+ */
+async function createUploadedMedia({
+  companyId,
+  uploadedBy,
+  tempPath,
+  fileSize,
+  mimeType,
+  originalFileName,
+  displayName,
+  metadata = {},
+}) {
+  const baseName = displayName || path.basename(originalFileName, path.extname(originalFileName));
+
+  const fileName = await getUniqueVideoName(companyId, baseName);
+  if (!fileName) {
+    return { video: null, baseName, wasRenamed: false, quota: null };
+  }
+
+  // A file the company already has is stored once and only counts against
+  // the storage limit once
+  const stored = await storeBlob({
+    companyId,
+    tempPath,
+    size: fileSize,
+    mimeType,
+    originalFileName,
+  });
+
+  if (!stored.blob) {
+    return { video: null, baseName, wasRenamed: false, quota: stored.quota };
+  }
+
+  const mediaType = getMediaType(mimeType);
+
+  try {
+    const video = await Video.create({
+      companyId,
+      uploadedBy,
+      fileName,
+      originalFileName,
+      mediaType,
+      filePath: stored.blob.path,
+      blobId: stored.blob.id,
+      fileSize,
+      mimeType,
+      contentHash: stored.contentHash,
+      contentHashedAt: new Date(),
+      duration: mediaType === 'video' ? null : storageConfig.defaultDisplayDurationSeconds,
+      thumbnailPath: mediaType === 'image' ? stored.blob.path : null,
+      metadata,
+      isActive: true,
+    });
+
+    return { video, baseName, wasRenamed: fileName !== baseName, quota: null };
+  } catch (error) {
+    await releaseBlob(stored.blob.id);
+    throw error;
+  }
+}
+
+module.exports = {
+  getUniqueVideoName,
+  createUploadedMedia,
+};
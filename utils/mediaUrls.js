@@ -0,0 +1,95 @@
+/**
+ * Media URL Utility
+ * Players and the dashboard load media files (downloads, HLS packages,
+ * thumbnails) through URLs signed with an HMAC over the video, the device or
+ * company they were issued to and an expiry time, so a leaked link stops
+ * working on its own. A signature covers every file of its video.
+ *
+ * Expiry times are rounded up to the next multiple of the TTL (plus one
+ * TTL), so URLs stay the same for a while and browsers can cache the files:
+ * a URL is valid for between one and two TTLs after it is issued.
+ */
+
+const crypto = require('crypto');
+const { storageConfig } = require('../config');
+
+/**
+ * Calculate the signature of a media URL
+ * @param {string} videoId - UUID of the video
+ * @param {string} subject - 'device:{deviceId}' or 'company:{companyId}'
+ * @param {number} expires - Expiry time (Unix seconds)
+ * @returns {string} Hex HMAC-SHA256
+ */
+function calculateSignature(videoId, subject, expires) {
+  return crypto
+    .createHmac('sha256', storageConfig.mediaUrlSecret)
+    .update(`${videoId}:${subject}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Sign access to a video's files
+ * @param {string} videoId - UUID of the video
+ * @param {Object} issuedTo - { deviceId } or { companyId }
+ * @returns {Object} Query parameters { expires, device | company, sig }
+ */
+function signMediaQuery(videoId, issuedTo) {
+  const ttl = storageConfig.signedUrlTtlSeconds;
+  const expires = (Math.floor(Date.now() / 1000 / ttl) + 2) * ttl;
+  const [key, id] = issuedTo.deviceId ? ['device', issuedTo.deviceId] : ['company', issuedTo.companyId];
+
+  return {
+    expires: String(expires),
+    [key]: id,
+    sig: calculateSignature(videoId, `${key}:${id}`, expires),
+  };
+}
+
+/**
+ * Signed URLs of a video's files
+ * @param {Object} video - Video instance (id, filePath, thumbnailPath, hls)
+ * @param {Object} issuedTo - { deviceId } or { companyId }
+ * @returns {Object} { download, hls, thumbnail, expiresAt }; null for files the video doesn't have
+ */
+function getSignedMediaUrls(video, issuedTo) {
+  const query = signMediaQuery(video.id, issuedTo);
+  const queryString = new URLSearchParams(query).toString();
+  const base = `/api/videos/${video.id}`;
+
+  return {
+    download: video.filePath ? `${base}/download?${queryString}` : null,
+    hls: video.hls ? `${base}/hls/master.m3u8?${queryString}` : null,
+    thumbnail: video.thumbnailPath ? `${base}/thumbnail?${queryString}` : null,
+    expiresAt: new Date(Number(query.expires) * 1000),
+  };
+}
+
+/**
+ * Check the signature of a media URL
+ * @param {string} videoId - UUID of the requested video
+ * @param {Object} query - Query parameters of the request
+ * @returns {Object|null} { deviceId } or { companyId } the URL was issued to,
+ *   or null if the signature is missing, wrong or expired
+ */
+function verifyMediaQuery(videoId, query) {
+  const { expires, device, company, sig } = query;
+  const id = device || company;
+  if (!sig || !id || !/^\d+$/.test(String(expires || '')) || Number(expires) * 1000 < Date.now()) {
+    return null;
+  }
+
+  const subject = device ? `device:${device}` : `company:${company}`;
+  const expected = Buffer.from(calculateSignature(videoId, subject, expires), 'hex');
+  const actual = Buffer.from(String(sig), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return device ? { deviceId: device } : { companyId: company };
+}
+
+module.exports = {
+  signMediaQuery,
+  getSignedMediaUrls,
+  verifyMediaQuery,
+};
@@ -0,0 +1,119 @@
+/**
+ * Pairing Code Generator Utility
+ * Generates short-lived 6-digit PINs that unregistered screens display
+ * while waiting to be claimed from the dashboard
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { deviceConfig } = require('../config');
+
+/**
+ * Wrong PINs entered per throttle key in the current window: key -> { count, resetAt }
+ * Kept in memory like the device event channels (one server process)
+ */
+const claimFailures = new Map();
+
+/**
+ * Generate a random 6-digit PIN (leading zeros allowed)
+ * @returns {string} 6-digit numeric code
+ */
+function generatePairingCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+/**
+ * Generate a PIN that no other device is currently displaying
+ * @param {Model} DeviceModel - Sequelize Device model
+ * @param {number} maxAttempts - Maximum number of generation attempts (default: 10)
+ * @returns {Promise<string>} Unique pairing code
+ * @throws {Error} If unable to generate unique code after maxAttempts
+ */
+async function generateUniquePairingCode(DeviceModel, maxAttempts = 10) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const code = generatePairingCode();
+
+    // Expired PINs can be reused
+    const existing = await DeviceModel.findOne({
+      where: {
+        pairingCode: code,
+        pairingCodeExpiresAt: { [Op.gt]: new Date() },
+      },
+    });
+
+    if (!existing) {
+      return code;
+    }
+  }
+
+  throw new Error('Unable to generate unique pairing code after multiple attempts');
+}
+
+/**
+ * Validate pairing code format
+ * @param {string} code - Code to validate
+ * @returns {boolean} True if valid
+ */
+function isValidPairingCode(code) {
+  return typeof code === 'string' && /^[0-9]{6}$/.test(code);
+}
+
+/**
+ * Throttle keys of a claim attempt: the company claiming and the client IP
+ * @param {string} companyId - UUID of the claiming company
+ * @param {string} ip - Client IP address
+ * @returns {string[]} Throttle keys
+ */
+function getClaimThrottleKeys(companyId, ip) {
+  return [`company:${companyId}`, `ip:${ip}`];
+}
+
+/**
+ * Seconds until any of the keys may claim again after too many wrong PINs
+ * @param {string[]} keys - Result of getClaimThrottleKeys()
+ * @returns {number} 0 when claims are allowed
+ */
+function getClaimRetryAfter(keys) {
+  const now = Date.now();
+
+  return keys.reduce((retryAfter, key) => {
+    const entry = claimFailures.get(key);
+    if (!entry || entry.resetAt <= now || entry.count < deviceConfig.pairingClaimMaxFailures) {
+      return retryAfter;
+    }
+    return Math.max(retryAfter, Math.ceil((entry.resetAt - now) / 1000));
+  }, 0);
+}
+
+/**
+ * Count a wrong PIN against each key
+ * @param {string[]} keys - Result of getClaimThrottleKeys()
+ */
+function recordClaimFailure(keys) {
+  const now = Date.now();
+
+  // Forget finished windows so the map only holds recent offenders
+  claimFailures.forEach((entry, key) => {
+    if (entry.resetAt <= now) {
+      claimFailures.delete(key);
+    }
+  });
+
+  keys.forEach(key => {
+    const entry = claimFailures.get(key) || {
+      count: 0,
+      resetAt: now + deviceConfig.pairingClaimWindowSeconds * 1000,
+    };
+    entry.count += 1;
+    claimFailures.set(key, entry);
+  });
+}
+
+module.exports = {
+  generatePairingCode,
+  generateUniquePairingCode,
+  isValidPairingCode,
+  getClaimThrottleKeys,
+  getClaimRetryAfter,
+  recordClaimFailure,
+};
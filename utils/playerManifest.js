@@ -0,0 +1,133 @@
+/**
+ * Player Manifest Utility
+ * Builds the versioned manifest players use to verify their offline cache:
+ * a content hash, size and ETag per video, and a version/ETag for the whole
+ * timeline so unchanged timelines can be answered with 304 Not Modified
+ */
+
+const crypto = require('crypto');
+const { getPlayerRendition } = require('./videoTranscoder');
+const { ensureMediaJob } = require('./mediaJobs');
+
+/**
+ * Manifest format version, bumped when the manifest shape changes
+ */
+const MANIFEST_FORMAT = 1;
+
+/**
+ * Get the content hash and size of the file players get for a video
+ * Transcoded videos are served as their rendition, whose hash was recorded
+ * when it was encoded; otherwise the original's hash recorded at upload is
+ * used. Nothing is read from storage: a video without a hash yet (uploaded
+ * before hashes were recorded) gets a 'hash' job queued and is left out
+ * until the job has stored it.
+ * @param {Object} video - Video instance (with companyId, filePath, fileSize, renditions, contentHash)
+ * @param {string} renditionName - 'main' (default), 'low' or 'original'
+ * @returns {Promise<Object|null>} { contentHash, size, mimeType } or null if there is no hash yet
+ * (web pages have no file and always return null)
+ */
+async function getVideoContent(video, renditionName = 'main') {
+  if (!video.filePath) {
+    return null;
+  }
+
+  const rendition = getPlayerRendition(video, renditionName);
+  if (rendition) {
+    return { contentHash: rendition.contentHash, size: rendition.size, mimeType: rendition.mimeType };
+  }
+
+  if (!video.contentHash) {
+    await ensureMediaJob(video, 'hash');
+    return null;
+  }
+
+  return { contentHash: video.contentHash, size: Number(video.fileSize), mimeType: video.mimeType };
+}
+
+/**
+ * Build the ETag of a video from its content hash
+ * @param {string} contentHash - SHA-256 hex digest
+ * @returns {string} Strong ETag (quoted)
+ */
+function videoETag(contentHash) {
+  return `"${contentHash}"`;
+}
+
+/**
+ * Build the manifest of a timeline
+ * Items must be loaded with their 'video' (including companyId, filePath, fileSize,
+ * renditions and contentHash). Items whose video is deleted or not hashed
+ * yet (see getVideoContent), and web pages (which are never cached), are
+ * left out of the manifest.
+ * @param {Object[]} items - PlaylistItem instances
+ * @returns {Promise<Object>} { format, version, etag, videos: [{ id, contentHash, size, etag, mimeType }] }
+ */
+async function buildTimelineManifest(items) {
+  const videos = new Map();
+
+  for (const item of items) {
+    const video = item.video;
+    if (!video || videos.has(video.id)) {
+      continue;
+    }
+
+    const content = await getVideoContent(video);
+    if (!content) {
+      continue;
+    }
+
+    videos.set(video.id, {
+      id: video.id,
+      contentHash: content.contentHash,
+      size: content.size,
+      etag: videoETag(content.contentHash),
+      mimeType: content.mimeType,
+    });
+  }
+
+  // The version changes with the timeline (items, order, durations, web page URLs,
+  // in/out points) and with any file
+  const fingerprint = JSON.stringify({
+    format: MANIFEST_FORMAT,
+    items: items.map(item => [
+      item.id,
+      item.video ? item.video.id : null,
+      item.order,
+      item.duration,
+      item.video ? item.video.sourceUrl || null : null,
+      item.video ? [item.video.trimStart ?? null, item.video.trimEnd ?? null] : null,
+    ]),
+    videos: [...videos.values()].map(video => [video.id, video.contentHash]),
+  });
+  const version = crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+
+  return {
+    format: MANIFEST_FORMAT,
+    version,
+    etag: `"${version}"`,
+    videos: [...videos.values()],
+  };
+}
+
+/**
+ * Check a request's If-None-Match header against an ETag
+ * @param {Object} req - Express request
+ * @param {string} etag - Current ETag (quoted)
+ * @returns {boolean} True if the client already has this version
+ */
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) {
+    return false;
+  }
+
+  return header.trim() === '*'
+    || header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+module.exports = {
+  getVideoContent,
+  videoETag,
+  buildTimelineManifest,
+  isNotModified,
+};
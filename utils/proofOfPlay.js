@@ -0,0 +1,185 @@
+/**
+ * Proof of Play Utility
+ * Validates playback events reported by players and builds the filters,
+ * summaries and CSV rows of the proof-of-play report
+ */
+
+const { Op, fn, col, literal } = require('sequelize');
+const { PlaybackLog } = require('../models');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Largest number of events accepted in one ingest request
+ */
+const MAX_EVENTS_PER_BATCH = 500;
+
+/**
+ * Default report range, in days
+ */
+const DEFAULT_REPORT_DAYS = 7;
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const optionalUuid = (value) => (isUuid(value) ? value : null);
+
+/**
+ * Validate one playback event sent by a player
+ * Invalid events are dropped instead of failing the whole batch, so a single
+ * bad record cannot block a player's offline queue.
+ * @param {Object} event - { id, videoId, playlistId, playlistItemId, scheduleItemId, startedAt, endedAt, durationPlayed, completed }
+ * @returns {Object|null} Normalized event or null if invalid
+ */
+function normalizePlaybackEvent(event) {
+  if (!event || typeof event !== 'object') {
+    return null;
+  }
+
+  const clientEventId = typeof event.id === 'string' ? event.id.trim() : '';
+  const startedAt = new Date(event.startedAt);
+  const endedAt = new Date(event.endedAt);
+  const durationPlayed = Number(event.durationPlayed);
+
+  if (!clientEventId || clientEventId.length > 64 || !isUuid(event.videoId)) {
+    return null;
+  }
+
+  if (isNaN(startedAt.getTime()) || isNaN(endedAt.getTime()) || endedAt < startedAt) {
+    return null;
+  }
+
+  if (!Number.isFinite(durationPlayed) || durationPlayed < 0) {
+    return null;
+  }
+
+  return {
+    clientEventId,
+    videoId: event.videoId,
+    playlistId: optionalUuid(event.playlistId),
+    playlistItemId: optionalUuid(event.playlistItemId),
+    scheduleItemId: optionalUuid(event.scheduleItemId),
+    startedAt,
+    endedAt,
+    // A video cannot play longer than the wall-clock time it was on screen
+    durationPlayed: Math.min(durationPlayed, (endedAt - startedAt) / 1000),
+    completed: event.completed === true,
+  };
+}
+
+/**
+ * Parse the report filters from a query string
+ * Dates are YYYY-MM-DD (server time); the range defaults to the last 7 days.
+ * @param {Object} query - { from, to, videoId, deviceId }
+ * @returns {Object} { from, to, videoId, deviceId } with from/to as YYYY-MM-DD
+ */
+function parseReportFilters(query = {}) {
+  const today = new Date();
+  const defaultFrom = new Date(today.getTime() - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const toDateString = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+
+  let from = DATE_PATTERN.test(query.from || '') ? query.from : toDateString(defaultFrom);
+  let to = DATE_PATTERN.test(query.to || '') ? query.to : toDateString(today);
+
+  if (from > to) {
+    [from, to] = [to, from];
+  }
+
+  return {
+    from,
+    to,
+    videoId: optionalUuid(query.videoId),
+    deviceId: optionalUuid(query.deviceId),
+  };
+}
+
+/**
+ * Build the PlaybackLog where clause for a company and report filters
+ * @param {string} companyId - UUID of the company
+ * @param {Object} filters - Result of parseReportFilters()
+ * @returns {Object} Sequelize where clause
+ */
+function buildPlaybackWhere(companyId, filters) {
+  const start = new Date(`${filters.from}T00:00:00`);
+  const end = new Date(`${filters.to}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+
+  const where = {
+    companyId,
+    startedAt: { [Op.gte]: start, [Op.lt]: end },
+  };
+
+  if (filters.videoId) {
+    where.videoId = filters.videoId;
+  }
+
+  if (filters.deviceId) {
+    where.deviceId = filters.deviceId;
+  }
+
+  return where;
+}
+
+/**
+ * Aggregate plays per video and device
+ * @param {Object} where - Result of buildPlaybackWhere()
+ * @returns {Promise<Object[]>} [{ videoId, deviceId, plays, completedPlays, secondsPlayed, firstPlayedAt, lastPlayedAt }]
+ */
+async function summarizePlayback(where) {
+  const rows = await PlaybackLog.findAll({
+    where,
+    attributes: [
+      'videoId',
+      'deviceId',
+      [fn('COUNT', col('id')), 'plays'],
+      [fn('SUM', literal('CASE WHEN completed THEN 1 ELSE 0 END')), 'completedPlays'],
+      [fn('SUM', col('duration_played')), 'secondsPlayed'],
+      [fn('MIN', col('started_at')), 'firstPlayedAt'],
+      [fn('MAX', col('started_at')), 'lastPlayedAt'],
+    ],
+    group: ['video_id', 'device_id'],
+    order: [[literal('"plays"'), 'DESC']],
+    raw: true,
+  });
+
+  return rows.map(row => ({
+    videoId: row.videoId,
+    deviceId: row.deviceId,
+    plays: parseInt(row.plays) || 0,
+    completedPlays: parseInt(row.completedPlays) || 0,
+    secondsPlayed: parseFloat(row.secondsPlayed) || 0,
+    firstPlayedAt: row.firstPlayedAt,
+    lastPlayedAt: row.lastPlayedAt,
+  }));
+}
+
+/**
+ * Format one CSV line (RFC 4180 quoting)
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Quote cells with separators, and neutralize spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  MAX_EVENTS_PER_BATCH,
+  normalizePlaybackEvent,
+  parseReportFilters,
+  buildPlaybackWhere,
+  summarizePlayback,
+  toCsvLine,
+};
@@ -0,0 +1,262 @@
+/**
+ * Schedule Conflicts Utility
+ * Finds the schedule items an item overlaps with and plans what happens to
+ * them. Nothing is thrown away and no item's own timing is changed: an item
+ * gives way to the item that took its time (yieldsTo), and the resolver
+ * applies that only to the occurrences of the two that overlap, so a
+ * Monday-only item leaves the other days of a daily item alone. Clearing
+ * yieldsTo restores the item.
+ *
+ * Strategies:
+ * - reject: an item that overlaps others is not saved
+ * - override: overlapping items of lower priority give way entirely: their
+ *   overlapping occurrences are taken off the schedule; overlapping an item
+ *   of equal or higher priority rejects it
+ * - split: overlapping items are cut around the item: their overlapping
+ *   occurrences play before and after it, whatever their priority
+ */
+
+const { Op } = require('sequelize');
+const { ScheduleItem, Video, Playlist } = require('../models');
+const { getItemDates, toDayNumber, toDateString } = require('./scheduleRecurrence');
+const { getLocalDate, timeToSeconds, yieldsTo } = require('./scheduleResolver');
+
+const DAY_SECONDS = 86400;
+
+const STRATEGIES = ['reject', 'override', 'split'];
+const DEFAULT_STRATEGY = 'reject';
+
+/**
+ * Priorities of schedule items: higher wins when items overlap
+ */
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+const DEFAULT_PRIORITY = 5;
+
+/**
+ * Days ahead in which conflicts between two items are looked for
+ */
+const CONFLICT_HORIZON_DAYS = 731;
+
+/**
+ * Find where two items' occurrences overlap
+ * Both items are expanded (dayOfWeek or rrule, dates, exdates) from the later
+ * of their start dates (or today in the schedule's timezone) and their
+ * occurrences compared as time ranges, so items running past midnight
+ * conflict with items of the next day.
+ * @param {Object} first - Item timing { startTime, duration, dayOfWeek, rrule, exdates, startDate, endDate }
+ * @param {Object} second - Item timing
+ * @param {string} today - Local date of the schedule (YYYY-MM-DD)
+ * @returns {Object|null} { date, occurrences }: the day of the first occurrence of
+ *   the second item that overlaps the first, and how many of its occurrences do
+ */
+function findOccurrenceOverlap(first, second, today) {
+  const from = [today, first.startDate, second.startDate]
+    .filter(Boolean)
+    .map(date => String(date).slice(0, 10))
+    .sort()
+    .pop();
+  const endDates = [first.endDate, second.endDate].filter(Boolean).map(date => String(date).slice(0, 10)).sort();
+  const to = Math.min(
+    toDayNumber(from) + CONFLICT_HORIZON_DAYS,
+    endDates.length > 0 ? toDayNumber(endDates[0]) : Infinity
+  );
+
+  // How many days an occurrence can reach into the following days
+  const spread = Math.ceil(Math.max(first.duration, second.duration) / DAY_SECONDS);
+  const fromWithSpread = toDateString(toDayNumber(from) - spread);
+  const firstDays = getItemDates(first, fromWithSpread, toDateString(to)).map(toDayNumber);
+  const secondDays = new Set(getItemDates(second, fromWithSpread, toDateString(to + spread)).map(toDayNumber));
+
+  const firstStart = timeToSeconds(first.startTime);
+  const secondStart = timeToSeconds(second.startTime);
+  const overlapping = new Set();
+
+  // offset: days from an occurrence of the first item to one of the second
+  for (let offset = -spread; offset <= spread; offset++) {
+    const start = secondStart + offset * DAY_SECONDS;
+    if (firstStart < start + second.duration && start < firstStart + first.duration) {
+      firstDays
+        .filter(day => secondDays.has(day + offset))
+        .forEach(day => overlapping.add(day + offset));
+    }
+  }
+
+  if (overlapping.size === 0) {
+    return null;
+  }
+
+  return {
+    date: toDateString(Math.min(...overlapping)),
+    occurrences: overlapping.size,
+  };
+}
+
+/**
+ * Work out what happens to an existing item a new item overlaps with
+ * @param {Object} newItem - Timing of the new item (with priority)
+ * @param {Object} item - Existing ScheduleItem
+ * @param {string} strategy - One of STRATEGIES
+ * @returns {Object} { action: 'reject', reason } or { action: 'override'|'split' }
+ */
+function planItemChange(newItem, item, strategy) {
+  if (strategy === 'reject') {
+    return { action: 'reject', reason: 'Overlaps the item' };
+  }
+
+  if (strategy === 'override' && item.priority >= newItem.priority) {
+    return { action: 'reject', reason: `Has equal or higher priority (${item.priority})` };
+  }
+
+  return { action: strategy };
+}
+
+/**
+ * Find the items of a schedule a new or changed item overlaps with, and plan
+ * what happens to them
+ * Items that already give way to the item, or that it gives way to, are
+ * settled and left out.
+ * @param {Object} newItem - Timing { startTime, duration, dayOfWeek, rrule, exdates, startDate, endDate, priority }
+ * @param {Object} options - { scheduleId, timezone: the schedule's, strategy, excludeIds: item IDs
+ *   to leave out, item: the ScheduleItem being changed or restored (with the yieldsTo it keeps), transaction }
+ * @returns {Promise<Object>} { blocked, conflicts }: blocked when any conflict is rejected;
+ *   conflicts: [{ item, action, reason, date, occurrences }]
+ */
+async function planConflicts(newItem, {
+  scheduleId,
+  timezone,
+  strategy = DEFAULT_STRATEGY,
+  excludeIds = [],
+  item: changedItem = null,
+  transaction = null,
+}) {
+  const items = await ScheduleItem.findAll({
+    where: {
+      scheduleId,
+      isActive: true,
+      ...(excludeIds.length > 0 && { id: { [Op.notIn]: excludeIds } }),
+    },
+    include: [
+      {
+        model: Video,
+        as: 'video',
+        attributes: ['id', 'fileName'],
+      },
+      {
+        model: Playlist,
+        as: 'playlist',
+        attributes: ['id', 'name'],
+      },
+    ],
+    order: [['startTime', 'ASC']],
+    transaction,
+  });
+
+  const today = getLocalDate(timezone);
+  const conflicts = [];
+  items
+    .filter(item => !changedItem || (!yieldsTo(item, changedItem.id) && !yieldsTo(changedItem, item.id)))
+    .forEach(item => {
+      const overlap = findOccurrenceOverlap(newItem, item, today);
+      if (overlap) {
+        conflicts.push({ item, ...overlap, ...planItemChange(newItem, item, strategy) });
+      }
+    });
+
+  return {
+    blocked: conflicts.some(conflict => conflict.action === 'reject'),
+    conflicts,
+  };
+}
+
+/**
+ * Shape planned conflicts for API responses
+ * @param {Object[]} conflicts - planConflicts().conflicts
+ * @returns {Object[]}
+ */
+function formatConflicts(conflicts) {
+  return conflicts.map(({ item, action, reason, date, occurrences }) => ({
+    id: item.id,
+    videoName: item.video ? item.video.fileName : null,
+    playlistName: item.playlist ? item.playlist.name : null,
+    startTime: item.startTime,
+    duration: item.duration,
+    priority: item.priority,
+    firstConflictDate: date,
+    overlappingOccurrences: occurrences,
+    action,
+    ...(reason && { reason }),
+  }));
+}
+
+/**
+ * Carry out planned conflicts (none of them may be rejected): each
+ * overlapping item gives way to the item
+ * @param {Object[]} conflicts - planConflicts().conflicts
+ * @param {string} itemId - UUID of the item that takes the time
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object[]>} formatConflicts() of what was done
+ */
+async function applyConflicts(conflicts, itemId, transaction) {
+  for (const { item, action } of conflicts) {
+    await item.update({
+      yieldsTo: [
+        ...(item.yieldsTo || []).filter(entry => entry.itemId !== itemId),
+        { itemId, action, at: new Date().toISOString() },
+      ],
+    }, { transaction });
+  }
+
+  return formatConflicts(conflicts);
+}
+
+/**
+ * Let the items that give way to an item play in full again (e.g. it was deleted)
+ * @param {string} scheduleId - UUID of the schedule
+ * @param {string} itemId - UUID of the item
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<number>} Number of items released
+ */
+async function releaseYieldingItems(scheduleId, itemId, transaction = null) {
+  const items = await ScheduleItem.findAll({
+    where: { scheduleId, isActive: true },
+    transaction,
+  });
+
+  const yielding = items.filter(item => yieldsTo(item, itemId));
+  for (const item of yielding) {
+    await item.update({
+      yieldsTo: item.yieldsTo.filter(entry => entry.itemId !== itemId),
+    }, { transaction });
+  }
+
+  return yielding.length;
+}
+
+/**
+ * Summarize applied conflicts for a response message
+ * @param {Object[]} applied - Result of applyConflicts()
+ * @returns {string} e.g. '1 item(s) overridden, 2 split' ('' when there were none)
+ */
+function describeConflicts(applied) {
+  const overridden = applied.filter(conflict => conflict.action === 'override').length;
+  const split = applied.length - overridden;
+  if (applied.length === 0) {
+    return '';
+  }
+  return `${overridden} item(s) overridden, ${split} split where they overlap`;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  DEFAULT_PRIORITY,
+  findOccurrenceOverlap,
+  planConflicts,
+  formatConflicts,
+  applyConflicts,
+  releaseYieldingItems,
+  describeConflicts,
+};
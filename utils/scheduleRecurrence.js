@@ -0,0 +1,482 @@
+/**
+ * Schedule Recurrence Utility
+ * Expands the days a schedule item runs on. An item either repeats on the
+ * days of its dayOfWeek array (null: every day) or follows an iCalendar
+ * RRULE (RFC 5545), e.g. 'FREQ=MONTHLY;BYDAY=1MO' (first Monday of the
+ * month) or 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH' (every other week). Its
+ * startDate is the rule's DTSTART and endDate caps it; exdates (EXDATE) are
+ * days it skips, e.g. public holidays. Days are local days of the schedule's
+ * timezone; the time of day comes from the item's startTime.
+ *
+ * Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+ */
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+const MAX_COUNT = 1000;
+const MAX_INTERVAL = 1000;
+const MAX_EXDATES = 500;
+
+/**
+ * Periods looked at before giving up on a rule that matches nothing
+ * (e.g. the 30th of February)
+ */
+const MAX_PERIODS = 50000;
+
+/**
+ * Day number (days since 1970-01-01) of a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number}
+ */
+function toDayNumber(date) {
+  return Math.round(Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Date of a day number
+ * @param {number} day - Days since 1970-01-01
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateString(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a day number (0=Sunday)
+ */
+const weekdayOf = day => (((day + 4) % 7) + 7) % 7;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const dayNumberOf = (year, month, date) => Math.round(Date.UTC(year, month, date) / DAY_MS);
+
+/**
+ * Parse a list of integers of a rule part
+ * @returns {number[]|null} null if a value is not an integer in range
+ */
+function parseIntegers(value, min, max, allowNegative) {
+  const numbers = value.split(',').map(Number);
+  const valid = numbers.every(number => Number.isInteger(number)
+    && Math.abs(number) >= min && Math.abs(number) <= max
+    && (allowNegative || number > 0));
+  return valid ? numbers : null;
+}
+
+/**
+ * Parse a date of an iCalendar value (YYYYMMDD, with an optional time) or YYYY-MM-DD
+ * @param {string} value - Date value
+ * @returns {string|null} YYYY-MM-DD, or null if it is not a valid date
+ */
+function parseICalDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return toDateString(toDayNumber(date)) === date ? date : null;
+}
+
+/**
+ * Parse an RRULE
+ * @param {string} text - e.g. 'FREQ=WEEKLY;BYDAY=MO,WE' (an 'RRULE:' prefix is allowed)
+ * @returns {Object} { rule } or { error } with what is wrong with it
+ */
+function parseRRule(text) {
+  const body = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!body) {
+    return { error: 'Recurrence rule is empty' };
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: null,
+    byMonthDay: null,
+    byMonth: null,
+    bySetPos: null,
+    wkst: 1,
+  };
+  const seen = new Set();
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawName, value = ''] = part.split('=');
+    const name = rawName.trim().toUpperCase();
+    const upper = value.trim().toUpperCase();
+
+    if (!SUPPORTED_PARTS.includes(name)) {
+      return { error: `Recurrence rule part ${name} is not supported (the time of day comes from startTime)` };
+    }
+    if (seen.has(name)) {
+      return { error: `Recurrence rule part ${name} is given twice` };
+    }
+    seen.add(name);
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upper)) {
+          return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        }
+        rule.freq = upper;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(upper);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          return { error: `INTERVAL must be an integer from 1 to ${MAX_INTERVAL}` };
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(upper);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+          return { error: `COUNT must be an integer from 1 to ${MAX_COUNT}` };
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseICalDate(upper);
+        if (!rule.until) {
+          return { error: 'UNTIL must be a date (YYYYMMDD)' };
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = [];
+        for (const entry of upper.split(',')) {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          const nth = match && match[1] ? Number(match[1]) : null;
+          if (!match || nth === 0 || Math.abs(nth) > 53) {
+            return { error: `BYDAY value ${entry} is not valid (e.g. MO, 1MO, -1FR)` };
+          }
+          rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), nth });
+        }
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegers(upper, 1, 31, true);
+        if (!rule.byMonthDay) {
+          return { error: 'BYMONTHDAY values must be from 1 to 31 or -31 to -1' };
+        }
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegers(upper, 1, 12, false);
+        if (!rule.byMonth) {
+          return { error: 'BYMONTH values must be from 1 to 12' };
+        }
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegers(upper, 1, 366, true);
+        if (!rule.bySetPos) {
+          return { error: 'BYSETPOS values must be from 1 to 366 or -366 to -1' };
+        }
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(upper)) {
+          return { error: 'WKST must be a day of the week (e.g. MO)' };
+        }
+        rule.wkst = WEEKDAYS.indexOf(upper);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: 'Recurrence rule needs a FREQ' };
+  }
+  if (rule.count && rule.until) {
+    return { error: 'Recurrence rule cannot have both COUNT and UNTIL' };
+  }
+  if (rule.byDay && ['DAILY', 'WEEKLY'].includes(rule.freq) && rule.byDay.some(({ nth }) => nth !== null)) {
+    return { error: 'BYDAY can only have numbers (e.g. 1MO) with FREQ=MONTHLY or YEARLY' };
+  }
+  if (rule.byMonthDay && rule.freq === 'WEEKLY') {
+    return { error: 'BYMONTHDAY cannot be used with FREQ=WEEKLY' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Rewrite an RRULE in a canonical form: uppercase, without the 'RRULE:' prefix
+ * @param {string} text - Valid RRULE
+ * @returns {string}
+ */
+function normalizeRRule(text) {
+  return String(text).trim().replace(/^RRULE:/i, '').toUpperCase()
+    .split(';')
+    .filter(Boolean)
+    .map(part => part.split('=').map(piece => piece.trim()).join('='))
+    .join(';');
+}
+
+/**
+ * Normalize exception dates
+ * @param {string[]} exdates - Dates as YYYY-MM-DD or YYYYMMDD
+ * @returns {Object} { exdates } sorted without duplicates, or { error }
+ */
+function normalizeExdates(exdates) {
+  if (!Array.isArray(exdates)) {
+    return { error: 'Exception dates must be an array of dates' };
+  }
+  if (exdates.length > MAX_EXDATES) {
+    return { error: `An item can have at most ${MAX_EXDATES} exception dates` };
+  }
+  const dates = exdates.map(parseICalDate);
+  const invalid = exdates.find((value, index) => !dates[index]);
+  if (invalid !== undefined) {
+    return { error: `Exception date ${invalid} is not a valid date (YYYY-MM-DD)` };
+  }
+  return { exdates: [...new Set(dates)].sort() };
+}
+
+/**
+ * Days of a month matching BYMONTHDAY and BYDAY (numbers counted within the month)
+ */
+function monthCandidates(rule, year, month) {
+  const length = daysInMonth(year, month);
+  const first = dayNumberOf(year, month, 1);
+  let days = null;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map(value => (value > 0 ? value : length + value + 1))
+      .filter(date => date >= 1 && date <= length)
+      .map(date => first + date - 1);
+  }
+
+  if (rule.byDay) {
+    const weekdays = byDayMatches(rule.byDay, first, first + length - 1);
+    days = days ? days.filter(day => weekdays.includes(day)) : weekdays;
+  }
+
+  return days;
+}
+
+/**
+ * Days in a range matching BYDAY entries, numbered entries (e.g. -1FR)
+ * counting within the range
+ */
+function byDayMatches(byDay, firstDay, lastDay) {
+  const days = [];
+  byDay.forEach(({ weekday, nth }) => {
+    const matches = [];
+    const offset = (weekday - weekdayOf(firstDay) + 7) % 7;
+    for (let day = firstDay + offset; day <= lastDay; day += 7) {
+      matches.push(day);
+    }
+    if (nth === null) {
+      days.push(...matches);
+    } else {
+      const picked = nth > 0 ? matches[nth - 1] : matches[matches.length + nth];
+      if (picked !== undefined) {
+        days.push(picked);
+      }
+    }
+  });
+  return days;
+}
+
+/**
+ * Candidate days of one period of a rule, before BYSETPOS
+ * @param {Object} rule - Parsed rule
+ * @param {number} anchor - Day number of DTSTART
+ * @param {number} period - Index of the period since the anchor's period
+ * @returns {Object} { first, days } - first day number of the period and its candidate days
+ */
+function periodCandidates(rule, anchor, period) {
+  const anchorDate = new Date(anchor * DAY_MS);
+  const step = period * rule.interval;
+  const inByMonth = day => !rule.byMonth || rule.byMonth.includes(new Date(day * DAY_MS).getUTCMonth() + 1);
+
+  if (rule.freq === 'DAILY') {
+    const day = anchor + step;
+    const date = new Date(day * DAY_MS);
+    const matches = inByMonth(day)
+      && (!rule.byDay || rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)))
+      && (!rule.byMonthDay || (monthCandidates({ byMonthDay: rule.byMonthDay }, date.getUTCFullYear(), date.getUTCMonth()) || []).includes(day));
+    return { first: day, days: matches ? [day] : [] };
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = anchor - ((weekdayOf(anchor) - rule.wkst + 7) % 7) + step * 7;
+    const weekdays = rule.byDay ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(anchor)];
+    const days = [];
+    for (let day = weekStart; day < weekStart + 7; day++) {
+      if (weekdays.includes(weekdayOf(day)) && inByMonth(day)) {
+        days.push(day);
+      }
+    }
+    return { first: weekStart, days };
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = anchorDate.getUTCMonth() + step;
+    const year = anchorDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const first = dayNumberOf(year, month, 1);
+    if (rule.byMonth && !rule.byMonth.includes(month + 1)) {
+      return { first, days: [] };
+    }
+    const days = monthCandidates(rule, year, month)
+      || (anchorDate.getUTCDate() <= daysInMonth(year, month) ? [first + anchorDate.getUTCDate() - 1] : []);
+    return { first, days };
+  }
+
+  // YEARLY
+  const year = anchorDate.getUTCFullYear() + step;
+  const first = dayNumberOf(year, 0, 1);
+  let days = [];
+
+  if (rule.byMonth) {
+    rule.byMonth.forEach(month => {
+      days.push(...(monthCandidates(rule, year, month - 1)
+        || (anchorDate.getUTCDate() <= daysInMonth(year, month - 1) ? [dayNumberOf(year, month - 1, anchorDate.getUTCDate())] : [])));
+    });
+  } else if (rule.byMonthDay) {
+    for (let month = 0; month < 12; month++) {
+      days.push(...monthCandidates(rule, year, month));
+    }
+  } else if (rule.byDay) {
+    days = byDayMatches(rule.byDay, first, dayNumberOf(year, 11, 31));
+  } else if (anchorDate.getUTCDate() <= daysInMonth(year, anchorDate.getUTCMonth())) {
+    days = [dayNumberOf(year, anchorDate.getUTCMonth(), anchorDate.getUTCDate())];
+  }
+
+  return { first, days };
+}
+
+/**
+ * Index of the first period of a rule that can reach a day (rules without COUNT
+ * don't have to be walked from their start)
+ */
+function firstPeriodReaching(rule, anchor, day) {
+  if (rule.count || day <= anchor) {
+    return 0;
+  }
+  const anchorDate = new Date(anchor * DAY_MS);
+  const date = new Date(day * DAY_MS);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.floor((day - anchor) / rule.interval);
+    case 'WEEKLY':
+      return Math.max(Math.floor((day - anchor) / (7 * rule.interval)) - 1, 0);
+    case 'MONTHLY':
+      return Math.floor(((date.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12
+        + date.getUTCMonth() - anchorDate.getUTCMonth()) / rule.interval);
+    default:
+      return Math.floor((date.getUTCFullYear() - anchorDate.getUTCFullYear()) / rule.interval);
+  }
+}
+
+/**
+ * Expand a rule into the days it occurs on within a range
+ * @param {Object} rule - Parsed rule
+ * @param {number} anchor - Day number of DTSTART (the first possible occurrence)
+ * @param {number} from - First day number of the range
+ * @param {number} to - Last day number of the range
+ * @returns {number[]} Sorted day numbers
+ */
+function expandRule(rule, anchor, from, to) {
+  const last = rule.until ? Math.min(to, toDayNumber(rule.until)) : to;
+  const result = [];
+  let count = 0;
+
+  for (let period = firstPeriodReaching(rule, anchor, from), checked = 0; checked < MAX_PERIODS; period++, checked++) {
+    const { first, days } = periodCandidates(rule, anchor, period);
+    if (first > last) {
+      break;
+    }
+
+    let candidates = [...new Set(days)].sort((a, b) => a - b);
+    if (rule.bySetPos) {
+      candidates = [...new Set(rule.bySetPos
+        .map(position => (position > 0 ? candidates[position - 1] : candidates[candidates.length + position]))
+        .filter(day => day !== undefined))].sort((a, b) => a - b);
+    }
+
+    for (const day of candidates) {
+      if (day < anchor) {
+        continue;
+      }
+      if (day > last || (rule.count && count >= rule.count)) {
+        return result;
+      }
+      count++;
+      if (day >= from) {
+        result.push(day);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check an item's recurrence
+ * @param {Object} recurrence - { rrule, exdates } (either may be missing)
+ * @returns {string|null} What is wrong with it, or null if it can be used
+ */
+function validateRecurrence({ rrule, exdates }) {
+  if (rrule !== undefined && rrule !== null) {
+    if (typeof rrule !== 'string') {
+      return 'Recurrence rule must be a string';
+    }
+    const { error } = parseRRule(rrule);
+    if (error) {
+      return error;
+    }
+  }
+  if (exdates !== undefined && exdates !== null) {
+    const { error } = normalizeExdates(exdates);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Days a schedule item starts on within a range
+ * @param {Object} item - Schedule item (rrule, exdates, dayOfWeek, startDate, endDate)
+ * @param {string} fromDate - First day of the range (YYYY-MM-DD)
+ * @param {string} toDate - Last day of the range (YYYY-MM-DD)
+ * @returns {string[]} Sorted YYYY-MM-DD dates
+ */
+function getItemDates(item, fromDate, toDate) {
+  const from = Math.max(toDayNumber(fromDate), item.startDate ? toDayNumber(item.startDate) : -Infinity);
+  const to = Math.min(toDayNumber(toDate), item.endDate ? toDayNumber(item.endDate) : Infinity);
+  if (from > to) {
+    return [];
+  }
+
+  let days = [];
+  if (item.rrule) {
+    const { rule, error } = parseRRule(item.rrule);
+    if (error) {
+      return [];
+    }
+    days = expandRule(rule, item.startDate ? toDayNumber(item.startDate) : from, from, to);
+  } else {
+    const weekdays = Array.isArray(item.dayOfWeek) && item.dayOfWeek.length > 0 ? item.dayOfWeek.map(Number) : null;
+    for (let day = from; day <= to; day++) {
+      if (!weekdays || weekdays.includes(weekdayOf(day))) {
+        days.push(day);
+      }
+    }
+  }
+
+  const skipped = new Set(item.exdates || []);
+  return days.map(toDateString).filter(date => !skipped.has(date));
+}
+
+module.exports = {
+  parseRRule,
+  normalizeRRule,
+  normalizeExdates,
+  validateRecurrence,
+  getItemDates,
+  toDayNumber,
+  toDateString,
+};
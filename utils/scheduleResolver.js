@@ -0,0 +1,395 @@
+/**
+ * Schedule Resolver Utility
+ * Works out which schedule item is on screen at a given instant, so players
+ * don't each have to evaluate recurrence rules, dates and startTime.
+ *
+ * Schedules are wall-clock timetables in the schedule's IANA timezone: an
+ * item runs from its startTime to startTime + duration local time, both
+ * turned into instants on their own. Across DST transitions this keeps
+ * consecutive items back to back:
+ * - Spring forward: local times in the skipped hour map to the moment the
+ *   clocks jump, so an item inside the gap doesn't play that day and one
+ *   reaching into it is shortened.
+ * - Fall back: repeated local times map to their first occurrence, so an
+ *   item reaching past the repeated hour is lengthened by it.
+ * Recurrence (see scheduleRecurrence.js) applies to the local day an item
+ * starts on; an item can run past midnight. When items overlap, the one
+ * with the highest priority is shown, then the one that started last (lower
+ * order first when they start together). An item that gives way to another
+ * (yieldsTo, see scheduleConflicts.js) loses to it wherever they overlap, and
+ * its occurrences overlapping one it was overridden by are not shown at all.
+ *
+ * An item can be a playlist block: its playlist loops from the start of the
+ * item until it ends, so every screen on the schedule is at the same point of
+ * the loop. The schedule's fallback playlist plays while no item is on.
+ */
+
+const { getItemDates, toDayNumber } = require('./scheduleRecurrence');
+
+const DAY_SECONDS = 86400;
+const DAY_MS = DAY_SECONDS * 1000;
+
+/**
+ * How far ahead upcoming items are looked for, in days
+ */
+const LOOKAHEAD_DAYS = 7;
+
+/**
+ * Upcoming items returned by default, and at most
+ */
+const DEFAULT_UPCOMING_LIMIT = 5;
+const MAX_UPCOMING_LIMIT = 50;
+
+const formatters = new Map();
+
+/**
+ * Cached formatter giving the local date and time of an instant in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a timezone name is known (e.g. 'Europe/Berlin', 'UTC')
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local wall-clock time of an instant, as if it were UTC
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Epoch milliseconds of the same wall-clock time in UTC
+ */
+function getWallTime(instant, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => { parts[type] = Number(value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * UTC offset of a timezone at an instant
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Milliseconds ahead of UTC
+ */
+function getOffset(instant, timeZone) {
+  const whole = Math.floor(instant / 1000) * 1000;
+  return getWallTime(whole, timeZone) - whole;
+}
+
+/**
+ * Instant of a local wall-clock time
+ * A time skipped by a DST transition maps to the moment of the transition;
+ * a time that happens twice maps to the first one.
+ * @param {number} wallTime - Wall-clock time as if it were UTC (epoch milliseconds)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Epoch milliseconds
+ */
+function wallTimeToInstant(wallTime, timeZone) {
+  const before = getOffset(wallTime - DAY_MS / 2, timeZone);
+  const after = getOffset(wallTime + DAY_MS / 2, timeZone);
+
+  const candidates = [wallTime - before, wallTime - after]
+    .filter(instant => instant + getOffset(instant, timeZone) === wallTime)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+
+  // In the gap: find the first second with the offset from after the transition
+  let low = wallTime - before;
+  let high = wallTime - after;
+  if (low > high) {
+    [low, high] = [high, low];
+  }
+  while (high - low > 1000) {
+    const middle = low + Math.floor((high - low) / 2000) * 1000;
+    if (getOffset(middle, timeZone) === after) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Local date of an instant in a timezone
+ * @param {string} timeZone - IANA timezone name (unknown names: UTC)
+ * @param {Date|number} [at] - Instant (default: now)
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(timeZone, at = Date.now()) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  return new Date(getWallTime(new Date(at).getTime(), zone)).toISOString().slice(0, 10);
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offset - Milliseconds ahead of UTC
+ * @returns {string} e.g. '+05:30', '-04:00'
+ */
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a time string (HH:MM or HH:MM:SS) to seconds
+ * @param {string} time - Time string
+ * @returns {number}
+ */
+function timeToSeconds(time) {
+  const [hours, minutes, seconds] = String(time).split(':').map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * Position in a playlist looped from the start of its block
+ * @param {Object} playlist - { items: [{ id, duration }] } in playing order
+ * @param {number} elapsedSeconds - Seconds since the block started
+ * @returns {Object|null} { index, itemId, offsetSeconds, loop } (loop: number of
+ *   completed loops), or null for a playlist without items
+ */
+function getLoopPosition(playlist, elapsedSeconds) {
+  const items = (playlist && playlist.items) || [];
+  const loopSeconds = items.reduce((total, item) => total + (item.duration || 0), 0);
+  if (loopSeconds <= 0) {
+    return null;
+  }
+
+  const elapsed = Math.max(elapsedSeconds, 0);
+  let offset = elapsed % loopSeconds;
+  const index = items.findIndex(item => {
+    if (offset < (item.duration || 0)) {
+      return true;
+    }
+    offset -= item.duration || 0;
+    return false;
+  });
+
+  return {
+    index,
+    itemId: items[index].id,
+    offsetSeconds: offset,
+    loop: Math.floor(elapsed / loopSeconds),
+  };
+}
+
+/**
+ * Check whether an item gives way to another one
+ * @param {Object} item - Schedule item with yieldsTo: [{ itemId, action }]
+ * @param {string} itemId - UUID of the other item
+ * @returns {boolean}
+ */
+function yieldsTo(item, itemId) {
+  return (item.yieldsTo || []).some(entry => entry.itemId === itemId);
+}
+
+/**
+ * Compare two occurrences running at the same time
+ * @returns {number} Negative if a is shown rather than b
+ */
+function compareOccurrences(a, b) {
+  if (yieldsTo(a.item, b.item.id)) {
+    return 1;
+  }
+  if (yieldsTo(b.item, a.item.id)) {
+    return -1;
+  }
+  return (b.item.priority || 0) - (a.item.priority || 0)
+    || b.start - a.start
+    || (a.item.order || 0) - (b.item.order || 0)
+    || a.index - b.index;
+}
+
+/**
+ * Occurrences of the items starting on a range of local days
+ * @param {Object[]} items - Active schedule items
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} firstDay - Wall-clock midnight of the first day (epoch milliseconds)
+ * @param {number} days - Number of days
+ * @returns {Object[]} [{ item, index, start, end }] with epoch milliseconds
+ */
+function listOccurrences(items, timeZone, firstDay, days) {
+  const occurrences = [];
+  const fromDate = new Date(firstDay).toISOString().slice(0, 10);
+  const toDate = new Date(firstDay + (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+  items.forEach((item, index) => {
+    if (!item.duration || item.duration <= 0) {
+      return;
+    }
+    getItemDates(item, fromDate, toDate).forEach(date => {
+      const startWall = toDayNumber(date) * DAY_MS + timeToSeconds(item.startTime) * 1000;
+      const start = wallTimeToInstant(startWall, timeZone);
+      const end = wallTimeToInstant(startWall + item.duration * 1000, timeZone);
+      if (end > start) {
+        occurrences.push({ item, index, start, end });
+      }
+    });
+  });
+
+  return occurrences;
+}
+
+/**
+ * Take off the occurrences that overlap an occurrence of an item they were
+ * overridden by
+ * @param {Object[]} occurrences - Result of listOccurrences()
+ * @returns {Object[]} The occurrences still shown
+ */
+function removeOverriddenOccurrences(occurrences) {
+  const byItem = new Map();
+  occurrences.forEach(occurrence => {
+    byItem.set(occurrence.item.id, [...(byItem.get(occurrence.item.id) || []), occurrence]);
+  });
+
+  return occurrences.filter(occurrence => !(occurrence.item.yieldsTo || [])
+    .filter(entry => entry.action === 'override')
+    .some(entry => (byItem.get(entry.itemId) || [])
+      .some(other => other.start < occurrence.end && occurrence.start < other.end)));
+}
+
+/**
+ * Resolve what a schedule shows at an instant and what comes next
+ * @param {Object} schedule - { timezone, items, fallbackPlaylist } with the active items
+ *   (playlist blocks have item.playlist with its timeline)
+ * @param {Date|number} [at] - Instant to resolve (default: now)
+ * @param {Object} [options] - { limit } number of upcoming items
+ * @returns {Object} { timezone, at, localTime, utcOffset, current, fallback, upcoming }
+ *   current: { item, startsAt, endsAt, elapsedSeconds, secondsRemaining, loopPosition } or null
+ *   (loopPosition: getLoopPosition() for playlist blocks);
+ *   fallback: { playlist, until } while no item is on and the schedule has a fallback
+ *   playlist (until: when the next item starts, null if none within LOOKAHEAD_DAYS);
+ *   upcoming: [{ item, startsAt, endsAt, durationSeconds }] within LOOKAHEAD_DAYS.
+ *   startsAt/endsAt are when the item is on screen (shortened by overlapping items).
+ */
+function resolveSchedule(schedule, at = Date.now(), { limit = DEFAULT_UPCOMING_LIMIT } = {}) {
+  const timeZone = isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC';
+  const instant = Math.floor(new Date(at).getTime() / 1000) * 1000;
+  const items = schedule.items || [];
+
+  const localWall = getWallTime(instant, timeZone);
+  const localMidnight = localWall - (localWall % DAY_MS);
+
+  // Items can run past midnight, so start as many days back as the longest one
+  // lasts, twice: an occurrence on now may give way to one that started before it
+  const longest = items.reduce((max, item) => Math.max(max, item.duration || 0), 0);
+  const lookback = Math.min(Math.ceil((2 * longest) / DAY_SECONDS), LOOKAHEAD_DAYS) + 1;
+  const horizon = instant + LOOKAHEAD_DAYS * DAY_MS;
+
+  const listed = listOccurrences(items, timeZone, localMidnight - lookback * DAY_MS, lookback + LOOKAHEAD_DAYS + 1);
+  const occurrences = removeOverriddenOccurrences(listed)
+    .filter(occurrence => occurrence.end > instant && occurrence.start < horizon);
+
+  // Split the time from now to the horizon where occurrences start or end,
+  // then merge the pieces shown by the same occurrence
+  const boundaries = [...new Set([
+    instant,
+    ...occurrences.flatMap(({ start, end }) => [start, end]).filter(time => time > instant && time < horizon),
+    horizon,
+  ])].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const from = boundaries[i];
+    const to = boundaries[i + 1];
+    const shown = occurrences
+      .filter(occurrence => occurrence.start <= from && occurrence.end >= to)
+      .sort(compareOccurrences)[0] || null;
+
+    const last = segments[segments.length - 1];
+    if (last && last.occurrence === shown) {
+      last.to = to;
+    } else {
+      segments.push({ occurrence: shown, from, to });
+    }
+  }
+
+  const toIso = time => new Date(time).toISOString();
+  const first = segments[0];
+  const current = first && first.occurrence
+    ? {
+      item: first.occurrence.item,
+      startsAt: toIso(first.occurrence.start),
+      endsAt: toIso(first.to),
+      elapsedSeconds: Math.round((instant - first.occurrence.start) / 1000),
+      secondsRemaining: Math.round((first.to - instant) / 1000),
+    }
+    : null;
+
+  if (current && current.item.playlist) {
+    current.loopPosition = getLoopPosition(current.item.playlist, current.elapsedSeconds);
+  }
+
+  const next = segments.slice(1).find(segment => segment.occurrence);
+  const fallback = !current && schedule.fallbackPlaylist
+    ? { playlist: schedule.fallbackPlaylist, until: next ? toIso(next.from) : null }
+    : null;
+
+  const upcomingLimit = Math.min(Math.max(parseInt(limit, 10) || 0, 0), MAX_UPCOMING_LIMIT);
+  const upcoming = segments
+    .slice(1)
+    .filter(segment => segment.occurrence)
+    .slice(0, upcomingLimit)
+    .map(segment => ({
+      item: segment.occurrence.item,
+      startsAt: toIso(segment.from),
+      endsAt: toIso(segment.to),
+      durationSeconds: Math.round((segment.to - segment.from) / 1000),
+    }));
+
+  return {
+    timezone: timeZone,
+    at: toIso(instant),
+    localTime: new Date(localWall).toISOString().slice(0, 19),
+    utcOffset: formatOffset(localWall - instant),
+    current,
+    fallback,
+    upcoming,
+  };
+}
+
+module.exports = {
+  LOOKAHEAD_DAYS,
+  DEFAULT_UPCOMING_LIMIT,
+  MAX_UPCOMING_LIMIT,
+  isValidTimeZone,
+  getLocalDate,
+  wallTimeToInstant,
+  timeToSeconds,
+  getLoopPosition,
+  yieldsTo,
+  resolveSchedule,
+};
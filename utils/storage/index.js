@@ -0,0 +1,161 @@
+/**
+ * Storage
+ * Media files (uploaded originals, thumbnails, renditions, HLS packages) are
+ * stored through a driver chosen with STORAGE_DRIVER: 'local' keeps them on
+ * disk under the project directory, 's3' in an S3-compatible bucket. Files
+ * are addressed by key, the relative path recorded on the video (e.g.
+ * videos/{companyId}/blobs/{sha256}.mp4), so moving to another driver only
+ * needs the files copied with the same keys.
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType })                  store a Buffer or stream
+ *   putFile(key, filePath, { contentType, move })    store a local file
+ *   getStream(key, { start, end })                   read a file, or a byte range of it
+ *   stat(key)                                        { size, lastModified }, or null if missing
+ *   delete(key)                                      true if the file existed
+ *   deletePrefix(prefix)                             delete every file under a prefix
+ *   list(prefix)                                     [{ key, size, lastModified }] under a prefix
+ *   getSignedUrl(key, { expiresIn })                 URL a browser can load the file from directly, or
+ *                                                    null (local files are served by the media routes)
+ *
+ * Whatever the driver, uploads are received on local disk before being
+ * stored, and media processing uses a local working directory
+ * (STORAGE_TEMP_DIR), as ffmpeg needs local files.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { createWriteStream } = require('fs');
+const { storageConfig } = require('../../config');
+const { VIDEO_BASE_DIR } = require('../fileStorage');
+const LocalStorageDriver = require('./localDriver');
+
+let driver = null;
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Driver instance
+ */
+function getStorage() {
+  if (!driver) {
+    if (storageConfig.driver === 's3') {
+      // Loaded on demand so local installs don't need the AWS SDK configured
+      const S3StorageDriver = require('./s3Driver');
+      driver = new S3StorageDriver(storageConfig.s3);
+    } else if (storageConfig.driver === 'local') {
+      driver = new LocalStorageDriver({ rootDir: path.join(__dirname, '..', '..') });
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}" (expected local or s3)`);
+    }
+  }
+  return driver;
+}
+
+/**
+ * Local working directory
+ * @returns {string} Absolute path
+ */
+function getTempRoot() {
+  return storageConfig.tempDir || path.join(VIDEO_BASE_DIR, '.tmp');
+}
+
+/**
+ * Create a fresh local working directory, to be removed by the caller
+ * @param {string} prefix - Start of the directory name, e.g. 'hls-'
+ * @returns {Promise<string>} Absolute path
+ */
+async function createTempDir(prefix) {
+  await fs.mkdir(getTempRoot(), { recursive: true });
+  return fs.mkdtemp(path.join(getTempRoot(), prefix));
+}
+
+/**
+ * Run a function with a local copy of a stored file
+ * The local driver passes the file itself; others download it to the
+ * working directory first and delete the copy afterwards.
+ * @param {string} key - Storage key
+ * @param {Function} fn - async (absolutePath) => result
+ * @returns {Promise<*>} What fn returns
+ */
+async function withLocalFile(key, fn) {
+  const storage = getStorage();
+  if (storage.getLocalPath) {
+    return fn(storage.getLocalPath(key));
+  }
+
+  const tempDir = await createTempDir('file-');
+  try {
+    const localPath = path.join(tempDir, path.basename(key));
+    await pipeline(await storage.getStream(key), createWriteStream(localPath));
+    return await fn(localPath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Move every file of a local directory into storage under a prefix
+ * @param {string} prefix - Storage key of the directory
+ * @param {string} localDir - Absolute path of the directory
+ * @param {Function} getContentType - (fileName) => MIME type
+ * @returns {Promise<void>}
+ */
+async function putDirectory(prefix, localDir, getContentType) {
+  const entries = await fs.readdir(localDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const localPath = path.join(localDir, entry.name);
+    if (entry.isDirectory()) {
+      await putDirectory(path.join(prefix, entry.name), localPath, getContentType);
+    } else {
+      await getStorage().putFile(path.join(prefix, entry.name), localPath, {
+        contentType: getContentType(entry.name),
+        move: true,
+      });
+    }
+  }
+}
+
+/**
+ * Read a whole stored file (for small files such as playlists)
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>}
+ */
+async function readFile(key) {
+  const chunks = [];
+  for await (const chunk of await getStorage().getStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Calculate the SHA-256 of a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(key) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await getStorage().getStream(key)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+module.exports = {
+  getStorage,
+  put: (...args) => getStorage().put(...args),
+  putFile: (...args) => getStorage().putFile(...args),
+  getStream: (...args) => getStorage().getStream(...args),
+  stat: (...args) => getStorage().stat(...args),
+  delete: (...args) => getStorage().delete(...args),
+  deletePrefix: (...args) => getStorage().deletePrefix(...args),
+  list: (...args) => getStorage().list(...args),
+  createTempDir,
+  withLocalFile,
+  putDirectory,
+  readFile,
+  hashFile,
+};
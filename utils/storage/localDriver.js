@@ -0,0 +1,136 @@
+/**
+ * Local Disk Storage Driver
+ * Stores files on disk under the project directory, a key being the path
+ * relative to it (e.g. videos/{companyId}/blobs/{sha256}.mp4). Browsers get
+ * the files through the media routes (signed URLs, see utils/mediaUrls.js).
+ */
+
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+
+class LocalStorageDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Absolute directory keys are relative to
+   */
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Absolute path of a file, for tools that need one (ffmpeg)
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  getLocalPath(key) {
+    return path.join(this.rootDir, key);
+  }
+
+  async put(key, body) {
+    const fullPath = this.getLocalPath(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.writeFile(fullPath, body);
+    } else {
+      await pipeline(body, createWriteStream(fullPath));
+    }
+  }
+
+  async putFile(key, filePath, { move = false } = {}) {
+    const fullPath = this.getLocalPath(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (!move) {
+      await fs.copyFile(filePath, fullPath);
+      return;
+    }
+
+    try {
+      await fs.rename(filePath, fullPath);
+    } catch (error) {
+      // The working directory may be on another disk
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(filePath, fullPath);
+      await fs.unlink(filePath);
+    }
+  }
+
+  async getStream(key, { start, end } = {}) {
+    return createReadStream(this.getLocalPath(key), { start, end });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.getLocalPath(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.getLocalPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async deletePrefix(prefix) {
+    await fs.rm(this.getLocalPath(prefix), { recursive: true, force: true });
+  }
+
+  async list(prefix) {
+    const files = [];
+
+    const walk = async (key) => {
+      let entries;
+      try {
+        entries = await fs.readdir(this.getLocalPath(key), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        // Hidden entries are working files (e.g. videos/.tmp)
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+
+        const entryKey = path.join(key, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryKey);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(this.getLocalPath(entryKey));
+          files.push({ key: entryKey, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await walk(prefix);
+    return files;
+  }
+
+  // Local files have no URL of their own; they are served by the media routes
+  async getSignedUrl() {
+    return null;
+  }
+}
+
+module.exports = LocalStorageDriver;
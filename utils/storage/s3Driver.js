@@ -0,0 +1,158 @@
+/**
+ * S3 Storage Driver
+ * Stores files in an S3-compatible bucket (AWS S3, MinIO, ...), a key
+ * becoming the object key (after S3_KEY_PREFIX). Browsers load files from
+ * presigned URLs, so the bucket can stay private.
+ */
+
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+class S3StorageDriver {
+  /**
+   * @param {Object} options - storageConfig.s3 (bucket, region, endpoint,
+   *   forcePathStyle, accessKeyId, secretAccessKey, keyPrefix)
+   */
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.keyPrefix = options.keyPrefix || '';
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined,
+    });
+  }
+
+  /**
+   * Object key of a storage key (keys recorded on Windows use backslashes)
+   */
+  objectKey(key) {
+    return this.keyPrefix + key.split(path.sep).join('/');
+  }
+
+  async put(key, body, { contentType } = {}) {
+    // Multipart for large streams; the length of a stream isn't known up front
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: body,
+        ContentType: contentType,
+      },
+    });
+    await upload.done();
+  }
+
+  async putFile(key, filePath, { contentType, move = false } = {}) {
+    await this.put(key, createReadStream(filePath), { contentType });
+    if (move) {
+      await fs.unlink(filePath);
+    }
+  }
+
+  async getStream(key, { start, end } = {}) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined,
+    }));
+    return response.Body;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+      }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    // S3 doesn't tell whether a deleted object existed
+    const existed = !!await this.stat(key);
+    if (existed) {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+      }));
+    }
+    return existed;
+  }
+
+  async deletePrefix(prefix) {
+    const files = await this.list(prefix);
+
+    // DeleteObjects takes at most 1000 keys
+    for (let i = 0; i < files.length; i += 1000) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: files.slice(i, i + 1000).map(file => ({ Key: this.objectKey(file.key) })),
+          Quiet: true,
+        },
+      }));
+    }
+  }
+
+  async list(prefix) {
+    const files = [];
+    const objectPrefix = `${this.objectKey(prefix).replace(/\/$/, '')}/`;
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: objectPrefix,
+        ContinuationToken: continuationToken,
+      }));
+
+      for (const object of response.Contents || []) {
+        files.push({
+          key: object.Key.slice(this.keyPrefix.length).split('/').join(path.sep),
+          size: object.Size,
+          lastModified: object.LastModified,
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  async getSignedUrl(key, { expiresIn } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }), { expiresIn });
+  }
+}
+
+module.exports = S3StorageDriver;
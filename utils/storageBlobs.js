@@ -0,0 +1,397 @@
+/**
+ * Storage Blobs Utility
+ * Uploaded files are stored content-addressed per company, under the key
+ * videos/{companyId}/blobs/{sha256}{ext} (see utils/storage). Videos with
+ * the same contents share one blob, which counts its references and is
+ * deleted with the last video using it. Company.storageUsedBytes counts every blob once, so
+ * uploading a file the company already has uses no extra quota. The
+ * thumbnail captured from a blob (see getThumbnailPath) is shared the same
+ * way and deleted with it, and so are the renditions and HLS package made
+ * from it (see shareBlobOutput).
+ *
+ * Videos stored before deduplication keep their own file (blobId null)
+ * until scripts/backfill-storage-blobs.js turns them into blobs.
+ */
+
+const path = require('path');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { StorageBlob, Video, Company, License } = require('../models');
+const { sequelize } = require('../models/sequelize');
+const { storageConfig } = require('../config');
+const { deleteFile, hashFile } = require('./fileStorage');
+const storage = require('./storage');
+
+/**
+ * Get the storage key of a blob
+ * @param {string} companyId - UUID of the company
+ * @param {string} contentHash - SHA-256 of the file (hex)
+ * @param {string} ext - Extension of the uploaded file, e.g. '.mp4'
+ * @returns {string} Storage key
+ */
+function getBlobPath(companyId, contentHash, ext) {
+  return path.join('videos', companyId, 'blobs', `${contentHash}${(ext || '').toLowerCase()}`);
+}
+
+/**
+ * Get the storage key of the thumbnail captured from a media file
+ * Videos sharing a blob share its thumbnail.
+ * @param {string} companyId - UUID of the company
+ * @param {string} filePath - Storage key of the media file
+ * @returns {string} Storage key
+ */
+function getThumbnailPath(companyId, filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  return path.join('videos', companyId, 'thumbnails', `${baseName}_thumb.jpg`);
+}
+
+/**
+ * Find a company's blob with the given contents
+ * @param {string} companyId - UUID of the company
+ * @param {string} contentHash - SHA-256 of the file (hex)
+ * @returns {Promise<Object|null>} StorageBlob instance
+ */
+function findBlob(companyId, contentHash) {
+  return StorageBlob.findOne({ where: { companyId, contentHash } });
+}
+
+/**
+ * Calculate the storage used by a company: every blob once, plus the files
+ * of videos stored before deduplication
+ * @param {string} companyId - UUID of the company
+ * @returns {Promise<number>} Bytes
+ */
+async function calculateStorageUsed(companyId) {
+  const [blobBytes, legacyBytes] = await Promise.all([
+    StorageBlob.sum('size', { where: { companyId } }),
+    Video.sum('fileSize', {
+      where: {
+        companyId,
+        isActive: true,
+        blobId: null,
+        filePath: { [Op.ne]: null },
+      },
+    }),
+  ]);
+
+  return Number(blobBytes || 0) + Number(legacyBytes || 0);
+}
+
+/**
+ * Check whether a file fits in a company's storage quota
+ * Uses the license storage limit if there is one, otherwise the default
+ * from config.js.
+ * @param {string} companyId - UUID of the company
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Promise<Object>} { allowed, currentUsage, fileSize, limit, availableSpace }
+ */
+async function checkStorageQuota(companyId, fileSize) {
+  const [company, activeLicense] = await Promise.all([
+    Company.findByPk(companyId, { attributes: ['id', 'storageUsedBytes'] }),
+    License.findOne({
+      where: {
+        companyId,
+        isActive: true,
+      }
+    }),
+  ]);
+
+  const limit = Number(activeLicense?.maxStorageBytes || storageConfig.companyStorageLimitBytes);
+  const currentUsage = Number(company?.storageUsedBytes || 0);
+
+  return {
+    allowed: currentUsage + fileSize <= limit,
+    currentUsage,
+    fileSize,
+    limit,
+    availableSpace: limit - currentUsage,
+  };
+}
+
+/**
+ * Add a reference to the blob with the given contents, storing the file as
+ * a new blob if the company doesn't have it yet
+ * @param {Object} options
+ * @param {string} options.companyId - UUID of the company
+ * @param {string} options.tempPath - Path of the received local file (relative to the project or absolute)
+ * @param {string} options.contentHash - SHA-256 of the file (hex)
+ * @param {number} options.size - Size of the file in bytes
+ * @param {string} options.mimeType - MIME type of the file
+ * @param {string} options.ext - Extension of the uploaded file
+ * @returns {Promise<Object>} { blob, created }; the local file is moved into
+ *   storage for a new blob and left alone otherwise
+ */
+async function addBlobReference({ companyId, tempPath, contentHash, size, mimeType, ext }) {
+  const blobPath = getBlobPath(companyId, contentHash, ext);
+  let stored = false;
+
+  for (let attempt = 1; ; attempt++) {
+    const existing = await sequelize.transaction(async (transaction) => {
+      const blob = await StorageBlob.findOne({
+        where: { companyId, contentHash },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (blob) {
+        await blob.increment('refCount', { transaction });
+      }
+      return blob;
+    });
+
+    if (existing) {
+      // Stored by another upload at the same time, under another extension
+      if (stored && existing.path !== blobPath) {
+        await storage.delete(blobPath);
+      }
+      return { blob: existing, created: false };
+    }
+
+    // Stored before the blob is recorded, so a blob never points at a missing file
+    if (!stored) {
+      await storage.putFile(blobPath, path.resolve(__dirname, '..', tempPath), { contentType: mimeType, move: true });
+      stored = true;
+    }
+
+    try {
+      const blob = await sequelize.transaction(async (transaction) => {
+        const created = await StorageBlob.create({
+          companyId,
+          contentHash,
+          size,
+          path: blobPath,
+          mimeType,
+          refCount: 1,
+        }, { transaction });
+
+        await Company.increment('storageUsedBytes', {
+          by: size,
+          where: { id: companyId },
+          transaction,
+        });
+        return created;
+      });
+
+      return { blob, created: true };
+    } catch (error) {
+      // The same file was recorded by another upload at the same time: reference that one
+      if (error instanceof UniqueConstraintError && attempt < 3) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Store a received file as a blob
+ * The file is hashed; if the company already has a file with the same
+ * contents, the received file is deleted and the existing blob gets another
+ * reference. Only a new blob is checked against the storage quota.
+ * @param {Object} options
+ * @param {string} options.companyId - UUID of the company
+ * @param {string} options.tempPath - Relative path of the received local file
+ * @param {number} options.size - Size of the file in bytes
+ * @param {string} options.mimeType - MIME type of the file
+ * @param {string} options.originalFileName - Name of the uploaded file (for the extension)
+ * @returns {Promise<Object>} { blob, created, contentHash, quota }; blob is
+ *   null (and the received file kept) if a new blob would exceed the quota
+ */
+async function storeBlob({ companyId, tempPath, size, mimeType, originalFileName }) {
+  const contentHash = await hashFile(tempPath);
+
+  if (!await findBlob(companyId, contentHash)) {
+    const quota = await checkStorageQuota(companyId, size);
+    if (!quota.allowed) {
+      return { blob: null, created: false, contentHash, quota };
+    }
+  }
+
+  const { blob, created } = await addBlobReference({
+    companyId,
+    tempPath,
+    contentHash,
+    size,
+    mimeType,
+    ext: path.extname(originalFileName),
+  });
+
+  if (!created) {
+    await deleteFile(tempPath);
+  }
+
+  return { blob, created, contentHash, quota: null };
+}
+
+/**
+ * Delete renditions and an HLS package
+ * @param {Object|null} renditions - Renditions by name (video.renditions)
+ * @param {Object|null} hls - Package (video.hls)
+ * @param {Object} keep - { renditions, hls } whose files must be kept
+ * @returns {Promise<void>}
+ */
+async function deleteDerivedFiles(renditions, hls, keep = {}) {
+  // Required here, as both modules use the blob helpers below
+  const { deleteRenditionFiles } = require('./videoTranscoder');
+  const { deleteHlsPackage } = require('./hlsPackager');
+
+  await deleteRenditionFiles(renditions, keep.renditions || {});
+  if (hls && hls.path !== keep.hls?.path) {
+    await deleteHlsPackage(hls);
+  }
+}
+
+/**
+ * Get the output a blob's file was turned into with the given settings
+ * @param {string} blobId - UUID of the blob
+ * @param {string} field - 'renditions' or 'hls'
+ * @param {string} settings - Key of the settings the output must have been made with
+ * @returns {Promise<Object|null>} What videos of the blob store in the field, or null if there is none
+ */
+async function getBlobOutput(blobId, field, settings) {
+  const blob = await StorageBlob.findByPk(blobId, { attributes: ['id', field] });
+  const output = blob && blob[field];
+
+  return output && output.settings === settings ? output.value : null;
+}
+
+/**
+ * Record the renditions or HLS package made from a blob's file, for all
+ * the videos using it
+ * The blob row is locked, so of two jobs finishing at the same time for
+ * videos of the same blob only the first one's output is kept: the other
+ * gets that output back and must delete its own.
+ * @param {string} blobId - UUID of the blob
+ * @param {string} field - 'renditions' or 'hls'
+ * @param {string} settings - Key of the settings the output was made with
+ * @param {Object} value - What videos store in the field
+ * @returns {Promise<Object>} { value, replaced, videoIds }: the output the
+ *   videos now use (null if the blob was deleted meanwhile), the outputs it
+ *   replaced (to be deleted) and the videos updated
+ */
+async function shareBlobOutput(blobId, field, settings, value) {
+  return sequelize.transaction(async (transaction) => {
+    const blob = await StorageBlob.findByPk(blobId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!blob) {
+      return { value: null, replaced: [], videoIds: [] };
+    }
+
+    if (blob[field] && blob[field].settings === settings) {
+      return { value: blob[field].value, replaced: [], videoIds: [] };
+    }
+
+    const videos = await Video.findAll({
+      where: { blobId, isActive: true },
+      attributes: ['id', field],
+      transaction,
+    });
+
+    // Videos made from a legacy file may still have outputs of their own
+    const replaced = [blob[field] && blob[field].value, ...videos.map(video => video[field])]
+      .filter(Boolean);
+
+    await blob.update({ [field]: { settings, value } }, { transaction });
+    await Video.update({ [field]: value }, {
+      where: { id: videos.map(video => video.id) },
+      transaction,
+    });
+
+    return { value, replaced, videoIds: videos.map(video => video.id) };
+  });
+}
+
+/**
+ * Remove a reference to a blob, deleting it (and freeing its storage) if it
+ * was the last one
+ * The blob row stays locked until its files are deleted, so an
+ * upload of the same contents (which locks the row to add its reference)
+ * waits and then stores the file again as a new blob instead of pointing at
+ * a file about to be deleted.
+ * @param {string} blobId - UUID of the blob
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+async function releaseBlob(blobId) {
+  return sequelize.transaction(async (transaction) => {
+    const blob = await StorageBlob.findByPk(blobId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!blob) {
+      return false;
+    }
+
+    if (blob.refCount > 1) {
+      await blob.decrement('refCount', { transaction });
+      return false;
+    }
+
+    await blob.destroy({ transaction });
+    await Company.decrement('storageUsedBytes', {
+      by: Number(blob.size),
+      where: { id: blob.companyId },
+      transaction,
+    });
+
+    const fileDeleted = await storage.delete(blob.path);
+    await storage.delete(getThumbnailPath(blob.companyId, blob.path));
+    await deleteDerivedFiles(blob.renditions?.value, blob.hls?.value);
+
+    console.log(`🗑️  Deleted blob ${blob.contentHash} (last reference removed)`);
+    return fileDeleted;
+  });
+}
+
+/**
+ * Release the file of a video that is being deleted
+ * Blob files are only deleted when no other video uses them; files stored
+ * before deduplication are deleted and their size freed directly, and so
+ * are a thumbnail, renditions and HLS package of the video's own (made
+ * before its file became a blob).
+ * @param {Object} video - Video instance
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+async function releaseVideoFile(video) {
+  const ownThumbnail = video.thumbnailPath
+    && video.thumbnailPath !== video.filePath
+    && !(video.blobId && video.filePath && video.thumbnailPath === getThumbnailPath(video.companyId, video.filePath));
+  if (ownThumbnail) {
+    await storage.delete(video.thumbnailPath);
+  }
+
+  if (video.blobId) {
+    const blob = await StorageBlob.findByPk(video.blobId, { attributes: ['id', 'renditions', 'hls'] });
+    await deleteDerivedFiles(video.renditions, video.hls, {
+      renditions: blob?.renditions?.value,
+      hls: blob?.hls?.value,
+    });
+    return releaseBlob(video.blobId);
+  }
+
+  await deleteDerivedFiles(video.renditions, video.hls);
+  const fileDeleted = video.filePath ? await storage.delete(video.filePath) : false;
+  if (Number(video.fileSize) > 0) {
+    await Company.decrement('storageUsedBytes', {
+      by: Number(video.fileSize),
+      where: { id: video.companyId },
+    });
+  }
+  return fileDeleted;
+}
+
+module.exports = {
+  getBlobPath,
+  getThumbnailPath,
+  findBlob,
+  calculateStorageUsed,
+  checkStorageQuota,
+  addBlobReference,
+  storeBlob,
+  getBlobOutput,
+  shareBlobOutput,
+  releaseBlob,
+  releaseVideoFile,
+};
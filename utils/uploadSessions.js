@@ -0,0 +1,190 @@
+/**
+ * Upload Sessions Utility
+ * Resumable uploads: a file is sent in chunks that are appended to a partial
+ * file in videos/{companyId}/uploads/, and stored as a blob (see
+ * storageBlobs.js) when the upload is completed. The size of the partial file on disk is what
+ * has been received, so a client can always ask where to continue after a
+ * dropped connection. Chunks of a session are written one at a time by this
+ * process, so the server is expected to run as a single process (like the
+ * media job queue).
+ */
+
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const { Op } = require('sequelize');
+const { UploadSession } = require('../models');
+const { storageConfig } = require('../config');
+const { ensureCompanyDir } = require('./fileStorage');
+
+/**
+ * Sessions with a chunk (or the completion) being handled, by id
+ */
+const busySessions = new Set();
+let cleanupTimer = null;
+
+/**
+ * Get the relative path of a session's partial file
+ * @param {Object} session - UploadSession instance
+ * @returns {string} Path relative to the project root
+ */
+function getPartPath(session) {
+  return path.join('videos', session.companyId, 'uploads', `${session.id}.part`);
+}
+
+/**
+ * Get the expiry of a session that just received data
+ * @returns {Date}
+ */
+function getSessionExpiry() {
+  return new Date(Date.now() + storageConfig.uploadSessionTtlHours * 60 * 60 * 1000);
+}
+
+/**
+ * Create the (empty) partial file of a new session
+ * @param {Object} session - UploadSession instance
+ * @returns {Promise<void>}
+ */
+async function createPartFile(session) {
+  const companyDir = await ensureCompanyDir(session.companyId);
+  await fs.mkdir(path.join(companyDir, 'uploads'), { recursive: true });
+  await fs.writeFile(path.join(__dirname, '..', getPartPath(session)), '');
+}
+
+/**
+ * Get the number of bytes received for a session
+ * @param {Object} session - UploadSession instance
+ * @returns {Promise<number>} Size of the partial file (0 if it is missing)
+ */
+async function getUploadedBytes(session) {
+  try {
+    const stats = await fs.stat(path.join(__dirname, '..', getPartPath(session)));
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Mark a session as busy while one of its chunks is written
+ * @param {string} sessionId - UUID of the session
+ * @returns {boolean} False if the session is already busy
+ */
+function lockSession(sessionId) {
+  if (busySessions.has(sessionId)) {
+    return false;
+  }
+  busySessions.add(sessionId);
+  return true;
+}
+
+/**
+ * Release a session locked with lockSession
+ * @param {string} sessionId - UUID of the session
+ */
+function unlockSession(sessionId) {
+  busySessions.delete(sessionId);
+}
+
+/**
+ * Append a chunk to a session's partial file
+ * If the client disconnects halfway, the bytes that arrived are kept and
+ * the client continues from the new size of the file.
+ * @param {Object} session - UploadSession instance
+ * @param {stream.Readable} stream - Request body with the chunk
+ * @returns {Promise<number>} Bytes received for the session afterwards
+ */
+async function appendChunk(session, stream) {
+  const fullPath = path.join(__dirname, '..', getPartPath(session));
+
+  try {
+    await pipeline(stream, createWriteStream(fullPath, { flags: 'a' }));
+  } finally {
+    const uploadedBytes = await getUploadedBytes(session);
+    await session.update({ uploadedBytes, expiresAt: getSessionExpiry() });
+  }
+
+  return Number(session.uploadedBytes);
+}
+
+/**
+ * Stop a session and delete its partial file
+ * @param {Object} session - UploadSession instance
+ * @param {string} status - 'aborted' or 'expired'
+ * @returns {Promise<void>}
+ */
+async function discardUploadSession(session, status) {
+  try {
+    await fs.unlink(path.join(__dirname, '..', getPartPath(session)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  await session.update({ status });
+}
+
+/**
+ * Discard unfinished uploads that have not received data before their
+ * expiry, and forget finished sessions after a week
+ * @returns {Promise<void>}
+ */
+async function expireUploadSessions() {
+  try {
+    const stale = await UploadSession.findAll({
+      where: {
+        status: 'uploading',
+        expiresAt: { [Op.lt]: new Date() },
+      },
+    });
+
+    for (const session of stale) {
+      if (busySessions.has(session.id)) {
+        continue;
+      }
+      await discardUploadSession(session, 'expired');
+    }
+
+    if (stale.length > 0) {
+      console.log(`🧹 Discarded ${stale.length} expired upload(s)`);
+    }
+
+    await UploadSession.destroy({
+      where: {
+        status: { [Op.ne]: 'uploading' },
+        updatedAt: { [Op.lt]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error expiring upload sessions:', error);
+  }
+}
+
+/**
+ * Start discarding expired uploads (now and then every hour)
+ */
+function startUploadSessionCleanup() {
+  if (cleanupTimer) {
+    return;
+  }
+
+  cleanupTimer = setInterval(expireUploadSessions, 60 * 60 * 1000);
+  expireUploadSessions();
+}
+
+module.exports = {
+  getPartPath,
+  getSessionExpiry,
+  createPartFile,
+  getUploadedBytes,
+  lockSession,
+  unlockSession,
+  appendChunk,
+  discardUploadSession,
+  startUploadSessionCleanup,
+};
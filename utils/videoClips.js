@@ -0,0 +1,147 @@
+/**
+ * Video Clips Utility
+ * A range of a video can be used in two ways: as in/out points on the video
+ * itself (a virtual clip: players start at trimStart and loop back at
+ * trimEnd, the file is left as it is), or rendered into a new video with
+ * the bundled ffmpeg by a 'clip' media job (see mediaJobs.js). A rendered
+ * clip is stored like an upload and counts toward the storage quota.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Video } = require('../models');
+const storage = require('./storage');
+const { encodeMp4, getRenditionSettings } = require('./videoTranscoder');
+const { storeBlob, releaseBlob } = require('./storageBlobs');
+const { getUniqueVideoName } = require('./mediaUploads');
+
+/**
+ * Shortest range that can be used, in seconds
+ */
+const MIN_CLIP_SECONDS = 1;
+
+/**
+ * Check a range of a video
+ * @param {Object} video - Video instance
+ * @param {number} start - In point in seconds
+ * @param {number} end - Out point in seconds
+ * @returns {string|null} What is wrong with the range, or null if it can be used
+ */
+function validateClipRange(video, start, end) {
+  if (video.mediaType !== 'video' || !video.filePath) {
+    return 'Only videos can be trimmed';
+  }
+  if (!(start >= 0) || !(end > start)) {
+    return 'The out point must be after the in point';
+  }
+  if (end - start < MIN_CLIP_SECONDS) {
+    return `The range must be at least ${MIN_CLIP_SECONDS} second long`;
+  }
+  if (video.duration && end > video.duration) {
+    return `The out point is past the end of the video (${video.duration.toFixed(1)}s)`;
+  }
+  return null;
+}
+
+/**
+ * How long a video plays, honoring its in/out points
+ * @param {Object} video - Video instance
+ * @returns {number|null} Seconds, or null if the duration is not known yet
+ */
+function getPlayedDuration(video) {
+  if (video.trimEnd !== null && video.trimEnd !== undefined) {
+    return video.trimEnd - (video.trimStart || 0);
+  }
+  if (!video.duration) {
+    return null;
+  }
+  return video.duration - (video.trimStart || 0);
+}
+
+/**
+ * Estimated size of a rendered clip, for checking the storage quota before
+ * queueing it (the rendered file is checked again when it is stored)
+ * @param {Object} video - Video instance of the source
+ * @param {number} start - In point in seconds
+ * @param {number} end - Out point in seconds
+ * @returns {number} Bytes
+ */
+function estimateClipSize(video, start, end) {
+  if (!video.duration) {
+    return Number(video.fileSize);
+  }
+  return Math.ceil(Number(video.fileSize) * (end - start) / video.duration);
+}
+
+/**
+ * Render a range of a video into a new video
+ * The range is encoded to an H.264/AAC MP4 in a working directory and
+ * stored as a blob; the new video still has to go through media processing.
+ * @param {Object} source - Video instance to cut the clip from
+ * @param {Object} options - { start, end, fileName, uploadedBy } (the clip job's payload)
+ * @returns {Promise<Object>} The new Video instance
+ */
+async function renderClip(source, { start, end, fileName, uploadedBy }) {
+  const tempDir = await storage.createTempDir('clip-');
+  const outputPath = path.join(tempDir, 'clip.mp4');
+
+  try {
+    await storage.withLocalFile(source.filePath, inputPath => (
+      encodeMp4(inputPath, outputPath, getRenditionSettings('main'), { start, end })
+    ));
+
+    const { size } = await fs.stat(outputPath);
+    const stored = await storeBlob({
+      companyId: source.companyId,
+      tempPath: path.relative(path.join(__dirname, '..'), outputPath),
+      size,
+      mimeType: 'video/mp4',
+      originalFileName: 'clip.mp4',
+    });
+
+    if (!stored.blob) {
+      const usedMB = (stored.quota.currentUsage / (1024 * 1024)).toFixed(2);
+      const limitMB = (stored.quota.limit / (1024 * 1024)).toFixed(2);
+      throw new Error(`Company storage limit exceeded (${usedMB}MB of ${limitMB}MB used)`);
+    }
+
+    try {
+      const clipName = await getUniqueVideoName(source.companyId, fileName || `${source.fileName} (clip)`);
+      if (!clipName) {
+        throw new Error('Unable to generate a unique name for the clip');
+      }
+
+      const clip = await Video.create({
+        companyId: source.companyId,
+        uploadedBy: uploadedBy || source.uploadedBy,
+        fileName: clipName,
+        originalFileName: `${clipName}.mp4`,
+        mediaType: 'video',
+        filePath: stored.blob.path,
+        blobId: stored.blob.id,
+        fileSize: size,
+        mimeType: 'video/mp4',
+        contentHash: stored.contentHash,
+        contentHashedAt: new Date(),
+        metadata: { clipOf: { videoId: source.id, start, end } },
+        isActive: true,
+      });
+
+      console.log(`✂️  Rendered clip "${clip.fileName}" (${start}s-${end}s of "${source.fileName}")`);
+      return clip;
+    } catch (error) {
+      await releaseBlob(stored.blob.id);
+      throw error;
+    }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  MIN_CLIP_SECONDS,
+  validateClipRange,
+  getPlayedDuration,
+  estimateClipSize,
+  renderClip,
+};
@@ -61,6 +61,37 @@ async function extractVideoMetadata(filePath) {
   });
 }
 
+/**
+ * Check whether a video can be played as-is by browser-based players:
+ * an MP4 with 8-bit 4:2:0 H.264 video and AAC audio (or no audio)
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<boolean>} True if no transcoding is needed
+ */
+async function isPlayerSafeVideo(filePath) {
+  if (!['.mp4', '.m4v'].includes(path.extname(filePath).toLowerCase())) {
+    return false;
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const videoStreams = metadata.streams.filter(stream => stream.codec_type === 'video');
+      const audioStreams = metadata.streams.filter(stream => stream.codec_type === 'audio');
+
+      resolve(
+        (metadata.format.format_name || '').split(',').includes('mp4')
+        && videoStreams.length === 1
+        && videoStreams[0].codec_name === 'h264'
+        && videoStreams[0].pix_fmt === 'yuv420p'
+        && audioStreams.every(stream => stream.codec_name === 'aac')
+      );
+    });
+  });
+}
+
 /**
  * Format duration in seconds to human-readable format
  * @param {number} seconds - Duration in seconds
@@ -162,6 +193,7 @@ function formatTimestamp(seconds) {
 
 module.exports = {
   extractVideoMetadata,
+  isPlayerSafeVideo,
   formatDuration,
   generateThumbnail,
   generateThumbnailAtPercentage,
@@ -0,0 +1,318 @@
+/**
+ * Video Transcoding Utility
+ * Produces player-safe renditions of uploaded videos with the bundled ffmpeg:
+ * an H.264/AAC MP4 (and, when enabled, a lower-bitrate one) stored next to
+ * the original under videos/{companyId}/renditions/. Transcodes run as
+ * 'transcode' media jobs (see mediaJobs.js); their status is kept on the
+ * Video record. Videos sharing a blob share its renditions: a file is only
+ * transcoded again when the transcode settings change.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { Video } = require('../models');
+const { transcodeConfig } = require('../config');
+const { hashFile } = require('./fileStorage');
+const storage = require('./storage');
+const { getBlobOutput, shareBlobOutput } = require('./storageBlobs');
+// Also points fluent-ffmpeg at the bundled ffmpeg and ffprobe
+const { extractVideoMetadata, isPlayerSafeVideo } = require('./videoMetadata');
+const { publishPlaylistUpdate } = require('./deviceEvents');
+
+/**
+ * Encoding settings of a rendition
+ * @param {string} name - 'main' or 'low'
+ * @returns {Object} { maxHeight, videoOptions, audioBitrate }
+ */
+function getRenditionSettings(name) {
+  if (name === 'low') {
+    const kbps = transcodeConfig.lowBitrateKbps;
+    return {
+      maxHeight: transcodeConfig.lowBitrateMaxHeight,
+      videoOptions: ['-b:v', `${kbps}k`, '-maxrate', `${Math.round(kbps * 1.1)}k`, '-bufsize', `${kbps * 2}k`],
+      audioBitrate: '96k',
+    };
+  }
+
+  return {
+    maxHeight: transcodeConfig.maxHeight,
+    videoOptions: ['-crf', String(transcodeConfig.crf)],
+    audioBitrate: '128k',
+  };
+}
+
+/**
+ * Key of the current transcode settings, recorded with the renditions of a
+ * blob so they are only reused while the settings are unchanged
+ * @returns {string}
+ */
+function getTranscodeSettingsKey() {
+  const settings = ['main', ...(transcodeConfig.lowBitrateEnabled ? ['low'] : [])]
+    .map(name => ({ name, ...getRenditionSettings(name) }));
+
+  return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Tell the players of the playlists using videos to reload their timeline
+ * (they also find out on their next check)
+ * @param {string[]} videoIds - UUIDs of the videos
+ * @returns {Promise<void>}
+ */
+async function notifyVideoPlayers(videoIds) {
+  const { getVideoPlaylistIds } = require('./deviceContent');
+  const playlistIds = new Set();
+
+  for (const videoId of videoIds) {
+    (await getVideoPlaylistIds(videoId)).forEach(playlistId => playlistIds.add(playlistId));
+  }
+
+  playlistIds.forEach(playlistId => publishPlaylistUpdate(playlistId, 'update'));
+}
+
+/**
+ * Encode a video (or a range of it) to an H.264/AAC MP4
+ * @param {string} inputPath - Absolute path of the original
+ * @param {string} outputPath - Absolute path to write the MP4 to
+ * @param {Object} settings - From getRenditionSettings
+ * @param {Object|null} range - { start, end } in seconds to encode only part of the video
+ * @returns {Promise<void>}
+ */
+function encodeMp4(inputPath, outputPath, settings, range = null) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    if (range) {
+      // Seeking before decoding is fast, and frame-accurate since the video is re-encoded
+      command.seekInput(range.start).duration(range.end - range.start);
+    }
+
+    command
+      .outputOptions([
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'high',
+        '-pix_fmt', 'yuv420p',
+        // Never upscale; keep both sides even, as 4:2:0 H.264 requires
+        '-vf', `scale=-2:'trunc(min(${settings.maxHeight},ih)/2)*2'`,
+        ...settings.videoOptions,
+        '-c:a', 'aac',
+        '-b:a', settings.audioBitrate,
+        '-ac', '2',
+        // Lets players start before the whole file is downloaded
+        '-movflags', '+faststart',
+      ])
+      .format('mp4')
+      .on('end', () => resolve())
+      .on('error', (err, stdout, stderr) => {
+        const lastLine = (stderr || '').trim().split('\n').pop();
+        reject(new Error(lastLine || err.message));
+      })
+      .save(outputPath);
+  });
+}
+
+/**
+ * Transcode a video into one rendition
+ * Each transcode writes new files (the previous rendition stays in use until
+ * the whole transcode succeeds); the file is encoded in a working directory
+ * and stored when complete.
+ * @param {Object} video - Video instance
+ * @param {string} inputPath - Absolute path of a local copy of the original
+ * @param {string} name - 'main' or 'low'
+ * @returns {Promise<Object>} { path, size, contentHash, mimeType, resolution }
+ */
+async function createRendition(video, inputPath, name) {
+  const baseName = path.basename(video.filePath, path.extname(video.filePath));
+  const relativePath = path.join('videos', video.companyId, 'renditions', `${baseName}_${name}_${Date.now()}.mp4`);
+  const tempDir = await storage.createTempDir('rendition-');
+  const outputPath = path.join(tempDir, path.basename(relativePath));
+
+  try {
+    await encodeMp4(inputPath, outputPath, getRenditionSettings(name));
+
+    const stat = await fs.stat(outputPath);
+    let resolution = null;
+    try {
+      resolution = (await extractVideoMetadata(outputPath)).resolution;
+    } catch (error) {
+      // The rendition is usable without it
+    }
+    const contentHash = await hashFile(outputPath);
+
+    await storage.putFile(relativePath, outputPath, { contentType: 'video/mp4', move: true });
+
+    return {
+      path: relativePath,
+      size: stat.size,
+      contentHash,
+      mimeType: 'video/mp4',
+      resolution,
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Delete the files of renditions
+ * @param {Object} renditions - Renditions by name (video.renditions)
+ * @param {Object} keep - Renditions whose files must be kept
+ * @returns {Promise<void>}
+ */
+async function deleteRenditionFiles(renditions, keep = {}) {
+  const keptPaths = new Set(Object.values(keep).map(rendition => rendition.path));
+
+  for (const rendition of Object.values(renditions || {})) {
+    if (!keptPaths.has(rendition.path)) {
+      await storage.delete(rendition.path);
+    }
+  }
+}
+
+/**
+ * Transcode a video now
+ * The main rendition is skipped when the original is already player-safe;
+ * the low-bitrate one is produced whenever it is enabled. A video stored as
+ * a blob gets the renditions another video of the blob already has if they
+ * were made with the current settings; new renditions are given to every
+ * video of the blob. Players of the playlists using the videos are told to
+ * reload their timeline afterwards.
+ * A failed transcode is recorded on the video and the error rethrown, so
+ * the job running it can be retried.
+ * @param {string} videoId - UUID of the video
+ * @returns {Promise<Object|null>} The updated video, or null if there was nothing to transcode
+ */
+async function transcodeVideo(videoId) {
+  const video = await Video.findByPk(videoId);
+  if (!video || !video.isActive || video.mediaType !== 'video' || !video.filePath) {
+    return null;
+  }
+
+  const settings = getTranscodeSettingsKey();
+  const shared = video.blobId ? await getBlobOutput(video.blobId, 'renditions', settings) : null;
+  if (shared) {
+    await video.update({
+      transcodeStatus: 'ready',
+      transcodeError: null,
+      renditions: shared,
+      transcodedAt: new Date(),
+    });
+    console.log(`♻️  "${video.fileName}" uses the renditions of the same file`);
+
+    try {
+      await notifyVideoPlayers([video.id]);
+    } catch (error) {
+      console.error(`⚠️  Could not notify players of the transcode of "${video.fileName}":`, error.message);
+    }
+    return video;
+  }
+
+  const startedAt = Date.now();
+  console.log(`🎞️  Transcoding "${video.fileName}" (${video.id})...`);
+  await video.update({ transcodeStatus: 'processing', transcodeError: null });
+
+  let renditions = {};
+  try {
+    await storage.withLocalFile(video.filePath, async (originalPath) => {
+      if (!await isPlayerSafeVideo(originalPath)) {
+        renditions.main = await createRendition(video, originalPath, 'main');
+      }
+
+      if (transcodeConfig.lowBitrateEnabled) {
+        renditions.low = await createRendition(video, originalPath, 'low');
+      }
+    });
+  } catch (error) {
+    await deleteRenditionFiles(renditions);
+    await video.update({ transcodeStatus: 'failed', transcodeError: error.message });
+    throw error;
+  }
+
+  // The video may have been deleted while it was being transcoded
+  await video.reload();
+  if (!video.isActive) {
+    await deleteRenditionFiles(video.blobId ? renditions : { ...video.renditions, ...renditions });
+    return null;
+  }
+
+  let videoIds = [video.id];
+  if (video.blobId) {
+    const result = await shareBlobOutput(video.blobId, 'renditions', settings, renditions);
+    if (!result.value) {
+      await deleteRenditionFiles(renditions);
+      return null;
+    }
+
+    // Another video of the blob was transcoded first
+    if (result.value !== renditions) {
+      await deleteRenditionFiles(renditions, result.value);
+    }
+    for (const replaced of result.replaced) {
+      await deleteRenditionFiles(replaced, result.value);
+    }
+
+    renditions = result.value;
+    videoIds = [...new Set([video.id, ...result.videoIds])];
+  } else {
+    await deleteRenditionFiles(video.renditions, renditions);
+  }
+
+  await video.update({
+    transcodeStatus: 'ready',
+    renditions,
+    transcodedAt: new Date(),
+  });
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  const produced = Object.keys(renditions);
+  console.log(`✅ Transcoded "${video.fileName}" in ${seconds}s: ${produced.length > 0 ? produced.join(', ') : 'original is player-safe'}`);
+
+  // Manifests now point at the new files
+  try {
+    await notifyVideoPlayers(videoIds);
+  } catch (error) {
+    console.error(`⚠️  Could not notify players of the transcode of "${video.fileName}":`, error.message);
+  }
+
+  return video;
+}
+
+/**
+ * Whether a video should be transcoded (transcoding enabled, video with a file)
+ * @param {Object} video - Video instance
+ * @returns {boolean}
+ */
+function needsTranscode(video) {
+  return transcodeConfig.enabled && video.mediaType === 'video' && !!video.filePath;
+}
+
+/**
+ * The rendition players should get for a video
+ * A requested low-bitrate rendition falls back to the main one; null means
+ * the original file is served (not transcoded yet, already player-safe, or
+ * 'original' was requested).
+ * @param {Object} video - Video instance (with mediaType and renditions)
+ * @param {string} name - 'main' (default), 'low' or 'original'
+ * @returns {Object|null} { path, size, contentHash, mimeType, resolution } or null
+ */
+function getPlayerRendition(video, name = 'main') {
+  if ((video.mediaType && video.mediaType !== 'video') || name === 'original') {
+    return null;
+  }
+
+  const renditions = video.renditions || {};
+  return renditions[name] || renditions.main || null;
+}
+
+module.exports = {
+  encodeMp4,
+  getRenditionSettings,
+  transcodeVideo,
+  needsTranscode,
+  deleteRenditionFiles,
+  getPlayerRendition,
+};